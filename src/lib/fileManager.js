@@ -1,9 +1,11 @@
 /**
- * Dual file handle management for diagram and SQL files.
+ * File handle management for the diagram file and its SQL files.
  *
  * @module fileManager
  */
 
+import { matchSqlFiles, resolveWorkspacePath } from './parser/diagram.js';
+
 // Re-export utilities from file.js
 export { saveToFile, isFileSystemAccessSupported } from './file.js';
 
@@ -36,33 +38,80 @@ export async function openDiagramFile() {
 }
 
 /**
- * Open a SQL file picker.
+ * Open a SQL file picker. Several files can be selected for diagrams whose
+ * schema is split across files.
  * @param {FileSystemFileHandle} [startInHandle] - Optional handle to start picker in same directory
- * @returns {Promise<{handle: FileSystemFileHandle, content: string}>}
+ * @returns {Promise<{handle: FileSystemFileHandle, content: string}[]>}
  * @throws {Error} If the API is not supported or the user cancels
  */
-export async function openSqlFile(startInHandle) {
+export async function openSqlFiles(startInHandle) {
   if (!('showOpenFilePicker' in window)) {
     throw new Error(
       'File System Access API is not supported in this browser. Please use Chrome, Edge, or another Chromium-based browser.'
     );
   }
 
-  const [handle] = await window.showOpenFilePicker({
+  const handles = await window.showOpenFilePicker({
     types: [
       {
         description: 'SQL Files',
         accept: { 'text/plain': ['.sql'] },
       },
     ],
-    multiple: false,
+    multiple: true,
     ...(startInHandle ? { startIn: startInHandle } : {}),
   });
 
-  const file = await handle.getFile();
-  const content = await file.text();
+  return Promise.all(
+    handles.map(async (handle) => {
+      const file = await handle.getFile();
+      const content = await file.text();
+      return { handle, content };
+    })
+  );
+}
 
-  return { handle, content };
+/**
+ * Open a directory picker for a migrations directory and read its SQL files.
+ * @param {FileSystemFileHandle} [startInHandle] - Optional handle to start picker in same directory
+ * @returns {Promise<{handle: FileSystemDirectoryHandle, files: {handle: FileSystemFileHandle, name: string, content: string}[]}>}
+ * @throws {Error} If the API is not supported or the user cancels
+ */
+export async function openMigrationsDirectory(startInHandle) {
+  if (!('showDirectoryPicker' in window)) {
+    throw new Error(
+      'File System Access API is not supported in this browser. Please use Chrome, Edge, or another Chromium-based browser.'
+    );
+  }
+
+  const handle = await window.showDirectoryPicker({
+    ...(startInHandle ? { startIn: startInHandle } : {}),
+  });
+
+  return { handle, files: await readMigrationsDirectory(handle) };
+}
+
+/**
+ * Read the .sql files of a migrations directory, including subdirectories.
+ * Names are paths relative to the directory ("2024/V3__add_orders.sql").
+ * @param {FileSystemDirectoryHandle} directoryHandle
+ * @param {string} [prefix] - Path of directoryHandle within the migrations directory
+ * @returns {Promise<{handle: FileSystemFileHandle, name: string, content: string}[]>}
+ */
+export async function readMigrationsDirectory(directoryHandle, prefix = '') {
+  const files = [];
+
+  for await (const entry of directoryHandle.values()) {
+    const name = prefix + entry.name;
+    if (entry.kind === 'directory') {
+      files.push(...(await readMigrationsDirectory(entry, `${name}/`)));
+    } else if (entry.name.toLowerCase().endsWith('.sql')) {
+      const file = await entry.getFile();
+      files.push({ handle: entry, name, content: await file.text() });
+    }
+  }
+
+  return files;
 }
 
 /**
@@ -101,21 +150,209 @@ export async function saveNewDiagramFile(content, startInHandle) {
 }
 
 /**
- * Refresh content from both file handles.
+ * Open a directory picker for a workspace folder: a project directory holding
+ * diagram files and the SQL they point to.
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ * @throws {Error} If the API is not supported or the user cancels
+ */
+export async function openWorkspaceDirectory() {
+  if (!('showDirectoryPicker' in window)) {
+    throw new Error(
+      'File System Access API is not supported in this browser. Please use Chrome, Edge, or another Chromium-based browser.'
+    );
+  }
+
+  return window.showDirectoryPicker({ mode: 'readwrite' });
+}
+
+/**
+ * List the diagram files (*.erd-pets.json) of a workspace folder, including
+ * subdirectories. Hidden directories and node_modules are skipped.
+ * @param {FileSystemDirectoryHandle} directoryHandle
+ * @param {string} [prefix] - Path of directoryHandle within the workspace
+ * @returns {Promise<{handle: FileSystemFileHandle, path: string}[]>} Files in path order
+ */
+export async function listDiagramFiles(directoryHandle, prefix = '') {
+  const files = [];
+
+  for await (const entry of directoryHandle.values()) {
+    const path = prefix + entry.name;
+    if (entry.kind === 'directory') {
+      if (!entry.name.startsWith('.') && entry.name !== 'node_modules') {
+        files.push(...(await listDiagramFiles(entry, `${path}/`)));
+      }
+    } else if (entry.name.endsWith('.erd-pets.json')) {
+      files.push({ handle: entry, path });
+    }
+  }
+
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Read the text of a file handle.
+ * @param {FileSystemFileHandle} handle
+ * @returns {Promise<string>}
+ */
+export async function readFileText(handle) {
+  const file = await handle.getFile();
+  return file.text();
+}
+
+/**
+ * Get a directory of a workspace folder by its path from the root.
+ * @param {FileSystemDirectoryHandle} rootHandle
+ * @param {string} path - "db/schema", or "" for the root
+ * @returns {Promise<FileSystemDirectoryHandle | null>} Null when the directory does not exist
+ */
+async function getWorkspaceDirectory(rootHandle, path) {
+  let directory = rootHandle;
+  for (const name of path.split('/').filter(Boolean)) {
+    try {
+      directory = await directory.getDirectoryHandle(name);
+    } catch (err) {
+      if (err.name === 'NotFoundError' || err.name === 'TypeMismatchError') {
+        return null;
+      }
+      throw err;
+    }
+  }
+  return directory;
+}
+
+/**
+ * Resolve a path from a diagram file in a workspace folder.
+ * @param {string} diagramPath - Path of the diagram file within the workspace
+ * @param {string} path - Path written in the diagram file
+ * @returns {string}
+ * @throws {Error} If the path leaves the workspace folder
+ */
+function resolvePath(diagramPath, path) {
+  const resolved = resolveWorkspacePath(diagramPath, path);
+  if (resolved === null) {
+    throw new Error(`"${path}" is outside the workspace folder. Open a folder that contains it.`);
+  }
+  return resolved;
+}
+
+/**
+ * Read the SQL files of a diagram file in a workspace folder. Paths are
+ * resolved relative to the diagram file, "../" included; "*" in the last
+ * segment matches file names as in matchSqlFiles. Names are paths from the
+ * workspace root ("db/schema/users.sql").
+ * @param {FileSystemDirectoryHandle} rootHandle
+ * @param {string} diagramPath - Path of the diagram file within the workspace
+ * @param {string[]} paths - SQL paths and globs from the diagram file
+ * @returns {Promise<{files: {handle: FileSystemFileHandle, name: string, content: string}[], missing: string[]}>} Files in the order of the paths, and paths that matched no file
+ * @throws {Error} If a path leaves the workspace folder
+ */
+export async function readWorkspaceSqlFiles(rootHandle, diagramPath, paths) {
+  const resolved = paths.map((path) => resolvePath(diagramPath, path));
+  // A glob leaves out files that another path names, so they keep that path's place
+  const namedFiles = new Set(resolved.filter((path) => !path.includes('*')));
+
+  const files = [];
+  /** @type {string[]} */
+  const missing = [];
+
+  for (const [i, path] of resolved.entries()) {
+    const slash = path.lastIndexOf('/');
+    const directoryPath = path.slice(0, Math.max(slash, 0));
+    const pattern = path.slice(slash + 1);
+    const directory = await getWorkspaceDirectory(rootHandle, directoryPath);
+
+    /** @type {Map<string, FileSystemFileHandle>} */
+    const entries = new Map();
+    if (directory) {
+      for await (const entry of directory.values()) {
+        if (entry.kind === 'file') {
+          entries.set(entry.name, entry);
+        }
+      }
+    }
+
+    const prefix = directoryPath ? `${directoryPath}/` : '';
+    const matches = matchSqlFiles([pattern], [...entries.keys()]).files.filter(
+      (name) =>
+        !files.some((f) => f.name === prefix + name) && (!pattern.includes('*') || !namedFiles.has(prefix + name))
+    );
+    if (matches.length === 0) {
+      missing.push(paths[i]);
+    }
+    for (const name of matches) {
+      const handle = /** @type {FileSystemFileHandle} */ (entries.get(name));
+      files.push({ handle, name: prefix + name, content: await readFileText(handle) });
+    }
+  }
+
+  return { files, missing };
+}
+
+/**
+ * Read the migrations directory of a diagram file in a workspace folder.
+ * @param {FileSystemDirectoryHandle} rootHandle
+ * @param {string} diagramPath - Path of the diagram file within the workspace
+ * @param {string} path - Migrations path from the diagram file
+ * @returns {Promise<{handle: FileSystemDirectoryHandle, files: {handle: FileSystemFileHandle, name: string, content: string}[]}>}
+ * @throws {Error} If the path leaves the workspace folder or does not exist
+ */
+export async function readWorkspaceMigrations(rootHandle, diagramPath, path) {
+  const handle = await getWorkspaceDirectory(rootHandle, resolvePath(diagramPath, path));
+  if (!handle) {
+    throw new Error(`Migrations folder not found: ${path}`);
+  }
+  return { handle, files: await readMigrationsDirectory(handle) };
+}
+
+/**
+ * Save SQL to a new file using the save file picker.
+ * @param {string} content - The content to write
+ * @param {string} suggestedName - File name offered in the picker
+ * @param {FileSystemFileHandle} [startInHandle] - Optional handle to start picker in same directory
+ * @returns {Promise<FileSystemFileHandle>}
+ * @throws {Error} If the API is not supported or the user cancels
+ */
+export async function saveSqlFileAs(content, suggestedName, startInHandle) {
+  if (!('showSaveFilePicker' in window)) {
+    throw new Error(
+      'File System Access API is not supported in this browser. Please use Chrome, Edge, or another Chromium-based browser.'
+    );
+  }
+
+  const handle = await window.showSaveFilePicker({
+    suggestedName,
+    types: [
+      {
+        description: 'SQL Files',
+        accept: { 'text/plain': ['.sql'] },
+      },
+    ],
+    ...(startInHandle ? { startIn: startInHandle } : {}),
+  });
+
+  const writable = await handle.createWritable();
+  try {
+    await writable.write(content);
+  } finally {
+    await writable.close();
+  }
+
+  return handle;
+}
+
+/**
+ * Refresh content from the diagram file handle and every SQL file handle.
  * @param {FileSystemFileHandle} diagramHandle
- * @param {FileSystemFileHandle} sqlHandle
- * @returns {Promise<{diagramContent: string, sqlContent: string}>}
+ * @param {FileSystemFileHandle[]} sqlHandles
+ * @returns {Promise<{diagramContent: string, sqlContents: string[]}>}
  */
-export async function refreshFiles(diagramHandle, sqlHandle) {
-  const [diagramFile, sqlFile] = await Promise.all([
-    diagramHandle.getFile(),
-    sqlHandle.getFile(),
-  ]);
-
-  const [diagramContent, sqlContent] = await Promise.all([
-    diagramFile.text(),
-    sqlFile.text(),
-  ]);
-
-  return { diagramContent, sqlContent };
+export async function refreshFiles(diagramHandle, sqlHandles) {
+  const [diagramContent, ...sqlContents] = await Promise.all(
+    [diagramHandle, ...sqlHandles].map(async (handle) => {
+      const file = await handle.getFile();
+      return file.text();
+    })
+  );
+
+  return { diagramContent, sqlContents };
 }
@@ -0,0 +1,94 @@
+/**
+ * Watch file and directory handles for changes made outside the app. Uses
+ * FileSystemObserver where the browser has it, and polls lastModified
+ * otherwise.
+ *
+ * @module fileWatcher
+ */
+
+/** Milliseconds between two polls */
+const POLL_INTERVAL = 2000;
+
+/**
+ * Watch handles until the returned function is called. onChange may also be
+ * called for writes made by the app itself: compare contents before acting.
+ * @param {FileSystemHandle[]} handles
+ * @param {() => void} onChange
+ * @returns {() => void} Stops watching
+ */
+export function watchHandles(handles, onChange) {
+  if ('FileSystemObserver' in window) {
+    try {
+      return observeHandles(handles, onChange);
+    } catch {
+      // Fall back to polling
+    }
+  }
+  return pollHandles(handles, onChange);
+}
+
+/**
+ * @param {FileSystemHandle[]} handles
+ * @param {() => void} onChange
+ * @returns {() => void}
+ */
+function observeHandles(handles, onChange) {
+  const observer = new window.FileSystemObserver(() => onChange());
+  for (const handle of handles) {
+    observer.observe(handle, { recursive: handle.kind === 'directory' }).catch(() => {});
+  }
+  return () => observer.disconnect();
+}
+
+/**
+ * @param {FileSystemHandle[]} handles
+ * @param {() => void} onChange
+ * @returns {() => void}
+ */
+function pollHandles(handles, onChange) {
+  let stopped = false;
+  /** @type {string | null} */
+  let previous = null;
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+
+  async function poll() {
+    try {
+      const signature = (await Promise.all(handles.map(getSignature))).join('\n');
+      if (previous !== null && signature !== previous && !stopped) {
+        onChange();
+      }
+      previous = signature;
+    } catch {
+      // A file may be mid-save or gone; try again on the next poll
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, POLL_INTERVAL);
+    }
+  }
+
+  poll();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Modification time and size of a file, or of every file in a directory.
+ * @param {FileSystemHandle} handle
+ * @returns {Promise<string>}
+ */
+async function getSignature(handle) {
+  if (handle.kind === 'file') {
+    const file = await /** @type {FileSystemFileHandle} */ (handle).getFile();
+    return `${file.name}:${file.lastModified}:${file.size}`;
+  }
+
+  /** @type {string[]} */
+  const entries = [];
+  for await (const entry of /** @type {FileSystemDirectoryHandle} */ (handle).values()) {
+    entries.push(`${entry.name}/${await getSignature(entry)}`);
+  }
+  return entries.sort().join(',');
+}
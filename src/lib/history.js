@@ -0,0 +1,84 @@
+/**
+ * Undo history: stacks of commands that can be undone and redone.
+ *
+ * @module history
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} label - Names the edit, e.g. "Move tables"
+ * @property {() => Promise<void> | void} undo
+ * @property {() => Promise<void> | void} redo
+ */
+
+/**
+ * @typedef {Object} History
+ * @property {(command: Command) => void} push - Record a command that was just done; clears the redo stack
+ * @property {() => Promise<Command | null>} undo - Undo the last command, if any
+ * @property {() => Promise<Command | null>} redo - Redo the last undone command, if any
+ * @property {() => void} clear
+ * @property {() => Command | null} peekUndo - The command undo would undo
+ * @property {() => Command | null} peekRedo - The command redo would redo
+ */
+
+/**
+ * Create an undo history. A command whose undo or redo throws stays where it
+ * was, so it can be tried again.
+ * @param {() => void} onChange - Called whenever the stacks change
+ * @param {number} [limit] - Number of commands to keep
+ * @returns {History}
+ */
+export function createHistory(onChange, limit = 100) {
+  /** @type {Command[]} */
+  let undoStack = [];
+  /** @type {Command[]} */
+  let redoStack = [];
+  let busy = false;
+
+  /**
+   * Move the top command of one stack to the other after running it.
+   * @param {Command[]} from
+   * @param {Command[]} to
+   * @param {'undo' | 'redo'} action
+   * @returns {Promise<Command | null>}
+   */
+  async function move(from, to, action) {
+    // Ignore repeats while a command is still writing its files
+    if (busy) return null;
+    const command = from.pop();
+    if (!command) return null;
+
+    busy = true;
+    try {
+      await command[action]();
+    } catch (err) {
+      from.push(command);
+      throw err;
+    } finally {
+      busy = false;
+    }
+    to.push(command);
+    onChange();
+    return command;
+  }
+
+  return {
+    push(command) {
+      undoStack.push(command);
+      if (undoStack.length > limit) {
+        undoStack.shift();
+      }
+      redoStack = [];
+      onChange();
+    },
+    undo: () => move(undoStack, redoStack, 'undo'),
+    redo: () => move(redoStack, undoStack, 'redo'),
+    clear() {
+      undoStack = [];
+      redoStack = [];
+      onChange();
+    },
+    peekUndo: () => undoStack.at(-1) ?? null,
+    peekRedo: () => redoStack.at(-1) ?? null,
+  };
+}
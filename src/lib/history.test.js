@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createHistory } from './history.js';
+
+/**
+ * A command that sets a value, and puts back the previous one on undo.
+ * @param {{ value: number }} target
+ * @param {number} value
+ * @returns {import('./history.js').Command}
+ */
+function setValue(target, value) {
+  const previous = target.value;
+  target.value = value;
+  return {
+    label: `Set ${value}`,
+    undo: () => { target.value = previous; },
+    redo: () => { target.value = value; },
+  };
+}
+
+describe('createHistory', () => {
+  it('undoes and redoes commands in order', async () => {
+    const target = { value: 0 };
+    const history = createHistory(() => {});
+    history.push(setValue(target, 1));
+    history.push(setValue(target, 2));
+
+    expect((await history.undo())?.label).toBe('Set 2');
+    expect(target.value).toBe(1);
+    await history.undo();
+    expect(target.value).toBe(0);
+    expect(await history.undo()).toBeNull();
+
+    await history.redo();
+    expect(target.value).toBe(1);
+    expect(history.peekRedo()?.label).toBe('Set 2');
+  });
+
+  it('clears the redo stack when a new command is pushed', async () => {
+    const target = { value: 0 };
+    const history = createHistory(() => {});
+    history.push(setValue(target, 1));
+    await history.undo();
+    history.push(setValue(target, 5));
+
+    expect(history.peekRedo()).toBeNull();
+    expect(history.peekUndo()?.label).toBe('Set 5');
+  });
+
+  it('keeps a command that fails to undo', async () => {
+    const history = createHistory(() => {});
+    history.push({
+      label: 'Write file',
+      undo: () => { throw new Error('Permission denied'); },
+      redo: () => {},
+    });
+
+    await expect(history.undo()).rejects.toThrow('Permission denied');
+    expect(history.peekUndo()?.label).toBe('Write file');
+    expect(history.peekRedo()).toBeNull();
+  });
+
+  it('drops the oldest commands beyond the limit', async () => {
+    const target = { value: 0 };
+    const history = createHistory(() => {}, 2);
+    history.push(setValue(target, 1));
+    history.push(setValue(target, 2));
+    history.push(setValue(target, 3));
+
+    await history.undo();
+    await history.undo();
+    expect(await history.undo()).toBeNull();
+    expect(target.value).toBe(1);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Relationship cardinality derived from the schema.
+ *
+ * A foreign key always points at exactly one target row (when set). What the
+ * schema does tell us is whether the FK may be left empty (nullable source
+ * columns) and whether a target row can be referenced more than once (source
+ * columns not covered by a unique key).
+ *
+ * @module cardinality
+ */
+
+/**
+ * @typedef {import('./types.js').ForeignKey} ForeignKey
+ * @typedef {import('./types.js').Table} Table
+ */
+
+/**
+ * @typedef {Object} Cardinality
+ * @property {'one' | 'many'} source - How many source rows may reference one target row
+ * @property {boolean} targetOptional - Whether a source row may have no target (nullable FK)
+ */
+
+/**
+ * Check whether a set of columns is covered by a unique key of the table:
+ * a single UNIQUE column, or exactly the table's primary key.
+ * @param {Table} table
+ * @param {string[]} columns
+ * @returns {boolean}
+ */
+function isUniqueKey(table, columns) {
+  if (columns.length === 1) {
+    const column = table.columns.find((c) => c.name === columns[0]);
+    if (column?.isUnique) {
+      return true;
+    }
+  }
+
+  const pkColumns = table.columns.filter((c) => c.isPrimaryKey).map((c) => c.name);
+  return (
+    pkColumns.length > 0 &&
+    pkColumns.length === columns.length &&
+    pkColumns.every((name) => columns.includes(name))
+  );
+}
+
+/**
+ * Derive the cardinality of a foreign key.
+ * If the source table is unknown, the FK is treated as optional one-to-many.
+ * @param {ForeignKey} fk
+ * @param {Table | undefined} sourceTable - The table that owns the FK
+ * @returns {Cardinality}
+ */
+export function resolveCardinality(fk, sourceTable) {
+  if (!sourceTable) {
+    return { source: 'many', targetOptional: true };
+  }
+
+  const targetOptional = fk.sourceColumns.some((name) => {
+    const column = sourceTable.columns.find((c) => c.name === name);
+    return column?.isNullable ?? true;
+  });
+
+  return {
+    source: isUniqueKey(sourceTable, fk.sourceColumns) ? 'one' : 'many',
+    targetOptional,
+  };
+}
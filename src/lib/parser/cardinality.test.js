@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { resolveCardinality } from './cardinality.js';
+import { parsePostgresSQL } from './postgres.js';
+
+/**
+ * Parse SQL and return the cardinality of its first foreign key.
+ * @param {string} sql
+ */
+function cardinalityOf(sql) {
+  const { tables, foreignKeys } = parsePostgresSQL(sql);
+  const fk = foreignKeys[0];
+  return resolveCardinality(fk, tables.find((t) => t.qualifiedName === fk.sourceTable));
+}
+
+describe('resolveCardinality', () => {
+  it('treats a nullable, non-unique FK as optional one-to-many', () => {
+    const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE posts (id integer PRIMARY KEY, user_id integer REFERENCES users);
+    `;
+
+    expect(cardinalityOf(sql)).toEqual({ source: 'many', targetOptional: true });
+  });
+
+  it('treats a NOT NULL FK as mandatory', () => {
+    const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE posts (id integer PRIMARY KEY, user_id integer NOT NULL REFERENCES users);
+    `;
+
+    expect(cardinalityOf(sql)).toEqual({ source: 'many', targetOptional: false });
+  });
+
+  it('treats a UNIQUE FK column as one-to-one', () => {
+    const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE profiles (id integer PRIMARY KEY, user_id integer NOT NULL UNIQUE REFERENCES users);
+    `;
+
+    expect(cardinalityOf(sql)).toEqual({ source: 'one', targetOptional: false });
+  });
+
+  it('treats an FK that is the whole primary key as one-to-one', () => {
+    const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE user_settings (user_id integer PRIMARY KEY REFERENCES users);
+    `;
+
+    expect(cardinalityOf(sql)).toEqual({ source: 'one', targetOptional: false });
+  });
+
+  it('treats an FK that is only part of a composite primary key as one-to-many', () => {
+    const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE user_roles (user_id integer, role_id integer);
+      ALTER TABLE user_roles ADD PRIMARY KEY (user_id, role_id);
+      ALTER TABLE user_roles ADD FOREIGN KEY (user_id) REFERENCES users;
+    `;
+
+    expect(cardinalityOf(sql)).toEqual({ source: 'many', targetOptional: false });
+  });
+
+  it('treats a composite FK matching the composite primary key as one-to-one', () => {
+    const sql = `
+      CREATE TABLE orders (tenant_id integer, id integer);
+      CREATE TABLE order_summary (tenant_id integer, order_id integer);
+      ALTER TABLE orders ADD PRIMARY KEY (tenant_id, id);
+      ALTER TABLE order_summary ADD PRIMARY KEY (order_id, tenant_id);
+      ALTER TABLE order_summary ADD FOREIGN KEY (tenant_id, order_id) REFERENCES orders;
+    `;
+
+    expect(cardinalityOf(sql)).toEqual({ source: 'one', targetOptional: false });
+  });
+
+  it('falls back to optional one-to-many when the source table is unknown', () => {
+    const fk = { sourceTable: 'x.y', sourceColumns: ['a'], targetTable: 'x.z', targetColumns: ['id'] };
+
+    expect(resolveCardinality(fk, undefined)).toEqual({ source: 'many', targetOptional: true });
+  });
+});
@@ -6,6 +6,8 @@
  * @module diagram
  */
 
+import { tokenize } from './tokenizer.js';
+
 /**
  * @typedef {import('./types.js').DiagramFile} DiagramFile
  * @typedef {import('./types.js').DiagramDefinition} DiagramDefinition
@@ -17,6 +19,7 @@
  * @typedef {import('./types.js').ForeignKey} ForeignKey
  * @typedef {import('./types.js').Note} Note
  * @typedef {import('./types.js').Arrow} Arrow
+ * @typedef {import('./types.js').DatabaseType} DatabaseType
  */
 
 /**
@@ -103,11 +106,27 @@ function validateDiagramFile(data) {
 
   const obj = /** @type {Record<string, unknown>} */ (data);
 
-  // Validate sql field
-  if (!('sql' in obj)) {
-    errors.push({ message: 'Missing required field: "sql"' });
+  // Validate sql field, or the migrations directory that replaces it
+  if ('migrations' in obj) {
+    if (typeof obj.migrations !== 'string' || obj.migrations.trim() === '') {
+      errors.push({ message: 'Field "migrations" must be a non-empty string' });
+    }
+    if ('sql' in obj) {
+      errors.push({ message: 'Fields "sql" and "migrations" cannot be used together' });
+    }
+  } else if (!('sql' in obj)) {
+    errors.push({ message: 'Missing required field: "sql" (or "migrations")' });
+  } else if (Array.isArray(obj.sql)) {
+    if (obj.sql.length === 0) {
+      errors.push({ message: 'Field "sql" cannot be empty' });
+    }
+    for (let i = 0; i < obj.sql.length; i++) {
+      if (typeof obj.sql[i] !== 'string' || obj.sql[i].trim() === '') {
+        errors.push({ message: `sql[${i}]: must be a non-empty string` });
+      }
+    }
   } else if (typeof obj.sql !== 'string') {
-    errors.push({ message: 'Field "sql" must be a string' });
+    errors.push({ message: 'Field "sql" must be a string or an array of strings' });
   } else if (obj.sql.trim() === '') {
     errors.push({ message: 'Field "sql" cannot be empty' });
   }
@@ -258,6 +277,23 @@ function validateDiagramFile(data) {
             if ('visible' in r && typeof r.visible !== 'boolean') {
               errors.push({ message: `${relPrefix}.visible: must be a boolean` });
             }
+
+            // Validate optional referential action filters
+            for (const field of ['onDelete', 'onUpdate']) {
+              if (!(field in r)) continue;
+              const value = r[field];
+              if (typeof value !== 'string') {
+                errors.push({ message: `${relPrefix}.${field}: must be a string` });
+              } else if (!REFERENTIAL_ACTIONS.includes(normalizeAction(value))) {
+                errors.push({
+                  message: `${relPrefix}.${field}: must be one of ${REFERENTIAL_ACTIONS.map((a) => `"${a.toLowerCase()}"`).join(', ')}`,
+                });
+              }
+            }
+
+            if ('deferrable' in r && typeof r.deferrable !== 'boolean') {
+              errors.push({ message: `${relPrefix}.deferrable: must be a boolean` });
+            }
           }
         }
       }
@@ -452,13 +488,14 @@ export function resolveDiagramTables(diagram, tables, existingPositions) {
 
 /**
  * Create a default diagram file structure for a new SQL schema.
- * @param {string} sqlFilename - The filename of the SQL file (just the name, not full path)
+ * @param {string | string[]} sqlFilenames - The filename of the SQL file, or of each SQL file (just the name, not full path)
+ * @param {DatabaseType} [dbType]
  * @returns {DiagramFile}
  */
-export function createDefaultDiagramFile(sqlFilename) {
+export function createDefaultDiagramFile(sqlFilenames, dbType = 'PostgreSQL') {
   return {
-    sql: sqlFilename,
-    dbType: 'PostgreSQL',
+    sql: Array.isArray(sqlFilenames) && sqlFilenames.length === 1 ? sqlFilenames[0] : sqlFilenames,
+    dbType,
     diagrams: [
       {
         id: 'main',
@@ -469,6 +506,122 @@ export function createDefaultDiagramFile(sqlFilename) {
   };
 }
 
+/**
+ * Get the SQL paths of a diagram file. The sql field may be one path or a list,
+ * and is absent for a migrations directory.
+ * @param {DiagramFile} diagramFile
+ * @returns {string[]}
+ */
+export function getSqlPaths(diagramFile) {
+  if (diagramFile.sql === undefined) {
+    return [];
+  }
+  return Array.isArray(diagramFile.sql) ? diagramFile.sql : [diagramFile.sql];
+}
+
+/**
+ * Match the files the user picked to the SQL paths of a diagram file.
+ * The browser only gives file names, so paths and globs are compared by their
+ * last segment ("db/schema/*.sql" matches "users.sql"). Files come back in the
+ * order of the paths, and files matched by one glob in name order. A file
+ * named by a path is not also taken by a glob.
+ * @param {string[]} paths - SQL paths and globs from the diagram file
+ * @param {string[]} fileNames - Names of the picked files
+ * @returns {{ files: string[], missing: string[] }} Matched file names, and paths that matched no file
+ */
+export function matchSqlFiles(paths, fileNames) {
+  /** @type {string[]} */
+  const files = [];
+  /** @type {string[]} */
+  const missing = [];
+
+  const patterns = paths.map((path) => path.split(/[\\/]/).pop() ?? path);
+  // A glob leaves out files that another path names, so they keep that path's place
+  const namedFiles = new Set(patterns.filter((pattern) => !pattern.includes('*')));
+
+  for (const [i, path] of paths.entries()) {
+    const pattern = patterns[i];
+    const matches = fileNames
+      .filter(
+        (name) =>
+          !files.includes(name) &&
+          (pattern.includes('*') ? !namedFiles.has(name) && matchesGlob(name, pattern) : name === pattern)
+      )
+      .sort((a, b) => a.localeCompare(b));
+    if (matches.length === 0) {
+      missing.push(path);
+    }
+    files.push(...matches);
+  }
+
+  return { files, missing };
+}
+
+/**
+ * Resolve a path from a diagram file against the diagram file's location in
+ * a workspace folder. Both are relative to the workspace root; "." and ".."
+ * segments are resolved and backslashes read as slashes.
+ * @param {string} diagramPath - Path of the diagram file ("docs/app.erd-pets.json")
+ * @param {string} path - Path written in the diagram file ("../db/schema.sql")
+ * @returns {string | null} Path from the workspace root ("db/schema.sql"), or null when it leaves the workspace or is absolute
+ */
+export function resolveWorkspacePath(diagramPath, path) {
+  if (/^([\\/]|[A-Za-z]:)/.test(path)) {
+    return null;
+  }
+  const segments = diagramPath.split('/').slice(0, -1);
+  for (const segment of path.split(/[\\/]/)) {
+    if (segment === '' || segment === '.') {
+      continue;
+    }
+    if (segment === '..') {
+      if (segments.length === 0) {
+        return null;
+      }
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments.join('/');
+}
+
+/**
+ * Guess the database type of a schema file for a new diagram, from
+ * syntax only one dialect uses. Falls back to PostgreSQL.
+ * @param {string} sql
+ * @returns {DatabaseType}
+ */
+export function detectDatabaseType(sql) {
+  // pg_dump output may quote other dialects' syntax inside function bodies
+  if (/^-- PostgreSQL database dump\b|^SELECT pg_catalog\.set_config\(/m.test(sql)) {
+    return 'PostgreSQL';
+  }
+  if (/\bAUTOINCREMENT\b|\bWITHOUT\s+ROWID\b|^\s*PRAGMA\b|\bsqlite_sequence\b/im.test(sql)) {
+    return 'SQLite';
+  }
+  if (/^\s*GO\s*$|\bIDENTITY\s*\(\s*\d|\[dbo\]\./im.test(sql)) {
+    return 'SQL Server';
+  }
+  if (/\bAUTO_INCREMENT\b|\bENGINE\s*=/i.test(sql) || hasBacktickIdentifier(sql)) {
+    return 'MySQL';
+  }
+  return 'PostgreSQL';
+}
+
+/**
+ * Check for identifiers quoted with backticks. Tokenizing skips comments and
+ * string literals, where any dialect may have a backtick.
+ * @param {string} sql
+ * @returns {boolean}
+ */
+function hasBacktickIdentifier(sql) {
+  if (!sql.includes('`')) return false;
+  return tokenize(sql, { backtickIdentifiers: true }).some(
+    (token) => token.type === 'QUOTED_IDENTIFIER' && sql[token.offset] === '`'
+  );
+}
+
 /**
  * Convert a glob pattern to a regular expression.
  * Supports * as wildcard matching any characters (including dots).
@@ -484,8 +637,8 @@ function globToRegex(pattern) {
 }
 
 /**
- * Check if a column path matches a glob pattern.
- * @param {string} path - Full column path (schema.table.column)
+ * Check if a path matches a glob pattern.
+ * @param {string} path - Column path (schema.table.column) or file name
  * @param {string} pattern - Glob pattern
  * @returns {boolean}
  */
@@ -493,6 +646,38 @@ function matchesGlob(path, pattern) {
   return globToRegex(pattern).test(path);
 }
 
+/** Referential actions accepted in relation rules (compared case-insensitively). */
+const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
+
+/**
+ * Normalize a referential action for comparison: "set  null" -> "SET NULL".
+ * @param {string} action
+ * @returns {string}
+ */
+function normalizeAction(action) {
+  return action.trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Check a rule's onDelete/onUpdate/deferrable filters against a foreign key.
+ * An FK without a declared action is treated as NO ACTION.
+ * @param {ForeignKey} fk
+ * @param {RelationRule} rule
+ * @returns {boolean}
+ */
+function matchesReferentialFilters(fk, rule) {
+  if (rule.onDelete !== undefined && normalizeAction(rule.onDelete) !== (fk.onDelete ?? 'NO ACTION')) {
+    return false;
+  }
+  if (rule.onUpdate !== undefined && normalizeAction(rule.onUpdate) !== (fk.onUpdate ?? 'NO ACTION')) {
+    return false;
+  }
+  if (rule.deferrable !== undefined && rule.deferrable !== (fk.deferrable === true)) {
+    return false;
+  }
+  return true;
+}
+
 /**
  * @typedef {Object} ResolvedRelation
  * @property {boolean} hidden - Whether the edge should be hidden
@@ -502,17 +687,24 @@ function matchesGlob(path, pattern) {
 
 /**
  * Apply relation rules to a foreign key and return styling.
- * First matching rule wins.
+ * First matching rule wins. A composite FK matches a rule when any of its
+ * column pairs does, and when its actions satisfy the rule's
+ * onDelete/onUpdate/deferrable filters.
  * @param {ForeignKey} fk
  * @param {RelationRule[]} relations
  * @returns {ResolvedRelation}
  */
 export function resolveRelation(fk, relations) {
-  const fromPath = `${fk.sourceTable}.${fk.sourceColumn}`;
-  const toPath = `${fk.targetTable}.${fk.targetColumn}`;
+  const pairs = fk.sourceColumns.map((sourceColumn, i) => ({
+    fromPath: `${fk.sourceTable}.${sourceColumn}`,
+    toPath: `${fk.targetTable}.${fk.targetColumns[i] ?? ''}`,
+  }));
 
   for (const rule of relations) {
-    if (matchesGlob(fromPath, rule.from) && matchesGlob(toPath, rule.to)) {
+    const matches = pairs.some(
+      ({ fromPath, toPath }) => matchesGlob(fromPath, rule.from) && matchesGlob(toPath, rule.to)
+    );
+    if (matches && matchesReferentialFilters(fk, rule)) {
       if (rule.visible === false) {
         return { hidden: true };
       }
@@ -528,6 +720,17 @@ export function resolveRelation(fk, relations) {
   return { hidden: false };
 }
 
+/**
+ * Format one side of a foreign key for display; composite keys are shown
+ * as (a, b).
+ * @param {string[]} columns
+ * @returns {string}
+ */
+export function formatForeignKeyColumns(columns) {
+  if (columns.length === 0) return '';
+  return columns.length === 1 ? columns[0] : `(${columns.join(', ')})`;
+}
+
 /**
  * Set visibility for a table in a diagram.
  * Returns updated tables array for the diagram.
@@ -586,7 +789,8 @@ export function setTableVisibility(tables, qualifiedName, visible) {
 export function serializeDiagramFile(diagramFile, selectedDiagramId, nodePositions, tables) {
   // Deep clone to avoid mutating the original
   const output = {
-    sql: diagramFile.sql,
+    ...(diagramFile.sql !== undefined ? { sql: diagramFile.sql } : {}),
+    ...(diagramFile.migrations !== undefined ? { migrations: diagramFile.migrations } : {}),
     ...(diagramFile.dbType ? { dbType: diagramFile.dbType } : {}),
     diagrams: diagramFile.diagrams.map((diagram) => {
       const isSelected = diagram.id === selectedDiagramId;
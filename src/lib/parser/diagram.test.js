@@ -5,6 +5,12 @@ import {
   resolveDiagramTables,
   serializeDiagramFile,
   resolveRelation,
+  formatForeignKeyColumns,
+  detectDatabaseType,
+  getSqlPaths,
+  matchSqlFiles,
+  resolveWorkspacePath,
+  createDefaultDiagramFile,
 } from './diagram.js';
 
 describe('stripJsonComments', () => {
@@ -166,6 +172,38 @@ describe('parseDiagramFile', () => {
     expect(errors.some((e) => e.message.includes('cannot be empty'))).toBe(true);
   });
 
+  it('accepts an array of SQL paths', () => {
+    const content = '{"sql": ["db/schema/users.sql", "db/schema/*.sql"], "diagrams": []}';
+    const { data, errors } = parseDiagramFile(content);
+
+    expect(errors).toEqual([]);
+    expect(data && getSqlPaths(data)).toEqual(['db/schema/users.sql', 'db/schema/*.sql']);
+  });
+
+  it('reports empty and non-string SQL paths', () => {
+    expect(parseDiagramFile('{"sql": [], "diagrams": []}').errors).toEqual([
+      { message: 'Field "sql" cannot be empty' },
+    ]);
+    expect(parseDiagramFile('{"sql": ["a.sql", 3, " "], "diagrams": []}').errors).toEqual([
+      { message: 'sql[1]: must be a non-empty string' },
+      { message: 'sql[2]: must be a non-empty string' },
+    ]);
+  });
+
+  it('accepts a migrations directory instead of sql', () => {
+    const { data, errors } = parseDiagramFile('{"migrations": "db/migrations", "diagrams": []}');
+
+    expect(errors).toEqual([]);
+    expect(data?.migrations).toBe('db/migrations');
+    expect(data && getSqlPaths(data)).toEqual([]);
+  });
+
+  it('reports sql and migrations used together', () => {
+    const { errors } = parseDiagramFile('{"sql": "schema.sql", "migrations": "db", "diagrams": []}');
+
+    expect(errors).toEqual([{ message: 'Fields "sql" and "migrations" cannot be used together' }]);
+  });
+
   it('reports missing diagram id', () => {
     const content = `{
   "sql": "schema.sql",
@@ -540,6 +578,18 @@ describe('serializeDiagramFile', () => {
     expect(parsed.diagrams[1].tables[0].x).toBe(500);
   });
 
+  it('keeps a migrations directory without adding sql', () => {
+    const diagramFile = {
+      migrations: 'db/migrations',
+      diagrams: [{ id: 'main', title: 'Main', tables: [{ name: '*' }] }],
+    };
+
+    const parsed = JSON.parse(serializeDiagramFile(diagramFile, 'main', new Map(), tables));
+
+    expect(parsed.migrations).toBe('db/migrations');
+    expect(parsed).not.toHaveProperty('sql');
+  });
+
   it('preserves wildcards and adds explicit positions', () => {
     const diagramFile = {
       sql: 'schema.sql',
@@ -756,6 +806,28 @@ describe('parseDiagramFile relations validation', () => {
     expect(errors.some((e) => e.message.includes('solid'))).toBe(true);
   });
 
+  it('rejects unknown referential actions', () => {
+    const content = `{
+  "sql": "schema.sql",
+  "diagrams": [{
+    "id": "main",
+    "title": "Test",
+    "tables": [],
+    "relations": [
+      { "from": "*", "to": "*", "onDelete": "set null" },
+      { "from": "*", "to": "*", "onUpdate": "explode" },
+      { "from": "*", "to": "*", "deferrable": "yes" }
+    ]
+  }]
+}`;
+    const { data, errors } = parseDiagramFile(content);
+
+    expect(data).toBeNull();
+    expect(errors).toHaveLength(2);
+    expect(errors[0].message).toContain('relations[1].onUpdate');
+    expect(errors[1].message).toContain('relations[2].deferrable');
+  });
+
   it('accepts all valid line values', () => {
     const content = `{
   "sql": "schema.sql",
@@ -781,9 +853,9 @@ describe('resolveRelation', () => {
   it('returns default styling when no rules match', () => {
     const fk = {
       sourceTable: 'public.orders',
-      sourceColumn: 'user_id',
+      sourceColumns: ['user_id'],
       targetTable: 'public.users',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
 
     const result = resolveRelation(fk, []);
@@ -794,9 +866,9 @@ describe('resolveRelation', () => {
   it('matches exact column pattern', () => {
     const fk = {
       sourceTable: 'public.orders',
-      sourceColumn: 'created_by',
+      sourceColumns: ['created_by'],
       targetTable: 'public.users',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
     const relations = [
       { from: 'public.orders.created_by', to: 'public.users.id', visible: false },
@@ -810,9 +882,9 @@ describe('resolveRelation', () => {
   it('matches wildcard from pattern', () => {
     const fk = {
       sourceTable: 'public.orders',
-      sourceColumn: 'created_by',
+      sourceColumns: ['created_by'],
       targetTable: 'public.users',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
     const relations = [
       { from: '*.created_by', to: 'public.users.id', visible: false },
@@ -826,9 +898,9 @@ describe('resolveRelation', () => {
   it('matches wildcard to pattern', () => {
     const fk = {
       sourceTable: 'public.orders',
-      sourceColumn: 'user_id',
+      sourceColumns: ['user_id'],
       targetTable: 'public.users',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
     const relations = [
       { from: 'public.orders.user_id', to: '*.users.id', line: 'dashed' },
@@ -842,9 +914,9 @@ describe('resolveRelation', () => {
   it('matches both wildcards', () => {
     const fk = {
       sourceTable: 'contract.orders',
-      sourceColumn: 'created_by',
+      sourceColumns: ['created_by'],
       targetTable: 'auth.users',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
     const relations = [
       { from: '*.created_by', to: '*.users.id', visible: false },
@@ -858,9 +930,9 @@ describe('resolveRelation', () => {
   it('returns color when specified', () => {
     const fk = {
       sourceTable: 'public.orders',
-      sourceColumn: 'priority_id',
+      sourceColumns: ['priority_id'],
       targetTable: 'public.priority',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
     const relations = [
       { from: '*.priority_id', to: '*.priority.id', color: '#22c55e' },
@@ -874,9 +946,9 @@ describe('resolveRelation', () => {
   it('returns dashed line with color', () => {
     const fk = {
       sourceTable: 'public.orders',
-      sourceColumn: 'tenant_id',
+      sourceColumns: ['tenant_id'],
       targetTable: 'public.tenant',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
     const relations = [
       { from: '*.tenant_id', to: '*.tenant.id', line: 'dashed', color: '#9ca3af' },
@@ -890,9 +962,9 @@ describe('resolveRelation', () => {
   it('first matching rule wins', () => {
     const fk = {
       sourceTable: 'public.orders',
-      sourceColumn: 'created_by',
+      sourceColumns: ['created_by'],
       targetTable: 'public.users',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
     const relations = [
       { from: '*.created_by', to: '*', visible: false },
@@ -907,9 +979,9 @@ describe('resolveRelation', () => {
   it('requires both from and to to match', () => {
     const fk = {
       sourceTable: 'public.orders',
-      sourceColumn: 'created_by',
+      sourceColumns: ['created_by'],
       targetTable: 'public.products',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
     const relations = [
       { from: '*.created_by', to: '*.users.id', visible: false },
@@ -923,9 +995,9 @@ describe('resolveRelation', () => {
   it('matches suffix patterns', () => {
     const fk = {
       sourceTable: 'public.orders',
-      sourceColumn: 'updated_by',
+      sourceColumns: ['updated_by'],
       targetTable: 'public.users',
-      targetColumn: 'id',
+      targetColumns: ['id'],
     };
     const relations = [
       { from: '*_by', to: '*.id', visible: false },
@@ -935,4 +1007,141 @@ describe('resolveRelation', () => {
 
     expect(result).toEqual({ hidden: true });
   });
+
+  it('filters on referential actions', () => {
+    const cascade = {
+      sourceTable: 'public.orders',
+      sourceColumns: ['user_id'],
+      targetTable: 'public.users',
+      targetColumns: ['id'],
+      onDelete: 'CASCADE',
+    };
+    const plain = { ...cascade, onDelete: undefined };
+    const relations = [{ from: '*', to: '*', onDelete: 'cascade', color: '#ef4444' }];
+
+    expect(resolveRelation(cascade, relations)).toEqual({ hidden: false, line: 'solid', color: '#ef4444' });
+    expect(resolveRelation(plain, relations)).toEqual({ hidden: false });
+    // An undeclared action matches "no action"
+    expect(resolveRelation(plain, [{ from: '*', to: '*', onDelete: 'No  Action', visible: false }])).toEqual({
+      hidden: true,
+    });
+  });
+
+  it('filters on deferrable', () => {
+    const fk = {
+      sourceTable: 'public.orders',
+      sourceColumns: ['user_id'],
+      targetTable: 'public.users',
+      targetColumns: ['id'],
+      deferrable: true,
+    };
+
+    expect(resolveRelation(fk, [{ from: '*', to: '*', deferrable: false, visible: false }])).toEqual({ hidden: false });
+    expect(resolveRelation(fk, [{ from: '*', to: '*', deferrable: true, visible: false }])).toEqual({ hidden: true });
+  });
+
+  it('matches a composite FK when any column pair matches', () => {
+    const fk = {
+      sourceTable: 'public.order_line',
+      sourceColumns: ['tenant_id', 'order_id'],
+      targetTable: 'public.orders',
+      targetColumns: ['tenant_id', 'id'],
+    };
+
+    expect(resolveRelation(fk, [{ from: '*.order_id', to: '*.orders.id', color: '#22c55e' }])).toEqual({
+      hidden: false,
+      line: 'solid',
+      color: '#22c55e',
+    });
+    // Columns are paired by position, not cross-matched
+    expect(resolveRelation(fk, [{ from: '*.order_id', to: '*.orders.tenant_id', visible: false }])).toEqual({
+      hidden: false,
+    });
+  });
+});
+
+describe('formatForeignKeyColumns', () => {
+  it('shows single columns bare and composite keys in parentheses', () => {
+    expect(formatForeignKeyColumns(['user_id'])).toBe('user_id');
+    expect(formatForeignKeyColumns(['tenant_id', 'order_id'])).toBe('(tenant_id, order_id)');
+    expect(formatForeignKeyColumns([])).toBe('');
+  });
+});
+
+describe('detectDatabaseType', () => {
+  it('recognises SQLite-only syntax', () => {
+    expect(detectDatabaseType('CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT);')).toBe('SQLite');
+    expect(detectDatabaseType('CREATE TABLE t (k TEXT PRIMARY KEY) WITHOUT ROWID;')).toBe('SQLite');
+    expect(detectDatabaseType('PRAGMA foreign_keys=OFF;\nCREATE TABLE t (id int);')).toBe('SQLite');
+  });
+
+  it('recognises SQL Server-only syntax', () => {
+    expect(detectDatabaseType('CREATE TABLE [dbo].[t] ([id] [int] NOT NULL)\nGO\n')).toBe('SQL Server');
+    expect(detectDatabaseType('CREATE TABLE t (id int IDENTITY(1,1) PRIMARY KEY);')).toBe('SQL Server');
+    expect(detectDatabaseType('CREATE TABLE t (id int GENERATED ALWAYS AS IDENTITY (START WITH 1));')).toBe('PostgreSQL');
+  });
+
+  it('recognises MySQL-only syntax', () => {
+    expect(detectDatabaseType('CREATE TABLE `t` (`id` int);')).toBe('MySQL');
+    expect(detectDatabaseType('CREATE TABLE t (id int AUTO_INCREMENT) ENGINE=InnoDB;')).toBe('MySQL');
+  });
+
+  it('defaults to PostgreSQL', () => {
+    expect(detectDatabaseType('CREATE TABLE public.t (id serial PRIMARY KEY);')).toBe('PostgreSQL');
+  });
+
+  it('ignores backticks in comments and string literals', () => {
+    const sql = `
+      -- see \`users\` in the docs
+      CREATE TABLE users (id serial PRIMARY KEY, bio text DEFAULT 'use \`code\`');
+      /* \`legacy\` */
+    `;
+    expect(detectDatabaseType(sql)).toBe('PostgreSQL');
+  });
+
+  it('recognises pg_dump output whatever its function bodies contain', () => {
+    const dump = "--\n-- PostgreSQL database dump\n--\n\nCREATE FUNCTION f() RETURNS void LANGUAGE plpgsql AS $$ BEGIN EXECUTE 'SELECT `x`'; END; $$;\n";
+    expect(detectDatabaseType(dump)).toBe('PostgreSQL');
+  });
+});
+
+describe('SQL paths', () => {
+  it('returns a single path as a list', () => {
+    expect(getSqlPaths(createDefaultDiagramFile('schema.sql'))).toEqual(['schema.sql']);
+  });
+
+  it('writes one picked file as a plain path and several as a list', () => {
+    expect(createDefaultDiagramFile(['schema.sql']).sql).toBe('schema.sql');
+    expect(createDefaultDiagramFile(['a.sql', 'b.sql']).sql).toEqual(['a.sql', 'b.sql']);
+  });
+
+  it('orders picked files by path, then by name within a glob', () => {
+    const { files, missing } = matchSqlFiles(
+      ['db/schema/00_types.sql', 'db/schema/*.sql', 'db/fks.sql'],
+      ['users.sql', 'fks.sql', '00_types.sql', 'orders.sql', 'notes.txt']
+    );
+
+    expect(files).toEqual(['00_types.sql', 'orders.sql', 'users.sql', 'fks.sql']);
+    expect(missing).toEqual([]);
+  });
+
+  it('reports paths that match no picked file', () => {
+    expect(matchSqlFiles(['schema.sql', 'views/v_*.sql'], ['other.sql']).missing).toEqual([
+      'schema.sql',
+      'views/v_*.sql',
+    ]);
+  });
+
+  it('resolves paths against the diagram file in a workspace folder', () => {
+    expect(resolveWorkspacePath('app.erd-pets.json', 'schema.sql')).toBe('schema.sql');
+    expect(resolveWorkspacePath('docs/erd/app.erd-pets.json', '../../db/./schema/*.sql')).toBe('db/schema/*.sql');
+    expect(resolveWorkspacePath('docs/app.erd-pets.json', '..\\db\\schema.sql')).toBe('db/schema.sql');
+    expect(resolveWorkspacePath('docs/app.erd-pets.json', 'migrations/')).toBe('docs/migrations');
+  });
+
+  it('does not resolve paths outside the workspace folder', () => {
+    expect(resolveWorkspacePath('app.erd-pets.json', '../schema.sql')).toBeNull();
+    expect(resolveWorkspacePath('docs/app.erd-pets.json', '/etc/schema.sql')).toBeNull();
+    expect(resolveWorkspacePath('docs/app.erd-pets.json', 'C:\\db\\schema.sql')).toBeNull();
+  });
 });
@@ -0,0 +1,238 @@
+/**
+ * Diagram merge: three-way merge of a diagram file changed both on disk and
+ * in the app since it was loaded. Diagrams, table entries, notes and arrows
+ * are matched by id (tables by name) and merged field by field; when both
+ * sides changed the same field, the in-app version wins and a conflict is
+ * reported.
+ *
+ * @module diagramMerge
+ */
+
+/**
+ * @typedef {import('./types.js').DiagramDefinition} DiagramDefinition
+ * @typedef {import('./types.js').DiagramFile} DiagramFile
+ */
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {DiagramFile} merged
+ * @property {string[]} conflicts - Changes made both on disk and in the app, where the app's version was kept
+ */
+
+/**
+ * Merge the disk and in-app versions of a diagram file.
+ * @param {DiagramFile} base - The file as it was loaded or last saved
+ * @param {DiagramFile} disk - The file as it is on disk now
+ * @param {DiagramFile} mine - The file as it is in the app now
+ * @returns {MergeResult}
+ */
+export function mergeDiagramFiles(base, disk, mine) {
+  /** @type {string[]} */
+  const conflicts = [];
+
+  const merged = /** @type {DiagramFile} */ (mergeFields(base, disk, mine, ['diagrams'], 'File', conflicts));
+  merged.diagrams = mergeList(
+    base.diagrams,
+    disk.diagrams,
+    mine.diagrams,
+    (d) => d.id,
+    (d) => `Diagram "${d.title}"`,
+    (b, d, m) => mergeDiagram(b, d, m, conflicts),
+    conflicts
+  );
+
+  return { merged, conflicts };
+}
+
+/**
+ * @param {DiagramDefinition} base
+ * @param {DiagramDefinition} disk
+ * @param {DiagramDefinition} mine
+ * @param {string[]} conflicts
+ * @returns {DiagramDefinition}
+ */
+function mergeDiagram(base, disk, mine, conflicts) {
+  const label = `Diagram "${mine.title}"`;
+  const merged = /** @type {DiagramDefinition} */ (
+    mergeFields(base, disk, mine, ['tables', 'notes', 'arrows'], label, conflicts)
+  );
+
+  /**
+   * @param {Record<string, any>} b
+   * @param {Record<string, any>} d
+   * @param {Record<string, any>} m
+   * @param {string} itemLabel
+   */
+  const mergeItem = (b, d, m, itemLabel) => mergeFields(b, d, m, [], itemLabel, conflicts);
+
+  merged.tables = mergeList(
+    base.tables,
+    disk.tables,
+    mine.tables,
+    (t) => t.name,
+    (t) => `${label}: table ${t.name}`,
+    (b, d, m) => mergeItem(b, d, m, `${label}: table ${m.name}`),
+    conflicts
+  );
+
+  for (const key of /** @type {const} */ (['notes', 'arrows'])) {
+    if (base[key] === undefined && disk[key] === undefined && mine[key] === undefined) {
+      continue;
+    }
+    const noun = key === 'notes' ? 'note' : 'arrow';
+    merged[key] = mergeList(
+      base[key] ?? [],
+      disk[key] ?? [],
+      mine[key] ?? [],
+      (item) => item.id,
+      (item) => `${label}: ${noun} ${item.id}`,
+      (b, d, m) => mergeItem(b, d, m, `${label}: ${noun} ${m.id}`),
+      conflicts
+    );
+  }
+
+  return merged;
+}
+
+/**
+ * Merge the fields of an object, except the ones listed in skip. x and y are
+ * merged together, so a moved item never lands between two positions.
+ * @param {Record<string, any>} base
+ * @param {Record<string, any>} disk
+ * @param {Record<string, any>} mine
+ * @param {string[]} skip
+ * @param {string} label - Names the object in conflicts
+ * @param {string[]} conflicts
+ * @returns {Record<string, any>}
+ */
+function mergeFields(base, disk, mine, skip, label, conflicts) {
+  /** @type {Record<string, any>} */
+  const merged = {};
+  const keys = new Set([...Object.keys(mine), ...Object.keys(disk), ...Object.keys(base)]);
+
+  for (const key of keys) {
+    if (skip.includes(key) || (key === 'y' && keys.has('x'))) continue;
+
+    if (key === 'x' || key === 'y') {
+      /** @param {Record<string, any>} o */
+      const position = (o) => (o.x === undefined && o.y === undefined ? undefined : { x: o.x, y: o.y });
+      const value = mergeValue(position(base), position(disk), position(mine), () => {
+        conflicts.push(`${label}: position changed on disk and here`);
+      });
+      if (value !== undefined) {
+        merged.x = value.x;
+        merged.y = value.y;
+      }
+      continue;
+    }
+
+    const value = mergeValue(base[key], disk[key], mine[key], () => {
+      conflicts.push(`${label}: ${key} changed on disk and here`);
+    });
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * @param {any} base
+ * @param {any} disk
+ * @param {any} mine
+ * @param {() => void} onConflict
+ * @returns {any}
+ */
+function mergeValue(base, disk, mine, onConflict) {
+  if (isEqual(mine, base)) return disk;
+  if (isEqual(disk, base) || isEqual(disk, mine)) return mine;
+  onConflict();
+  return mine;
+}
+
+/**
+ * Merge lists of items identified by key. The in-app order is kept; items
+ * added on disk follow the item they follow on disk.
+ * @template T
+ * @param {T[]} base
+ * @param {T[]} disk
+ * @param {T[]} mine
+ * @param {(item: T) => string} getKey
+ * @param {(item: T) => string} describe - Names an item in conflicts
+ * @param {(base: T, disk: T, mine: T) => T} mergeItem
+ * @param {string[]} conflicts
+ * @returns {T[]}
+ */
+function mergeList(base, disk, mine, getKey, describe, mergeItem, conflicts) {
+  const baseItems = new Map(base.map((item) => [getKey(item), item]));
+  const diskItems = new Map(disk.map((item) => [getKey(item), item]));
+  const mineKeys = new Set(mine.map(getKey));
+
+  /** @type {T[]} */
+  const merged = [];
+  for (const item of mine) {
+    const key = getKey(item);
+    const baseItem = baseItems.get(key);
+    const diskItem = diskItems.get(key);
+
+    if (!baseItem) {
+      // Added here, and maybe on disk too
+      if (diskItem && !isEqual(diskItem, item)) {
+        conflicts.push(`${describe(item)} added on disk and here`);
+      }
+      merged.push(item);
+    } else if (!diskItem) {
+      // Removed on disk
+      if (!isEqual(item, baseItem)) {
+        conflicts.push(`${describe(item)} removed on disk but changed here`);
+        merged.push(item);
+      }
+    } else {
+      merged.push(mergeItem(baseItem, diskItem, item));
+    }
+  }
+
+  for (const [index, item] of disk.entries()) {
+    const key = getKey(item);
+    if (mineKeys.has(key)) continue;
+
+    const baseItem = baseItems.get(key);
+    if (baseItem) {
+      // Removed here
+      if (!isEqual(item, baseItem)) {
+        conflicts.push(`${describe(item)} removed here but changed on disk`);
+      }
+      continue;
+    }
+
+    // Added on disk: place it after the nearest item before it on disk
+    let position = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      const previousKey = getKey(disk[i]);
+      const found = merged.findIndex((m) => getKey(m) === previousKey);
+      if (found !== -1) {
+        position = found + 1;
+        break;
+      }
+    }
+    merged.splice(position, 0, item);
+  }
+
+  return merged;
+}
+
+/**
+ * Structural equality of JSON values, ignoring the order of object keys.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  return aKeys.length === bKeys.length && aKeys.every((key) => key in b && isEqual(a[key], b[key]));
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { mergeDiagramFiles } from './diagramMerge.js';
+
+/**
+ * @param {Partial<import('./types.js').DiagramDefinition>[]} diagrams
+ * @returns {import('./types.js').DiagramFile}
+ */
+function file(diagrams) {
+  return {
+    sql: 'schema.sql',
+    dbType: 'PostgreSQL',
+    diagrams: diagrams.map((d) => ({ id: 'main', title: 'Main', tables: [], ...d })),
+  };
+}
+
+describe('mergeDiagramFiles', () => {
+  it('keeps changes made on either side', () => {
+    const base = file([{
+      tables: [{ name: 'public.users', x: 0, y: 0 }, { name: 'public.posts', x: 100, y: 0 }],
+      notes: [{ id: 'note-1', text: 'Users', x: 0, y: 100 }],
+    }]);
+    const disk = file([{
+      title: 'Core',
+      tables: [{ name: 'public.users', x: 0, y: 0, color: '#ff0000' }, { name: 'public.posts', x: 100, y: 0 }],
+      notes: [{ id: 'note-1', text: 'Users', x: 0, y: 100 }],
+      arrows: [{ id: 'arrow-1', from: 'note-1', to: 'public.users' }],
+    }]);
+    const mine = file([{
+      tables: [{ name: 'public.users', x: 0, y: 0 }, { name: 'public.posts', x: 300, y: 50 }],
+      notes: [{ id: 'note-1', text: 'Users', x: 0, y: 100 }, { id: 'note-2', text: 'Posts', x: 300, y: 150 }],
+    }]);
+
+    const { merged, conflicts } = mergeDiagramFiles(base, disk, mine);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.diagrams).toEqual([{
+      id: 'main',
+      title: 'Core',
+      tables: [{ name: 'public.users', x: 0, y: 0, color: '#ff0000' }, { name: 'public.posts', x: 300, y: 50 }],
+      notes: [{ id: 'note-1', text: 'Users', x: 0, y: 100 }, { id: 'note-2', text: 'Posts', x: 300, y: 150 }],
+      arrows: [{ id: 'arrow-1', from: 'note-1', to: 'public.users' }],
+    }]);
+  });
+
+  it('keeps the in-app version of a field changed on both sides and reports it', () => {
+    const base = file([{ tables: [{ name: 'public.users', x: 0, y: 0 }] }]);
+    const disk = file([{ tables: [{ name: 'public.users', x: 50, y: 50 }] }]);
+    const mine = file([{ tables: [{ name: 'public.users', x: 80, y: 0 }] }]);
+
+    const { merged, conflicts } = mergeDiagramFiles(base, disk, mine);
+
+    expect(merged.diagrams[0].tables).toEqual([{ name: 'public.users', x: 80, y: 0 }]);
+    expect(conflicts).toEqual(['Diagram "Main": table public.users: position changed on disk and here']);
+  });
+
+  it('applies removals unless the other side changed the item', () => {
+    const base = file([
+      { tables: [{ name: 'public.users', x: 0, y: 0 }, { name: 'public.posts', x: 100, y: 0 }] },
+      { id: 'old', title: 'Old' },
+    ]);
+    const disk = file([{ tables: [{ name: 'public.users', x: 0, y: 0 }, { name: 'public.posts', x: 200, y: 0 }] }]);
+    const mine = file([
+      { tables: [{ name: 'public.users', x: 0, y: 0 }] },
+      { id: 'old', title: 'Old' },
+    ]);
+
+    const { merged, conflicts } = mergeDiagramFiles(base, disk, mine);
+
+    expect(merged.diagrams.map((d) => d.id)).toEqual(['main']);
+    expect(merged.diagrams[0].tables).toEqual([{ name: 'public.users', x: 0, y: 0 }]);
+    expect(conflicts).toEqual(['Diagram "Main": table public.posts removed here but changed on disk']);
+  });
+
+  it('places table entries added on disk after their neighbour on disk', () => {
+    const base = file([{ tables: [{ name: 'public.*' }, { name: 'public.users', visible: false }] }]);
+    const disk = file([{ tables: [{ name: 'public.*' }, { name: 'public.posts', x: 10, y: 10 }, { name: 'public.users', visible: false }] }]);
+    const mine = file([{ tables: [{ name: 'audit.*' }, { name: 'public.*' }, { name: 'public.users', visible: false }] }]);
+
+    const { merged } = mergeDiagramFiles(base, disk, mine);
+
+    expect(merged.diagrams[0].tables.map((t) => t.name)).toEqual(['audit.*', 'public.*', 'public.posts', 'public.users']);
+  });
+});
@@ -0,0 +1,75 @@
+/** @import { DatabaseType, ForeignKey, OrphanedAlterTable, ParseResult, Table } from './types.js' */
+/** @import { SqlSyntax, EditResult, StatementRange } from './sqlEdit.js' */
+/** @import { SchemaDiff } from './schemaDiff.js' */
+import * as sqlEdit from './sqlEdit.js';
+import { generateMigrationSql } from './migrationSql.js';
+import * as postgres from './postgres.js';
+import * as mysql from './mysql.js';
+import * as sqlite from './sqlite.js';
+import * as sqlserver from './sqlserver.js';
+
+/**
+ * Parsing and SQL edits for one database type. The app calls the active
+ * dialect so that schema edits are written in the syntax of the loaded file.
+ * @typedef {Object} Dialect
+ * @property {DatabaseType} name
+ * @property {(sql: string) => ParseResult} parse
+ * @property {string} createTableTemplate - Starting SQL for the Create Table dialog
+ * @property {(sqlContent: string, sourceTable: string, sourceColumn: string, targetTable: string, targetColumn: string) => EditResult} addForeignKey
+ * @property {(sqlContent: string, fk: ForeignKey) => EditResult} removeForeignKey
+ * @property {(sqlContent: string, tableName: string, columnName: string) => EditResult} addPrimaryKeyColumn
+ * @property {(sqlContent: string, tableName: string, columnName: string) => EditResult} removePrimaryKeyColumn
+ * @property {(sqlContent: string, tables?: Table[]) => OrphanedAlterTable[]} findOrphanedAlterTables - Pass tables when the schema spans several files
+ * @property {(sqlContent: string, orphaned: OrphanedAlterTable[]) => string} removeOrphanedAlterTables
+ * @property {(sqlContent: string, qualifiedName: string) => StatementRange | null} findCreateTable
+ * @property {(sqlContent: string, qualifiedName: string) => StatementRange[]} findRelatedAlterTables
+ * @property {(sqlContent: string, createTableSql: string) => string} insertCreateTable
+ * @property {(sqlContent: string, ranges: { start: number, end: number }[]) => string} removeStatements
+ * @property {(diff: SchemaDiff) => string} generateMigration - Forward migration script from the compared schema to the current one
+ */
+
+/**
+ * Build a dialect from its parser and syntax
+ * @param {DatabaseType} name
+ * @param {(sql: string) => ParseResult} parse
+ * @param {string} createTableTemplate
+ * @param {SqlSyntax} syntax
+ * @returns {Dialect}
+ */
+function createDialect(name, parse, createTableTemplate, syntax) {
+	return {
+		name,
+		parse,
+		createTableTemplate,
+		addForeignKey: (sqlContent, sourceTable, sourceColumn, targetTable, targetColumn) =>
+			sqlEdit.addForeignKey(sqlContent, sourceTable, sourceColumn, targetTable, targetColumn, syntax),
+		removeForeignKey: (sqlContent, fk) => sqlEdit.removeForeignKeyStatement(sqlContent, fk, syntax),
+		addPrimaryKeyColumn: (sqlContent, tableName, columnName) => sqlEdit.addPrimaryKeyColumn(sqlContent, tableName, columnName, syntax),
+		removePrimaryKeyColumn: (sqlContent, tableName, columnName) => sqlEdit.removePrimaryKeyColumn(sqlContent, tableName, columnName, syntax),
+		findOrphanedAlterTables: (sqlContent, tables) => sqlEdit.findOrphanedAlterTables(sqlContent, parse, syntax, tables),
+		removeOrphanedAlterTables: (sqlContent, orphaned) => sqlEdit.removeOrphanedAlterTables(sqlContent, orphaned, syntax),
+		findCreateTable: (sqlContent, qualifiedName) => sqlEdit.findCreateTable(sqlContent, qualifiedName, syntax),
+		findRelatedAlterTables: (sqlContent, qualifiedName) => sqlEdit.findRelatedAlterTables(sqlContent, qualifiedName, syntax),
+		insertCreateTable: (sqlContent, createTableSql) => sqlEdit.insertCreateTable(sqlContent, createTableSql, syntax),
+		removeStatements: (sqlContent, ranges) => sqlEdit.removeRanges(sqlContent, ranges, syntax),
+		generateMigration: (diff) => generateMigrationSql(diff, syntax)
+	};
+}
+
+/** @type {Record<DatabaseType, Dialect>} */
+const DIALECTS = {
+	PostgreSQL: createDialect('PostgreSQL', postgres.parsePostgresSQL, postgres.CREATE_TABLE_TEMPLATE, postgres.SQL_SYNTAX),
+	MySQL: createDialect('MySQL', mysql.parseMySQL, mysql.CREATE_TABLE_TEMPLATE, mysql.SQL_SYNTAX),
+	SQLite: createDialect('SQLite', sqlite.parseSQLite, sqlite.CREATE_TABLE_TEMPLATE, sqlite.SQL_SYNTAX),
+	'SQL Server': createDialect('SQL Server', sqlserver.parseSQLServer, sqlserver.CREATE_TABLE_TEMPLATE, sqlserver.SQL_SYNTAX)
+};
+
+/**
+ * Get the dialect for a database type. Unknown types fall back to PostgreSQL,
+ * the default of diagram files without a dbType.
+ * @param {string | undefined} dbType
+ * @returns {Dialect}
+ */
+export function getDialect(dbType) {
+	return DIALECTS[/** @type {DatabaseType} */ (dbType)] ?? DIALECTS.PostgreSQL;
+}
@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest';
+import { getDialect } from './dialects.js';
+
+describe('getDialect', () => {
+	it('returns the dialect for each database type', () => {
+		for (const name of ['PostgreSQL', 'MySQL', 'SQLite', 'SQL Server']) {
+			expect(getDialect(name).name).toBe(name);
+		}
+	});
+
+	it('falls back to PostgreSQL', () => {
+		expect(getDialect(undefined).name).toBe('PostgreSQL');
+		expect(getDialect('Oracle').name).toBe('PostgreSQL');
+	});
+
+	it('does not report ALTER TABLE on tables defined in another file', () => {
+		const postgres = getDialect('PostgreSQL');
+		const fks = 'ALTER TABLE orders ADD FOREIGN KEY (user_id) REFERENCES users (id);';
+		const tables = postgres.parse('CREATE TABLE users (id int); CREATE TABLE orders (user_id int);').tables;
+
+		expect(postgres.findOrphanedAlterTables(fks)).toHaveLength(1);
+		expect(postgres.findOrphanedAlterTables(fks, tables)).toEqual([]);
+	});
+
+	it('parses the template of each dialect into one table', () => {
+		for (const name of ['PostgreSQL', 'MySQL', 'SQLite', 'SQL Server']) {
+			const dialect = getDialect(name);
+			const result = dialect.parse(dialect.createTableTemplate);
+			expect(result.errors).toEqual([]);
+			expect(result.tables).toHaveLength(1);
+			expect(result.tables[0].columns[0].isPrimaryKey).toBe(true);
+		}
+	});
+});
+
+describe('MySQL dialect edits', () => {
+	const mysql = getDialect('MySQL');
+
+	it('adds a foreign key without the default schema and quotes with backticks', () => {
+		const sql = 'CREATE TABLE users (id INT PRIMARY KEY);\nCREATE TABLE `order items` (user_id INT);\n';
+		const result = mysql.addForeignKey(sql, 'default.order items', 'user_id', 'default.users', 'id');
+
+		expect(result).toEqual({
+			sql: sql.trimEnd() + '\n\nALTER TABLE `order items` ADD FOREIGN KEY (user_id) REFERENCES users (id);\n'
+		});
+		expect(mysql.parse(result.sql).foreignKeys).toHaveLength(1);
+	});
+
+	it('removes a backtick-quoted foreign key constraint', () => {
+		const sql = `
+      CREATE TABLE \`users\` (\`id\` INT PRIMARY KEY);
+      CREATE TABLE \`posts\` (
+        \`id\` INT PRIMARY KEY,
+        \`user_id\` INT,
+        CONSTRAINT \`fk_user\` FOREIGN KEY (\`user_id\`) REFERENCES \`users\` (\`id\`) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+		const fk = mysql.parse(sql).foreignKeys[0];
+		const result = mysql.removeForeignKey(sql, fk);
+
+		expect('sql' in result && result.sql).not.toContain('fk_user');
+		expect(mysql.parse(result.sql).foreignKeys).toEqual([]);
+	});
+
+	it('adds a column to a primary key', () => {
+		const sql = 'CREATE TABLE t (a INT, b INT, PRIMARY KEY (`a`));\n';
+		const result = mysql.addPrimaryKeyColumn(sql, 'default.t', 'b');
+
+		expect(result).toEqual({ sql: 'CREATE TABLE t (a INT, b INT, PRIMARY KEY (`a`, b));\n' });
+	});
+});
+
+describe('SQLite dialect edits', () => {
+	const sqlite = getDialect('SQLite');
+
+	it('adds a foreign key to CREATE TABLE since ALTER TABLE cannot', () => {
+		const sql = `CREATE TABLE users (id INTEGER PRIMARY KEY);
+CREATE TABLE posts (
+  id INTEGER PRIMARY KEY,
+  user_id INTEGER
+);
+`;
+		const result = sqlite.addForeignKey(sql, 'main.posts', 'user_id', 'main.users', 'id');
+
+		expect(result).toEqual({
+			sql: `CREATE TABLE users (id INTEGER PRIMARY KEY);
+CREATE TABLE posts (
+  id INTEGER PRIMARY KEY,
+  user_id INTEGER,
+  FOREIGN KEY (user_id) REFERENCES users (id)
+);
+`
+		});
+		expect(sqlite.parse(result.sql).foreignKeys[0]).toMatchObject({ sourceTable: 'main.posts', targetTable: 'main.users' });
+	});
+
+	it('adds a primary key to CREATE TABLE', () => {
+		const sql = 'CREATE TABLE tags (\n  name TEXT\n) WITHOUT ROWID;\n';
+		const result = sqlite.addPrimaryKeyColumn(sql, 'main.tags', 'name');
+
+		expect(result).toEqual({ sql: 'CREATE TABLE tags (\n  name TEXT,\n  PRIMARY KEY (name)\n) WITHOUT ROWID;\n' });
+	});
+
+	it('removes PRIMARY KEY AUTOINCREMENT from a column', () => {
+		const sql = 'CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT);\n';
+		const result = sqlite.removePrimaryKeyColumn(sql, 'main.t', 'id');
+
+		expect(result).toEqual({ sql: 'CREATE TABLE t (id INTEGER, name TEXT);\n' });
+	});
+
+	it('reports a missing table instead of writing ALTER TABLE', () => {
+		const result = sqlite.addForeignKey('', 'main.posts', 'user_id', 'main.users', 'id');
+
+		expect(result).toEqual({ error: 'Could not find CREATE TABLE for main.posts in the SQL.' });
+	});
+});
+
+describe('SQL Server dialect edits', () => {
+	const sqlserver = getDialect('SQL Server');
+
+	const script = `CREATE TABLE [dbo].[users] (
+	[id] [int] IDENTITY(1,1) NOT NULL,
+ CONSTRAINT [PK_users] PRIMARY KEY CLUSTERED ([id] ASC)
+) ON [PRIMARY]
+GO
+CREATE TABLE [dbo].[orders] (
+	[id] [int] NOT NULL,
+	[user_id] [int] NOT NULL
+) ON [PRIMARY]
+GO
+ALTER TABLE [dbo].[orders]  WITH CHECK ADD  CONSTRAINT [FK_orders_users] FOREIGN KEY([user_id])
+REFERENCES [dbo].[users] ([id])
+GO
+ALTER TABLE [dbo].[orders] CHECK CONSTRAINT [FK_orders_users]
+GO
+`;
+
+	it('removes a foreign key with its CHECK CONSTRAINT statement and GO lines', () => {
+		const fk = sqlserver.parse(script).foreignKeys[0];
+		const result = sqlserver.removeForeignKey(script, fk);
+
+		expect(result).toEqual({
+			sql: `CREATE TABLE [dbo].[users] (
+	[id] [int] IDENTITY(1,1) NOT NULL,
+ CONSTRAINT [PK_users] PRIMARY KEY CLUSTERED ([id] ASC)
+) ON [PRIMARY]
+GO
+CREATE TABLE [dbo].[orders] (
+	[id] [int] NOT NULL,
+	[user_id] [int] NOT NULL
+) ON [PRIMARY]
+GO
+`
+		});
+	});
+
+	it('adds a foreign key followed by GO in scripts that use batches', () => {
+		const sql = 'CREATE TABLE dbo.users (id INT PRIMARY KEY)\nGO\nCREATE TABLE dbo.orders (user_id INT)\nGO\n';
+		const result = sqlserver.addForeignKey(sql, 'dbo.orders', 'user_id', 'dbo.users', 'id');
+
+		expect(result).toEqual({ sql: sql.trimEnd() + '\n\nALTER TABLE dbo.orders ADD FOREIGN KEY (user_id) REFERENCES dbo.users (id);\nGO\n' });
+		expect(sqlserver.parse(result.sql).foreignKeys).toHaveLength(1);
+	});
+
+	it('extends a clustered table-level primary key', () => {
+		const result = sqlserver.addPrimaryKeyColumn(script, 'dbo.users', 'tenant id');
+
+		expect('sql' in result && result.sql).toContain('PRIMARY KEY CLUSTERED ([id] ASC, [tenant id])');
+	});
+
+	it('finds CREATE TABLE without crossing GO and drops a table with its ALTER statements', () => {
+		const createTable = sqlserver.findCreateTable(script, 'dbo.orders');
+		expect(createTable?.sql).toBe(`CREATE TABLE [dbo].[orders] (
+	[id] [int] NOT NULL,
+	[user_id] [int] NOT NULL
+) ON [PRIMARY]`);
+
+		const alterTables = sqlserver.findRelatedAlterTables(script, 'dbo.orders');
+		expect(alterTables).toHaveLength(2);
+
+		const result = sqlserver.removeStatements(script, [createTable, ...alterTables]);
+		expect(sqlserver.parse(result).tables.map((t) => t.name)).toEqual(['users']);
+		expect(result).not.toMatch(/GO\s*GO/);
+	});
+
+	it('inserts a new table after the last CREATE TABLE batch', () => {
+		const result = sqlserver.insertCreateTable(script, 'CREATE TABLE dbo.tags (id INT PRIMARY KEY);');
+		const parsed = sqlserver.parse(result);
+
+		expect(parsed.tables.map((t) => t.name)).toEqual(['users', 'orders', 'tags']);
+		expect(result.indexOf('dbo.tags')).toBeLessThan(result.indexOf('ALTER TABLE'));
+		expect(result).toContain('CREATE TABLE dbo.tags (id INT PRIMARY KEY);\nGO\n');
+	});
+
+	it('finds ALTER TABLE statements on missing tables without semicolons', () => {
+		const sql = 'CREATE TABLE dbo.users (id INT)\nGO\nALTER TABLE dbo.gone ADD CONSTRAINT fk FOREIGN KEY (x) REFERENCES dbo.users (id)\nGO\n';
+		const orphaned = sqlserver.findOrphanedAlterTables(sql);
+
+		expect(orphaned).toHaveLength(1);
+		expect(orphaned[0].tableName).toBe('dbo.gone');
+		expect(sqlserver.removeOrphanedAlterTables(sql, orphaned)).toBe('CREATE TABLE dbo.users (id INT)\nGO\n');
+	});
+});
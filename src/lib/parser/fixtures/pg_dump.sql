@@ -0,0 +1,464 @@
+--
+-- PostgreSQL database dump
+--
+
+\restrict 3f9aQbVnGx7cLmT2pWd8kR1sYhE5uZo
+
+-- Dumped from database version 16.4 (Debian 16.4-1.pgdg120+1)
+-- Dumped by pg_dump version 16.4 (Debian 16.4-1.pgdg120+1)
+
+SET statement_timeout = 0;
+SET lock_timeout = 0;
+SET idle_in_transaction_session_timeout = 0;
+SET client_encoding = 'UTF8';
+SET standard_conforming_strings = on;
+SELECT pg_catalog.set_config('search_path', '', false);
+SET check_function_bodies = false;
+SET xmloption = content;
+SET client_min_messages = warning;
+SET row_security = off;
+
+--
+-- Name: billing; Type: SCHEMA; Schema: -; Owner: app_owner
+--
+
+CREATE SCHEMA billing;
+
+
+ALTER SCHEMA billing OWNER TO app_owner;
+
+--
+-- Name: citext; Type: EXTENSION; Schema: -; Owner: -
+--
+
+CREATE EXTENSION IF NOT EXISTS citext WITH SCHEMA public;
+
+
+--
+-- Name: EXTENSION citext; Type: COMMENT; Schema: -; Owner: 
+--
+
+COMMENT ON EXTENSION citext IS 'data type for case-insensitive character strings';
+
+
+--
+-- Name: order_status; Type: TYPE; Schema: public; Owner: app_owner
+--
+
+CREATE TYPE public.order_status AS ENUM (
+    'pending',
+    'paid',
+    'shipped',
+    'cancelled'
+);
+
+
+ALTER TYPE public.order_status OWNER TO app_owner;
+
+--
+-- Name: email; Type: DOMAIN; Schema: public; Owner: app_owner
+--
+
+CREATE DOMAIN public.email AS public.citext
+	CONSTRAINT email_check CHECK ((VALUE OPERATOR(public.~) '^[^@]+@[^@]+$'::public.citext));
+
+
+ALTER DOMAIN public.email OWNER TO app_owner;
+
+--
+-- Name: set_updated_at(); Type: FUNCTION; Schema: public; Owner: app_owner
+--
+
+CREATE FUNCTION public.set_updated_at() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+  -- keep the audit columns in sync; statements here must not be parsed:
+  -- CREATE TABLE public.not_a_table (id int);
+  NEW.updated_at := now();
+  IF TG_OP = 'INSERT' THEN
+    CREATE TABLE IF NOT EXISTS public.order_audit (LIKE public.orders INCLUDING ALL);
+    ALTER TABLE ONLY public.order_audit ADD CONSTRAINT order_audit_pkey PRIMARY KEY (id);
+    RAISE NOTICE 'order %: it''s new', NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+
+ALTER FUNCTION public.set_updated_at() OWNER TO app_owner;
+
+--
+-- Name: order_total(bigint); Type: FUNCTION; Schema: billing; Owner: app_owner
+--
+
+CREATE FUNCTION billing.order_total(p_order_id bigint) RETURNS numeric
+    LANGUAGE sql STABLE
+    AS $_$
+  SELECT coalesce(sum(quantity * unit_price), 0)
+  FROM public.order_items
+  WHERE order_id = $1;
+$_$;
+
+
+ALTER FUNCTION billing.order_total(p_order_id bigint) OWNER TO app_owner;
+
+SET default_tablespace = '';
+
+SET default_table_access_method = heap;
+
+--
+-- Name: invoices; Type: TABLE; Schema: billing; Owner: app_owner
+--
+
+CREATE TABLE billing.invoices (
+    id bigint NOT NULL,
+    order_id bigint NOT NULL,
+    issued_at timestamp with time zone DEFAULT now() NOT NULL,
+    amount numeric(12,2) NOT NULL,
+    CONSTRAINT invoices_amount_check CHECK ((amount >= (0)::numeric))
+);
+
+
+ALTER TABLE billing.invoices OWNER TO app_owner;
+
+--
+-- Name: invoices_id_seq; Type: SEQUENCE; Schema: billing; Owner: app_owner
+--
+
+ALTER TABLE billing.invoices ALTER COLUMN id ADD GENERATED ALWAYS AS IDENTITY (
+    SEQUENCE NAME billing.invoices_id_seq
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1
+);
+
+
+--
+-- Name: order_items; Type: TABLE; Schema: public; Owner: app_owner
+--
+
+CREATE TABLE public.order_items (
+    order_id bigint NOT NULL,
+    product_id integer NOT NULL,
+    quantity integer DEFAULT 1 NOT NULL,
+    unit_price numeric(10,2) NOT NULL
+);
+
+
+ALTER TABLE public.order_items OWNER TO app_owner;
+
+--
+-- Name: orders; Type: TABLE; Schema: public; Owner: app_owner
+--
+
+CREATE TABLE public.orders (
+    id bigint NOT NULL,
+    user_id integer NOT NULL,
+    status public.order_status DEFAULT 'pending'::public.order_status NOT NULL,
+    note text COLLATE pg_catalog."C",
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp without time zone
+);
+
+
+ALTER TABLE public.orders OWNER TO app_owner;
+
+--
+-- Name: TABLE orders; Type: COMMENT; Schema: public; Owner: app_owner
+--
+
+COMMENT ON TABLE public.orders IS 'Customer orders; one row per checkout';
+
+
+--
+-- Name: COLUMN orders.status; Type: COMMENT; Schema: public; Owner: app_owner
+--
+
+COMMENT ON COLUMN public.orders.status IS 'Lifecycle state';
+
+
+--
+-- Name: orders_id_seq; Type: SEQUENCE; Schema: public; Owner: app_owner
+--
+
+CREATE SEQUENCE public.orders_id_seq
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.orders_id_seq OWNER TO app_owner;
+
+--
+-- Name: orders_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: app_owner
+--
+
+ALTER SEQUENCE public.orders_id_seq OWNED BY public.orders.id;
+
+
+--
+-- Name: page_views; Type: TABLE; Schema: public; Owner: app_owner
+--
+
+CREATE UNLOGGED TABLE public.page_views (
+    user_id integer,
+    path text NOT NULL,
+    viewed_at timestamp with time zone DEFAULT now() NOT NULL
+);
+
+
+ALTER TABLE public.page_views OWNER TO app_owner;
+
+--
+-- Name: products; Type: TABLE; Schema: public; Owner: app_owner
+--
+
+CREATE TABLE public.products (
+    id integer NOT NULL,
+    sku character varying(32) NOT NULL,
+    name text NOT NULL,
+    tags text[] DEFAULT '{}'::text[] NOT NULL,
+    price numeric(10,2),
+    attributes jsonb DEFAULT '{}'::jsonb NOT NULL
+);
+
+
+ALTER TABLE public.products OWNER TO app_owner;
+
+--
+-- Name: products_id_seq; Type: SEQUENCE; Schema: public; Owner: app_owner
+--
+
+CREATE SEQUENCE public.products_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.products_id_seq OWNER TO app_owner;
+
+ALTER SEQUENCE public.products_id_seq OWNED BY public.products.id;
+
+
+--
+-- Name: users; Type: TABLE; Schema: public; Owner: app_owner
+--
+
+CREATE TABLE public.users (
+    id integer NOT NULL,
+    email public.email NOT NULL,
+    display_name character varying(100),
+    created_at timestamp with time zone DEFAULT now() NOT NULL
+);
+
+
+ALTER TABLE public.users OWNER TO app_owner;
+
+CREATE SEQUENCE public.users_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.users_id_seq OWNER TO app_owner;
+
+ALTER SEQUENCE public.users_id_seq OWNED BY public.users.id;
+
+
+--
+-- Name: active_users; Type: VIEW; Schema: public; Owner: app_owner
+--
+
+CREATE VIEW public.active_users AS
+ SELECT users.id,
+    users.email,
+    users.display_name
+   FROM public.users
+  WHERE (EXISTS ( SELECT 1
+           FROM public.orders
+          WHERE (orders.user_id = users.id)));
+
+
+ALTER VIEW public.active_users OWNER TO app_owner;
+
+--
+-- Name: orders id; Type: DEFAULT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.orders ALTER COLUMN id SET DEFAULT nextval('public.orders_id_seq'::regclass);
+
+
+--
+-- Name: products id; Type: DEFAULT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.products ALTER COLUMN id SET DEFAULT nextval('public.products_id_seq'::regclass);
+
+
+--
+-- Name: users id; Type: DEFAULT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.users ALTER COLUMN id SET DEFAULT nextval('public.users_id_seq'::regclass);
+
+
+--
+-- Name: invoices invoices_pkey; Type: CONSTRAINT; Schema: billing; Owner: app_owner
+--
+
+ALTER TABLE ONLY billing.invoices
+    ADD CONSTRAINT invoices_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: order_items order_items_pkey; Type: CONSTRAINT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.order_items
+    ADD CONSTRAINT order_items_pkey PRIMARY KEY (order_id, product_id);
+
+
+--
+-- Name: orders orders_pkey; Type: CONSTRAINT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.orders
+    ADD CONSTRAINT orders_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: products products_pkey; Type: CONSTRAINT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.products
+    ADD CONSTRAINT products_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: products products_sku_key; Type: CONSTRAINT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.products
+    ADD CONSTRAINT products_sku_key UNIQUE (sku);
+
+
+--
+-- Name: users users_pkey; Type: CONSTRAINT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.users
+    ADD CONSTRAINT users_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: orders_user_id_idx; Type: INDEX; Schema: public; Owner: app_owner
+--
+
+CREATE INDEX orders_user_id_idx ON public.orders USING btree (user_id);
+
+
+--
+-- Name: users_email_key; Type: INDEX; Schema: public; Owner: app_owner
+--
+
+CREATE UNIQUE INDEX users_email_key ON public.users USING btree (lower((email)::text));
+
+
+--
+-- Name: orders orders_set_updated_at; Type: TRIGGER; Schema: public; Owner: app_owner
+--
+
+CREATE TRIGGER orders_set_updated_at BEFORE UPDATE ON public.orders FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+
+--
+-- Name: invoices invoices_order_id_fkey; Type: FK CONSTRAINT; Schema: billing; Owner: app_owner
+--
+
+ALTER TABLE ONLY billing.invoices
+    ADD CONSTRAINT invoices_order_id_fkey FOREIGN KEY (order_id) REFERENCES public.orders(id) ON DELETE RESTRICT;
+
+
+--
+-- Name: order_items order_items_order_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.order_items
+    ADD CONSTRAINT order_items_order_id_fkey FOREIGN KEY (order_id) REFERENCES public.orders(id) ON DELETE CASCADE;
+
+
+--
+-- Name: order_items order_items_product_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.order_items
+    ADD CONSTRAINT order_items_product_id_fkey FOREIGN KEY (product_id) REFERENCES public.products(id);
+
+
+--
+-- Name: orders orders_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.orders
+    ADD CONSTRAINT orders_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id) NOT VALID;
+
+
+--
+-- Name: page_views page_views_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE ONLY public.page_views
+    ADD CONSTRAINT page_views_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id) ON DELETE SET NULL;
+
+
+--
+-- Name: orders; Type: ROW SECURITY; Schema: public; Owner: app_owner
+--
+
+ALTER TABLE public.orders ENABLE ROW LEVEL SECURITY;
+
+--
+-- Name: orders orders_owner; Type: POLICY; Schema: public; Owner: app_owner
+--
+
+CREATE POLICY orders_owner ON public.orders USING ((user_id = (current_setting('app.user_id'::text))::integer));
+
+
+--
+-- Name: SCHEMA public; Type: ACL; Schema: -; Owner: pg_database_owner
+--
+
+GRANT USAGE ON SCHEMA public TO app_reader;
+
+
+--
+-- Name: TABLE orders; Type: ACL; Schema: public; Owner: app_owner
+--
+
+GRANT SELECT ON TABLE public.orders TO app_reader;
+
+
+--
+-- Name: DEFAULT PRIVILEGES FOR TABLES; Type: DEFAULT ACL; Schema: public; Owner: app_owner
+--
+
+ALTER DEFAULT PRIVILEGES FOR ROLE app_owner IN SCHEMA public GRANT SELECT ON TABLES TO app_reader;
+
+
+--
+-- PostgreSQL database dump complete
+--
+
+\unrestrict 3f9aQbVnGx7cLmT2pWd8kR1sYhE5uZo
+
@@ -0,0 +1,91 @@
+/**
+ * Display helpers for table indexes and table-level constraints.
+ *
+ * @module indexes
+ */
+
+/**
+ * @typedef {import('./types.js').Index} Index
+ * @typedef {import('./types.js').Table} Table
+ * @typedef {import('./types.js').TableConstraint} TableConstraint
+ */
+
+/**
+ * Format an index as a one-line summary, e.g. "UNIQUE posts_slug_key (slug)".
+ * @param {Index} index
+ * @returns {string}
+ */
+export function formatIndex(index) {
+  const parts = [];
+  if (index.isUnique) parts.push('UNIQUE');
+  if (index.name) parts.push(index.name);
+  if (index.method) parts.push(`USING ${index.method}`);
+  parts.push(`(${index.columns.join(', ')})`);
+  if (index.where) parts.push(`WHERE ${index.where}`);
+  return parts.join(' ');
+}
+
+/**
+ * Format a table-level constraint as it would appear in CREATE TABLE.
+ * @param {TableConstraint} constraint
+ * @returns {string}
+ */
+export function formatConstraint(constraint) {
+  const body =
+    constraint.kind === 'CHECK'
+      ? `CHECK (${constraint.expression})`
+      : `${constraint.kind} (${constraint.columns.join(', ')})`;
+  return constraint.name ? `CONSTRAINT ${constraint.name} ${body}` : body;
+}
+
+/**
+ * Map each column to the indexes it leads. Only the first index column is
+ * considered: that is the column a lookup can use the index for on its own.
+ * @param {Table} table
+ * @returns {Map<string, Index[]>}
+ */
+export function getIndexesByLeadingColumn(table) {
+  /** @type {Map<string, Index[]>} */
+  const byColumn = new Map();
+  for (const index of table.indexes ?? []) {
+    const column = index.columns[0];
+    if (column === undefined) continue;
+    byColumn.set(column, [...(byColumn.get(column) ?? []), index]);
+  }
+  return byColumn;
+}
+
+/**
+ * Primary key columns in their declared order: a table-level PRIMARY KEY
+ * (b, a) need not follow the order of the columns in the table.
+ * @param {Table} table
+ * @returns {string[]}
+ */
+export function getPrimaryKeyColumns(table) {
+  const constraint = (table.constraints ?? []).find((c) => c.kind === 'PRIMARY KEY');
+  return constraint ? constraint.columns : table.columns.filter((c) => c.isPrimaryKey).map((c) => c.name);
+}
+
+/**
+ * Check whether some index or key starts with exactly the given columns (in
+ * any order), so lookups on those columns — such as the referencing-row scan
+ * PostgreSQL does when a referenced row is deleted — can use it. Primary
+ * keys, UNIQUE constraints and unique columns count; partial indexes and
+ * expression columns do not.
+ * @param {Table} table
+ * @param {string[]} columns
+ * @returns {boolean}
+ */
+export function hasLeadingIndex(table, columns) {
+  /** @type {string[][]} */
+  const keys = [
+    getPrimaryKeyColumns(table),
+    ...table.columns.filter((c) => c.isUnique).map((c) => [c.name]),
+    ...(table.constraints ?? []).filter((c) => c.kind !== 'CHECK').map((c) => c.columns),
+    ...(table.indexes ?? []).filter((i) => !i.where).map((i) => i.columns),
+  ];
+  return keys.some((key) => {
+    const leading = key.slice(0, columns.length);
+    return leading.length === columns.length && columns.every((name) => leading.includes(name));
+  });
+}
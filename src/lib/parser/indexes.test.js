@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { formatIndex, formatConstraint, getIndexesByLeadingColumn, hasLeadingIndex } from './indexes.js';
+import { parsePostgresSQL } from './postgres.js';
+
+describe('formatIndex', () => {
+  it('formats a plain index', () => {
+    expect(formatIndex({ name: 'idx_posts_user', columns: ['user_id'], isUnique: false })).toBe('idx_posts_user (user_id)');
+  });
+
+  it('includes uniqueness, access method and predicate', () => {
+    const index = { name: 'i', columns: ['lower(email)', 'id'], isUnique: true, method: 'hash', where: 'active' };
+
+    expect(formatIndex(index)).toBe('UNIQUE i USING hash (lower(email), id) WHERE active');
+  });
+});
+
+describe('formatConstraint', () => {
+  it('formats named and unnamed constraints', () => {
+    expect(formatConstraint({ kind: 'UNIQUE', name: 'users_email_key', columns: ['email'] })).toBe(
+      'CONSTRAINT users_email_key UNIQUE (email)'
+    );
+    expect(formatConstraint({ kind: 'PRIMARY KEY', columns: ['tenant_id', 'id'] })).toBe('PRIMARY KEY (tenant_id, id)');
+    expect(formatConstraint({ kind: 'CHECK', columns: [], expression: 'age >= 18' })).toBe('CHECK (age >= 18)');
+  });
+});
+
+describe('getIndexesByLeadingColumn', () => {
+  it('groups indexes by their first column only', () => {
+    const { tables } = parsePostgresSQL(`
+      CREATE TABLE posts (id integer, user_id integer, created_at timestamp);
+      CREATE INDEX a ON posts (user_id);
+      CREATE INDEX b ON posts (user_id, created_at);
+      CREATE INDEX c ON posts (created_at, id);
+    `);
+
+    const byColumn = getIndexesByLeadingColumn(tables[0]);
+
+    expect(byColumn.get('user_id')?.map((i) => i.name)).toEqual(['a', 'b']);
+    expect(byColumn.get('created_at')?.map((i) => i.name)).toEqual(['c']);
+    expect(byColumn.has('id')).toBe(false);
+  });
+});
+
+describe('hasLeadingIndex', () => {
+  const { tables } = parsePostgresSQL(`
+    CREATE TABLE line (tenant_id integer, order_id integer, product_id integer, note_id integer, email text UNIQUE);
+    ALTER TABLE line ADD PRIMARY KEY (tenant_id, order_id, product_id);
+    CREATE INDEX ON line (note_id) WHERE note_id IS NOT NULL;
+  `);
+  const table = tables[0];
+
+  it('accepts keys whose leading columns match in any order', () => {
+    expect(hasLeadingIndex(table, ['tenant_id'])).toBe(true);
+    expect(hasLeadingIndex(table, ['order_id', 'tenant_id'])).toBe(true);
+    expect(hasLeadingIndex(table, ['email'])).toBe(true);
+  });
+
+  it('rejects columns that are not a leading prefix', () => {
+    expect(hasLeadingIndex(table, ['order_id'])).toBe(false);
+    expect(hasLeadingIndex(table, ['tenant_id', 'product_id'])).toBe(false);
+  });
+
+  it('ignores partial indexes', () => {
+    expect(hasLeadingIndex(table, ['note_id'])).toBe(false);
+  });
+
+  it('uses the declared order of a composite primary key', () => {
+    const [reordered] = parsePostgresSQL(`
+      CREATE TABLE membership (team_id integer, user_id integer, PRIMARY KEY (user_id, team_id));
+    `).tables;
+
+    expect(hasLeadingIndex(reordered, ['user_id'])).toBe(true);
+    expect(hasLeadingIndex(reordered, ['team_id'])).toBe(false);
+  });
+});
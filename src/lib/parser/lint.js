@@ -0,0 +1,141 @@
+/**
+ * Schema lint: checks that are not errors in the SQL but usually point at a
+ * missing index or a modelling slip.
+ *
+ * @module lint
+ */
+
+import { hasLeadingIndex } from './indexes.js';
+
+/**
+ * @typedef {import('./types.js').Column} Column
+ * @typedef {import('./types.js').ParseResult} ParseResult
+ * @typedef {import('./types.js').UserType} UserType
+ */
+
+/**
+ * @typedef {'unindexed-foreign-key' | 'missing-primary-key' | 'foreign-key-type-mismatch'} LintRule
+ */
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {LintRule} rule
+ * @property {string} table - Qualified name of the table the issue is reported on
+ * @property {string[]} columns - Columns involved (empty for table-wide issues)
+ * @property {string} message
+ */
+
+/**
+ * Spellings of the same built-in type, mapped to one name. Serial types
+ * compare equal to the integer type they create.
+ */
+const TYPE_ALIASES = new Map([
+  ['int', 'integer'],
+  ['int4', 'integer'],
+  ['serial', 'integer'],
+  ['serial4', 'integer'],
+  ['int8', 'bigint'],
+  ['bigserial', 'bigint'],
+  ['serial8', 'bigint'],
+  ['int2', 'smallint'],
+  ['smallserial', 'smallint'],
+  ['serial2', 'smallint'],
+  ['bool', 'boolean'],
+  ['varchar', 'character varying'],
+  ['char', 'character'],
+  ['decimal', 'numeric'],
+  ['float8', 'double precision'],
+  ['float4', 'real'],
+  ['timestamptz', 'timestamp with time zone'],
+  ['timestamp without time zone', 'timestamp'],
+  ['timetz', 'time with time zone'],
+  ['time without time zone', 'time'],
+]);
+
+/**
+ * Normalize a column type for comparison: lowercase, without length or
+ * precision modifiers, with aliases resolved. Array brackets are kept.
+ * @param {string} type
+ * @returns {string}
+ */
+function normalizeType(type) {
+  const normalized = type.toLowerCase().replace(/\s*\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+  const isArray = normalized.endsWith('[]');
+  const base = isArray ? normalized.slice(0, -2) : normalized;
+  return (TYPE_ALIASES.get(base) ?? base) + (isArray ? '[]' : '');
+}
+
+/**
+ * The type a column's values actually have: domains resolve to their base
+ * type, other user-defined types to their qualified name.
+ * @param {Column} column
+ * @param {Map<string, UserType>} typeMap
+ * @returns {string}
+ */
+function effectiveType(column, typeMap) {
+  const userType = column.userType ? typeMap.get(column.userType) : undefined;
+  if (userType?.kind === 'domain' && userType.baseType) {
+    return normalizeType(userType.baseType);
+  }
+  return userType ? userType.qualifiedName : normalizeType(column.type);
+}
+
+/**
+ * Run all lint rules over a parsed schema. Views are skipped for the
+ * primary key rule; FKs whose tables are unknown are skipped entirely.
+ * @param {ParseResult} parseResult
+ * @returns {LintIssue[]}
+ */
+export function lintSchema({ tables, foreignKeys, types }) {
+  /** @type {LintIssue[]} */
+  const issues = [];
+  const tableMap = new Map(tables.map((t) => [t.qualifiedName, t]));
+  const typeMap = new Map((types ?? []).map((t) => [t.qualifiedName, t]));
+
+  for (const table of tables) {
+    if (!table.kind && !table.columns.some((c) => c.isPrimaryKey)) {
+      issues.push({
+        rule: 'missing-primary-key',
+        table: table.qualifiedName,
+        columns: [],
+        message: `${table.qualifiedName} has no primary key`,
+      });
+    }
+  }
+
+  for (const fk of foreignKeys) {
+    const source = tableMap.get(fk.sourceTable);
+    if (!source) continue;
+
+    if (!hasLeadingIndex(source, fk.sourceColumns)) {
+      issues.push({
+        rule: 'unindexed-foreign-key',
+        table: fk.sourceTable,
+        columns: fk.sourceColumns,
+        message: `${fk.sourceTable} (${fk.sourceColumns.join(', ')}) references ${fk.targetTable} but has no index starting with these columns`,
+      });
+    }
+
+    const target = tableMap.get(fk.targetTable);
+    if (!target) continue;
+
+    fk.sourceColumns.forEach((sourceName, i) => {
+      const sourceColumn = source.columns.find((c) => c.name === sourceName);
+      const targetColumn = target.columns.find((c) => c.name === fk.targetColumns[i]);
+      if (!sourceColumn || !targetColumn) return;
+
+      const sourceType = effectiveType(sourceColumn, typeMap);
+      const targetType = effectiveType(targetColumn, typeMap);
+      if (sourceType !== targetType) {
+        issues.push({
+          rule: 'foreign-key-type-mismatch',
+          table: fk.sourceTable,
+          columns: [sourceName],
+          message: `${fk.sourceTable}.${sourceName} is ${sourceColumn.type} but references ${fk.targetTable}.${targetColumn.name} of type ${targetColumn.type}`,
+        });
+      }
+    });
+  }
+
+  return issues;
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { lintSchema } from './lint.js';
+import { parsePostgresSQL } from './postgres.js';
+
+/**
+ * Parse SQL and return the rules of the lint issues it raises.
+ * @param {string} sql
+ */
+function rulesFor(sql) {
+  return lintSchema(parsePostgresSQL(sql)).map((issue) => `${issue.rule} ${issue.table}`);
+}
+
+describe('lintSchema', () => {
+  it('reports nothing for an indexed, well-typed schema', () => {
+    const sql = `
+      CREATE TABLE users (id bigserial PRIMARY KEY);
+      CREATE TABLE posts (id integer PRIMARY KEY, user_id int8 REFERENCES users);
+      CREATE INDEX ON posts (user_id);
+    `;
+
+    expect(rulesFor(sql)).toEqual([]);
+  });
+
+  it('flags FK columns without a leading index', () => {
+    const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE posts (id integer PRIMARY KEY, user_id integer REFERENCES users, created_at timestamp);
+      CREATE INDEX ON posts (created_at, user_id);
+    `;
+
+    const issues = lintSchema(parsePostgresSQL(sql));
+
+    expect(issues).toEqual([
+      {
+        rule: 'unindexed-foreign-key',
+        table: 'public.posts',
+        columns: ['user_id'],
+        message: 'public.posts (user_id) references public.users but has no index starting with these columns',
+      },
+    ]);
+  });
+
+  it('flags tables without a primary key but not views', () => {
+    const sql = `
+      CREATE TABLE audit_log (at timestamp, message text);
+      CREATE VIEW recent AS SELECT * FROM audit_log;
+    `;
+
+    expect(rulesFor(sql)).toEqual(['missing-primary-key public.audit_log']);
+  });
+
+  it('flags FK type mismatches, resolving aliases and domains', () => {
+    const sql = `
+      CREATE DOMAIN user_id AS integer;
+      CREATE TABLE users (id int4 PRIMARY KEY, code varchar(10) UNIQUE);
+      CREATE TABLE posts (
+        id integer PRIMARY KEY,
+        author user_id UNIQUE REFERENCES users (id),
+        user_code varchar(20) UNIQUE REFERENCES users (code),
+        editor_id bigint UNIQUE REFERENCES users (id)
+      );
+    `;
+
+    const issues = lintSchema(parsePostgresSQL(sql));
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ rule: 'foreign-key-type-mismatch', table: 'public.posts', columns: ['editor_id'] });
+    expect(issues[0].message).toBe('public.posts.editor_id is bigint but references public.users.id of type int4');
+  });
+
+  it('pairs FK columns with a composite primary key in its declared order', () => {
+    const sql = `
+      CREATE TABLE accounts (region text, id bigint, PRIMARY KEY (id, region));
+      CREATE TABLE invoices (
+        id integer PRIMARY KEY,
+        account_id bigint,
+        account_region text,
+        FOREIGN KEY (account_id, account_region) REFERENCES accounts
+      );
+      CREATE INDEX ON invoices (account_id, account_region);
+    `;
+
+    expect(rulesFor(sql)).toEqual([]);
+  });
+});
@@ -0,0 +1,332 @@
+/** @import { Column, ForeignKey, Table } from './types.js' */
+/** @import { SqlSyntax } from './sqlEdit.js' */
+/** @import { SchemaDiff, TableDiff } from './schemaDiff.js' */
+import { formatIdentifier, formatTableName } from './sqlEdit.js';
+import { isSameType } from './schemaDiff.js';
+import { getPrimaryKeyColumns } from './indexes.js';
+
+/**
+ * Generate a forward migration script from a schema diff: the statements
+ * that turn the compared schema into the current one. The script is a draft
+ * for review; changes the dialect cannot express in ALTER TABLE, or that need
+ * a constraint name the SQL does not give, are written as comments.
+ * @param {SchemaDiff} diff
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+export function generateMigrationSql(diff, syntax) {
+	const removedTables = new Set(diff.tables.filter((d) => d.status === 'removed').map((d) => d.qualifiedName));
+	const addedTables = new Set(diff.tables.filter((d) => d.status === 'added').map((d) => d.qualifiedName));
+	// Without ALTER TABLE constraints, new tables declare their foreign keys themselves
+	const inlineForeignKeys = !syntax.alterTableConstraints;
+
+	/** @type {string[]} */
+	const statements = [];
+
+	// Foreign keys are dropped first and added last, so that the tables and
+	// columns they link can be dropped and created in any order
+	for (const fkDiff of diff.foreignKeys) {
+		const fk = fkDiff.previous ?? fkDiff.foreignKey;
+		if (fkDiff.status !== 'added' && !removedTables.has(fk.sourceTable)) {
+			statements.push(dropForeignKey(fk, syntax));
+		}
+	}
+
+	for (const tableDiff of diff.tables) {
+		if (tableDiff.status === 'removed') {
+			statements.push(dropTable(tableDiff.table, syntax));
+		}
+	}
+
+	for (const tableDiff of diff.tables) {
+		if (tableDiff.status === 'added') {
+			const foreignKeys = inlineForeignKeys
+				? diff.foreignKeys.filter((d) => d.status !== 'removed' && d.foreignKey.sourceTable === tableDiff.qualifiedName).map((d) => d.foreignKey)
+				: [];
+			statements.push(createTable(tableDiff.table, foreignKeys, syntax));
+		} else if (tableDiff.status === 'changed') {
+			statements.push(...alterTable(tableDiff, syntax));
+		}
+	}
+
+	for (const fkDiff of diff.foreignKeys) {
+		const fk = fkDiff.foreignKey;
+		if (fkDiff.status !== 'removed' && !(inlineForeignKeys && addedTables.has(fk.sourceTable))) {
+			statements.push(addForeignKey(fk, syntax));
+		}
+	}
+
+	return statements.length > 0 ? statements.join('\n') + '\n' : '-- No schema changes\n';
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function comment(text) {
+	return `-- ${text}`;
+}
+
+/**
+ * Format a column list: (a, b)
+ * @param {string[]} columns
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function columnList(columns, syntax) {
+	return `(${columns.map((c) => formatIdentifier(c, syntax)).join(', ')})`;
+}
+
+/**
+ * Column definition: name, type, NOT NULL, DEFAULT and UNIQUE
+ * @param {Column} column
+ * @param {SqlSyntax} syntax
+ * @param {boolean} [withUnique]
+ * @returns {string}
+ */
+function columnDefinition(column, syntax, withUnique = true) {
+	let definition = `${formatIdentifier(column.name, syntax)} ${column.type}`;
+	if (!column.isNullable) definition += ' NOT NULL';
+	if (column.defaultValue !== undefined) definition += ` DEFAULT ${column.defaultValue}`;
+	if (withUnique && column.isUnique && !column.isPrimaryKey) definition += ' UNIQUE';
+	return definition;
+}
+
+/**
+ * Name of a table's constraint of some kind on exactly these columns, as
+ * declared or as the database names it when it is unnamed.
+ * @param {Table} table
+ * @param {'PRIMARY KEY' | 'UNIQUE'} kind
+ * @param {string[]} columns
+ * @param {SqlSyntax} syntax
+ * @returns {string | undefined}
+ */
+function constraintName(table, kind, columns, syntax) {
+	const declared = table.constraints.find((c) => c.kind === kind && c.columns.join(',') === columns.join(','));
+	if (declared?.name) return declared.name;
+	if (syntax.alterStyle === 'postgres') {
+		return kind === 'PRIMARY KEY' ? `${table.name}_pkey` : `${table.name}_${columns.join('_')}_key`;
+	}
+	if (syntax.alterStyle === 'mysql') {
+		// MySQL names a unique index after its first column
+		return kind === 'PRIMARY KEY' ? 'PRIMARY' : columns[0];
+	}
+	return undefined;
+}
+
+/**
+ * @param {Table} table
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function dropTable(table, syntax) {
+	const kind = table.kind === 'materialized view' ? 'MATERIALIZED VIEW' : table.kind === 'view' ? 'VIEW' : 'TABLE';
+	return `DROP ${kind} ${formatTableName(table.qualifiedName, syntax)};`;
+}
+
+/**
+ * @param {Table} table
+ * @param {ForeignKey[]} foreignKeys - Foreign keys to declare in the table
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function createTable(table, foreignKeys, syntax) {
+	if (table.kind) {
+		return comment(`Create ${table.kind} ${table.qualifiedName}: its query is not part of the diff`);
+	}
+	const primaryKey = getPrimaryKeyColumns(table);
+	const elements = [
+		...table.columns.map((c) => columnDefinition(c, syntax)),
+		...(primaryKey.length > 0 ? [`PRIMARY KEY ${columnList(primaryKey, syntax)}`] : []),
+		...foreignKeys.map((fk) => foreignKeyClause(fk, syntax)),
+	];
+	return `CREATE TABLE ${formatTableName(table.qualifiedName, syntax)} (\n${elements.map((e) => `  ${e}`).join(',\n')}\n);`;
+}
+
+/**
+ * Statements for a table that exists in both schemas
+ * @param {TableDiff} tableDiff
+ * @param {SqlSyntax} syntax
+ * @returns {string[]}
+ */
+function alterTable(tableDiff, syntax) {
+	const { table, previous } = tableDiff;
+	if (!previous) return [];
+	if (table.kind) {
+		return tableDiff.columns.length > 0 ? [comment(`Recreate ${table.kind} ${table.qualifiedName}: its columns changed`)] : [];
+	}
+	const alter = `ALTER TABLE ${formatTableName(table.qualifiedName, syntax)}`;
+	const removedColumns = new Set(tableDiff.columns.filter((d) => d.status === 'removed').map((d) => d.name));
+	const addedColumns = new Set(tableDiff.columns.filter((d) => d.status === 'added').map((d) => d.name));
+
+	const oldPrimaryKey = getPrimaryKeyColumns(previous);
+	const newPrimaryKey = getPrimaryKeyColumns(table);
+	const primaryKeyChanged = oldPrimaryKey.join(',') !== newPrimaryKey.join(',');
+
+	/** @type {string[]} */
+	const statements = [];
+
+	if (primaryKeyChanged && oldPrimaryKey.length > 0) {
+		statements.push(dropConstraint(alter, previous, 'PRIMARY KEY', oldPrimaryKey, syntax));
+	}
+	for (const columnDiff of tableDiff.columns) {
+		const old = columnDiff.previous;
+		if (old?.isUnique && !old.isPrimaryKey && !columnDiff.column.isUnique) {
+			statements.push(dropConstraint(alter, previous, 'UNIQUE', [old.name], syntax));
+		}
+	}
+
+	for (const columnDiff of tableDiff.columns) {
+		if (columnDiff.status === 'added') {
+			const keyword = syntax.alterStyle === 'sqlserver' ? 'ADD' : 'ADD COLUMN';
+			statements.push(`${alter} ${keyword} ${columnDefinition(columnDiff.column, syntax)};`);
+		} else if (columnDiff.status === 'changed' && columnDiff.previous) {
+			statements.push(...alterColumn(alter, table, columnDiff.previous, columnDiff.column, syntax));
+		}
+	}
+
+	for (const name of removedColumns) {
+		statements.push(`${alter} DROP COLUMN ${formatIdentifier(name, syntax)};`);
+	}
+
+	if (primaryKeyChanged && newPrimaryKey.length > 0) {
+		statements.push(
+			syntax.alterTableConstraints
+				? `${alter} ADD PRIMARY KEY ${columnList(newPrimaryKey, syntax)};`
+				: comment(`Rebuild ${table.qualifiedName} to set its primary key to ${columnList(newPrimaryKey, syntax)}`)
+		);
+	}
+	for (const columnDiff of tableDiff.columns) {
+		const { column, previous: old } = columnDiff;
+		if (old && !old.isUnique && column.isUnique && !column.isPrimaryKey && !addedColumns.has(column.name)) {
+			statements.push(
+				syntax.alterTableConstraints
+					? `${alter} ADD UNIQUE ${columnList([column.name], syntax)};`
+					: comment(`Rebuild ${table.qualifiedName} to make ${column.name} UNIQUE`)
+			);
+		}
+	}
+
+	return statements;
+}
+
+/**
+ * Statements that change a column's type, nullability and default
+ * @param {string} alter - "ALTER TABLE name"
+ * @param {Table} table
+ * @param {Column} before
+ * @param {Column} after
+ * @param {SqlSyntax} syntax
+ * @returns {string[]}
+ */
+function alterColumn(alter, table, before, after, syntax) {
+	const typeChanged = !isSameType(before.type, after.type);
+	const nullabilityChanged = before.isNullable !== after.isNullable;
+	const defaultChanged = before.defaultValue !== after.defaultValue;
+	if (!typeChanged && !nullabilityChanged && !defaultChanged) {
+		return [];
+	}
+	const name = formatIdentifier(after.name, syntax);
+
+	switch (syntax.alterStyle) {
+		case 'postgres': {
+			/** @type {string[]} */
+			const statements = [];
+			if (typeChanged) statements.push(`${alter} ALTER COLUMN ${name} TYPE ${after.type};`);
+			if (nullabilityChanged) statements.push(`${alter} ALTER COLUMN ${name} ${after.isNullable ? 'DROP' : 'SET'} NOT NULL;`);
+			if (defaultChanged) {
+				statements.push(
+					after.defaultValue === undefined
+						? `${alter} ALTER COLUMN ${name} DROP DEFAULT;`
+						: `${alter} ALTER COLUMN ${name} SET DEFAULT ${after.defaultValue};`
+				);
+			}
+			return statements;
+		}
+		case 'mysql':
+			return [`${alter} MODIFY COLUMN ${columnDefinition(after, syntax, false)};`];
+		case 'sqlserver': {
+			/** @type {string[]} */
+			const statements = [];
+			if (typeChanged || nullabilityChanged) {
+				statements.push(`${alter} ALTER COLUMN ${name} ${after.type} ${after.isNullable ? 'NULL' : 'NOT NULL'};`);
+			}
+			if (defaultChanged) {
+				statements.push(comment(`Replace the default constraint of ${table.qualifiedName}.${after.name} (DEFAULT ${after.defaultValue ?? 'none'})`));
+			}
+			return statements;
+		}
+		default:
+			return [comment(`Rebuild ${table.qualifiedName} to change column ${after.name} to ${columnDefinition(after, syntax, false)}`)];
+	}
+}
+
+/**
+ * Drop a primary key or unique constraint
+ * @param {string} alter - "ALTER TABLE name"
+ * @param {Table} table - The table as it was
+ * @param {'PRIMARY KEY' | 'UNIQUE'} kind
+ * @param {string[]} columns
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function dropConstraint(alter, table, kind, columns, syntax) {
+	if (syntax.alterStyle === 'mysql') {
+		return kind === 'PRIMARY KEY'
+			? `${alter} DROP PRIMARY KEY;`
+			: `${alter} DROP INDEX ${formatIdentifier(/** @type {string} */ (constraintName(table, kind, columns, syntax)), syntax)};`;
+	}
+	const name = syntax.alterTableConstraints ? constraintName(table, kind, columns, syntax) : undefined;
+	if (!name) {
+		return comment(`Drop the ${kind} constraint of ${table.qualifiedName} ${columnList(columns, syntax)}: its name is not in the SQL`);
+	}
+	return `${alter} DROP CONSTRAINT ${formatIdentifier(name, syntax)};`;
+}
+
+/**
+ * FOREIGN KEY (...) REFERENCES target (...) with its actions
+ * @param {ForeignKey} fk
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function foreignKeyClause(fk, syntax) {
+	let clause = fk.constraintName ? `CONSTRAINT ${formatIdentifier(fk.constraintName, syntax)} ` : '';
+	clause += `FOREIGN KEY ${columnList(fk.sourceColumns, syntax)} REFERENCES ${formatTableName(fk.targetTable, syntax)} ${columnList(fk.targetColumns, syntax)}`;
+	if (fk.onDelete) clause += ` ON DELETE ${fk.onDelete}`;
+	if (fk.onUpdate) clause += ` ON UPDATE ${fk.onUpdate}`;
+	if (fk.deferrable && syntax.alterStyle === 'postgres') {
+		clause += fk.initiallyDeferred ? ' DEFERRABLE INITIALLY DEFERRED' : ' DEFERRABLE';
+	}
+	return clause;
+}
+
+/**
+ * @param {ForeignKey} fk
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function addForeignKey(fk, syntax) {
+	if (!syntax.alterTableConstraints) {
+		return comment(`Rebuild ${fk.sourceTable} to add ${foreignKeyClause(fk, syntax)}`);
+	}
+	return `ALTER TABLE ${formatTableName(fk.sourceTable, syntax)} ADD ${foreignKeyClause(fk, syntax)};`;
+}
+
+/**
+ * @param {ForeignKey} fk
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function dropForeignKey(fk, syntax) {
+	const tableName = fk.sourceTable.split('.')[1];
+	const name = fk.constraintName ?? (syntax.alterStyle === 'postgres' ? `${tableName}_${fk.sourceColumns.join('_')}_fkey` : undefined);
+	const description = `${fk.sourceTable} ${columnList(fk.sourceColumns, syntax)} -> ${fk.targetTable}`;
+	if (!syntax.alterTableConstraints) {
+		return comment(`Rebuild ${fk.sourceTable} to drop the foreign key ${description}`);
+	}
+	if (!name) {
+		return comment(`Drop the foreign key ${description}: its name is not in the SQL`);
+	}
+	const keyword = syntax.alterStyle === 'mysql' ? 'FOREIGN KEY' : 'CONSTRAINT';
+	return `ALTER TABLE ${formatTableName(fk.sourceTable, syntax)} DROP ${keyword} ${formatIdentifier(name, syntax)};`;
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { getDialect } from './dialects.js';
+import { diffSchemas } from './schemaDiff.js';
+
+/**
+ * Generate the migration between two versions of a schema
+ * @param {string} dbType
+ * @param {string} before
+ * @param {string} after
+ */
+function migrate(dbType, before, after) {
+	const dialect = getDialect(dbType);
+	return dialect.generateMigration(diffSchemas(dialect.parse(before), dialect.parse(after)));
+}
+
+describe('generateMigrationSql for PostgreSQL', () => {
+	it('reports an unchanged schema', () => {
+		const sql = 'CREATE TABLE users (id integer PRIMARY KEY);';
+
+		expect(migrate('PostgreSQL', sql, sql)).toBe('-- No schema changes\n');
+	});
+
+	it('creates and drops tables, with foreign keys added after the tables', () => {
+		const before = `
+			CREATE TABLE users (id integer PRIMARY KEY);
+			CREATE TABLE legacy (id integer);
+		`;
+		const after = `
+			CREATE TABLE users (id integer PRIMARY KEY);
+			CREATE TABLE app.posts (
+				id bigint,
+				user_id integer NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+				title text DEFAULT 'untitled' UNIQUE,
+				PRIMARY KEY (id)
+			);
+		`;
+
+		expect(migrate('PostgreSQL', before, after)).toBe(
+			[
+				'DROP TABLE public.legacy;',
+				'CREATE TABLE app.posts (',
+				'  id bigint NOT NULL,',
+				'  user_id integer NOT NULL,',
+				"  title text DEFAULT 'untitled' UNIQUE,",
+				'  PRIMARY KEY (id)',
+				');',
+				'ALTER TABLE app.posts ADD FOREIGN KEY (user_id) REFERENCES public.users (id) ON DELETE CASCADE;',
+				''
+			].join('\n')
+		);
+	});
+
+	it('adds, alters and drops columns', () => {
+		const before = 'CREATE TABLE users (id integer PRIMARY KEY, email text, nickname text, age integer DEFAULT 0);';
+		const after = 'CREATE TABLE users (id bigint PRIMARY KEY, email text NOT NULL UNIQUE, age integer, "Created At" timestamp);';
+
+		expect(migrate('PostgreSQL', before, after).split('\n')).toEqual([
+			'ALTER TABLE public.users ALTER COLUMN id TYPE bigint;',
+			'ALTER TABLE public.users ALTER COLUMN email SET NOT NULL;',
+			'ALTER TABLE public.users ALTER COLUMN age DROP DEFAULT;',
+			'ALTER TABLE public.users ADD COLUMN "Created At" timestamp;',
+			'ALTER TABLE public.users DROP COLUMN nickname;',
+			'ALTER TABLE public.users ADD UNIQUE (email);',
+			''
+		]);
+	});
+
+	it('drops constraints by their declared or generated names', () => {
+		const before = `
+			CREATE TABLE users (id integer PRIMARY KEY, email text UNIQUE);
+			CREATE TABLE posts (id integer, user_id integer REFERENCES users, editor_id integer,
+				CONSTRAINT posts_editor_fk FOREIGN KEY (editor_id) REFERENCES users (id));
+		`;
+		const after = `
+			CREATE TABLE users (id integer, email text, PRIMARY KEY (id, email));
+			CREATE TABLE posts (id integer, user_id integer REFERENCES users ON DELETE SET NULL, editor_id integer);
+		`;
+
+		expect(migrate('PostgreSQL', before, after).split('\n')).toEqual([
+			'ALTER TABLE public.posts DROP CONSTRAINT posts_user_id_fkey;',
+			'ALTER TABLE public.posts DROP CONSTRAINT posts_editor_fk;',
+			'ALTER TABLE public.users DROP CONSTRAINT users_pkey;',
+			'ALTER TABLE public.users DROP CONSTRAINT users_email_key;',
+			'ALTER TABLE public.users ALTER COLUMN email SET NOT NULL;',
+			'ALTER TABLE public.users ADD PRIMARY KEY (id, email);',
+			'ALTER TABLE public.posts ADD FOREIGN KEY (user_id) REFERENCES public.users (id) ON DELETE SET NULL;',
+			''
+		]);
+	});
+});
+
+describe('generateMigrationSql for other dialects', () => {
+	it('uses MODIFY COLUMN and DROP FOREIGN KEY in MySQL', () => {
+		const before = `
+			CREATE TABLE users (id INT PRIMARY KEY, name VARCHAR(50));
+			CREATE TABLE posts (user_id INT, CONSTRAINT fk_user FOREIGN KEY (user_id) REFERENCES users (id));
+		`;
+		const after = `
+			CREATE TABLE users (id INT PRIMARY KEY, name VARCHAR(100) NOT NULL);
+			CREATE TABLE posts (user_id INT);
+		`;
+
+		expect(migrate('MySQL', before, after).split('\n')).toEqual([
+			'ALTER TABLE posts DROP FOREIGN KEY fk_user;',
+			'ALTER TABLE users MODIFY COLUMN name varchar(100) NOT NULL;',
+			''
+		]);
+	});
+
+	it('uses ADD without COLUMN and leaves unnamed constraints as comments in SQL Server', () => {
+		const before = 'CREATE TABLE dbo.users (id INT, email NVARCHAR(100) UNIQUE);';
+		const after = 'CREATE TABLE dbo.users (id INT NOT NULL, email NVARCHAR(100), created DATETIME2);';
+
+		expect(migrate('SQL Server', before, after).split('\n')).toEqual([
+			'-- Drop the UNIQUE constraint of dbo.users (email): its name is not in the SQL',
+			'ALTER TABLE dbo.users ALTER COLUMN id int NOT NULL;',
+			'ALTER TABLE dbo.users ADD created datetime2;',
+			''
+		]);
+	});
+
+	it('declares foreign keys in new SQLite tables and comments changes that need a rebuild', () => {
+		const before = 'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);';
+		const after = `
+			CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT NOT NULL);
+			CREATE TABLE posts (id INTEGER PRIMARY KEY, user_id INTEGER REFERENCES users (id));
+		`;
+
+		expect(migrate('SQLite', before, after).split('\n')).toEqual([
+			'-- Rebuild main.users to change column name to name text NOT NULL',
+			'CREATE TABLE posts (',
+			'  id integer NOT NULL,',
+			'  user_id integer,',
+			'  PRIMARY KEY (id),',
+			'  FOREIGN KEY (user_id) REFERENCES users (id)',
+			');',
+			''
+		]);
+	});
+});
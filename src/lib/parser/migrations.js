@@ -0,0 +1,79 @@
+/**
+ * Migration file ordering
+ *
+ * Orders the files of a migrations directory the way migration tools apply
+ * them, so that replaying them builds the current schema.
+ *
+ * @module migrations
+ */
+
+/** Flyway versioned migration: V1__init.sql, V1.2__add_email.sql, V2_1__x.sql */
+const FLYWAY_VERSIONED = /^V(\d+(?:[._]\d+)*)__.*\.sql$/i;
+
+/** Flyway repeatable migration, applied after all versioned ones: R__views.sql */
+const FLYWAY_REPEATABLE = /^R__(.*)\.sql$/i;
+
+/** Numbered or timestamped migration: 0001_init.sql, 20240105103000-add-users.sql, 000002_x.up.sql */
+const NUMBERED = /^(\d+)(?:[_.-].*)?\.sql$/i;
+
+/** Files that revert a migration: golang-migrate/dbmate style .down.sql and Flyway undo (U2__x.sql) */
+const UNDO = /\.down\.sql$|^U\d+(?:[._]\d+)*__/i;
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} name - File name, possibly with a directory path
+ * @property {bigint[]} version - Version parts; empty for repeatable migrations
+ * @property {string} [description] - Sort key of a repeatable migration
+ */
+
+/**
+ * Order migration files for replay: versioned and timestamped files by
+ * version, then Flyway repeatable files by description. Undo/down files and
+ * files that don't look like migrations are skipped.
+ * @param {string[]} fileNames - Names of the .sql files, optionally with a directory path ("2024/V3__x.sql")
+ * @returns {{ files: string[], skipped: string[] }} Files in replay order, and the skipped files
+ */
+export function orderMigrations(fileNames) {
+  /** @type {Migration[]} */
+  const versioned = [];
+  /** @type {Migration[]} */
+  const repeatable = [];
+  /** @type {string[]} */
+  const skipped = [];
+
+  for (const name of fileNames) {
+    const baseName = name.split('/').pop() ?? name;
+    const versionMatch = UNDO.test(baseName) ? null : (FLYWAY_VERSIONED.exec(baseName) ?? NUMBERED.exec(baseName));
+    const repeatableMatch = FLYWAY_REPEATABLE.exec(baseName);
+
+    if (versionMatch) {
+      versioned.push({ name, version: versionMatch[1].split(/[._]/).map((part) => BigInt(part)) });
+    } else if (repeatableMatch) {
+      repeatable.push({ name, version: [], description: repeatableMatch[1] });
+    } else {
+      skipped.push(name);
+    }
+  }
+
+  versioned.sort((a, b) => compareVersions(a.version, b.version) || a.name.localeCompare(b.name));
+  repeatable.sort((a, b) => (a.description ?? '').localeCompare(b.description ?? ''));
+
+  return { files: [...versioned, ...repeatable].map((m) => m.name), skipped };
+}
+
+/**
+ * Compare version parts numerically; a missing part counts as 0 (1.0 = 1).
+ * @param {bigint[]} a
+ * @param {bigint[]} b
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const x = a[i] ?? 0n;
+    const y = b[i] ?? 0n;
+    if (x !== y) {
+      return x < y ? -1 : 1;
+    }
+  }
+  return 0;
+}
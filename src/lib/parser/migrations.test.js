@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { orderMigrations } from './migrations.js';
+import { parseSqlFiles } from './sqlFiles.js';
+import { parsePostgresSQL } from './postgres.js';
+
+describe('orderMigrations', () => {
+  it('orders Flyway versions numerically, then repeatable migrations by description', () => {
+    const { files, skipped } = orderMigrations([
+      'R__views.sql',
+      'V10__add_index.sql',
+      'V2__add_email.sql',
+      'V1.1__seed.sql',
+      'R__functions.sql',
+      'V1__init.sql',
+      'U2__add_email.sql',
+    ]);
+
+    expect(files).toEqual([
+      'V1__init.sql',
+      'V1.1__seed.sql',
+      'V2__add_email.sql',
+      'V10__add_index.sql',
+      'R__functions.sql',
+      'R__views.sql',
+    ]);
+    expect(skipped).toEqual(['U2__add_email.sql']);
+  });
+
+  it('orders numbered and timestamped files and skips down migrations', () => {
+    const { files, skipped } = orderMigrations([
+      '20240201093000_add_orders.sql',
+      '000002_users.down.sql',
+      '20231105120000_create_users.sql',
+      'README.sql',
+      '9-late.sql',
+    ]);
+
+    expect(files).toEqual(['9-late.sql', '20231105120000_create_users.sql', '20240201093000_add_orders.sql']);
+    expect(skipped).toEqual(['000002_users.down.sql', 'README.sql']);
+  });
+
+  it('orders files in subdirectories by file name', () => {
+    expect(orderMigrations(['2024/V3__c.sql', '2023/V12__b.sql', 'V1__a.sql']).files).toEqual([
+      'V1__a.sql',
+      '2024/V3__c.sql',
+      '2023/V12__b.sql',
+    ]);
+  });
+});
+
+describe('replaying migrations', () => {
+  it('builds the end state of the schema', () => {
+    const migrations = {
+      'V2__orders.sql': 'CREATE TABLE orders (id serial PRIMARY KEY, account_id int REFERENCES accounts);',
+      'V1__init.sql': 'CREATE TABLE accounts (id serial PRIMARY KEY, nickname text);\nCREATE TABLE scratch (x int);',
+      'V3__rename.sql': 'ALTER TABLE accounts RENAME TO users;\nALTER TABLE users RENAME nickname TO name;\nDROP TABLE scratch;',
+      'V4__email.sql': 'ALTER TABLE users ADD COLUMN email text NOT NULL;',
+    };
+    const files = orderMigrations(Object.keys(migrations)).files.map((name) => ({
+      name,
+      content: migrations[/** @type {keyof typeof migrations} */ (name)],
+    }));
+
+    const result = parseSqlFiles(files, parsePostgresSQL);
+
+    expect(result.tables.map((t) => [t.qualifiedName, t.columns.map((c) => c.name)])).toEqual([
+      ['public.users', ['id', 'name', 'email']],
+      ['public.orders', ['id', 'account_id']],
+    ]);
+    expect(result.tables[1].sourceFile).toBe('V2__orders.sql');
+    expect(result.foreignKeys).toMatchObject([{ sourceTable: 'public.orders', targetTable: 'public.users' }]);
+  });
+});
@@ -0,0 +1,826 @@
+/** @import { Table, Column, ForeignKey, ReferentialAction, UserType, Index, TableConstraint, ParseError, ParseResult } from './types.js' */
+/** @import { SqlSyntax } from './sqlEdit.js' */
+import { tokenize, TokenStream } from './tokenizer.js';
+import { getPrimaryKeyColumns } from './indexes.js';
+
+/**
+ * MySQL quotes identifiers with backticks, allows # comments, treats
+ * backslash as an escape character in strings and doesn't nest block comments.
+ * @type {import('./tokenizer.js').TokenizeOptions}
+ */
+const TOKENIZE_OPTIONS = { backtickIdentifiers: true, hashComments: true, backslashEscapes: true, flatBlockComments: true };
+
+/**
+ * Schema for unqualified tables when no USE statement names a database
+ */
+const DEFAULT_SCHEMA = 'default';
+
+/**
+ * Words that may follow a column type and are part of it
+ */
+const TYPE_ATTRIBUTES = new Set(['unsigned', 'signed', 'zerofill']);
+
+/**
+ * Words (lowercase) that start a column attribute, and so end a DEFAULT expression
+ */
+const COLUMN_ATTRIBUTE_WORDS = new Set([
+	'not',
+	'null',
+	'default',
+	'auto_increment',
+	'unique',
+	'primary',
+	'key',
+	'comment',
+	'collate',
+	'references',
+	'check',
+	'constraint',
+	'generated',
+	'on',
+	'visible',
+	'invisible',
+	'column_format',
+	'storage'
+]);
+
+/**
+ * Words that open a table-level element inside CREATE TABLE (...)
+ */
+const TABLE_ELEMENT_WORDS = new Set(['constraint', 'primary', 'unique', 'foreign', 'check', 'key', 'index', 'fulltext', 'spatial']);
+
+/**
+ * A key, index, constraint or foreign key declared in CREATE TABLE or
+ * added with ALTER TABLE.
+ * @typedef {{ constraint: TableConstraint } | { index: Index } | { foreignKey: ForeignKey }} TableElement
+ */
+
+/**
+ * Parse MySQL / MariaDB SQL and extract table definitions
+ * @param {string} sql
+ * @returns {ParseResult}
+ */
+export function parseMySQL(sql) {
+	const tokens = tokenize(sql, TOKENIZE_OPTIONS);
+	const stream = new TokenStream(tokens, sql);
+
+	/** @type {Table[]} */
+	const tables = [];
+	/** @type {ForeignKey[]} */
+	const foreignKeys = [];
+	/** @type {ParseError[]} */
+	const errors = [];
+	/** @type {Map<string, Table>} */
+	const tableMap = new Map();
+	/** @type {UserType[]} */
+	const types = [];
+	/** @type {{ tableName: string, index: Index }[]} */
+	const indexes = [];
+	let currentSchema = DEFAULT_SCHEMA;
+
+	while (!stream.isEOF()) {
+		try {
+			if (stream.is('IDENTIFIER', 'use')) {
+				stream.next(); // consume USE
+				currentSchema = parseIdentifier(stream) ?? currentSchema;
+				skipToNextStatement(stream);
+			} else if (stream.is('KEYWORD', 'CREATE')) {
+				const saved = stream.save();
+				stream.next(); // consume CREATE
+				stream.match('IDENTIFIER', 'temporary');
+
+				if (stream.is('KEYWORD', 'TABLE')) {
+					stream.next(); // consume TABLE
+					skipIfNotExists(stream);
+
+					const table = parseCreateTable(stream, currentSchema, foreignKeys, tableMap, types);
+					if (table) {
+						tables.push(table);
+						tableMap.set(table.qualifiedName, table);
+					}
+				} else if (isCreateIndex(stream)) {
+					indexes.push(parseCreateIndex(stream, currentSchema));
+				} else {
+					stream.restore(saved);
+					stream.next();
+				}
+			} else if (stream.is('KEYWORD', 'ALTER')) {
+				const saved = stream.save();
+				stream.next(); // consume ALTER
+
+				if (stream.is('KEYWORD', 'TABLE')) {
+					stream.next(); // consume TABLE
+					parseAlterTable(stream, currentSchema, tableMap, foreignKeys);
+				} else {
+					stream.restore(saved);
+					stream.next();
+				}
+			} else {
+				stream.next();
+			}
+		} catch (e) {
+			errors.push({
+				message: e instanceof Error ? e.message : String(e),
+				line: stream.line()
+			});
+			skipToNextStatement(stream);
+		}
+	}
+
+	// Post-process: resolve any FKs without target columns (forward references)
+	for (const fk of foreignKeys) {
+		if (fk.targetColumns.length === 0) {
+			const targetTable = tableMap.get(fk.targetTable);
+			const pkColumns = targetTable ? getPrimaryKeyColumns(targetTable) : [];
+			if (pkColumns.length > 0) {
+				fk.targetColumns = pkColumns;
+			}
+		}
+	}
+
+	// Post-process: attach indexes from CREATE INDEX
+	for (const { tableName, index } of indexes) {
+		const table = tableMap.get(tableName);
+		if (table) {
+			applyTableElement(table, { index }, foreignKeys);
+		}
+	}
+
+	return { tables, foreignKeys, types, errors };
+}
+
+/**
+ * Skip an optional IF NOT EXISTS
+ * @param {TokenStream} stream
+ */
+function skipIfNotExists(stream) {
+	if (stream.is('KEYWORD', 'IF')) {
+		stream.next();
+		stream.match('KEYWORD', 'NOT');
+		stream.match('KEYWORD', 'EXISTS');
+	}
+}
+
+/**
+ * Parse CREATE TABLE (after CREATE TABLE [IF NOT EXISTS]), including the
+ * CREATE TABLE new LIKE existing form.
+ * @param {TokenStream} stream
+ * @param {string} defaultSchema - Database for unqualified names
+ * @param {ForeignKey[]} foreignKeys - Array to add foreign keys to
+ * @param {Map<string, Table>} tableMap - Tables parsed so far
+ * @param {UserType[]} types - Array to add ENUM column types to
+ * @returns {Table | null}
+ */
+function parseCreateTable(stream, defaultSchema, foreignKeys, tableMap, types) {
+	const { schema, name } = parseQualifiedName(stream, defaultSchema);
+	if (!name) {
+		throw new Error(`Expected table name at line ${stream.line()}`);
+	}
+	const qualifiedName = `${schema}.${name}`;
+
+	/** @type {Table} */
+	const table = { schema, name, qualifiedName, columns: [], indexes: [], constraints: [] };
+
+	if (stream.match('IDENTIFIER', 'like')) {
+		const source = parseQualifiedName(stream, defaultSchema);
+		const sourceTable = tableMap.get(`${source.schema}.${source.name}`);
+		if (sourceTable) {
+			table.columns = structuredClone(sourceTable.columns);
+			table.indexes = structuredClone(sourceTable.indexes);
+			table.constraints = structuredClone(sourceTable.constraints);
+		}
+		skipToNextStatement(stream);
+		return table;
+	}
+
+	stream.expect('PUNCTUATION', '(');
+
+	/** @type {TableElement[]} */
+	const elements = [];
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		if (isTableElementStart(stream)) {
+			const element = parseTableElement(stream, qualifiedName, defaultSchema);
+			if (element) {
+				elements.push(element);
+			}
+		} else {
+			const column = parseColumn(stream, table, defaultSchema, foreignKeys, types);
+			if (column) {
+				table.columns.push(column);
+			}
+		}
+		skipToElementEnd(stream);
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+
+	for (const element of elements) {
+		applyTableElement(table, element, foreignKeys);
+	}
+
+	// Table options: ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='...' etc.
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ';')) {
+		if (stream.match('IDENTIFIER', 'comment')) {
+			stream.match('OPERATOR', '=');
+			table.comment = parseStringValue(stream);
+		} else {
+			stream.next();
+		}
+	}
+	stream.match('PUNCTUATION', ';');
+
+	return table;
+}
+
+/**
+ * Check whether the stream is on a table-level element rather than a column.
+ * A column may itself be called "key" or "index" only when quoted.
+ * @param {TokenStream} stream
+ * @returns {boolean}
+ */
+function isTableElementStart(stream) {
+	const token = stream.peek();
+	return (token.type === 'KEYWORD' || token.type === 'IDENTIFIER') && TABLE_ELEMENT_WORDS.has(token.value.toLowerCase());
+}
+
+/**
+ * Parse a table-level element: [CONSTRAINT [symbol]] PRIMARY KEY | UNIQUE |
+ * FOREIGN KEY | CHECK, or a KEY / INDEX / FULLTEXT / SPATIAL index.
+ * @param {TokenStream} stream
+ * @param {string} qualifiedTableName - Table that owns the element
+ * @param {string} defaultSchema - Database for unqualified names
+ * @returns {TableElement | null}
+ */
+function parseTableElement(stream, qualifiedTableName, defaultSchema) {
+	/** @type {string | undefined} */
+	let constraintName;
+	if (stream.match('KEYWORD', 'CONSTRAINT')) {
+		if (!isTableElementStart(stream)) {
+			constraintName = parseIdentifier(stream) ?? undefined;
+		}
+	}
+
+	if (stream.match('KEYWORD', 'PRIMARY')) {
+		stream.expect('KEYWORD', 'KEY');
+		skipIndexType(stream);
+		/** @type {TableConstraint} */
+		const constraint = { kind: 'PRIMARY KEY', columns: parseIndexColumns(stream) };
+		if (constraintName) {
+			constraint.name = constraintName;
+		}
+		return { constraint };
+	}
+
+	if (stream.match('KEYWORD', 'FOREIGN')) {
+		stream.expect('KEYWORD', 'KEY');
+		// MySQL accepts an index name here; the constraint symbol wins
+		const indexName = stream.is('PUNCTUATION', '(') ? undefined : parseIdentifier(stream);
+		const sourceColumns = parseColumnList(stream);
+		stream.expect('KEYWORD', 'REFERENCES');
+		const foreignKey = parseReferences(stream, qualifiedTableName, sourceColumns, defaultSchema);
+		const name = constraintName ?? indexName;
+		if (name) {
+			foreignKey.constraintName = name;
+		}
+		return { foreignKey };
+	}
+
+	if (stream.match('KEYWORD', 'CHECK')) {
+		/** @type {TableConstraint} */
+		const constraint = { kind: 'CHECK', columns: [], expression: parseParenthesizedExpression(stream) };
+		if (constraintName) {
+			constraint.name = constraintName;
+		}
+		return { constraint };
+	}
+
+	// UNIQUE [KEY|INDEX], KEY, INDEX, FULLTEXT [KEY|INDEX], SPATIAL [KEY|INDEX]
+	const kind = stream.next().value.toLowerCase();
+	if (stream.is('KEYWORD', 'KEY') || stream.is('IDENTIFIER', 'index')) {
+		stream.next();
+	}
+	const name = stream.is('PUNCTUATION', '(') || stream.is('IDENTIFIER', 'using') ? undefined : parseIdentifier(stream);
+	skipIndexType(stream);
+
+	/** @type {Index} */
+	const index = { columns: parseIndexColumns(stream), isUnique: kind === 'unique' };
+	const indexName = name ?? constraintName;
+	if (indexName) {
+		index.name = indexName;
+	}
+	if (kind === 'fulltext' || kind === 'spatial') {
+		index.method = kind;
+	}
+	return { index };
+}
+
+/**
+ * Record a table element on its table: keys and indexes are attached, a
+ * PRIMARY KEY marks its columns, a single-column UNIQUE index marks its
+ * column unique, and foreign keys are added to the result.
+ * @param {Table} table
+ * @param {TableElement} element
+ * @param {ForeignKey[]} foreignKeys
+ */
+function applyTableElement(table, element, foreignKeys) {
+	if ('foreignKey' in element) {
+		foreignKeys.push(element.foreignKey);
+		return;
+	}
+	if ('constraint' in element) {
+		table.constraints.push(element.constraint);
+		if (element.constraint.kind === 'PRIMARY KEY') {
+			for (const columnName of element.constraint.columns) {
+				const column = table.columns.find((c) => c.name === columnName);
+				if (column) {
+					column.isPrimaryKey = true;
+					column.isNullable = false;
+				}
+			}
+		}
+		return;
+	}
+	table.indexes.push(element.index);
+	if (element.index.isUnique && element.index.columns.length === 1) {
+		const column = table.columns.find((c) => c.name === element.index.columns[0]);
+		if (column) {
+			column.isUnique = true;
+		}
+	}
+}
+
+/**
+ * Skip an optional USING BTREE | HASH before an index column list
+ * @param {TokenStream} stream
+ */
+function skipIndexType(stream) {
+	if (stream.match('IDENTIFIER', 'using')) {
+		stream.next();
+	}
+}
+
+/**
+ * Parse a column definition
+ * @param {TokenStream} stream
+ * @param {Table} table - Table being defined (for inline REFERENCES and ENUM type names)
+ * @param {string} defaultSchema - Database for unqualified names
+ * @param {ForeignKey[]} foreignKeys - Array to add inline foreign keys to
+ * @param {UserType[]} types - Array to add the column's ENUM type to
+ * @returns {Column | null}
+ */
+function parseColumn(stream, table, defaultSchema, foreignKeys, types) {
+	const name = parseIdentifier(stream);
+	if (!name) {
+		return null;
+	}
+
+	const { type, enumValues } = parseColumnType(stream);
+
+	/** @type {Column} */
+	const column = { name, type, isPrimaryKey: false, isNullable: true, isUnique: false };
+
+	if (enumValues) {
+		// ENUM types are anonymous in MySQL; name them after the column
+		const enumName = `${table.name}.${name}`;
+		types.push({
+			kind: 'enum',
+			schema: table.schema,
+			name: enumName,
+			qualifiedName: `${table.schema}.${enumName}`,
+			values: enumValues
+		});
+		column.userType = `${table.schema}.${enumName}`;
+	}
+
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ',') && !stream.is('PUNCTUATION', ')')) {
+		const word = stream.peek().value.toLowerCase();
+		if (word === 'not' && stream.lookAhead(1).value.toLowerCase() === 'null') {
+			stream.next();
+			stream.next();
+			column.isNullable = false;
+		} else if (word === 'null') {
+			stream.next();
+		} else if (word === 'default') {
+			stream.next();
+			column.defaultValue = parseDefaultExpression(stream);
+		} else if (word === 'auto_increment') {
+			stream.next();
+			column.isAutoIncrement = true;
+		} else if (word === 'primary' || (word === 'key' && stream.peek().type === 'KEYWORD')) {
+			// PRIMARY KEY, or KEY on its own
+			stream.next();
+			stream.match('KEYWORD', 'KEY');
+			column.isPrimaryKey = true;
+			column.isNullable = false;
+		} else if (word === 'unique') {
+			stream.next();
+			stream.match('KEYWORD', 'KEY');
+			column.isUnique = true;
+		} else if (word === 'comment') {
+			stream.next();
+			column.comment = parseStringValue(stream);
+		} else if (word === 'check') {
+			stream.next();
+			column.checkExpression = parseParenthesizedExpression(stream);
+		} else if (word === 'references') {
+			stream.next();
+			foreignKeys.push(parseReferences(stream, table.qualifiedName, [name], defaultSchema));
+		} else if (stream.is('PUNCTUATION', '(')) {
+			parseParenthesizedExpression(stream);
+		} else {
+			// COLLATE, GENERATED ALWAYS AS, ON UPDATE, VISIBLE, ...
+			stream.next();
+		}
+	}
+
+	if (column.isPrimaryKey) {
+		column.isNullable = false;
+	}
+	return column;
+}
+
+/**
+ * Parse a column type with its arguments and attributes, e.g. int(11)
+ * unsigned, decimal(10,2) or enum('a','b'). CHARACTER SET / CHARSET clauses
+ * are skipped.
+ * @param {TokenStream} stream
+ * @returns {{ type: string, enumValues?: string[] }}
+ */
+function parseColumnType(stream) {
+	const token = stream.next();
+	let type = token.value.toLowerCase();
+	/** @type {string[] | undefined} */
+	let enumValues;
+
+	if (stream.is('PUNCTUATION', '(') && (type === 'enum' || type === 'set')) {
+		/** @type {string[]} */
+		const values = [];
+		stream.next(); // (
+		while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+			const valueToken = stream.next();
+			if (valueToken.type === 'STRING') {
+				values.push(valueToken.value);
+			}
+		}
+		stream.match('PUNCTUATION', ')');
+		if (type === 'enum') {
+			enumValues = values;
+		}
+		type += `(${values.map((v) => `'${v.replace(/'/g, "''")}'`).join(',')})`;
+	} else if (stream.is('PUNCTUATION', '(')) {
+		const start = stream.save();
+		parseParenthesizedExpression(stream);
+		type += stream.sourceText(start, stream.save()).replace(/\s+/g, '').toLowerCase();
+	}
+
+	// Multi-word types: double precision, character varying, national char ...
+	while (stream.is('IDENTIFIER', 'precision') || stream.is('KEYWORD', 'VARYING')) {
+		type += ` ${stream.next().value.toLowerCase()}`;
+	}
+
+	while (!stream.isEOF()) {
+		const word = stream.peek().value.toLowerCase();
+		if (TYPE_ATTRIBUTES.has(word) && stream.peek().type === 'IDENTIFIER') {
+			type += ` ${word}`;
+			stream.next();
+		} else if (word === 'charset' || (word === 'character' && stream.lookAhead(1).value === 'SET')) {
+			if (word === 'character') stream.next();
+			stream.next();
+			stream.next(); // charset name
+		} else {
+			break;
+		}
+	}
+
+	return { type, enumValues };
+}
+
+/**
+ * Parse a DEFAULT value up to the next column attribute, comma or closing parenthesis.
+ * @param {TokenStream} stream
+ * @returns {string} - The expression as written in the source
+ */
+function parseDefaultExpression(stream) {
+	const start = stream.save();
+	while (!stream.isEOF()) {
+		const token = stream.peek();
+		if (token.type === 'PUNCTUATION' && (token.value === ',' || token.value === ')' || token.value === ';')) {
+			break;
+		}
+		if (stream.save() > start && (token.type === 'KEYWORD' || token.type === 'IDENTIFIER') && COLUMN_ATTRIBUTE_WORDS.has(token.value.toLowerCase())) {
+			break;
+		}
+		if (token.type === 'PUNCTUATION' && token.value === '(') {
+			parseParenthesizedExpression(stream);
+		} else {
+			stream.next();
+		}
+	}
+	return stream.sourceText(start, stream.save());
+}
+
+/**
+ * Parse the target of a REFERENCES clause and its ON DELETE / ON UPDATE actions.
+ * @param {TokenStream} stream - Positioned after REFERENCES
+ * @param {string} sourceTable
+ * @param {string[]} sourceColumns
+ * @param {string} defaultSchema - Database for unqualified names
+ * @returns {ForeignKey}
+ */
+function parseReferences(stream, sourceTable, sourceColumns, defaultSchema) {
+	const target = parseQualifiedName(stream, defaultSchema);
+
+	/** @type {ForeignKey} */
+	const fk = {
+		sourceTable,
+		sourceColumns,
+		targetTable: `${target.schema}.${target.name}`,
+		targetColumns: parseColumnList(stream)
+	};
+
+	while (stream.is('IDENTIFIER', 'on') || stream.is('IDENTIFIER', 'match')) {
+		if (stream.next().value === 'match') {
+			stream.next(); // FULL | PARTIAL | SIMPLE
+			continue;
+		}
+		const event = stream.next().value;
+		const action = parseReferentialAction(stream);
+		if (event === 'delete') {
+			fk.onDelete = action;
+		} else if (event === 'update') {
+			fk.onUpdate = action;
+		}
+	}
+	return fk;
+}
+
+/**
+ * Parse CASCADE | SET NULL | SET DEFAULT | RESTRICT | NO ACTION
+ * @param {TokenStream} stream
+ * @returns {ReferentialAction}
+ */
+function parseReferentialAction(stream) {
+	if (stream.match('KEYWORD', 'SET')) {
+		if (stream.match('KEYWORD', 'NULL')) {
+			return 'SET NULL';
+		}
+		stream.expect('KEYWORD', 'DEFAULT');
+		return 'SET DEFAULT';
+	}
+	const word = stream.next().value.toLowerCase();
+	if (word === 'cascade') return 'CASCADE';
+	if (word === 'restrict') return 'RESTRICT';
+	stream.next(); // NO ACTION
+	return 'NO ACTION';
+}
+
+/**
+ * Check whether the stream (just after CREATE) starts CREATE [UNIQUE | FULLTEXT | SPATIAL] INDEX
+ * @param {TokenStream} stream
+ * @returns {boolean}
+ */
+function isCreateIndex(stream) {
+	if (stream.is('IDENTIFIER', 'index')) {
+		return true;
+	}
+	const first = stream.peek().value.toLowerCase();
+	return ['unique', 'fulltext', 'spatial'].includes(first) && stream.lookAhead(1).value === 'index';
+}
+
+/**
+ * Parse CREATE [UNIQUE | FULLTEXT | SPATIAL] INDEX name [USING type] ON table (cols)
+ * (after consuming CREATE).
+ * @param {TokenStream} stream
+ * @param {string} defaultSchema - Database for unqualified names
+ * @returns {{ tableName: string, index: Index }}
+ */
+function parseCreateIndex(stream, defaultSchema) {
+	const kind = stream.next().value.toLowerCase();
+	if (kind !== 'index') {
+		stream.expect('IDENTIFIER', 'index');
+	}
+	const name = parseIdentifier(stream);
+	skipIndexType(stream);
+	stream.expect('IDENTIFIER', 'on');
+	const { schema, name: tableName } = parseQualifiedName(stream, defaultSchema);
+
+	/** @type {Index} */
+	const index = { columns: parseIndexColumns(stream), isUnique: kind === 'unique' };
+	if (name) {
+		index.name = name;
+	}
+	if (kind === 'fulltext' || kind === 'spatial') {
+		index.method = kind;
+	}
+	skipToNextStatement(stream);
+
+	return { tableName: `${schema}.${tableName}`, index };
+}
+
+/**
+ * Parse ALTER TABLE ... ADD [CONSTRAINT [symbol]] PRIMARY KEY | UNIQUE | KEY |
+ * INDEX | FOREIGN KEY | CHECK, possibly several separated by commas.
+ * @param {TokenStream} stream
+ * @param {string} defaultSchema - Database for unqualified names
+ * @param {Map<string, Table>} tableMap
+ * @param {ForeignKey[]} foreignKeys
+ */
+function parseAlterTable(stream, defaultSchema, tableMap, foreignKeys) {
+	const { schema, name } = parseQualifiedName(stream, defaultSchema);
+	const table = tableMap.get(`${schema}.${name}`);
+
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ';')) {
+		if (stream.match('KEYWORD', 'ADD') && isTableElementStart(stream)) {
+			const element = parseTableElement(stream, `${schema}.${name}`, defaultSchema);
+			if (element && table) {
+				applyTableElement(table, element, foreignKeys);
+			}
+		} else if (stream.is('PUNCTUATION', '(')) {
+			parseParenthesizedExpression(stream);
+		} else {
+			stream.next();
+		}
+	}
+	stream.match('PUNCTUATION', ';');
+}
+
+/**
+ * Parse a qualified name (database.name or just name)
+ * @param {TokenStream} stream
+ * @param {string} defaultSchema
+ * @returns {{ schema: string, name: string }}
+ */
+function parseQualifiedName(stream, defaultSchema) {
+	const first = parseIdentifier(stream) ?? '';
+	if (stream.match('PUNCTUATION', '.')) {
+		return { schema: first, name: parseIdentifier(stream) ?? '' };
+	}
+	return { schema: defaultSchema, name: first };
+}
+
+/**
+ * Parse an identifier (backtick-quoted, double-quoted or bare)
+ * @param {TokenStream} stream
+ * @returns {string | null}
+ */
+function parseIdentifier(stream) {
+	const token = stream.peek();
+	if (token.type === 'IDENTIFIER' || token.type === 'QUOTED_IDENTIFIER') {
+		stream.next();
+		return token.value;
+	}
+	// Some keywords can be used as identifiers
+	if (token.type === 'KEYWORD') {
+		stream.next();
+		return token.value.toLowerCase();
+	}
+	return null;
+}
+
+/**
+ * Parse a string value, as used by COMMENT. MySQL also accepts double
+ * quotes for strings, which the tokenizer reads as quoted identifiers.
+ * @param {TokenStream} stream
+ * @returns {string}
+ */
+function parseStringValue(stream) {
+	const token = stream.next();
+	if (token.type !== 'STRING' && token.type !== 'QUOTED_IDENTIFIER') {
+		throw new Error(`Expected string but got ${token.type} at line ${token.line}`);
+	}
+	return token.value;
+}
+
+/**
+ * Parse a parenthesized list of column names, e.g. (a, b)
+ * @param {TokenStream} stream
+ * @returns {string[]} - Empty if the stream is not on an opening parenthesis
+ */
+function parseColumnList(stream) {
+	/** @type {string[]} */
+	const columns = [];
+	if (!stream.match('PUNCTUATION', '(')) {
+		return columns;
+	}
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		const column = parseIdentifier(stream);
+		if (column) {
+			columns.push(column);
+		} else if (!stream.is('PUNCTUATION', ',')) {
+			stream.next();
+		}
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+	return columns;
+}
+
+/**
+ * Parse an index column list. Prefix lengths (name(10)) and ASC/DESC are
+ * dropped; functional key parts ((lower(email))) are kept as written.
+ * @param {TokenStream} stream
+ * @returns {string[]}
+ */
+function parseIndexColumns(stream) {
+	/** @type {string[]} */
+	const columns = [];
+	stream.expect('PUNCTUATION', '(');
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		if (stream.is('PUNCTUATION', '(')) {
+			const start = stream.save();
+			parseParenthesizedExpression(stream);
+			columns.push(stream.sourceText(start, stream.save()));
+		} else {
+			const column = parseIdentifier(stream);
+			if (column) {
+				columns.push(column);
+			}
+		}
+		skipToElementEnd(stream);
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+	return columns;
+}
+
+/**
+ * Parse a parenthesized expression such as the body of CHECK (...).
+ * The stream must be positioned on the opening parenthesis.
+ * @param {TokenStream} stream
+ * @returns {string} - The expression inside the outer parentheses, as written in the source
+ */
+function parseParenthesizedExpression(stream) {
+	stream.expect('PUNCTUATION', '(');
+	const start = stream.save();
+	let parenDepth = 1;
+
+	while (!stream.isEOF()) {
+		const token = stream.peek();
+		if (token.type === 'PUNCTUATION' && token.value === '(') {
+			parenDepth++;
+		} else if (token.type === 'PUNCTUATION' && token.value === ')') {
+			parenDepth--;
+			if (parenDepth === 0) {
+				break;
+			}
+		}
+		stream.next();
+	}
+
+	const expression = stream.sourceText(start, stream.save());
+	stream.match('PUNCTUATION', ')');
+	return expression;
+}
+
+/**
+ * Skip to the next comma or closing parenthesis at the current nesting level
+ * @param {TokenStream} stream
+ */
+function skipToElementEnd(stream) {
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ',') && !stream.is('PUNCTUATION', ')')) {
+		if (stream.is('PUNCTUATION', '(')) {
+			parseParenthesizedExpression(stream);
+		} else {
+			stream.next();
+		}
+	}
+}
+
+/**
+ * Skip to next statement (error recovery)
+ * @param {TokenStream} stream
+ */
+function skipToNextStatement(stream) {
+	while (!stream.isEOF()) {
+		if (stream.is('PUNCTUATION', ';')) {
+			stream.next();
+			break;
+		}
+		stream.next();
+	}
+}
+
+/**
+ * Template for a new CREATE TABLE statement
+ */
+export const CREATE_TABLE_TEMPLATE = `CREATE TABLE table_name (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255)
+);`;
+
+/**
+ * How schema edits read and write MySQL
+ * @type {SqlSyntax}
+ */
+export const SQL_SYNTAX = {
+	defaultSchema: DEFAULT_SCHEMA,
+	omitDefaultSchema: true,
+	quote: ['`', '`'],
+	openQuotes: '`"',
+	closeQuotes: '`"',
+	plainIdentifier: /^[A-Za-z_][A-Za-z0-9_$]*$/,
+	alterTableConstraints: true,
+	batchSeparators: false,
+	alterStyle: 'mysql',
+	tokenizeOptions: TOKENIZE_OPTIONS
+};
@@ -0,0 +1,414 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize } from './tokenizer.js';
+import { parseMySQL } from './mysql.js';
+
+describe('tokenizer with MySQL options', () => {
+	const options = { backtickIdentifiers: true, hashComments: true, backslashEscapes: true };
+
+	it('reads backtick-quoted identifiers', () => {
+		const tokens = tokenize('CREATE TABLE `order` (`id` int);', options);
+
+		const quoted = tokens.filter((t) => t.type === 'QUOTED_IDENTIFIER').map((t) => t.value);
+		expect(quoted).toEqual(['order', 'id']);
+	});
+
+	it('skips # comments', () => {
+		const tokens = tokenize('# a comment\nCREATE', options);
+
+		expect(tokens.map((t) => t.value)).toEqual(['CREATE', '']);
+	});
+
+	it('unescapes backslash sequences in strings', () => {
+		const tokens = tokenize("'it\\'s\\n'", options);
+
+		expect(tokens[0]).toMatchObject({ type: 'STRING', value: "it's\n" });
+	});
+
+	it('leaves backticks, # and backslashes alone by default', () => {
+		const tokens = tokenize("'a\\' `b`");
+
+		expect(tokens[0]).toMatchObject({ type: 'STRING', value: 'a\\' });
+		expect(tokens.some((t) => t.type === 'QUOTED_IDENTIFIER')).toBe(false);
+	});
+});
+
+describe('parseMySQL', () => {
+	it('parses a simple table', () => {
+		const sql = `
+      CREATE TABLE users (
+        id int,
+        name varchar(255)
+      );
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables).toHaveLength(1);
+		expect(result.tables[0].schema).toBe('default');
+		expect(result.tables[0].name).toBe('users');
+		expect(result.tables[0].columns).toEqual([
+			{ name: 'id', type: 'int', isPrimaryKey: false, isNullable: true, isUnique: false },
+			{ name: 'name', type: 'varchar(255)', isPrimaryKey: false, isNullable: true, isUnique: false }
+		]);
+	});
+
+	it('uses the database from USE or a qualified name as the schema', () => {
+		const sql = `
+      USE shop;
+      CREATE TABLE customers (id int);
+      CREATE TABLE \`billing\`.\`invoices\` (id int);
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.tables.map((t) => t.qualifiedName)).toEqual(['shop.customers', 'billing.invoices']);
+	});
+
+	it('handles backtick identifiers, IF NOT EXISTS and TEMPORARY', () => {
+		const sql = `
+      CREATE TEMPORARY TABLE IF NOT EXISTS \`Order Items\` (\`key\` int);
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.tables[0].name).toBe('Order Items');
+		expect(result.tables[0].columns[0].name).toBe('key');
+	});
+
+	it('keeps type arguments and attributes', () => {
+		const sql = `
+      CREATE TABLE t (
+        a int(11) unsigned zerofill,
+        b decimal(10, 2),
+        c varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin,
+        d double precision
+      );
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.tables[0].columns.map((c) => c.type)).toEqual([
+			'int(11) unsigned zerofill',
+			'decimal(10,2)',
+			'varchar(50)',
+			'double precision'
+		]);
+	});
+
+	it('reads table options including the table COMMENT', () => {
+		const sql = `
+      CREATE TABLE users (id int) ENGINE=InnoDB AUTO_INCREMENT=42 DEFAULT CHARSET=utf8mb4 COMMENT='People who can sign in';
+      CREATE TABLE next_one (id int);
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables).toHaveLength(2);
+		expect(result.tables[0].comment).toBe('People who can sign in');
+	});
+
+	it('copies columns for CREATE TABLE ... LIKE', () => {
+		const sql = `
+      CREATE TABLE users (id int PRIMARY KEY, email varchar(100));
+      CREATE TABLE users_archive LIKE users;
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.tables[1].columns.map((c) => c.name)).toEqual(['id', 'email']);
+		expect(result.tables[1].columns[0].isPrimaryKey).toBe(true);
+	});
+
+	it('skips statements it does not model', () => {
+		const sql = `
+      SET NAMES utf8mb4;
+      DROP TABLE IF EXISTS users;
+      CREATE DATABASE shop;
+      CREATE VIEW v AS SELECT 1;
+      CREATE TABLE users (id int);
+      INSERT INTO users VALUES (1);
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables.map((t) => t.name)).toEqual(['users']);
+	});
+});
+
+describe('parseMySQL column attributes', () => {
+	it('captures NOT NULL, DEFAULT, AUTO_INCREMENT and COMMENT', () => {
+		const sql = `
+      CREATE TABLE posts (
+        id bigint unsigned NOT NULL AUTO_INCREMENT,
+        status varchar(20) NOT NULL DEFAULT 'draft' COMMENT 'Workflow state',
+        updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        body text COMMENT "Markdown, rendered later"
+      );
+    `;
+
+		const result = parseMySQL(sql);
+		const [id, status, updatedAt, body] = result.tables[0].columns;
+
+		expect(result.errors).toHaveLength(0);
+		expect(id).toMatchObject({ type: 'bigint unsigned', isNullable: false, isAutoIncrement: true });
+		expect(status).toMatchObject({ isNullable: false, defaultValue: "'draft'", comment: 'Workflow state' });
+		expect(updatedAt).toMatchObject({ isNullable: true, defaultValue: 'CURRENT_TIMESTAMP' });
+		expect(body.comment).toBe('Markdown, rendered later');
+	});
+
+	it('marks inline PRIMARY KEY, KEY and UNIQUE columns', () => {
+		const sql = `
+      CREATE TABLE t (
+        id int PRIMARY KEY,
+        code char(3) UNIQUE KEY,
+        other int KEY,
+        score int CHECK (score > 0)
+      );
+    `;
+
+		const result = parseMySQL(sql);
+		const [id, code, other, score] = result.tables[0].columns;
+
+		expect(id).toMatchObject({ isPrimaryKey: true, isNullable: false });
+		expect(code.isUnique).toBe(true);
+		expect(other.isPrimaryKey).toBe(true);
+		expect(score.checkExpression).toBe('score > 0');
+	});
+
+	it('ignores generated column expressions', () => {
+		const sql = `
+      CREATE TABLE t (
+        price decimal(10,2),
+        price_with_tax decimal(10,2) GENERATED ALWAYS AS (price * 1.2) STORED NOT NULL
+      );
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables[0].columns[1]).toMatchObject({ name: 'price_with_tax', isNullable: false });
+	});
+});
+
+describe('parseMySQL ENUM columns', () => {
+	it('parses ENUM values into a type named after the column', () => {
+		const sql = `
+      USE shop;
+      CREATE TABLE orders (
+        id int PRIMARY KEY,
+        status ENUM('new', 'paid', 'it''s shipped') NOT NULL DEFAULT 'new'
+      );
+    `;
+
+		const result = parseMySQL(sql);
+		const status = result.tables[0].columns[1];
+
+		expect(result.errors).toHaveLength(0);
+		expect(status).toMatchObject({
+			type: "enum('new','paid','it''s shipped')",
+			userType: 'shop.orders.status',
+			isNullable: false,
+			defaultValue: "'new'"
+		});
+		expect(result.types).toEqual([
+			{
+				kind: 'enum',
+				schema: 'shop',
+				name: 'orders.status',
+				qualifiedName: 'shop.orders.status',
+				values: ['new', 'paid', "it's shipped"]
+			}
+		]);
+	});
+
+	it('keeps SET columns as plain types', () => {
+		const result = parseMySQL("CREATE TABLE t (flags SET('a','b'));");
+
+		expect(result.tables[0].columns[0].type).toBe("set('a','b')");
+		expect(result.types).toHaveLength(0);
+	});
+});
+
+describe('parseMySQL keys and indexes', () => {
+	it('parses table-level PRIMARY KEY, UNIQUE KEY, KEY and FULLTEXT', () => {
+		const sql = `
+      CREATE TABLE \`posts\` (
+        \`id\` int NOT NULL,
+        \`slug\` varchar(100) NOT NULL,
+        \`user_id\` int NOT NULL,
+        \`title\` varchar(200),
+        PRIMARY KEY (\`id\`),
+        UNIQUE KEY \`posts_slug\` (\`slug\`),
+        KEY \`idx_user\` (\`user_id\`, \`id\` DESC),
+        INDEX (\`title\`(20)),
+        FULLTEXT KEY \`ft_title\` (\`title\`)
+      );
+    `;
+
+		const result = parseMySQL(sql);
+		const table = result.tables[0];
+
+		expect(result.errors).toHaveLength(0);
+		expect(table.constraints).toEqual([{ kind: 'PRIMARY KEY', columns: ['id'] }]);
+		expect(table.indexes).toEqual([
+			{ name: 'posts_slug', columns: ['slug'], isUnique: true },
+			{ name: 'idx_user', columns: ['user_id', 'id'], isUnique: false },
+			{ columns: ['title'], isUnique: false },
+			{ name: 'ft_title', columns: ['title'], isUnique: false, method: 'fulltext' }
+		]);
+		expect(table.columns[0].isPrimaryKey).toBe(true);
+		expect(table.columns[1].isUnique).toBe(true);
+	});
+
+	it('parses CREATE INDEX and ALTER TABLE ADD INDEX', () => {
+		const sql = `
+      CREATE TABLE users (id int, email varchar(100), name varchar(100));
+      CREATE UNIQUE INDEX users_email ON users (email) ALGORITHM = INPLACE;
+      ALTER TABLE users ADD PRIMARY KEY (id), ADD INDEX users_name USING BTREE (name);
+    `;
+
+		const result = parseMySQL(sql);
+		const table = result.tables[0];
+
+		expect(result.errors).toHaveLength(0);
+		expect(table.indexes.map((i) => i.name)).toEqual(['users_name', 'users_email']);
+		expect(table.columns[0].isPrimaryKey).toBe(true);
+		expect(table.columns[1].isUnique).toBe(true);
+	});
+
+	it('keeps named CHECK constraints', () => {
+		const sql = `
+      CREATE TABLE t (age int, CONSTRAINT adult CHECK (age >= 18));
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.tables[0].constraints).toEqual([{ kind: 'CHECK', name: 'adult', columns: [], expression: 'age >= 18' }]);
+	});
+});
+
+describe('parseMySQL foreign keys', () => {
+	it('parses table-level FOREIGN KEY constraints with actions', () => {
+		const sql = `
+      CREATE TABLE users (id int PRIMARY KEY);
+      CREATE TABLE posts (
+        id int PRIMARY KEY,
+        user_id int,
+        KEY fk_posts_user_idx (user_id),
+        CONSTRAINT fk_posts_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE ON UPDATE NO ACTION
+      );
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.foreignKeys).toEqual([
+			{
+				sourceTable: 'default.posts',
+				sourceColumns: ['user_id'],
+				targetTable: 'default.users',
+				targetColumns: ['id'],
+				constraintName: 'fk_posts_user',
+				onDelete: 'CASCADE',
+				onUpdate: 'NO ACTION'
+			}
+		]);
+	});
+
+	it('parses composite and cross-database foreign keys', () => {
+		const sql = `
+      CREATE TABLE line (
+        tenant_id int,
+        order_id int,
+        FOREIGN KEY (tenant_id, order_id) REFERENCES sales.orders (tenant_id, id) ON DELETE SET NULL
+      );
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.foreignKeys[0]).toMatchObject({
+			sourceColumns: ['tenant_id', 'order_id'],
+			targetTable: 'sales.orders',
+			targetColumns: ['tenant_id', 'id'],
+			onDelete: 'SET NULL'
+		});
+	});
+
+	it('parses ALTER TABLE ADD CONSTRAINT FOREIGN KEY', () => {
+		const sql = `
+      CREATE TABLE users (id int PRIMARY KEY);
+      CREATE TABLE posts (id int PRIMARY KEY, user_id int);
+      ALTER TABLE posts ADD CONSTRAINT fk_user FOREIGN KEY (user_id) REFERENCES users (id);
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.foreignKeys).toHaveLength(1);
+		expect(result.foreignKeys[0].constraintName).toBe('fk_user');
+	});
+
+	it('parses inline REFERENCES (MariaDB) and resolves the target primary key', () => {
+		const sql = `
+      CREATE TABLE posts (id int PRIMARY KEY, user_id int REFERENCES users);
+      CREATE TABLE users (id int PRIMARY KEY);
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.foreignKeys[0]).toMatchObject({ sourceColumns: ['user_id'], targetColumns: ['id'] });
+	});
+
+	it('resolves a composite target primary key in its declared order', () => {
+		const sql = `
+      CREATE TABLE invoices (id int PRIMARY KEY, account_id int, region char(2), FOREIGN KEY (account_id, region) REFERENCES accounts);
+      CREATE TABLE accounts (region char(2), id int, PRIMARY KEY (id, region));
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.foreignKeys[0].targetColumns).toEqual(['id', 'region']);
+	});
+});
+
+describe('parseMySQL with mysqldump output', () => {
+	it('parses a typical dump', () => {
+		const sql = `
+      -- MySQL dump 10.13  Distrib 8.0.36
+      /*!40101 SET @OLD_CHARACTER_SET_CLIENT=@@CHARACTER_SET_CLIENT */;
+      /*!40101 SET NAMES utf8mb4 */;
+
+      DROP TABLE IF EXISTS \`users\`;
+      /*!40101 SET @saved_cs_client     = @@character_set_client */;
+      CREATE TABLE \`users\` (
+        \`id\` int unsigned NOT NULL AUTO_INCREMENT,
+        \`email\` varchar(191) COLLATE utf8mb4_unicode_ci NOT NULL,
+        \`created_at\` datetime DEFAULT NULL,
+        PRIMARY KEY (\`id\`),
+        UNIQUE KEY \`users_email_unique\` (\`email\`)
+      ) ENGINE=InnoDB AUTO_INCREMENT=3 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+      LOCK TABLES \`users\` WRITE;
+      INSERT INTO \`users\` VALUES (1,'a@example.com','2024-01-01 00:00:00');
+      UNLOCK TABLES;
+
+      CREATE TABLE \`posts\` (
+        \`id\` int unsigned NOT NULL AUTO_INCREMENT,
+        \`user_id\` int unsigned NOT NULL,
+        PRIMARY KEY (\`id\`),
+        KEY \`posts_user_id_foreign\` (\`user_id\`),
+        CONSTRAINT \`posts_user_id_foreign\` FOREIGN KEY (\`user_id\`) REFERENCES \`users\` (\`id\`) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `;
+
+		const result = parseMySQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables.map((t) => t.name)).toEqual(['users', 'posts']);
+		expect(result.tables[0].columns[2]).toMatchObject({ name: 'created_at', type: 'datetime', defaultValue: 'NULL' });
+		expect(result.foreignKeys).toHaveLength(1);
+		expect(result.foreignKeys[0]).toMatchObject({ sourceTable: 'default.posts', targetTable: 'default.users', onDelete: 'CASCADE' });
+	});
+});
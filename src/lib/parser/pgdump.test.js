@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { parsePostgresSQL } from './postgres.js';
+import { tokenize } from './tokenizer.js';
+import { getDialect } from './dialects.js';
+import pgDump from './fixtures/pg_dump.sql?raw';
+
+describe('tokenizer dollar quoting', () => {
+	it('reads $$ and $tag$ strings as single string tokens', () => {
+		const tokens = tokenize("SELECT $$it's$$, $fn$ a $$ b $fn$;");
+
+		const strings = tokens.filter((t) => t.type === 'STRING').map((t) => t.value);
+		expect(strings).toEqual(["it's", ' a $$ b ']);
+	});
+
+	it('keeps line numbers across multi-line bodies', () => {
+		const tokens = tokenize('AS $$\nline 2\nline 3\n$$;\nCREATE');
+
+		expect(tokens.find((t) => t.value === 'CREATE')?.line).toBe(5);
+	});
+
+	it('does not treat positional parameters or $ in identifiers as quotes', () => {
+		const tokens = tokenize('WHERE id = $1 AND a$b$ = 2');
+
+		expect(tokens.some((t) => t.type === 'STRING')).toBe(false);
+		expect(tokens.map((t) => t.value)).toContain('a$b$');
+	});
+});
+
+describe('parsePostgresSQL with pg_dump --schema-only output', () => {
+	const result = parsePostgresSQL(pgDump);
+
+	it('parses without errors', () => {
+		expect(result.errors).toEqual([]);
+	});
+
+	it('finds every table and view but nothing inside function bodies', () => {
+		expect(result.tables.map((t) => t.qualifiedName)).toEqual([
+			'billing.invoices',
+			'public.order_items',
+			'public.orders',
+			'public.page_views',
+			'public.products',
+			'public.users',
+			'public.active_users'
+		]);
+	});
+
+	it('applies primary keys and unique constraints from ALTER TABLE ONLY', () => {
+		const pkColumns = Object.fromEntries(
+			result.tables.map((t) => [t.qualifiedName, t.columns.filter((c) => c.isPrimaryKey).map((c) => c.name)])
+		);
+		expect(pkColumns).toMatchObject({
+			'billing.invoices': ['id'],
+			'public.order_items': ['order_id', 'product_id'],
+			'public.orders': ['id'],
+			'public.page_views': [],
+			'public.products': ['id'],
+			'public.users': ['id']
+		});
+
+		const products = result.tables.find((t) => t.name === 'products');
+		expect(products?.constraints).toContainEqual({ kind: 'UNIQUE', name: 'products_sku_key', columns: ['sku'] });
+		expect(products?.columns.find((c) => c.name === 'sku')?.isUnique).toBe(true);
+	});
+
+	it('attributes foreign keys to the altered table', () => {
+		expect(result.foreignKeys.map((fk) => [fk.constraintName, fk.sourceTable, fk.targetTable, fk.onDelete])).toEqual([
+			['invoices_order_id_fkey', 'billing.invoices', 'public.orders', 'RESTRICT'],
+			['order_items_order_id_fkey', 'public.order_items', 'public.orders', 'CASCADE'],
+			['order_items_product_id_fkey', 'public.order_items', 'public.products', undefined],
+			['orders_user_id_fkey', 'public.orders', 'public.users', undefined],
+			['page_views_user_id_fkey', 'public.page_views', 'public.users', 'SET NULL']
+		]);
+	});
+
+	it('applies sequence defaults from ALTER COLUMN SET DEFAULT', () => {
+		const users = result.tables.find((t) => t.name === 'users');
+		expect(users?.columns[0].defaultValue).toBe("nextval('public.users_id_seq'::regclass)");
+	});
+
+	it('keeps pg_dump type spellings', () => {
+		const types = Object.fromEntries(result.tables.flatMap((t) => t.columns.map((c) => [`${t.name}.${c.name}`, c.type])));
+		expect(types).toMatchObject({
+			'products.sku': 'character varying(32)',
+			'products.tags': 'text[]',
+			'orders.created_at': 'timestamp without time zone',
+			'invoices.issued_at': 'timestamp with time zone',
+			'orders.status': 'public.order_status'
+		});
+	});
+
+	it('reads indexes, comments, enums and domains', () => {
+		const orders = result.tables.find((t) => t.name === 'orders');
+		expect(orders?.comment).toBe('Customer orders; one row per checkout');
+		expect(orders?.columns.find((c) => c.name === 'status')).toMatchObject({
+			comment: 'Lifecycle state',
+			userType: 'public.order_status'
+		});
+		expect(orders?.indexes).toEqual([{ name: 'orders_user_id_idx', columns: ['user_id'], isUnique: false }]);
+		expect(result.types.map((t) => t.qualifiedName)).toEqual(['public.order_status', 'public.email']);
+	});
+});
+
+describe('parsePostgresSQL multi-word types', () => {
+	it('keeps arguments and arrays after multi-word type names', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE t (
+        a double precision,
+        b character varying(20)[],
+        c timestamp(3) with time zone,
+        d bit varying(8)
+      );
+    `);
+
+		expect(result.tables[0].columns.map((c) => c.type)).toEqual([
+			'double precision',
+			'character varying(20)[]',
+			'timestamp(3) with time zone',
+			'bit varying(8)'
+		]);
+	});
+});
+
+describe('PostgreSQL dialect edits on pg_dump output', () => {
+	const postgres = getDialect('PostgreSQL');
+
+	it('finds no orphaned ALTER TABLE statements, including inside function bodies', () => {
+		expect(postgres.findOrphanedAlterTables(pgDump)).toEqual([]);
+	});
+
+	it('removes a foreign key added with ALTER TABLE ONLY', () => {
+		const fk = parsePostgresSQL(pgDump).foreignKeys.find((f) => f.constraintName === 'orders_user_id_fkey');
+		const result = postgres.removeForeignKey(pgDump, fk);
+
+		expect('sql' in result && result.sql).not.toContain('orders_user_id_fkey FOREIGN KEY');
+		expect(parsePostgresSQL(result.sql).foreignKeys).toHaveLength(4);
+	});
+
+	it('drops a table with its ALTER TABLE ONLY statements', () => {
+		const createTable = postgres.findCreateTable(pgDump, 'public.order_items');
+		const alterTables = postgres.findRelatedAlterTables(pgDump, 'public.order_items');
+
+		expect(alterTables.map((a) => a.sql.split('\n')[0])).toEqual([
+			'ALTER TABLE public.order_items OWNER TO app_owner;',
+			'ALTER TABLE ONLY public.order_items',
+			'ALTER TABLE ONLY public.order_items',
+			'ALTER TABLE ONLY public.order_items'
+		]);
+
+		const result = parsePostgresSQL(postgres.removeStatements(pgDump, [createTable, ...alterTables]));
+		expect(result.errors).toEqual([]);
+		expect(result.tables.some((t) => t.name === 'order_items')).toBe(false);
+	});
+});
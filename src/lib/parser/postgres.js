@@ -1,5 +1,8 @@
-/** @import { Table, Column, ForeignKey, ParseError, ParseResult, OrphanedAlterTable } from './types.js' */
+/** @import { Table, Column, ForeignKey, ReferentialAction, UserType, Index, TableConstraint, ParseError, ParseResult, OrphanedAlterTable, Token } from './types.js' */
+/** @import { SqlSyntax, EditResult } from './sqlEdit.js' */
 import { tokenize, TokenStream } from './tokenizer.js';
+import { getPrimaryKeyColumns } from './indexes.js';
+import * as sqlEdit from './sqlEdit.js';
 
 /**
  * Keywords that signal the end of a column type definition
@@ -21,6 +24,23 @@ const TYPE_END_KEYWORDS = new Set([
  */
 const TYPE_CONTINUATION_KEYWORDS = new Set(['WITH', 'WITHOUT', 'TIME', 'ZONE', 'VARYING']);
 
+/**
+ * Serial pseudo-types, which are implicitly NOT NULL
+ */
+const SERIAL_TYPES = new Set(['serial', 'bigserial', 'smallserial', 'serial2', 'serial4', 'serial8']);
+
+/**
+ * Everything parsed so far. ALTER TABLE and DROP TABLE change it in place,
+ * so a series of migrations ends in the schema they build.
+ * @typedef {Object} SchemaState
+ * @property {Table[]} tables
+ * @property {Map<string, Table>} tableMap
+ * @property {ForeignKey[]} foreignKeys
+ * @property {{ tableName: string, index: Index }[]} indexes - CREATE INDEX statements, attached to their tables after parsing
+ * @property {ObjectComment[]} comments - COMMENT ON statements, applied after parsing
+ * @property {ParseError[]} errors
+ */
+
 /**
  * Parse Postgres SQL and extract table definitions
  * @param {string} sql
@@ -28,7 +48,7 @@ const TYPE_CONTINUATION_KEYWORDS = new Set(['WITH', 'WITHOUT', 'TIME', 'ZONE', '
  */
 export function parsePostgresSQL(sql) {
 	const tokens = tokenize(sql);
-	const stream = new TokenStream(tokens);
+	const stream = new TokenStream(tokens, sql);
 
 	/** @type {Table[]} */
 	const tables = [];
@@ -38,6 +58,14 @@ export function parsePostgresSQL(sql) {
 	const errors = [];
 	/** @type {Map<string, Table>} */
 	const tableMap = new Map();
+	/** @type {Map<string, UserType>} */
+	const typeMap = new Map();
+	/** @type {{ tableName: string, index: Index }[]} */
+	const indexes = [];
+	/** @type {ObjectComment[]} */
+	const comments = [];
+	/** @type {SchemaState} */
+	const state = { tables, tableMap, foreignKeys, indexes, comments, errors };
 
 	// Pass 1: Find CREATE TABLE statements
 	while (!stream.isEOF()) {
@@ -45,6 +73,10 @@ export function parsePostgresSQL(sql) {
 			if (stream.is('KEYWORD', 'CREATE')) {
 				const saved = stream.save();
 				stream.next(); // consume CREATE
+				// Unlogged tables (written as such by pg_dump) have the same structure
+				if (stream.is('IDENTIFIER', 'unlogged') && stream.lookAhead(1).value === 'TABLE') {
+					stream.next();
+				}
 
 				if (stream.is('KEYWORD', 'TABLE')) {
 					stream.next(); // consume TABLE
@@ -61,10 +93,38 @@ export function parsePostgresSQL(sql) {
 						tables.push(table);
 						tableMap.set(table.qualifiedName, table);
 					}
+				} else if (stream.is('KEYWORD', 'UNIQUE') || stream.is('IDENTIFIER', 'index')) {
+					const index = parseCreateIndex(stream);
+					if (index) {
+						indexes.push(index);
+					}
+				} else if (isCreateView(stream)) {
+					const view = parseCreateView(stream, tableMap);
+					if (view) {
+						tables.push(view);
+						tableMap.set(view.qualifiedName, view);
+					}
+				} else if (stream.is('IDENTIFIER', 'type')) {
+					stream.next(); // consume TYPE
+					const type = parseCreateType(stream);
+					if (type) {
+						typeMap.set(type.qualifiedName, type);
+					}
+				} else if (stream.is('IDENTIFIER', 'domain')) {
+					stream.next(); // consume DOMAIN
+					const domain = parseCreateDomain(stream);
+					typeMap.set(domain.qualifiedName, domain);
 				} else {
 					stream.restore(saved);
 					stream.next();
 				}
+			} else if (stream.is('IDENTIFIER', 'comment') && stream.lookAhead(1).value === 'on') {
+				stream.next(); // consume COMMENT
+				stream.next(); // consume ON
+				const comment = parseComment(stream);
+				if (comment) {
+					comments.push(comment);
+				}
 			} else if (stream.is('KEYWORD', 'ALTER')) {
 				const saved = stream.save();
 				stream.next(); // consume ALTER
@@ -72,11 +132,18 @@ export function parsePostgresSQL(sql) {
 				if (stream.is('KEYWORD', 'TABLE')) {
 					stream.next(); // consume TABLE
 
-					parseAlterTable(stream, tableMap, foreignKeys, errors);
+					parseAlterTable(stream, state);
+				} else if (stream.is('IDENTIFIER', 'type')) {
+					stream.next(); // consume TYPE
+					parseAlterType(stream, typeMap);
 				} else {
 					stream.restore(saved);
 					stream.next();
 				}
+			} else if (stream.is('IDENTIFIER', 'drop') && stream.lookAhead(1).value === 'TABLE') {
+				stream.next(); // consume DROP
+				stream.next(); // consume TABLE
+				parseDropTable(stream, state);
 			} else {
 				stream.next();
 			}
@@ -90,20 +157,548 @@ export function parsePostgresSQL(sql) {
 		}
 	}
 
-	// Post-process: resolve any FKs with empty targetColumn (forward references from inline REFERENCES)
+	// Post-process: resolve any FKs without target columns (forward references)
 	for (const fk of foreignKeys) {
-		if (!fk.targetColumn) {
+		if (fk.targetColumns.length === 0) {
 			const targetTable = tableMap.get(fk.targetTable);
 			if (targetTable) {
-				const pkColumns = targetTable.columns.filter((c) => c.isPrimaryKey);
+				const pkColumns = getPrimaryKeyColumns(targetTable);
 				if (pkColumns.length > 0) {
-					fk.targetColumn = pkColumns[0].name;
+					fk.targetColumns = pkColumns;
+				}
+			}
+		}
+	}
+
+	// Post-process: attach indexes (CREATE INDEX may precede its table)
+	for (const { tableName, index } of indexes) {
+		tableMap.get(tableName)?.indexes.push(index);
+	}
+
+	// Post-process: apply comments in order, so a later COMMENT ON wins and IS NULL clears
+	for (const { tableName, columnName, text } of comments) {
+		const table = tableMap.get(tableName);
+		const target = columnName === undefined ? table : table?.columns.find((c) => c.name === columnName);
+		if (!target) {
+			continue;
+		}
+		if (text === null) {
+			delete target.comment;
+		} else {
+			target.comment = text;
+		}
+	}
+
+	// Post-process: resolve column types against user-defined types
+	for (const table of tables) {
+		for (const column of table.columns) {
+			const userType = resolveUserType(column.type, table.schema, typeMap);
+			if (userType) {
+				column.userType = userType.qualifiedName;
+				if (userType.isNotNull) {
+					column.isNullable = false;
+				}
+			}
+		}
+	}
+
+	return { tables, foreignKeys, types: [...typeMap.values()], errors };
+}
+
+/**
+ * Find the user-defined type a column type refers to. Unqualified names are
+ * looked up in the table's schema, then in public. Array types resolve to
+ * their element type.
+ * @param {string} columnType - Type as returned by parseColumnType
+ * @param {string} tableSchema
+ * @param {Map<string, UserType>} typeMap
+ * @returns {UserType | undefined}
+ */
+function resolveUserType(columnType, tableSchema, typeMap) {
+	const baseName = columnType.replace(/(\[\])+$/, '');
+	if (baseName.includes('.')) {
+		return typeMap.get(baseName);
+	}
+	return typeMap.get(`${tableSchema}.${baseName}`) ?? typeMap.get(`public.${baseName}`);
+}
+
+/**
+ * Parse CREATE TYPE (after consuming CREATE TYPE). Only enum and composite
+ * types are modelled; range, base and shell types are skipped.
+ * @param {TokenStream} stream
+ * @returns {UserType | null}
+ */
+function parseCreateType(stream) {
+	const { schema, name } = parseQualifiedName(stream);
+
+	if (!stream.match('KEYWORD', 'AS')) {
+		skipToNextStatement(stream);
+		return null;
+	}
+
+	/** @type {UserType} */
+	const type = { kind: 'enum', schema, name, qualifiedName: `${schema}.${name}` };
+
+	if (stream.match('IDENTIFIER', 'enum')) {
+		type.values = [];
+		stream.expect('PUNCTUATION', '(');
+		while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+			const token = stream.next();
+			if (token.type === 'STRING') {
+				type.values.push(token.value);
+			}
+		}
+	} else if (stream.is('PUNCTUATION', '(')) {
+		stream.next(); // (
+		type.kind = 'composite';
+		type.attributes = [];
+		while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+			const attrName = parseIdentifier(stream);
+			if (attrName) {
+				type.attributes.push({ name: attrName, type: parseColumnType(stream) });
+			}
+			// Skip COLLATE etc. up to the next attribute
+			skipToColumnEnd(stream);
+			stream.match('PUNCTUATION', ',');
+		}
+	} else {
+		skipToNextStatement(stream);
+		return null;
+	}
+
+	skipToNextStatement(stream);
+	return type;
+}
+
+/**
+ * Parse CREATE DOMAIN (after consuming CREATE DOMAIN)
+ * @param {TokenStream} stream
+ * @returns {UserType}
+ */
+function parseCreateDomain(stream) {
+	const { schema, name } = parseQualifiedName(stream);
+	stream.match('KEYWORD', 'AS');
+
+	/** @type {UserType} */
+	const domain = {
+		kind: 'domain',
+		schema,
+		name,
+		qualifiedName: `${schema}.${name}`,
+		baseType: parseColumnType(stream),
+		isNotNull: false,
+		checkExpressions: []
+	};
+
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ';')) {
+		if (stream.is('KEYWORD', 'NOT') && stream.lookAhead(1).value === 'NULL') {
+			stream.next();
+			stream.next();
+			domain.isNotNull = true;
+		} else if (stream.match('KEYWORD', 'DEFAULT')) {
+			domain.defaultValue = parseDefaultExpression(stream);
+		} else if (stream.match('KEYWORD', 'CHECK')) {
+			if (stream.is('PUNCTUATION', '(')) {
+				domain.checkExpressions?.push(parseParenthesizedExpression(stream));
+			}
+		} else if (stream.is('KEYWORD', 'CONSTRAINT')) {
+			parseConstraintName(stream);
+		} else {
+			stream.next();
+		}
+	}
+
+	stream.match('PUNCTUATION', ';');
+	return domain;
+}
+
+/**
+ * Parse ALTER TYPE (after consuming ALTER TYPE). Applies ADD VALUE to known
+ * enums; other alterations are skipped.
+ * @param {TokenStream} stream
+ * @param {Map<string, UserType>} typeMap
+ */
+function parseAlterType(stream, typeMap) {
+	const { schema, name } = parseQualifiedName(stream);
+	const type = typeMap.get(`${schema}.${name}`);
+
+	if (type?.values && stream.match('KEYWORD', 'ADD') && stream.match('IDENTIFIER', 'value')) {
+		if (stream.match('KEYWORD', 'IF')) {
+			stream.match('KEYWORD', 'NOT');
+			stream.match('KEYWORD', 'EXISTS');
+		}
+		const value = stream.match('STRING');
+		if (value && !type.values.includes(value.value)) {
+			// ADD VALUE 'x' [BEFORE | AFTER 'y']
+			const position = stream.match('IDENTIFIER', 'before') ?? stream.match('IDENTIFIER', 'after');
+			const neighbour = position ? stream.match('STRING') : null;
+			const index = neighbour ? type.values.indexOf(neighbour.value) : -1;
+			if (index === -1) {
+				type.values.push(value.value);
+			} else {
+				type.values.splice(position?.value === 'after' ? index + 1 : index, 0, value.value);
+			}
+		}
+	}
+
+	skipToNextStatement(stream);
+}
+
+/**
+ * Words that end a table reference in FROM/JOIN, so they are not taken as an alias
+ */
+const TABLE_REF_END_WORDS = new Set([
+	'where', 'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'natural', 'on', 'using',
+	'group', 'order', 'having', 'limit', 'offset', 'union', 'intersect', 'except', 'window',
+	'fetch', 'for', 'tablesample'
+]);
+
+/**
+ * Words that end the SELECT list at the top level of a query
+ */
+const SELECT_LIST_END_WORDS = new Set(['where', 'group', 'order', 'limit', 'union', 'intersect', 'except', 'having', 'window']);
+
+/**
+ * Check whether the stream (just after CREATE) starts a view definition:
+ * [OR REPLACE] [TEMP | TEMPORARY] [RECURSIVE] VIEW or MATERIALIZED VIEW
+ * @param {TokenStream} stream
+ * @returns {boolean}
+ */
+function isCreateView(stream) {
+	for (let i = 0; i < 5; i++) {
+		const token = stream.lookAhead(i);
+		if (token.type !== 'IDENTIFIER') {
+			return false;
+		}
+		if (token.value === 'view') {
+			return true;
+		}
+		if (!['or', 'replace', 'temp', 'temporary', 'recursive', 'materialized'].includes(token.value)) {
+			return false;
+		}
+	}
+	return false;
+}
+
+/**
+ * Check whether a token can name a table, column or alias
+ * @param {Token | undefined} token
+ * @returns {boolean}
+ */
+function isIdentifierToken(token) {
+	return token?.type === 'IDENTIFIER' || token?.type === 'QUOTED_IDENTIFIER';
+}
+
+/**
+ * Parse CREATE [MATERIALIZED] VIEW (after consuming CREATE). The view becomes
+ * a Table with its output columns (where derivable from the SELECT list) and
+ * the tables it reads in FROM/JOIN clauses as dependencies.
+ * @param {TokenStream} stream
+ * @param {Map<string, Table>} tableMap - Tables and views parsed so far, for column types
+ * @returns {Table | null}
+ */
+function parseCreateView(stream, tableMap) {
+	let isMaterialized = false;
+	while (!stream.is('IDENTIFIER', 'view')) {
+		if (stream.next().value === 'materialized') {
+			isMaterialized = true;
+		}
+	}
+	stream.next(); // consume VIEW
+
+	if (stream.is('KEYWORD', 'IF')) {
+		stream.next();
+		stream.match('KEYWORD', 'NOT');
+		stream.match('KEYWORD', 'EXISTS');
+	}
+
+	const { schema, name } = parseQualifiedName(stream);
+	const qualifiedName = `${schema}.${name}`;
+	const declaredColumns = parseColumnList(stream);
+
+	// Skip USING, WITH (options), TABLESPACE up to AS
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ';') && !stream.is('KEYWORD', 'AS')) {
+		if (stream.is('PUNCTUATION', '(')) {
+			parseParenthesizedExpression(stream);
+		} else {
+			stream.next();
+		}
+	}
+	if (!stream.match('KEYWORD', 'AS')) {
+		skipToNextStatement(stream);
+		return null;
+	}
+
+	/** @type {Token[]} */
+	const query = [];
+	let parenDepth = 0;
+	while (!stream.isEOF() && !(parenDepth === 0 && stream.is('PUNCTUATION', ';'))) {
+		const token = stream.next();
+		if (token.type === 'PUNCTUATION' && token.value === '(') parenDepth++;
+		if (token.type === 'PUNCTUATION' && token.value === ')') parenDepth--;
+		query.push(token);
+	}
+	stream.match('PUNCTUATION', ';');
+
+	const { references, selectItems } = analyzeViewQuery(query);
+
+	/** @type {Map<string, Table>} */
+	const aliasMap = new Map();
+	for (const ref of references) {
+		const table = tableMap.get(ref.qualifiedName);
+		if (table && ref.isTopLevel) {
+			aliasMap.set(ref.alias, table);
+		}
+	}
+	const fromTables = [...new Set(aliasMap.values())];
+
+	/** @type {Column[]} */
+	const columns = [];
+	for (const item of selectItems) {
+		for (const output of deriveOutputColumns(item, aliasMap, fromTables)) {
+			columns.push({ name: output.name, type: output.type, isPrimaryKey: false, isNullable: true, isUnique: false });
+		}
+	}
+	// An explicit column list renames the leading output columns
+	declaredColumns.forEach((columnName, i) => {
+		if (columns[i]) {
+			columns[i].name = columnName;
+		} else {
+			columns.push({ name: columnName, type: '', isPrimaryKey: false, isNullable: true, isUnique: false });
+		}
+	});
+
+	const dependencies = [...new Set(references.map((r) => r.qualifiedName))].filter((d) => d !== qualifiedName);
+
+	return {
+		schema,
+		name,
+		qualifiedName,
+		columns,
+		kind: isMaterialized ? 'materialized view' : 'view',
+		dependencies,
+		indexes: [],
+		constraints: []
+	};
+}
+
+/**
+ * @typedef {Object} TableReference
+ * @property {string} qualifiedName
+ * @property {string} alias - Alias, or the bare table name when none is given
+ * @property {boolean} isTopLevel - Whether it is in the outermost query's FROM clause
+ */
+
+/**
+ * Find the table references and top-level SELECT list items of a view query.
+ * FROM/JOIN are only honoured at query level (not inside function calls such
+ * as EXTRACT(YEAR FROM x)), and names defined by WITH are not tables.
+ * @param {Token[]} query
+ * @returns {{ references: TableReference[], selectItems: Token[][] }}
+ */
+function analyzeViewQuery(query) {
+	/** @type {TableReference[]} */
+	const references = [];
+	/** @type {Set<string>} */
+	const cteNames = new Set();
+	/** @type {Token[][]} */
+	const selectItems = [];
+
+	// Each open parenthesis records whether it starts a subquery
+	/** @type {boolean[]} */
+	const parens = [];
+	let inSelectList = false;
+	let seenTopSelect = false;
+	/** @type {Token[]} */
+	let currentItem = [];
+
+	// WITH name [(cols)] AS (...), ...: remember CTE names
+	if (query[0]?.type === 'KEYWORD' && query[0].value === 'WITH') {
+		let depth = 0;
+		for (let i = 1; i < query.length; i++) {
+			const token = query[i];
+			if (token.value === '(') depth++;
+			if (token.value === ')') depth--;
+			if (depth === 0 && isIdentifierToken(token) && (query[i + 1]?.value === 'AS' || query[i + 1]?.value === '(')) {
+				cteNames.add(token.value);
+			}
+			if (depth === 0 && token.type === 'KEYWORD' && token.value === 'SELECT') {
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Parse one table reference starting at index i
+	 * @param {number} i
+	 * @returns {number} - Index after the reference
+	 */
+	const parseReference = (i) => {
+		if (query[i]?.type === 'IDENTIFIER' && query[i].value === 'lateral') i++;
+		if (query[i]?.type === 'IDENTIFIER' && query[i].value === 'only') i++;
+		if (!isIdentifierToken(query[i])) return i;
+
+		let schema = 'public';
+		let name = query[i].value;
+		i++;
+		if (query[i]?.value === '.' && isIdentifierToken(query[i + 1])) {
+			schema = name;
+			name = query[i + 1].value;
+			i += 2;
+		}
+		// A following parenthesis means a set-returning function, not a table
+		if (query[i]?.value === '(') return i;
+
+		let alias = name;
+		if (query[i]?.type === 'KEYWORD' && query[i].value === 'AS') i++;
+		if (isIdentifierToken(query[i]) && !TABLE_REF_END_WORDS.has(query[i].value)) {
+			alias = query[i].value;
+			i++;
+		}
+
+		if (schema !== 'public' || !cteNames.has(name)) {
+			references.push({ qualifiedName: `${schema}.${name}`, alias, isTopLevel: parens.length === 0 });
+		}
+		return i;
+	};
+
+	for (let i = 0; i < query.length; i++) {
+		const token = query[i];
+
+		if (token.type === 'PUNCTUATION' && token.value === '(') {
+			const next = query[i + 1];
+			parens.push(next?.type === 'KEYWORD' && (next.value === 'SELECT' || next.value === 'WITH'));
+			if (inSelectList) currentItem.push(token);
+			continue;
+		}
+		if (token.type === 'PUNCTUATION' && token.value === ')') {
+			parens.pop();
+			if (inSelectList) currentItem.push(token);
+			continue;
+		}
+
+		if (parens.length === 0 && !seenTopSelect && token.type === 'KEYWORD' && token.value === 'SELECT') {
+			seenTopSelect = true;
+			inSelectList = true;
+			// Skip DISTINCT [ON (...)] / ALL
+			if (query[i + 1]?.value === 'distinct' || query[i + 1]?.value === 'all') {
+				i++;
+				if (query[i + 1]?.value === 'on' && query[i + 2]?.value === '(') {
+					let depth = 0;
+					for (i += 2; i < query.length; i++) {
+						if (query[i].value === '(') depth++;
+						if (query[i].value === ')' && --depth === 0) break;
+					}
 				}
 			}
+			continue;
+		}
+
+		const isFrom = token.type === 'KEYWORD' && token.value === 'FROM';
+		const isJoin = token.type === 'IDENTIFIER' && token.value === 'join';
+
+		if (inSelectList) {
+			const endsList = parens.length === 0 && (isFrom || (token.type === 'IDENTIFIER' && SELECT_LIST_END_WORDS.has(token.value)));
+			const endsItem = parens.length === 0 && token.type === 'PUNCTUATION' && token.value === ',';
+			if (!endsList && !endsItem) {
+				currentItem.push(token);
+				continue;
+			}
+			if (currentItem.length > 0) selectItems.push(currentItem);
+			currentItem = [];
+			if (endsItem) continue;
+			inSelectList = false;
+		}
+
+		if ((isFrom || isJoin) && (parens.length === 0 || parens[parens.length - 1])) {
+			let j = parseReference(i + 1);
+			// FROM a, b, c
+			while (isFrom && query[j]?.type === 'PUNCTUATION' && query[j].value === ',') {
+				j = parseReference(j + 1);
+			}
+			i = j - 1;
 		}
 	}
+	if (inSelectList && currentItem.length > 0) {
+		selectItems.push(currentItem);
+	}
+
+	return { references, selectItems };
+}
+
+/**
+ * Derive the output column(s) of one SELECT list item, following PostgreSQL's
+ * naming: explicit alias, column name, function name, else "?column?".
+ * Types come from referenced columns and casts where possible.
+ * @param {Token[]} item
+ * @param {Map<string, Table>} aliasMap - FROM-clause aliases of known tables
+ * @param {Table[]} fromTables - Known tables in the FROM clause, in order
+ * @returns {{ name: string, type: string }[]}
+ */
+function deriveOutputColumns(item, aliasMap, fromTables) {
+	const last = item[item.length - 1];
+	const previous = item[item.length - 2];
+
+	// * and alias.*
+	if (last.type === 'OPERATOR' && last.value === '*' && (item.length === 1 || previous.value === '.')) {
+		const sources = item.length === 1 ? fromTables : [aliasMap.get(item[0].value)];
+		return sources.flatMap((t) => t?.columns.map((c) => ({ name: c.name, type: c.type })) ?? []);
+	}
+
+	/**
+	 * Look up the type of a referenced column
+	 * @param {string} column
+	 * @param {string} [alias]
+	 * @returns {string}
+	 */
+	const lookupType = (column, alias) => {
+		const candidates = alias ? [aliasMap.get(alias)] : fromTables;
+		for (const table of candidates) {
+			const found = table?.columns.find((c) => c.name === column);
+			if (found) return found.type;
+		}
+		return '';
+	};
+
+	// expr AS alias (the alias may be a keyword)
+	if (item.length > 2 && previous.type === 'KEYWORD' && previous.value === 'AS') {
+		const inner = deriveOutputColumns(item.slice(0, -2), aliasMap, fromTables);
+		const name = last.type === 'KEYWORD' ? last.value.toLowerCase() : last.value;
+		return [{ name, type: inner.length === 1 ? inner[0].type : '' }];
+	}
+
+	// CASE ... END is named "case"
+	if (item[0].type === 'IDENTIFIER' && item[0].value === 'case' && last.type === 'IDENTIFIER' && last.value === 'end') {
+		return [{ name: 'case', type: '' }];
+	}
+
+	// expr alias
+	if (isIdentifierToken(last) && item.length > 1 && previous.value !== '.' && previous.value !== '::') {
+		const inner = deriveOutputColumns(item.slice(0, -1), aliasMap, fromTables);
+		return [{ name: last.value, type: inner.length === 1 ? inner[0].type : '' }];
+	}
+
+	// expr::type
+	const castIndex = item.findLastIndex((t) => t.type === 'OPERATOR' && t.value === '::');
+	if (castIndex > 0) {
+		const inner = deriveOutputColumns(item.slice(0, castIndex), aliasMap, fromTables);
+		const castType = item.slice(castIndex + 1).map((t) => t.value.toLowerCase()).join(' ');
+		return [{ name: inner.length === 1 ? inner[0].name : '?column?', type: castType }];
+	}
 
-	return { tables, foreignKeys, errors };
+	// column or alias.column
+	if (item.length === 1 && isIdentifierToken(last)) {
+		return [{ name: last.value, type: lookupType(last.value) }];
+	}
+	if (item.length === 3 && isIdentifierToken(item[0]) && item[1].value === '.' && isIdentifierToken(last)) {
+		return [{ name: last.value, type: lookupType(last.value, item[0].value) }];
+	}
+
+	// Function call: PostgreSQL names the column after the function
+	if (isIdentifierToken(item[0]) && item[1]?.value === '(' && last.value === ')') {
+		return [{ name: item[0].value, type: '' }];
+	}
+	return [{ name: '?column?', type: '' }];
 }
 
 /**
@@ -133,11 +728,13 @@ function parseCreateTable(stream, foreignKeys, tableMap, errors) {
 
 	/** @type {Column[]} */
 	const columns = [];
+	/** @type {TableConstraint[]} */
+	const constraints = [];
 
 	// Parse columns
 	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
 		try {
-			// Check for table-level constraint (skip it)
+			// Check for table-level constraint
 			if (
 				stream.is('KEYWORD', 'CONSTRAINT') ||
 				stream.is('KEYWORD', 'PRIMARY') ||
@@ -145,6 +742,18 @@ function parseCreateTable(stream, foreignKeys, tableMap, errors) {
 				stream.is('KEYWORD', 'UNIQUE') ||
 				stream.is('KEYWORD', 'CHECK')
 			) {
+				const constraintName = parseConstraintName(stream);
+				if (stream.is('KEYWORD', 'FOREIGN')) {
+					const fk = parseForeignKeyConstraint(stream, qualifiedName, tableMap, errors, constraintName);
+					if (fk) {
+						foreignKeys.push(fk);
+					}
+				} else {
+					const constraint = parseTableConstraint(stream, constraintName);
+					if (constraint) {
+						constraints.push(constraint);
+					}
+				}
 				skipTableConstraint(stream);
 			} else {
 				const column = parseColumn(stream, qualifiedName, foreignKeys, tableMap, errors);
@@ -174,12 +783,227 @@ function parseCreateTable(stream, foreignKeys, tableMap, errors) {
 	}
 	stream.match('PUNCTUATION', ';');
 
-	return {
+	/** @type {Table} */
+	const table = {
 		schema,
 		name,
 		qualifiedName,
-		columns
+		columns,
+		indexes: [],
+		constraints: []
 	};
+	for (const constraint of constraints) {
+		addTableConstraint(table, constraint);
+	}
+	return table;
+}
+
+/**
+ * Parse a table-level PRIMARY KEY (cols), UNIQUE (cols) or CHECK (expr).
+ * Trailing clauses (INCLUDE, WITH, USING INDEX ..., NOT VALID) are left on
+ * the stream for the caller to skip.
+ * @param {TokenStream} stream - Positioned after any CONSTRAINT name
+ * @param {string} [constraintName]
+ * @returns {TableConstraint | null} - Null for other constraint kinds (e.g. EXCLUDE)
+ */
+function parseTableConstraint(stream, constraintName) {
+	/** @type {TableConstraint} */
+	let constraint;
+	if (stream.match('KEYWORD', 'PRIMARY')) {
+		stream.expect('KEYWORD', 'KEY');
+		constraint = { kind: 'PRIMARY KEY', columns: parseColumnList(stream) };
+	} else if (stream.match('KEYWORD', 'UNIQUE')) {
+		// NULLS [NOT] DISTINCT
+		while (stream.is('IDENTIFIER', 'nulls') || stream.is('KEYWORD', 'NOT') || stream.is('IDENTIFIER', 'distinct')) {
+			stream.next();
+		}
+		constraint = { kind: 'UNIQUE', columns: parseColumnList(stream) };
+	} else if (stream.match('KEYWORD', 'CHECK')) {
+		constraint = { kind: 'CHECK', columns: [], expression: parseParenthesizedExpression(stream) };
+	} else {
+		return null;
+	}
+	if (constraintName) {
+		constraint.name = constraintName;
+	}
+	return constraint;
+}
+
+/**
+ * Record a table-level constraint and reflect it on the columns it covers:
+ * PRIMARY KEY columns become NOT NULL primary keys, a single-column UNIQUE
+ * marks that column unique.
+ * @param {Table} table
+ * @param {TableConstraint} constraint
+ */
+function addTableConstraint(table, constraint) {
+	table.constraints.push(constraint);
+	for (const columnName of constraint.columns) {
+		const column = table.columns.find((c) => c.name === columnName);
+		if (!column) {
+			continue;
+		}
+		if (constraint.kind === 'PRIMARY KEY') {
+			column.isPrimaryKey = true;
+			column.isNullable = false;
+		} else if (constraint.kind === 'UNIQUE' && constraint.columns.length === 1) {
+			column.isUnique = true;
+		}
+	}
+}
+
+/**
+ * @typedef {Object} ObjectComment
+ * @property {string} tableName - Qualified name of the table or view
+ * @property {string} [columnName] - Set for COMMENT ON COLUMN
+ * @property {string | null} text - Null for IS NULL, which removes the comment
+ */
+
+/**
+ * Parse COMMENT ON TABLE | VIEW | MATERIALIZED VIEW | COLUMN ... IS 'text'
+ * (after consuming COMMENT ON). Comments on other objects are skipped.
+ * @param {TokenStream} stream
+ * @returns {ObjectComment | null}
+ */
+function parseComment(stream) {
+	const isColumn = stream.is('IDENTIFIER', 'column');
+	const isTable = stream.is('KEYWORD', 'TABLE') || stream.is('IDENTIFIER', 'view') || stream.is('IDENTIFIER', 'materialized');
+	if (!isColumn && !isTable) {
+		skipToNextStatement(stream);
+		return null;
+	}
+	stream.next();
+	stream.match('IDENTIFIER', 'view'); // MATERIALIZED VIEW
+
+	/** @type {string[]} */
+	const parts = [];
+	do {
+		const part = parseIdentifier(stream);
+		if (part === null) {
+			break;
+		}
+		parts.push(part);
+	} while (stream.match('PUNCTUATION', '.'));
+
+	if (!stream.match('IDENTIFIER', 'is')) {
+		skipToNextStatement(stream);
+		return null;
+	}
+	const text = stream.match('KEYWORD', 'NULL') ? null : stream.expect('STRING').value;
+	stream.match('PUNCTUATION', ';');
+
+	if (isColumn) {
+		// [schema.]table.column
+		if (parts.length < 2) {
+			return null;
+		}
+		const columnName = /** @type {string} */ (parts.pop());
+		const tableName = parts.length === 1 ? `public.${parts[0]}` : `${parts[0]}.${parts[1]}`;
+		return { tableName, columnName, text };
+	}
+	const tableName = parts.length === 1 ? `public.${parts[0]}` : `${parts[0]}.${parts[1]}`;
+	return { tableName, text };
+}
+
+/**
+ * Parse CREATE [UNIQUE] INDEX (after consuming CREATE). The index is returned
+ * with the table it belongs to so it can be attached once all tables are known.
+ * Malformed statements are skipped up to their semicolon.
+ * @param {TokenStream} stream
+ * @returns {{ tableName: string, index: Index } | null}
+ */
+function parseCreateIndex(stream) {
+	const isUnique = !!stream.match('KEYWORD', 'UNIQUE');
+	if (!stream.match('IDENTIFIER', 'index')) {
+		skipToNextStatement(stream);
+		return null;
+	}
+	stream.match('IDENTIFIER', 'concurrently');
+
+	if (stream.is('KEYWORD', 'IF')) {
+		stream.next();
+		stream.match('KEYWORD', 'NOT');
+		stream.match('KEYWORD', 'EXISTS');
+	}
+
+	// The name is optional: CREATE INDEX ON t (...)
+	const name = stream.is('IDENTIFIER', 'on') ? null : parseIdentifier(stream);
+	if (!stream.match('IDENTIFIER', 'on')) {
+		skipToNextStatement(stream);
+		return null;
+	}
+	stream.match('IDENTIFIER', 'only');
+	const { schema, name: tableName } = parseQualifiedName(stream);
+
+	const method = stream.match('IDENTIFIER', 'using') ? parseIdentifier(stream)?.toLowerCase() : undefined;
+
+	const columns = parseIndexColumns(stream);
+	if (!columns) {
+		skipToNextStatement(stream);
+		return null;
+	}
+
+	/** @type {Index} */
+	const index = { columns, isUnique };
+	if (name) {
+		index.name = name;
+	}
+	if (method && method !== 'btree') {
+		index.method = method;
+	}
+
+	// Skip INCLUDE, NULLS [NOT] DISTINCT, WITH (...), TABLESPACE up to WHERE
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ';')) {
+		if (stream.is('PUNCTUATION', '(')) {
+			parseParenthesizedExpression(stream);
+		} else if (stream.match('IDENTIFIER', 'where')) {
+			const start = stream.save();
+			while (!stream.isEOF() && !stream.is('PUNCTUATION', ';')) {
+				stream.next();
+			}
+			index.where = stream.sourceText(start, stream.save());
+		} else {
+			stream.next();
+		}
+	}
+	stream.match('PUNCTUATION', ';');
+
+	return { tableName: `${schema}.${tableName}`, index };
+}
+
+/**
+ * Parse the parenthesized element list of CREATE INDEX. Plain columns are
+ * returned by name; expressions such as lower(email) or (a + b) as written.
+ * Collations, operator classes and ordering options are skipped.
+ * @param {TokenStream} stream
+ * @returns {string[] | null} Null when the list does not start with "("
+ */
+function parseIndexColumns(stream) {
+	if (!stream.match('PUNCTUATION', '(')) {
+		return null;
+	}
+	/** @type {string[]} */
+	const columns = [];
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		const start = stream.save();
+		const next = stream.lookAhead(1);
+		if (stream.is('PUNCTUATION', '(') || (next.type === 'PUNCTUATION' && next.value === '(')) {
+			if (!stream.is('PUNCTUATION', '(')) {
+				stream.next(); // function name
+			}
+			parseParenthesizedExpression(stream);
+			columns.push(stream.sourceText(start, stream.save()));
+		} else {
+			const column = parseIdentifier(stream);
+			if (column) {
+				columns.push(column);
+			}
+		}
+		skipToColumnEnd(stream);
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+	return columns;
 }
 
 /**
@@ -245,13 +1069,23 @@ function parseColumn(stream, qualifiedTableName, foreignKeys, tableMap, errors)
 	const type = parseColumnType(stream);
 
 	// Parse column modifiers, including inline REFERENCES
-	parseColumnModifiers(stream, qualifiedTableName, name, foreignKeys, tableMap, errors);
+	const modifiers = parseColumnModifiers(stream, qualifiedTableName, name, foreignKeys, tableMap, errors);
 
-	return {
+	/** @type {Column} */
+	const column = {
 		name,
 		type,
-		isPrimaryKey: false
+		isPrimaryKey: modifiers.isPrimaryKey,
+		isNullable: !modifiers.isNotNull && !modifiers.isPrimaryKey && !SERIAL_TYPES.has(type),
+		isUnique: modifiers.isUnique
 	};
+	if (modifiers.defaultValue !== undefined) {
+		column.defaultValue = modifiers.defaultValue;
+	}
+	if (modifiers.checkExpression !== undefined) {
+		column.checkExpression = modifiers.checkExpression;
+	}
+	return column;
 }
 
 /**
@@ -260,41 +1094,38 @@ function parseColumn(stream, qualifiedTableName, foreignKeys, tableMap, errors)
  * @returns {string}
  */
 function parseColumnType(stream) {
-	const parts = [];
-
 	// Get first part of type
 	const firstPart = parseTypePart(stream);
 	if (!firstPart) {
 		return 'unknown';
 	}
-	parts.push(firstPart);
+	let type = firstPart;
 
-	// Handle parenthesized arguments like varchar(255) or decimal(10,2)
-	if (stream.is('PUNCTUATION', '(')) {
-		parts.push(parseParenthesizedArgs(stream));
-	}
-
-	// Handle array brackets
-	if (stream.is('PUNCTUATION', '[')) {
-		stream.next(); // [
-		stream.match('PUNCTUATION', ']');
-		parts.push('[]');
-	}
-
-	// Handle multi-word types (timestamp with time zone, character varying, etc.)
 	while (!stream.isEOF()) {
 		const token = stream.peek();
 
-		// Check if this is a type continuation keyword
-		if (token.type === 'KEYWORD' && TYPE_CONTINUATION_KEYWORDS.has(token.value)) {
+		if (token.type === 'PUNCTUATION' && token.value === '(') {
+			// Parenthesized arguments like varchar(255), decimal(10,2) or timestamp(3)
+			type += parseParenthesizedArgs(stream);
+		} else if (token.type === 'PUNCTUATION' && token.value === '[') {
+			// Array brackets, with an optional (ignored) size
+			stream.next(); // [
+			stream.match('NUMBER');
+			stream.match('PUNCTUATION', ']');
+			type += '[]';
+		} else if (
+			(token.type === 'KEYWORD' && TYPE_CONTINUATION_KEYWORDS.has(token.value)) ||
+			(token.type === 'IDENTIFIER' && token.value === 'precision')
+		) {
+			// Multi-word types (timestamp with time zone, character varying, double precision)
 			stream.next();
-			parts.push(token.value.toLowerCase());
+			type += ` ${token.value.toLowerCase()}`;
 		} else {
 			break;
 		}
 	}
 
-	return parts.join(' ').replace(/ \[\]$/, '[]').replace(/ \(/g, '(').replace(/\) /g, ')');
+	return type;
 }
 
 /**
@@ -308,8 +1139,13 @@ function parseTypePart(stream) {
 		stream.next();
 		return token.value.toLowerCase();
 	}
-	if (token.type === 'IDENTIFIER') {
+	if (token.type === 'IDENTIFIER' || token.type === 'QUOTED_IDENTIFIER') {
 		stream.next();
+		// Schema-qualified user-defined type, e.g. app.status
+		if (stream.is('PUNCTUATION', '.') && ['IDENTIFIER', 'QUOTED_IDENTIFIER'].includes(stream.lookAhead(1).type)) {
+			stream.next(); // .
+			return `${token.value}.${stream.next().value}`;
+		}
 		return token.value;
 	}
 	return null;
@@ -349,16 +1185,45 @@ function parseParenthesizedArgs(stream) {
 }
 
 /**
- * Parse column modifiers, extracting inline REFERENCES if present
+ * Keywords that start a new column constraint (and so end a DEFAULT expression)
+ */
+const COLUMN_CONSTRAINT_KEYWORDS = new Set([
+	'NOT',
+	'NULL',
+	'DEFAULT',
+	'GENERATED',
+	'CONSTRAINT',
+	'PRIMARY',
+	'REFERENCES',
+	'UNIQUE',
+	'CHECK'
+]);
+
+/**
+ * @typedef {Object} ColumnModifiers
+ * @property {boolean} isPrimaryKey
+ * @property {boolean} isNotNull
+ * @property {boolean} isUnique
+ * @property {string} [defaultValue]
+ * @property {string} [checkExpression]
+ */
+
+/**
+ * Parse column modifiers: NOT NULL, DEFAULT, UNIQUE, CHECK, PRIMARY KEY and inline REFERENCES
  * @param {TokenStream} stream
  * @param {string} qualifiedTableName - The qualified name of the table containing this column
  * @param {string} columnName - The name of this column
  * @param {ForeignKey[]} foreignKeys - Array to add inline foreign keys to
  * @param {Map<string, Table>} tableMap - Map of already-parsed tables for PK resolution
  * @param {ParseError[]} errors - Array to add errors to
+ * @returns {ColumnModifiers}
  */
 function parseColumnModifiers(stream, qualifiedTableName, columnName, foreignKeys, tableMap, errors) {
+	/** @type {ColumnModifiers} */
+	const modifiers = { isPrimaryKey: false, isNotNull: false, isUnique: false };
 	let parenDepth = 0;
+	/** @type {string | undefined} */
+	let constraintName;
 
 	while (!stream.isEOF()) {
 		const token = stream.peek();
@@ -375,12 +1240,48 @@ function parseColumnModifiers(stream, qualifiedTableName, columnName, foreignKey
 					// End of column list
 					break;
 				}
-			} else if (token.value === ',' && parenDepth === 0) {
-				// End of this column
+			} else if ((token.value === ',' || token.value === ';') && parenDepth === 0) {
+				// End of this column (or of ALTER TABLE ... ADD COLUMN)
 				break;
 			} else {
 				stream.next();
 			}
+		} else if (token.type === 'KEYWORD' && parenDepth === 0 && token.value === 'NOT' && stream.lookAhead(1).type === 'KEYWORD' && stream.lookAhead(1).value === 'NULL') {
+			stream.next(); // NOT
+			stream.next(); // NULL
+			modifiers.isNotNull = true;
+		} else if (token.type === 'KEYWORD' && parenDepth === 0 && token.value === 'DEFAULT') {
+			stream.next(); // consume DEFAULT
+			modifiers.defaultValue = parseDefaultExpression(stream);
+		} else if (token.type === 'KEYWORD' && parenDepth === 0 && token.value === 'UNIQUE') {
+			stream.next();
+			modifiers.isUnique = true;
+		} else if (token.type === 'KEYWORD' && parenDepth === 0 && token.value === 'PRIMARY') {
+			stream.next();
+			if (stream.match('KEYWORD', 'KEY')) {
+				modifiers.isPrimaryKey = true;
+			}
+		} else if (token.type === 'KEYWORD' && parenDepth === 0 && token.value === 'CONSTRAINT') {
+			// Name applies to the constraint that follows; only inline REFERENCES keeps it
+			const name = parseConstraintName(stream);
+			constraintName = stream.is('KEYWORD', 'REFERENCES') ? name : undefined;
+		} else if (token.type === 'KEYWORD' && parenDepth === 0 && token.value === 'GENERATED') {
+			// GENERATED { ALWAYS | BY DEFAULT } AS IDENTITY implies NOT NULL;
+			// GENERATED ALWAYS AS (expr) STORED does not
+			stream.next();
+			stream.match('KEYWORD', 'ALWAYS');
+			if (stream.match('IDENTIFIER', 'by')) {
+				stream.match('KEYWORD', 'DEFAULT');
+			}
+			stream.match('KEYWORD', 'AS');
+			if (stream.match('KEYWORD', 'IDENTITY')) {
+				modifiers.isNotNull = true;
+			}
+		} else if (token.type === 'KEYWORD' && parenDepth === 0 && token.value === 'CHECK') {
+			stream.next(); // consume CHECK
+			if (stream.is('PUNCTUATION', '(')) {
+				modifiers.checkExpression = parseParenthesizedExpression(stream);
+			}
 		} else if (token.type === 'KEYWORD' && token.value === 'REFERENCES' && parenDepth === 0) {
 			// Parse inline foreign key reference
 			const fkLine = stream.line();
@@ -403,9 +1304,9 @@ function parseColumnModifiers(stream, qualifiedTableName, columnName, foreignKey
 			if (!targetColumn) {
 				const targetTable = tableMap.get(targetQualifiedName);
 				if (targetTable) {
-					const pkColumns = targetTable.columns.filter((c) => c.isPrimaryKey);
+					const pkColumns = getPrimaryKeyColumns(targetTable);
 					if (pkColumns.length > 0) {
-						targetColumn = pkColumns[0].name;
+						targetColumn = pkColumns[0];
 					} else {
 						errors.push({
 							message: `Inline foreign key references ${targetQualifiedName} which has no primary key`,
@@ -413,19 +1314,88 @@ function parseColumnModifiers(stream, qualifiedTableName, columnName, foreignKey
 						});
 					}
 				}
-				// If target table not found yet, leave targetColumn empty for later resolution
+				// If target table not found yet, leave targetColumns empty for later resolution
+			}
+
+			/** @type {ForeignKey} */
+			const fk = {
+				sourceTable: qualifiedTableName,
+				sourceColumns: [columnName],
+				targetTable: targetQualifiedName,
+				targetColumns: targetColumn ? [targetColumn] : []
+			};
+			if (constraintName) {
+				fk.constraintName = constraintName;
+			}
+			parseReferentialActions(stream, fk);
+			foreignKeys.push(fk);
+		} else {
+			stream.next();
+		}
+	}
+
+	return modifiers;
+}
+
+/**
+ * Parse a DEFAULT expression, stopping at the next column constraint,
+ * comma or closing parenthesis at the top level.
+ * @param {TokenStream} stream
+ * @returns {string} - The expression as written in the source
+ */
+function parseDefaultExpression(stream) {
+	const start = stream.save();
+	let parenDepth = 0;
+
+	while (!stream.isEOF()) {
+		const token = stream.peek();
+		if (parenDepth === 0) {
+			if (token.type === 'PUNCTUATION' && (token.value === ',' || token.value === ')' || token.value === ';')) {
+				break;
 			}
+			// The first token may itself be a keyword (e.g. DEFAULT NULL)
+			if (stream.save() > start && token.type === 'KEYWORD' && COLUMN_CONSTRAINT_KEYWORDS.has(token.value)) {
+				break;
+			}
+		}
+		if (token.type === 'PUNCTUATION' && token.value === '(') {
+			parenDepth++;
+		} else if (token.type === 'PUNCTUATION' && token.value === ')') {
+			parenDepth--;
+		}
+		stream.next();
+	}
 
-			foreignKeys.push({
-				sourceTable: qualifiedTableName,
-				sourceColumn: columnName,
-				targetTable: targetQualifiedName,
-				targetColumn
-			});
-		} else {
-			stream.next();
+	return stream.sourceText(start, stream.save());
+}
+
+/**
+ * Parse a parenthesized expression such as the body of CHECK (...).
+ * The stream must be positioned on the opening parenthesis.
+ * @param {TokenStream} stream
+ * @returns {string} - The expression inside the outer parentheses, as written in the source
+ */
+function parseParenthesizedExpression(stream) {
+	stream.expect('PUNCTUATION', '(');
+	const start = stream.save();
+	let parenDepth = 1;
+
+	while (!stream.isEOF()) {
+		const token = stream.peek();
+		if (token.type === 'PUNCTUATION' && token.value === '(') {
+			parenDepth++;
+		} else if (token.type === 'PUNCTUATION' && token.value === ')') {
+			parenDepth--;
+			if (parenDepth === 0) {
+				break;
+			}
 		}
+		stream.next();
 	}
+
+	const expression = stream.sourceText(start, stream.save());
+	stream.match('PUNCTUATION', ')');
+	return expression;
 }
 
 /**
@@ -536,120 +1506,136 @@ function skipToNextStatement(stream) {
 }
 
 /**
- * Parse ALTER TABLE statement for primary keys and foreign keys
+ * Parse ALTER TABLE statement for constraints, column changes and renames.
+ * Changes apply to the tables parsed so far, so migrations replay in order.
  * @param {TokenStream} stream
- * @param {Map<string, Table>} tableMap
- * @param {ForeignKey[]} foreignKeys
- * @param {ParseError[]} errors
+ * @param {SchemaState} state
  */
-function parseAlterTable(stream, tableMap, foreignKeys, errors) {
+function parseAlterTable(stream, state) {
+	const { tableMap, foreignKeys, errors } = state;
+	if (stream.match('KEYWORD', 'IF')) {
+		stream.match('KEYWORD', 'EXISTS');
+	}
+	// ONLY (as written by pg_dump) excludes inheriting tables, which doesn't change the schema
+	stream.match('IDENTIFIER', 'only');
+
 	const { schema, name } = parseQualifiedName(stream);
 	const qualifiedName = `${schema}.${name}`;
+	const table = tableMap.get(qualifiedName);
 
-	// Look for ADD PRIMARY KEY or ADD FOREIGN KEY
+	// Look for ADD [CONSTRAINT name] PRIMARY KEY / UNIQUE / CHECK / FOREIGN KEY,
+	// ADD / DROP [COLUMN], DROP CONSTRAINT, ALTER [COLUMN] name [SET DATA] TYPE /
+	// SET / DROP DEFAULT / SET / DROP NOT NULL, RENAME and SET SCHEMA
 	while (!stream.isEOF() && !stream.is('PUNCTUATION', ';')) {
-		if (stream.is('KEYWORD', 'ADD')) {
+		if (stream.is('KEYWORD', 'ALTER')) {
 			stream.next();
-
-			// Could be ADD CONSTRAINT name PRIMARY/FOREIGN KEY or ADD PRIMARY/FOREIGN KEY
-			if (stream.is('KEYWORD', 'CONSTRAINT')) {
-				stream.next();
-				parseIdentifier(stream); // constraint name
+			stream.match('IDENTIFIER', 'column');
+			const columnName = parseIdentifier(stream);
+			const column = table?.columns.find((c) => c.name === columnName);
+
+			if (stream.match('KEYWORD', 'SET')) {
+				if (stream.match('KEYWORD', 'DEFAULT')) {
+					const defaultValue = parseDefaultExpression(stream);
+					if (column) {
+						column.defaultValue = defaultValue;
+					}
+				} else if (stream.match('KEYWORD', 'NOT') && stream.match('KEYWORD', 'NULL')) {
+					if (column) {
+						column.isNullable = false;
+					}
+				} else if (stream.match('IDENTIFIER', 'data') && stream.match('IDENTIFIER', 'type')) {
+					parseColumnTypeChange(stream, column);
+				}
+			} else if (stream.match('IDENTIFIER', 'drop')) {
+				if (stream.match('KEYWORD', 'DEFAULT')) {
+					delete column?.defaultValue;
+				} else if (stream.match('KEYWORD', 'NOT') && stream.match('KEYWORD', 'NULL')) {
+					// Primary key columns stay NOT NULL (PostgreSQL refuses the change)
+					if (column && !column.isPrimaryKey) {
+						column.isNullable = true;
+					}
+				}
+			} else if (stream.match('IDENTIFIER', 'type')) {
+				parseColumnTypeChange(stream, column);
+			}
+		} else if (stream.is('KEYWORD', 'SET') && stream.lookAhead(1).type === 'KEYWORD' && stream.lookAhead(1).value === 'SCHEMA') {
+			stream.next(); // SET
+			stream.next(); // SCHEMA
+			const newSchema = parseIdentifier(stream);
+			if (table && newSchema) {
+				renameTable(state, table, newSchema, table.name);
 			}
+		} else if (stream.is('KEYWORD', 'ADD')) {
+			stream.next();
 
-			if (stream.is('KEYWORD', 'PRIMARY')) {
-				stream.next();
-				if (stream.match('KEYWORD', 'KEY')) {
-					// Parse the column list
-					if (stream.match('PUNCTUATION', '(')) {
-						const pkColumns = [];
-						while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
-							const col = parseIdentifier(stream);
-							if (col) {
-								pkColumns.push(col);
-							}
-							stream.match('PUNCTUATION', ',');
-						}
-						stream.match('PUNCTUATION', ')');
-
-						// Mark columns as primary key
-						const table = tableMap.get(qualifiedName);
-						if (table) {
-							for (const pkCol of pkColumns) {
-								const column = table.columns.find((c) => c.name === pkCol);
-								if (column) {
-									column.isPrimaryKey = true;
-								}
-							}
-						}
-					}
+			const constraintName = parseConstraintName(stream);
+
+			if (stream.is('KEYWORD', 'PRIMARY') || stream.is('KEYWORD', 'UNIQUE') || stream.is('KEYWORD', 'CHECK')) {
+				const constraint = parseTableConstraint(stream, constraintName);
+				if (constraint && table) {
+					addTableConstraint(table, constraint);
 				}
 			} else if (stream.is('KEYWORD', 'FOREIGN')) {
-				const fkLine = stream.line();
-				stream.next();
-				if (stream.match('KEYWORD', 'KEY')) {
-					// Parse source column(s)
-					if (stream.match('PUNCTUATION', '(')) {
-						const sourceColumns = [];
-						while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
-							const col = parseIdentifier(stream);
-							if (col) {
-								sourceColumns.push(col);
-							}
-							stream.match('PUNCTUATION', ',');
-						}
-						stream.match('PUNCTUATION', ')');
-
-						// Expect REFERENCES
-						if (stream.match('KEYWORD', 'REFERENCES')) {
-							const { schema: targetSchema, name: targetName } = parseQualifiedName(stream);
-							const targetQualifiedName = `${targetSchema}.${targetName}`;
-
-							// Check for optional target column(s)
-							let targetColumns = [];
-							if (stream.match('PUNCTUATION', '(')) {
-								while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
-									const col = parseIdentifier(stream);
-									if (col) {
-										targetColumns.push(col);
-									}
-									stream.match('PUNCTUATION', ',');
-								}
-								stream.match('PUNCTUATION', ')');
-							}
-
-							// If no target columns specified, resolve to PK
-							if (targetColumns.length === 0) {
-								const targetTable = tableMap.get(targetQualifiedName);
-								if (targetTable) {
-									const pkColumns = targetTable.columns.filter((c) => c.isPrimaryKey);
-									if (pkColumns.length > 0) {
-										targetColumns = pkColumns.map((c) => c.name);
-									} else {
-										errors.push({
-											message: `Foreign key references ${targetQualifiedName} which has no primary key`,
-											line: fkLine
-										});
-									}
-								}
-								// If target table not found, we still create the FK (table might be defined later or external)
-								// but we can't resolve the column
-							}
-
-							// Create FK entries (one per source column if multiple)
-							for (let i = 0; i < sourceColumns.length; i++) {
-								const targetCol = targetColumns[i] || targetColumns[0] || '';
-								if (targetCol || targetColumns.length === 0) {
-									foreignKeys.push({
-										sourceTable: qualifiedName,
-										sourceColumn: sourceColumns[i],
-										targetTable: targetQualifiedName,
-										targetColumn: targetCol
-									});
-								}
-							}
-						}
-					}
+				const fk = parseForeignKeyConstraint(stream, qualifiedName, tableMap, errors, constraintName);
+				if (fk) {
+					foreignKeys.push(fk);
+				}
+			} else if (!constraintName && !stream.is('IDENTIFIER', 'exclude')) {
+				// ADD [COLUMN] [IF NOT EXISTS] name type ...
+				stream.match('IDENTIFIER', 'column');
+				const ifNotExists = !!stream.match('KEYWORD', 'IF');
+				if (ifNotExists) {
+					stream.match('KEYWORD', 'NOT');
+					stream.match('KEYWORD', 'EXISTS');
+				}
+				const column = parseColumn(stream, qualifiedName, foreignKeys, tableMap, errors);
+				if (column && table && !(ifNotExists && table.columns.some((c) => c.name === column.name))) {
+					table.columns.push(column);
+				}
+			}
+		} else if (stream.match('IDENTIFIER', 'drop')) {
+			// DROP CONSTRAINT [IF EXISTS] name, or DROP [COLUMN] [IF EXISTS] name,
+			// either followed by [RESTRICT | CASCADE]
+			if (stream.match('KEYWORD', 'CONSTRAINT')) {
+				if (stream.match('KEYWORD', 'IF')) {
+					stream.match('KEYWORD', 'EXISTS');
+				}
+				const constraintName = parseIdentifier(stream);
+				if (table && constraintName) {
+					dropConstraint(state, table, constraintName);
+				}
+				continue;
+			}
+			stream.match('IDENTIFIER', 'column');
+			if (stream.match('KEYWORD', 'IF')) {
+				stream.match('KEYWORD', 'EXISTS');
+			}
+			const columnName = parseIdentifier(stream);
+			if (table && columnName) {
+				dropColumn(state, table, columnName);
+			}
+		} else if (stream.match('IDENTIFIER', 'rename')) {
+			if (stream.match('IDENTIFIER', 'to')) {
+				// RENAME TO keeps the schema
+				const newName = parseIdentifier(stream);
+				if (table && newName) {
+					renameTable(state, table, table.schema, newName);
+				}
+			} else if (stream.match('KEYWORD', 'CONSTRAINT')) {
+				const oldName = parseIdentifier(stream);
+				stream.match('IDENTIFIER', 'to');
+				const newName = parseIdentifier(stream);
+				if (table && oldName && newName) {
+					renameConstraint(state, table, oldName, newName);
+				}
+			} else {
+				// RENAME [COLUMN] old TO new
+				stream.match('IDENTIFIER', 'column');
+				const oldName = parseIdentifier(stream);
+				stream.match('IDENTIFIER', 'to');
+				const newName = parseIdentifier(stream);
+				if (table && oldName && newName) {
+					renameColumn(state, table, oldName, newName);
 				}
 			}
 		} else {
@@ -661,426 +1647,489 @@ function parseAlterTable(stream, tableMap, foreignKeys, errors) {
 }
 
 /**
- * Template for a new CREATE TABLE statement
+ * Parse the new type of ALTER COLUMN ... [SET DATA] TYPE, with its optional
+ * COLLATE and USING clauses
+ * @param {TokenStream} stream
+ * @param {Column | undefined} column - The altered column, if it exists
  */
-export const CREATE_TABLE_TEMPLATE = `CREATE TABLE schema.table_name (
-  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
-  name TEXT
-);`;
+function parseColumnTypeChange(stream, column) {
+	const type = parseColumnType(stream);
+	if (stream.match('IDENTIFIER', 'collate')) {
+		parseIdentifier(stream);
+	}
+	if (stream.match('IDENTIFIER', 'using')) {
+		parseDefaultExpression(stream);
+	}
+	if (column) {
+		column.type = type;
+	}
+}
 
 /**
- * Generate an ALTER TABLE ADD FOREIGN KEY statement
- * @param {string} sourceTable - Fully qualified source table name
- * @param {string} sourceColumn - Column in the source table
- * @param {string} targetTable - Fully qualified target table name
- * @param {string} targetColumn - Column in the target table
- * @returns {string}
+ * Parse DROP TABLE [IF EXISTS] name [, ...] [CASCADE | RESTRICT] (after
+ * consuming DROP TABLE)
+ * @param {TokenStream} stream
+ * @param {SchemaState} state
  */
-export function generateForeignKeySql(sourceTable, sourceColumn, targetTable, targetColumn) {
-	return `ALTER TABLE ${sourceTable} ADD FOREIGN KEY (${sourceColumn}) REFERENCES ${targetTable} (${targetColumn});`;
+function parseDropTable(stream, state) {
+	if (stream.match('KEYWORD', 'IF')) {
+		stream.match('KEYWORD', 'EXISTS');
+	}
+	do {
+		const { schema, name } = parseQualifiedName(stream);
+		if (name) {
+			dropTable(state, `${schema}.${name}`);
+		}
+	} while (stream.match('PUNCTUATION', ','));
+	skipToNextStatement(stream);
 }
 
 /**
- * Find and remove a foreign key statement from SQL content.
- * Supports both ALTER TABLE ADD FOREIGN KEY and inline REFERENCES in CREATE TABLE.
- * Returns the modified SQL content, or an error if the FK could not be found.
- *
- * @param {string} sqlContent - The full SQL content
- * @param {ForeignKey} fk - The foreign key to remove
- * @returns {{ sql: string } | { error: string }}
+ * Remove a table with its foreign keys (in either direction), and the
+ * indexes and comments waiting to be attached to it.
+ * @param {SchemaState} state
+ * @param {string} qualifiedName
  */
-export function removeForeignKeyStatement(sqlContent, fk) {
-	const [sourceSchema, sourceTableName] = fk.sourceTable.split('.');
-	const [targetSchema, targetTableName] = fk.targetTable.split('.');
-
-	// Build patterns that match either "schema.table" or just "table" (for default schema)
-	// Also handle quoted identifiers like "schema"."table"
-	const sourceTablePattern = buildTableNamePattern(sourceSchema, sourceTableName);
-	const targetTablePattern = buildTableNamePattern(targetSchema, targetTableName);
-
-	// First, try to find ALTER TABLE ... ADD FOREIGN KEY statement
-	// Note: target column (id) is optional in SQL - if omitted, it references the PK
-	const alterTablePattern = new RegExp(
-		`ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?${sourceTablePattern}\\s+ADD\\s+(?:CONSTRAINT\\s+[\\w"]+\\s+)?FOREIGN\\s+KEY\\s*\\(\\s*"?${escapeRegex(fk.sourceColumn)}"?\\s*\\)\\s*REFERENCES\\s+${targetTablePattern}(?:\\s*\\(\\s*"?(?:${escapeRegex(fk.targetColumn)})?"?\\s*\\))?[^;]*;`,
-		'gi'
-	);
-
-	const alterMatches = [...sqlContent.matchAll(alterTablePattern)];
-
-	if (alterMatches.length > 0) {
-		// Remove ALTER TABLE statements from end to start
-		const rangesToRemove = alterMatches
-			.map((m) => ({ start: m.index, end: m.index + m[0].length }))
-			.sort((a, b) => b.start - a.start);
+function dropTable(state, qualifiedName) {
+	const table = state.tableMap.get(qualifiedName);
+	if (!table) {
+		return;
+	}
+	state.tableMap.delete(qualifiedName);
+	state.tables.splice(state.tables.indexOf(table), 1);
+	removeWhere(state.foreignKeys, (fk) => fk.sourceTable === qualifiedName || fk.targetTable === qualifiedName);
+	removeWhere(state.indexes, (i) => i.tableName === qualifiedName);
+	removeWhere(state.comments, (c) => c.tableName === qualifiedName);
+}
 
-		let newSqlContent = sqlContent;
-		for (const range of rangesToRemove) {
-			newSqlContent = removeRangeWithWhitespace(newSqlContent, range.start, range.end);
+/**
+ * Rename a table, or move it to another schema, and follow the new name in
+ * foreign keys and in the indexes and comments waiting to be attached.
+ * @param {SchemaState} state
+ * @param {Table} table
+ * @param {string} schema
+ * @param {string} name
+ */
+function renameTable(state, table, schema, name) {
+	const oldName = table.qualifiedName;
+	const newName = `${schema}.${name}`;
+	table.schema = schema;
+	table.name = name;
+	table.qualifiedName = newName;
+	state.tableMap.delete(oldName);
+	state.tableMap.set(newName, table);
+
+	for (const fk of state.foreignKeys) {
+		if (fk.sourceTable === oldName) {
+			fk.sourceTable = newName;
+		}
+		if (fk.targetTable === oldName) {
+			fk.targetTable = newName;
 		}
-
-		return { sql: newSqlContent.replace(/\n{3,}/g, '\n\n').trim() + '\n' };
 	}
-
-	// Try to find inline REFERENCES in CREATE TABLE
-	// First, find the CREATE TABLE for the source table
-	const createTablePattern = new RegExp(
-		`CREATE\\s+TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${sourceTablePattern}\\s*\\([^;]+\\)\\s*;`,
-		'gis'
-	);
-
-	const createMatch = createTablePattern.exec(sqlContent);
-	if (!createMatch) {
-		return { error: `Could not find CREATE TABLE for ${fk.sourceTable} in the SQL.` };
+	for (const pending of [...state.indexes, ...state.comments]) {
+		if (pending.tableName === oldName) {
+			pending.tableName = newName;
+		}
 	}
+}
 
-	const createTableStart = createMatch.index;
-	const createTableSql = createMatch[0];
-
-	// Find the column definition line that contains our source column and the REFERENCES
-	// Pattern: column_name TYPE ... REFERENCES target
-	const columnWithRefPattern = new RegExp(
-		`("?${escapeRegex(fk.sourceColumn)}"?\\s+[^,)]+?)((?:CONSTRAINT\\s+[\\w"]+\\s+)?REFERENCES\\s+${targetTablePattern}(?:\\s*\\(\\s*"?(?:${escapeRegex(fk.targetColumn)})?"?\\s*\\))?(?:\\s+(?:ON\\s+(?:DELETE|UPDATE)\\s+(?:CASCADE|RESTRICT|NO\\s+ACTION|SET\\s+NULL|SET\\s+DEFAULT)))*)`,
-		'gi'
-	);
-
-	const columnMatch = columnWithRefPattern.exec(createTableSql);
-	if (!columnMatch) {
-		// Try table-level FOREIGN KEY constraint: FOREIGN KEY (column) REFERENCES table (column)
-		// May be preceded by CONSTRAINT name
-		const tableConstraintPattern = new RegExp(
-			`,?\\s*(?:CONSTRAINT\\s+[\\w"]+\\s+)?FOREIGN\\s+KEY\\s*\\(\\s*"?${escapeRegex(fk.sourceColumn)}"?\\s*\\)\\s*REFERENCES\\s+${targetTablePattern}(?:\\s*\\(\\s*"?(?:${escapeRegex(fk.targetColumn)})?"?\\s*\\))?(?:\\s+(?:ON\\s+(?:DELETE|UPDATE)\\s+(?:CASCADE|RESTRICT|NO\\s+ACTION|SET\\s+NULL|SET\\s+DEFAULT)))*`,
-			'gi'
-		);
+/**
+ * Rename a column wherever the table's constraints, indexes, comments and
+ * foreign keys (in either direction) refer to it.
+ * @param {SchemaState} state
+ * @param {Table} table
+ * @param {string} oldName
+ * @param {string} newName
+ */
+function renameColumn(state, table, oldName, newName) {
+	const column = table.columns.find((c) => c.name === oldName);
+	if (!column) {
+		return;
+	}
+	column.name = newName;
 
-		const constraintMatch = tableConstraintPattern.exec(createTableSql);
-		if (!constraintMatch) {
-			return { error: `Could not find FOREIGN KEY definition for column ${fk.sourceColumn} in the SQL.` };
+	/** @param {string[]} columns */
+	const rename = (columns) => columns.map((c) => (c === oldName ? newName : c));
+	for (const fk of state.foreignKeys) {
+		if (fk.sourceTable === table.qualifiedName) {
+			fk.sourceColumns = rename(fk.sourceColumns);
+		}
+		if (fk.targetTable === table.qualifiedName) {
+			fk.targetColumns = rename(fk.targetColumns);
+		}
+	}
+	for (const constraint of table.constraints) {
+		constraint.columns = rename(constraint.columns);
+	}
+	for (const index of [...table.indexes, ...pendingIndexes(state, table)]) {
+		index.columns = rename(index.columns);
+	}
+	for (const comment of state.comments) {
+		if (comment.tableName === table.qualifiedName && comment.columnName === oldName) {
+			comment.columnName = newName;
 		}
-
-		// Remove the table-level constraint
-		const matchStartInCreate = constraintMatch.index;
-		const absoluteStart = createTableStart + matchStartInCreate;
-		const matchLength = constraintMatch[0].length;
-
-		const newSqlContent = sqlContent.slice(0, absoluteStart) + sqlContent.slice(absoluteStart + matchLength);
-		return { sql: newSqlContent.replace(/\n{3,}/g, '\n\n').trim() + '\n' };
 	}
-
-	// Remove just the REFERENCES clause from the column definition
-	const beforeRef = columnMatch[1];
-	const refClause = columnMatch[2];
-	const fullMatch = columnMatch[0];
-
-	// Calculate positions in the original SQL
-	const matchStartInCreate = columnMatch.index;
-	const absoluteStart = createTableStart + matchStartInCreate;
-
-	// Replace the full match with just the part before REFERENCES (trimmed)
-	const replacement = beforeRef.trimEnd();
-	const newSqlContent = sqlContent.slice(0, absoluteStart) + replacement + sqlContent.slice(absoluteStart + fullMatch.length);
-
-	return { sql: newSqlContent.replace(/\n{3,}/g, '\n\n').trim() + '\n' };
 }
 
 /**
- * Add a column to the primary key of a table.
- * If a PK already exists, creates a compound key. Otherwise creates a new PK.
- *
- * @param {string} sqlContent - The full SQL content
- * @param {string} tableName - Qualified table name (schema.table)
- * @param {string} columnName - Column to add to PK
- * @returns {{ sql: string } | { error: string }}
+ * Remove a column with the constraints, indexes, comments and foreign keys
+ * that use it, as PostgreSQL does.
+ * @param {SchemaState} state
+ * @param {Table} table
+ * @param {string} columnName
  */
-export function addPrimaryKeyColumn(sqlContent, tableName, columnName) {
-	const [schema, table] = tableName.split('.');
-	const tablePattern = buildTableNamePattern(schema, table);
+function dropColumn(state, table, columnName) {
+	const index = table.columns.findIndex((c) => c.name === columnName);
+	if (index === -1) {
+		return;
+	}
+	table.columns.splice(index, 1);
+
+	const qualifiedName = table.qualifiedName;
+	removeWhere(
+		state.foreignKeys,
+		(fk) =>
+			(fk.sourceTable === qualifiedName && fk.sourceColumns.includes(columnName)) ||
+			(fk.targetTable === qualifiedName && fk.targetColumns.includes(columnName))
+	);
+	removeWhere(table.constraints, (c) => c.columns.includes(columnName));
+	removeWhere(table.indexes, (i) => i.columns.includes(columnName));
+	removeWhere(state.indexes, (i) => i.tableName === qualifiedName && i.index.columns.includes(columnName));
+	removeWhere(state.comments, (c) => c.tableName === qualifiedName && c.columnName === columnName);
+}
 
-	// First, try to find existing ALTER TABLE ... ADD PRIMARY KEY
-	const alterPkPattern = new RegExp(
-		`(ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?${tablePattern}\\s+ADD\\s+(?:CONSTRAINT\\s+[\\w"]+\\s+)?PRIMARY\\s+KEY\\s*\\()([^)]+)(\\)[^;]*;)`,
-		'gi'
+/**
+ * Remove a constraint by name and undo its effect on the columns. Unnamed
+ * constraints are matched by the name PostgreSQL generates for them
+ * (users_pkey, users_email_key, posts_user_id_fkey).
+ * @param {SchemaState} state
+ * @param {Table} table
+ * @param {string} constraintName
+ */
+function dropConstraint(state, table, constraintName) {
+	/** @param {string[]} columns @param {string} suffix */
+	const generatedName = (columns, suffix) => [table.name, ...columns, suffix].join('_');
+	/** @param {TableConstraint} c */
+	const nameOf = (c) =>
+		c.name ??
+		(c.kind === 'PRIMARY KEY'
+			? generatedName([], 'pkey')
+			: c.kind === 'UNIQUE'
+				? generatedName(c.columns, 'key')
+				: generatedName([], 'check'));
+
+	removeWhere(
+		state.foreignKeys,
+		(fk) =>
+			fk.sourceTable === table.qualifiedName &&
+			(fk.constraintName ?? generatedName(fk.sourceColumns, 'fkey')) === constraintName
 	);
 
-	const alterMatch = alterPkPattern.exec(sqlContent);
-	if (alterMatch) {
-		// Extend existing ALTER TABLE PK with new column
-		const before = alterMatch[1];
-		const existingColumns = alterMatch[2];
-		const after = alterMatch[3];
-		const newColumns = `${existingColumns.trim()}, ${columnName}`;
-		const newStatement = before + newColumns + after;
+	const dropped = table.constraints.filter((c) => nameOf(c) === constraintName);
+	removeWhere(table.constraints, (c) => dropped.includes(c));
 
-		const newSqlContent = sqlContent.slice(0, alterMatch.index) + newStatement + sqlContent.slice(alterMatch.index + alterMatch[0].length);
-		return { sql: newSqlContent.trim() + '\n' };
+	// PRIMARY KEY and UNIQUE declared on a column have no TableConstraint
+	const hasPrimaryKeyConstraint = table.constraints.some((c) => c.kind === 'PRIMARY KEY');
+	const droppedPrimaryKey = dropped.some((c) => c.kind === 'PRIMARY KEY');
+	for (const column of table.columns) {
+		if (droppedPrimaryKey || (!hasPrimaryKeyConstraint && generatedName([], 'pkey') === constraintName)) {
+			column.isPrimaryKey = false;
+		}
+		const droppedUnique = dropped.some((c) => c.kind === 'UNIQUE' && c.columns.length === 1 && c.columns[0] === column.name);
+		if (droppedUnique || generatedName([column.name], 'key') === constraintName) {
+			column.isUnique = false;
+		}
 	}
+}
 
-	// Try to find inline PRIMARY KEY in CREATE TABLE (either column-level or table-level constraint)
-	const createTablePattern = new RegExp(
-		`(CREATE\\s+TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${tablePattern}\\s*\\()([^;]+)(\\)\\s*;)`,
-		'gis'
-	);
-
-	const createMatch = createTablePattern.exec(sqlContent);
-	if (createMatch) {
-		const createStart = createMatch[1];
-		const createBody = createMatch[2];
-		const createEnd = createMatch[3];
-
-		// Check for table-level PRIMARY KEY constraint: PRIMARY KEY (col1, col2)
-		const tablePkPattern = /(,?\s*(?:CONSTRAINT\s+[\w"]+\s+)?PRIMARY\s+KEY\s*\()([^)]+)(\))/gi;
-		const tablePkMatch = tablePkPattern.exec(createBody);
-
-		if (tablePkMatch) {
-			// Extend table-level PK constraint
-			const pkBefore = tablePkMatch[1];
-			const existingColumns = tablePkMatch[2];
-			const pkAfter = tablePkMatch[3];
-			const newColumns = `${existingColumns.trim()}, ${columnName}`;
-			const newBody = createBody.slice(0, tablePkMatch.index) + pkBefore + newColumns + pkAfter + createBody.slice(tablePkMatch.index + tablePkMatch[0].length);
-			const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + newBody + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
-			return { sql: newSqlContent.trim() + '\n' };
-		}
-
-		// Check for column-level PRIMARY KEY on a different column
-		const columnPkPattern = /("?\w+"?\s+[^,)]+?)\s+PRIMARY\s+KEY/gi;
-		const columnPkMatch = columnPkPattern.exec(createBody);
-
-		if (columnPkMatch) {
-			// Convert column-level PK to table-level compound PK
-			// First, find the column name from the match
-			const colDefMatch = /^"?(\w+)"?/.exec(columnPkMatch[1].trim());
-			if (colDefMatch) {
-				const existingPkColumn = colDefMatch[1];
-				// Remove PRIMARY KEY from column definition
-				const newBody = createBody.replace(/(\s+)PRIMARY\s+KEY/i, '');
-				// Add table-level compound PK at the end
-				const trimmedBody = newBody.trimEnd();
-				const hasTrailingComma = trimmedBody.endsWith(',');
-				const bodyWithConstraint = trimmedBody + (hasTrailingComma ? '' : ',') + `\n  PRIMARY KEY (${existingPkColumn}, ${columnName})`;
-				const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + bodyWithConstraint + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
-				return { sql: newSqlContent.trim() + '\n' };
-			}
+/**
+ * Rename a constraint of a table, including its foreign keys.
+ * @param {SchemaState} state
+ * @param {Table} table
+ * @param {string} oldName
+ * @param {string} newName
+ */
+function renameConstraint(state, table, oldName, newName) {
+	for (const constraint of table.constraints) {
+		if (constraint.name === oldName) {
+			constraint.name = newName;
+		}
+	}
+	for (const fk of state.foreignKeys) {
+		if (fk.sourceTable === table.qualifiedName && fk.constraintName === oldName) {
+			fk.constraintName = newName;
 		}
 	}
-
-	// No existing PK found - append ALTER TABLE ADD PRIMARY KEY
-	const alterStatement = `\nALTER TABLE ${tableName} ADD PRIMARY KEY (${columnName});\n`;
-	return { sql: sqlContent.trim() + alterStatement };
 }
 
 /**
- * Remove a column from the primary key of a table.
- * If it's the last column, removes the entire PK constraint.
- *
- * @param {string} sqlContent - The full SQL content
- * @param {string} tableName - Qualified table name (schema.table)
- * @param {string} columnName - Column to remove from PK
- * @returns {{ sql: string } | { error: string }}
+ * Indexes created on a table that are not attached yet
+ * @param {SchemaState} state
+ * @param {Table} table
+ * @returns {Index[]}
  */
-export function removePrimaryKeyColumn(sqlContent, tableName, columnName) {
-	const [schema, table] = tableName.split('.');
-	const tablePattern = buildTableNamePattern(schema, table);
-
-	// First, try to find ALTER TABLE ... ADD PRIMARY KEY
-	const alterPkPattern = new RegExp(
-		`(ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?${tablePattern}\\s+ADD\\s+(?:CONSTRAINT\\s+[\\w"]+\\s+)?PRIMARY\\s+KEY\\s*\\()([^)]+)(\\)[^;]*;)`,
-		'gi'
-	);
-
-	const alterMatch = alterPkPattern.exec(sqlContent);
-	if (alterMatch) {
-		const existingColumns = alterMatch[2]
-			.split(',')
-			.map((c) => c.trim().replace(/^"|"$/g, ''));
+function pendingIndexes(state, table) {
+	return state.indexes.filter((i) => i.tableName === table.qualifiedName).map((i) => i.index);
+}
 
-		if (existingColumns.length === 1) {
-			// Remove entire ALTER TABLE statement
-			return { sql: removeRangeWithWhitespace(sqlContent, alterMatch.index, alterMatch.index + alterMatch[0].length).replace(/\n{3,}/g, '\n\n').trim() + '\n' };
+/**
+ * Remove the items of an array that match a predicate, in place
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => boolean} predicate
+ */
+function removeWhere(items, predicate) {
+	for (let i = items.length - 1; i >= 0; i--) {
+		if (predicate(items[i])) {
+			items.splice(i, 1);
 		}
+	}
+}
 
-		// Remove just the column from the list
-		const newColumns = existingColumns.filter((c) => c.toLowerCase() !== columnName.toLowerCase()).join(', ');
-		const newStatement = alterMatch[1] + newColumns + alterMatch[3];
-		const newSqlContent = sqlContent.slice(0, alterMatch.index) + newStatement + sqlContent.slice(alterMatch.index + alterMatch[0].length);
-		return { sql: newSqlContent.trim() + '\n' };
+/**
+ * Parse an optional CONSTRAINT name prefix
+ * @param {TokenStream} stream
+ * @returns {string | undefined} - The constraint name, if one was given
+ */
+function parseConstraintName(stream) {
+	if (!stream.match('KEYWORD', 'CONSTRAINT')) {
+		return undefined;
 	}
+	return parseIdentifier(stream) ?? undefined;
+}
 
-	// Try to find inline PRIMARY KEY in CREATE TABLE
-	const createTablePattern = new RegExp(
-		`(CREATE\\s+TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${tablePattern}\\s*\\()([^;]+)(\\)\\s*;)`,
-		'gis'
-	);
+/**
+ * Parse a parenthesized list of column names, e.g. (a, b)
+ * @param {TokenStream} stream
+ * @returns {string[]} - Empty if the stream is not on an opening parenthesis
+ */
+function parseColumnList(stream) {
+	/** @type {string[]} */
+	const columns = [];
+	if (!stream.match('PUNCTUATION', '(')) {
+		return columns;
+	}
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		const col = parseIdentifier(stream);
+		if (col) {
+			columns.push(col);
+		} else if (!stream.is('PUNCTUATION', ',')) {
+			stream.next();
+		}
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+	return columns;
+}
 
-	const createMatch = createTablePattern.exec(sqlContent);
-	if (!createMatch) {
-		return { error: `Could not find table ${tableName} in the SQL.` };
+/**
+ * Parse FOREIGN KEY (cols) REFERENCES target [(cols)] as a single constraint.
+ * Target columns default to the target table's primary key; if the target is
+ * not yet known they are left empty and resolved after all tables are parsed.
+ * @param {TokenStream} stream - Positioned on FOREIGN
+ * @param {string} sourceTable - Qualified name of the table that owns the constraint
+ * @param {Map<string, Table>} tableMap
+ * @param {ParseError[]} errors
+ * @param {string} [constraintName]
+ * @returns {ForeignKey | null}
+ */
+function parseForeignKeyConstraint(stream, sourceTable, tableMap, errors, constraintName) {
+	const fkLine = stream.line();
+	stream.expect('KEYWORD', 'FOREIGN');
+	if (!stream.match('KEYWORD', 'KEY')) {
+		return null;
 	}
 
-	const createStart = createMatch[1];
-	const createBody = createMatch[2];
-	const createEnd = createMatch[3];
+	const sourceColumns = parseColumnList(stream);
+	if (sourceColumns.length === 0 || !stream.match('KEYWORD', 'REFERENCES')) {
+		return null;
+	}
 
-	// Check for table-level PRIMARY KEY constraint: PRIMARY KEY (col1, col2)
-	const tablePkPattern = /(,?\s*(?:CONSTRAINT\s+[\w"]+\s+)?PRIMARY\s+KEY\s*\()([^)]+)(\))/gi;
-	const tablePkMatch = tablePkPattern.exec(createBody);
+	const { schema: targetSchema, name: targetName } = parseQualifiedName(stream);
+	const targetQualifiedName = `${targetSchema}.${targetName}`;
 
-	if (tablePkMatch) {
-		const existingColumns = tablePkMatch[2]
-			.split(',')
-			.map((c) => c.trim().replace(/^"|"$/g, ''));
+	// Check for optional target column(s)
+	let targetColumns = parseColumnList(stream);
 
-		if (existingColumns.length === 1) {
-			// Remove entire constraint
-			const newBody = createBody.slice(0, tablePkMatch.index) + createBody.slice(tablePkMatch.index + tablePkMatch[0].length);
-			// Clean up any trailing comma before the removed constraint
-			const cleanedBody = newBody.replace(/,(\s*)$/, '$1');
-			const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + cleanedBody + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
-			return { sql: newSqlContent.replace(/\n{3,}/g, '\n\n').trim() + '\n' };
+	// If no target columns specified, resolve to PK
+	if (targetColumns.length === 0) {
+		const targetTable = tableMap.get(targetQualifiedName);
+		if (targetTable) {
+			const pkColumns = getPrimaryKeyColumns(targetTable);
+			if (pkColumns.length > 0) {
+				targetColumns = pkColumns;
+			} else {
+				errors.push({
+					message: `Foreign key references ${targetQualifiedName} which has no primary key`,
+					line: fkLine
+				});
+			}
 		}
-
-		// Remove just the column from the list
-		const newColumns = existingColumns.filter((c) => c.toLowerCase() !== columnName.toLowerCase()).join(', ');
-		const newBody = createBody.slice(0, tablePkMatch.index) + tablePkMatch[1] + newColumns + tablePkMatch[3] + createBody.slice(tablePkMatch.index + tablePkMatch[0].length);
-		const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + newBody + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
-		return { sql: newSqlContent.trim() + '\n' };
+		// If target table not found, we still create the FK (table might be defined later or external)
 	}
 
-	// Check for column-level PRIMARY KEY
-	const columnPkPattern = new RegExp(
-		`("?${escapeRegex(columnName)}"?\\s+[^,)]+?)\\s+PRIMARY\\s+KEY`,
-		'gi'
-	);
-	const columnPkMatch = columnPkPattern.exec(createBody);
-
-	if (columnPkMatch) {
-		// Remove PRIMARY KEY from the column definition
-		const newBody = createBody.slice(0, columnPkMatch.index) + columnPkMatch[1] + createBody.slice(columnPkMatch.index + columnPkMatch[0].length);
-		const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + newBody + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
-		return { sql: newSqlContent.trim() + '\n' };
+	/** @type {ForeignKey} */
+	const fk = {
+		sourceTable,
+		sourceColumns,
+		targetTable: targetQualifiedName,
+		targetColumns
+	};
+	if (constraintName) {
+		fk.constraintName = constraintName;
 	}
-
-	return { error: `Could not find PRIMARY KEY definition for column ${columnName} in ${tableName}.` };
+	parseReferentialActions(stream, fk);
+	return fk;
 }
 
 /**
- * Remove a range from content, cleaning up surrounding whitespace.
- * @param {string} content
- * @param {number} start
- * @param {number} end
- * @returns {string}
+ * Parse the clauses that may follow REFERENCES target [(cols)], in any order:
+ * ON DELETE / ON UPDATE actions, [NOT] DEFERRABLE, INITIALLY DEFERRED|IMMEDIATE
+ * and MATCH FULL|PARTIAL|SIMPLE. Recognised clauses are recorded on the FK.
+ * @param {TokenStream} stream
+ * @param {ForeignKey} fk
  */
-function removeRangeWithWhitespace(content, start, end) {
-	// Expand to include trailing newlines
-	while (end < content.length && (content[end] === '\n' || content[end] === '\r')) {
-		end++;
+function parseReferentialActions(stream, fk) {
+	while (!stream.isEOF()) {
+		const next = stream.lookAhead(1);
+		if (stream.is('IDENTIFIER', 'on') && next.type === 'IDENTIFIER' && (next.value === 'delete' || next.value === 'update')) {
+			stream.next(); // ON
+			stream.next(); // DELETE | UPDATE
+			const action = parseReferentialAction(stream);
+			if (action && next.value === 'delete') {
+				fk.onDelete = action;
+			} else if (action) {
+				fk.onUpdate = action;
+			}
+		} else if (stream.match('IDENTIFIER', 'deferrable')) {
+			fk.deferrable = true;
+		} else if (stream.is('KEYWORD', 'NOT') && next.type === 'IDENTIFIER' && next.value === 'deferrable') {
+			stream.next(); // NOT
+			stream.next(); // DEFERRABLE
+		} else if (stream.match('IDENTIFIER', 'initially')) {
+			if (stream.match('IDENTIFIER', 'deferred')) {
+				fk.initiallyDeferred = true;
+			} else {
+				stream.match('IDENTIFIER', 'immediate');
+			}
+		} else if (stream.match('IDENTIFIER', 'match')) {
+			stream.next(); // FULL | PARTIAL | SIMPLE
+		} else {
+			break;
+		}
 	}
+}
 
-	// Expand to include leading newlines (but keep one)
-	while (start > 0 && (content[start - 1] === '\n' || content[start - 1] === '\r')) {
-		start--;
+/**
+ * Parse a single referential action after ON DELETE / ON UPDATE
+ * @param {TokenStream} stream
+ * @returns {ReferentialAction | null}
+ */
+function parseReferentialAction(stream) {
+	if (stream.match('IDENTIFIER', 'cascade')) {
+		return 'CASCADE';
 	}
-	if (start > 0 && content[start] === '\n') {
-		start++;
+	if (stream.match('IDENTIFIER', 'restrict')) {
+		return 'RESTRICT';
 	}
-
-	return content.slice(0, start) + content.slice(end);
+	if (stream.is('IDENTIFIER', 'no') && stream.lookAhead(1).value === 'action') {
+		stream.next();
+		stream.next();
+		return 'NO ACTION';
+	}
+	if (stream.match('KEYWORD', 'SET')) {
+		/** @type {ReferentialAction | null} */
+		let action = null;
+		if (stream.match('KEYWORD', 'NULL')) {
+			action = 'SET NULL';
+		} else if (stream.match('KEYWORD', 'DEFAULT')) {
+			action = 'SET DEFAULT';
+		}
+		// PostgreSQL 15+ allows a column list: SET NULL (col, ...)
+		parseColumnList(stream);
+		return action;
+	}
+	return null;
 }
 
 /**
- * Escape special regex characters in a string.
- * @param {string} str
- * @returns {string}
+ * Template for a new CREATE TABLE statement
  */
-function escapeRegex(str) {
-	return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+export const CREATE_TABLE_TEMPLATE = `CREATE TABLE schema.table_name (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  name TEXT
+);`;
 
 /**
- * Build a regex pattern that matches a qualified table name.
- * Matches: schema.table, "schema"."table", "schema".table, schema."table", or just table
- * @param {string} schema
- * @param {string} tableName
+ * How schema edits read and write PostgreSQL
+ * @type {SqlSyntax}
+ */
+export const SQL_SYNTAX = {
+	defaultSchema: 'public',
+	omitDefaultSchema: false,
+	quote: ['"', '"'],
+	openQuotes: '"',
+	closeQuotes: '"',
+	plainIdentifier: /^[a-z_][a-z0-9_$]*$/,
+	alterTableConstraints: true,
+	batchSeparators: false,
+	alterStyle: 'postgres',
+	tokenizeOptions: {}
+};
+
+/**
+ * Generate an ALTER TABLE ADD FOREIGN KEY statement
+ * @param {string} sourceTable - Fully qualified source table name
+ * @param {string} sourceColumn - Column in the source table
+ * @param {string} targetTable - Fully qualified target table name
+ * @param {string} targetColumn - Column in the target table
  * @returns {string}
  */
-function buildTableNamePattern(schema, tableName) {
-	const schemaPattern = `(?:"?${escapeRegex(schema)}"?\\.)?`;
-	const tablePattern = `"?${escapeRegex(tableName)}"?`;
-	return schemaPattern + tablePattern;
+export function generateForeignKeySql(sourceTable, sourceColumn, targetTable, targetColumn) {
+	return sqlEdit.generateForeignKeySql(sourceTable, sourceColumn, targetTable, targetColumn, SQL_SYNTAX);
 }
 
 /**
- * Find ALTER TABLE statements that reference tables without a corresponding CREATE TABLE.
- * Checks both the target table and any REFERENCES clauses.
- * @param {string} sql - The SQL content to check
- * @returns {OrphanedAlterTable[]}
+ * Find and remove a foreign key statement from SQL content.
+ * Supports both ALTER TABLE ADD FOREIGN KEY and inline REFERENCES in CREATE TABLE.
+ * @param {string} sqlContent - The full SQL content
+ * @param {ForeignKey} fk - The foreign key to remove
+ * @returns {EditResult}
  */
-export function findOrphanedAlterTables(sql) {
-	// First, parse the SQL to get all defined tables
-	const { tables } = parsePostgresSQL(sql);
-	const definedTables = new Set(tables.map((t) => t.qualifiedName));
-
-	/** @type {OrphanedAlterTable[]} */
-	const orphaned = [];
-
-	// Track which statements we've already flagged to avoid duplicates
-	/** @type {Set<number>} */
-	const flaggedPositions = new Set();
-
-	// Find all ALTER TABLE statements using regex
-	// Pattern: ALTER TABLE [IF EXISTS] [schema.]table ...;
-	const alterTablePattern = /ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?("?\w+"?(?:\."?\w+"?)?)[^;]*;/gi;
-
-	let match;
-	while ((match = alterTablePattern.exec(sql)) !== null) {
-		const tableRef = match[1];
-		const qualifiedName = normalizeTableName(tableRef);
-		const statement = match[0];
-
-		// Check if the ALTER TABLE target doesn't exist
-		if (!definedTables.has(qualifiedName)) {
-			orphaned.push({
-				tableName: qualifiedName,
-				start: match.index,
-				end: match.index + statement.length,
-				statement
-			});
-			flaggedPositions.add(match.index);
-			continue;
-		}
+export function removeForeignKeyStatement(sqlContent, fk) {
+	return sqlEdit.removeForeignKeyStatement(sqlContent, fk, SQL_SYNTAX);
+}
 
-		// Check if any REFERENCES clause points to a non-existent table
-		const referencesPattern = /REFERENCES\s+("?\w+"?(?:\."?\w+"?)?)/gi;
-		let refMatch;
-		while ((refMatch = referencesPattern.exec(statement)) !== null) {
-			const refTableName = normalizeTableName(refMatch[1]);
-			if (!definedTables.has(refTableName) && !flaggedPositions.has(match.index)) {
-				orphaned.push({
-					tableName: refTableName,
-					start: match.index,
-					end: match.index + statement.length,
-					statement
-				});
-				flaggedPositions.add(match.index);
-				break; // Only flag once per statement
-			}
-		}
-	}
+/**
+ * Add a column to the primary key of a table.
+ * @param {string} sqlContent - The full SQL content
+ * @param {string} tableName - Qualified table name (schema.table)
+ * @param {string} columnName - Column to add to PK
+ * @returns {EditResult}
+ */
+export function addPrimaryKeyColumn(sqlContent, tableName, columnName) {
+	return sqlEdit.addPrimaryKeyColumn(sqlContent, tableName, columnName, SQL_SYNTAX);
+}
 
-	return orphaned;
+/**
+ * Remove a column from the primary key of a table.
+ * @param {string} sqlContent - The full SQL content
+ * @param {string} tableName - Qualified table name (schema.table)
+ * @param {string} columnName - Column to remove from PK
+ * @returns {EditResult}
+ */
+export function removePrimaryKeyColumn(sqlContent, tableName, columnName) {
+	return sqlEdit.removePrimaryKeyColumn(sqlContent, tableName, columnName, SQL_SYNTAX);
 }
 
 /**
- * Normalize a table name reference to qualified form (schema.table).
- * @param {string} tableRef - Table reference like "schema.table", schema.table, or just table
- * @returns {string}
+ * Find ALTER TABLE statements that reference tables without a corresponding CREATE TABLE.
+ * @param {string} sql - The SQL content to check
+ * @returns {OrphanedAlterTable[]}
  */
-function normalizeTableName(tableRef) {
-	// Remove quotes and normalize
-	const cleaned = tableRef.replace(/"/g, '');
-	if (cleaned.includes('.')) {
-		return cleaned.toLowerCase();
-	}
-	return `public.${cleaned.toLowerCase()}`;
+export function findOrphanedAlterTables(sql) {
+	return sqlEdit.findOrphanedAlterTables(sql, parsePostgresSQL, SQL_SYNTAX);
 }
 
 /**
@@ -1090,17 +2139,5 @@ function normalizeTableName(tableRef) {
  * @returns {string}
  */
 export function removeOrphanedAlterTables(sql, orphaned) {
-	if (orphaned.length === 0) {
-		return sql;
-	}
-
-	// Sort by position descending so we can remove from end to start
-	const sorted = [...orphaned].sort((a, b) => b.start - a.start);
-
-	let result = sql;
-	for (const item of sorted) {
-		result = removeRangeWithWhitespace(result, item.start, item.end);
-	}
-
-	return result.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+	return sqlEdit.removeOrphanedAlterTables(sql, orphaned, SQL_SYNTAX);
 }
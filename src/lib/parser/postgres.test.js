@@ -59,6 +59,16 @@ describe('tokenizer', () => {
 		expect(str?.value).toBe('hello world');
 	});
 
+	it('records source offsets for each token', () => {
+		const sql = "SELECT 'it''s' FROM \"Users\"";
+		const tokens = tokenize(sql);
+
+		const str = tokens.find((t) => t.type === 'STRING');
+		const quoted = tokens.find((t) => t.type === 'QUOTED_IDENTIFIER');
+		expect(sql.slice(str?.offset, str?.end)).toBe("'it''s'");
+		expect(sql.slice(quoted?.offset, quoted?.end)).toBe('"Users"');
+	});
+
 	it('handles operators', () => {
 		const tokens = tokenize("SELECT * FROM users WHERE id = 1 AND name::text <> ''");
 
@@ -91,6 +101,18 @@ describe('TokenStream', () => {
 		expect(stream.peek().value).toBe('CREATE');
 	});
 
+	it('returns the source text between two positions', () => {
+		const sql = 'DEFAULT now()  NOT NULL';
+		const stream = new TokenStream(tokenize(sql), sql);
+
+		stream.next(); // DEFAULT
+		const start = stream.save();
+		stream.next(); // now
+		stream.next(); // (
+		stream.next(); // )
+		expect(stream.sourceText(start, stream.save())).toBe('now()');
+	});
+
 	it('matches tokens conditionally', () => {
 		const tokens = tokenize('CREATE TABLE');
 		const stream = new TokenStream(tokens);
@@ -119,12 +141,16 @@ describe('parsePostgresSQL', () => {
 		expect(result.tables[0].columns[0]).toEqual({
 			name: 'id',
 			type: 'integer',
-			isPrimaryKey: false
+			isPrimaryKey: false,
+			isNullable: true,
+			isUnique: false
 		});
 		expect(result.tables[0].columns[1]).toEqual({
 			name: 'name',
 			type: 'text',
-			isPrimaryKey: false
+			isPrimaryKey: false,
+			isNullable: true,
+			isUnique: false
 		});
 	});
 
@@ -381,7 +407,7 @@ describe('parsePostgresSQL', () => {
 		expect(result.tables[0].name).toBe('users');
 	});
 
-	it('skips table-level constraints', () => {
+	it('does not treat table-level constraints as columns', () => {
 		const sql = `
       CREATE TABLE users (
         id integer,
@@ -399,6 +425,478 @@ describe('parsePostgresSQL', () => {
 	});
 });
 
+describe('parsePostgresSQL column constraints', () => {
+	it('records NOT NULL as non-nullable', () => {
+		const sql = `
+      CREATE TABLE users (
+        id integer not null,
+        name text,
+        nickname text null
+      );
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.tables[0].columns[0].isNullable).toBe(false);
+		expect(result.tables[0].columns[1].isNullable).toBe(true);
+		expect(result.tables[0].columns[2].isNullable).toBe(true);
+	});
+
+	it('records DEFAULT expressions as written', () => {
+		const sql = `
+      CREATE TABLE users (
+        created_at timestamp with time zone default now() not null,
+        active boolean DEFAULT true,
+        metadata jsonb default '{}'::jsonb not null,
+        status varchar(20) DEFAULT 'draft' CHECK (status <> ''),
+        parent_id integer DEFAULT NULL
+      );
+    `;
+
+		const result = parsePostgresSQL(sql);
+		const [createdAt, active, metadata, status, parentId] = result.tables[0].columns;
+
+		expect(createdAt.defaultValue).toBe('now()');
+		expect(createdAt.isNullable).toBe(false);
+		expect(active.defaultValue).toBe('true');
+		expect(metadata.defaultValue).toBe("'{}'::jsonb");
+		expect(metadata.isNullable).toBe(false);
+		expect(status.defaultValue).toBe("'draft'");
+		expect(parentId.defaultValue).toBe('NULL');
+	});
+
+	it('omits defaultValue and checkExpression when not declared', () => {
+		const result = parsePostgresSQL('CREATE TABLE users (name text);');
+
+		expect(result.tables[0].columns[0]).not.toHaveProperty('defaultValue');
+		expect(result.tables[0].columns[0]).not.toHaveProperty('checkExpression');
+	});
+
+	it('records column-level UNIQUE', () => {
+		const sql = `
+      CREATE TABLE users (
+        email varchar(255) NOT NULL UNIQUE,
+        name text
+      );
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.tables[0].columns[0].isUnique).toBe(true);
+		expect(result.tables[0].columns[0].isNullable).toBe(false);
+		expect(result.tables[0].columns[1].isUnique).toBe(false);
+	});
+
+	it('records CHECK expressions without the outer parentheses', () => {
+		const sql = `
+      CREATE TABLE products (
+        price numeric(10,2) CONSTRAINT positive_price CHECK (price > 0),
+        code text CHECK (length(code) IN (2, 3))
+      );
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.tables[0].columns[0].checkExpression).toBe('price > 0');
+		expect(result.tables[0].columns[1].checkExpression).toBe('length(code) IN (2, 3)');
+		expect(result.tables[0].columns).toHaveLength(2);
+	});
+
+	it('treats inline PRIMARY KEY as a non-nullable primary key', () => {
+		const result = parsePostgresSQL('CREATE TABLE users (id bigint PRIMARY KEY, name text);');
+
+		expect(result.tables[0].columns[0].isPrimaryKey).toBe(true);
+		expect(result.tables[0].columns[0].isNullable).toBe(false);
+		expect(result.tables[0].columns[1].isPrimaryKey).toBe(false);
+	});
+
+	it('marks columns in ALTER TABLE ADD PRIMARY KEY as non-nullable', () => {
+		const sql = `
+      CREATE TABLE users (id integer, name text);
+      ALTER TABLE users ADD PRIMARY KEY (id);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.tables[0].columns[0].isNullable).toBe(false);
+		expect(result.tables[0].columns[1].isNullable).toBe(true);
+	});
+
+	it('treats identity and serial columns as non-nullable', () => {
+		const sql = `
+      CREATE TABLE users (
+        id bigint generated always as identity,
+        legacy_id serial,
+        slug text GENERATED ALWAYS AS (lower(name)) STORED,
+        seq integer GENERATED BY DEFAULT AS IDENTITY
+      );
+    `;
+
+		const result = parsePostgresSQL(sql);
+		const [id, legacyId, slug, seq] = result.tables[0].columns;
+
+		expect(id.isNullable).toBe(false);
+		expect(legacyId.isNullable).toBe(false);
+		expect(slug.isNullable).toBe(true);
+		expect(seq.isNullable).toBe(false);
+	});
+
+	it('keeps inline REFERENCES working alongside other constraints', () => {
+		const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE posts (
+        id integer PRIMARY KEY,
+        user_id integer NOT NULL DEFAULT 0 REFERENCES users(id) ON DELETE CASCADE
+      );
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.foreignKeys).toHaveLength(1);
+		expect(result.foreignKeys[0].sourceColumns).toEqual(['user_id']);
+		expect(result.tables[1].columns[1].defaultValue).toBe('0');
+		expect(result.tables[1].columns[1].isNullable).toBe(false);
+	});
+});
+
+describe('parsePostgresSQL user-defined types', () => {
+	it('parses enum types and resolves columns using them', () => {
+		const sql = `
+      CREATE TYPE order_status AS ENUM ('pending', 'paid', 'shipped');
+      CREATE TABLE orders (id integer PRIMARY KEY, status order_status NOT NULL, history order_status[]);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.types).toEqual([
+			{
+				kind: 'enum',
+				schema: 'public',
+				name: 'order_status',
+				qualifiedName: 'public.order_status',
+				values: ['pending', 'paid', 'shipped']
+			}
+		]);
+		const columns = result.tables[0].columns;
+		expect(columns[1]).toMatchObject({ type: 'order_status', userType: 'public.order_status' });
+		expect(columns[2]).toMatchObject({ type: 'order_status[]', userType: 'public.order_status' });
+		expect(columns[0].userType).toBeUndefined();
+	});
+
+	it('resolves schema-qualified and same-schema type references', () => {
+		const sql = `
+      CREATE TYPE billing.currency AS ENUM ('EUR', 'USD');
+      CREATE TABLE billing.invoice (id integer, currency currency);
+      CREATE TABLE public.payment (id integer, currency billing.currency);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables[0].columns[1].userType).toBe('billing.currency');
+		expect(result.tables[1].columns[1]).toMatchObject({ type: 'billing.currency', userType: 'billing.currency' });
+	});
+
+	it('applies ALTER TYPE ... ADD VALUE to enums', () => {
+		const sql = `
+      CREATE TYPE mood AS ENUM ('sad', 'happy');
+      ALTER TYPE mood ADD VALUE 'ok' BEFORE 'happy';
+      ALTER TYPE mood ADD VALUE IF NOT EXISTS 'ecstatic' AFTER 'happy';
+      ALTER TYPE mood ADD VALUE 'meh';
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.types[0].values).toEqual(['sad', 'ok', 'happy', 'ecstatic', 'meh']);
+	});
+
+	it('parses composite types', () => {
+		const sql = `
+      CREATE TYPE inventory_item AS (name text, supplier_id integer, price numeric(10,2) COLLATE "C");
+      CREATE TABLE stock (id integer, item inventory_item);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.types[0]).toMatchObject({
+			kind: 'composite',
+			qualifiedName: 'public.inventory_item',
+			attributes: [
+				{ name: 'name', type: 'text' },
+				{ name: 'supplier_id', type: 'integer' },
+				{ name: 'price', type: 'numeric(10,2)' }
+			]
+		});
+		expect(result.tables[0].columns[1].userType).toBe('public.inventory_item');
+	});
+
+	it('parses domains and applies their NOT NULL to columns', () => {
+		const sql = `
+      CREATE DOMAIN email AS text NOT NULL DEFAULT '' CONSTRAINT email_format CHECK (VALUE ~ '@');
+      CREATE DOMAIN us_postal_code text CHECK (VALUE ~ '^\\d{5}$');
+      CREATE TABLE contact (id integer, email email, zip us_postal_code);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.types[0]).toEqual({
+			kind: 'domain',
+			schema: 'public',
+			name: 'email',
+			qualifiedName: 'public.email',
+			baseType: 'text',
+			isNotNull: true,
+			defaultValue: "''",
+			checkExpressions: ["VALUE ~ '@'"]
+		});
+		expect(result.types[1]).toMatchObject({ baseType: 'text', isNotNull: false });
+		const columns = result.tables[0].columns;
+		expect(columns[1]).toMatchObject({ userType: 'public.email', isNullable: false });
+		expect(columns[2]).toMatchObject({ userType: 'public.us_postal_code', isNullable: true });
+	});
+
+	it('skips range, base and shell types', () => {
+		const sql = `
+      CREATE TYPE floatrange AS RANGE (subtype = float8);
+      CREATE TYPE shell;
+      CREATE TABLE t (id integer);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.types).toEqual([]);
+		expect(result.tables).toHaveLength(1);
+	});
+});
+
+describe('parsePostgresSQL views', () => {
+	const baseTables = `
+      CREATE TABLE users (id integer PRIMARY KEY, email text NOT NULL, created_at timestamptz);
+      CREATE TABLE orders (id integer PRIMARY KEY, user_id integer REFERENCES users, total numeric(10,2));
+    `;
+
+	it('parses a view with derived output columns and dependencies', () => {
+		const sql = `${baseTables}
+      CREATE VIEW user_totals AS
+        SELECT u.id, u.email AS login, sum(o.total) AS spent, count(*), o.total::text total_text
+        FROM users u
+        JOIN orders AS o ON o.user_id = u.id
+        WHERE EXTRACT(YEAR FROM u.created_at) > 2020
+        GROUP BY u.id, u.email;
+    `;
+
+		const result = parsePostgresSQL(sql);
+		const view = result.tables.find((t) => t.name === 'user_totals');
+
+		expect(result.errors).toHaveLength(0);
+		expect(view.kind).toBe('view');
+		expect(view.dependencies).toEqual(['public.users', 'public.orders']);
+		expect(view.columns.map((c) => [c.name, c.type])).toEqual([
+			['id', 'integer'],
+			['login', 'text'],
+			['spent', ''],
+			['count', ''],
+			['total_text', 'text']
+		]);
+	});
+
+	it('parses materialized views, OR REPLACE and explicit column lists', () => {
+		const sql = `${baseTables}
+      CREATE OR REPLACE VIEW reporting.active_users (user_id, mail) AS SELECT id, email FROM public.users;
+      CREATE MATERIALIZED VIEW IF NOT EXISTS reporting.order_stats WITH (fillfactor = 70) AS
+        SELECT * FROM orders
+      WITH NO DATA;
+    `;
+
+		const result = parsePostgresSQL(sql);
+		const active = result.tables.find((t) => t.name === 'active_users');
+		const stats = result.tables.find((t) => t.name === 'order_stats');
+
+		expect(result.errors).toHaveLength(0);
+		expect(active).toMatchObject({ qualifiedName: 'reporting.active_users', kind: 'view', dependencies: ['public.users'] });
+		expect(active.columns.map((c) => c.name)).toEqual(['user_id', 'mail']);
+		expect(stats.kind).toBe('materialized view');
+		expect(stats.columns.map((c) => c.name)).toEqual(['id', 'user_id', 'total']);
+	});
+
+	it('collects tables from comma joins and subqueries but not CTE names or functions', () => {
+		const sql = `${baseTables}
+      CREATE VIEW v AS
+        WITH recent AS (SELECT * FROM orders WHERE id > 10)
+        SELECT r.id, x.n
+        FROM recent r, audit.log l, generate_series(1, 3) AS g
+        CROSS JOIN (SELECT count(*) AS n FROM users) x;
+    `;
+
+		const result = parsePostgresSQL(sql);
+		const view = result.tables.find((t) => t.name === 'v');
+
+		expect(view.dependencies).toEqual(['public.orders', 'audit.log', 'public.users']);
+		expect(view.columns.map((c) => c.name)).toEqual(['id', 'n']);
+	});
+
+	it('leaves ordinary tables without a kind', () => {
+		const result = parsePostgresSQL(baseTables);
+
+		expect(result.tables[0].kind).toBeUndefined();
+		expect(result.tables[0].dependencies).toBeUndefined();
+	});
+});
+
+describe('parsePostgresSQL indexes and table constraints', () => {
+	it('attaches CREATE INDEX and CREATE UNIQUE INDEX to their table', () => {
+		const sql = `
+      CREATE TABLE app.posts (id integer PRIMARY KEY, user_id integer, slug text, title text);
+      CREATE INDEX idx_posts_user ON app.posts (user_id);
+      CREATE UNIQUE INDEX CONCURRENTLY IF NOT EXISTS posts_slug_key ON ONLY app.posts USING btree (slug DESC NULLS LAST);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables[0].indexes).toEqual([
+			{ name: 'idx_posts_user', columns: ['user_id'], isUnique: false },
+			{ name: 'posts_slug_key', columns: ['slug'], isUnique: true }
+		]);
+	});
+
+	it('keeps index expressions, access methods and partial index predicates', () => {
+		const sql = `
+      CREATE INDEX ON users USING GIN (tags);
+      CREATE INDEX users_email_lower ON users (lower(email), (id + 1)) INCLUDE (name) WHERE deleted_at IS NULL;
+      CREATE TABLE users (id integer, email text, name text, tags text[], deleted_at timestamp);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables[0].indexes).toEqual([
+			{ columns: ['tags'], isUnique: false, method: 'gin' },
+			{ name: 'users_email_lower', columns: ['lower(email)', '(id + 1)'], isUnique: false, where: 'deleted_at IS NULL' }
+		]);
+	});
+
+	it('records table-level constraints from CREATE TABLE', () => {
+		const sql = `
+      CREATE TABLE users (
+        id integer,
+        tenant_id integer,
+        email text,
+        age integer,
+        PRIMARY KEY (tenant_id, id),
+        CONSTRAINT users_email_key UNIQUE (email),
+        UNIQUE NULLS NOT DISTINCT (tenant_id, email),
+        CONSTRAINT adult CHECK (age >= 18)
+      );
+    `;
+
+		const result = parsePostgresSQL(sql);
+		const table = result.tables[0];
+
+		expect(result.errors).toHaveLength(0);
+		expect(table.constraints).toEqual([
+			{ kind: 'PRIMARY KEY', columns: ['tenant_id', 'id'] },
+			{ kind: 'UNIQUE', name: 'users_email_key', columns: ['email'] },
+			{ kind: 'UNIQUE', columns: ['tenant_id', 'email'] },
+			{ kind: 'CHECK', name: 'adult', columns: [], expression: 'age >= 18' }
+		]);
+		expect(table.columns.filter((c) => c.isPrimaryKey).map((c) => c.name)).toEqual(['id', 'tenant_id']);
+		expect(table.columns.find((c) => c.name === 'email').isUnique).toBe(true);
+		expect(table.columns.find((c) => c.name === 'tenant_id').isUnique).toBe(false);
+	});
+
+	it('records constraints added with ALTER TABLE', () => {
+		const sql = `
+      CREATE TABLE users (id integer, email text);
+      ALTER TABLE users ADD CONSTRAINT users_pkey PRIMARY KEY (id);
+      ALTER TABLE users ADD CONSTRAINT users_email_key UNIQUE (email);
+      ALTER TABLE users ADD CHECK (email <> '') NOT VALID;
+    `;
+
+		const result = parsePostgresSQL(sql);
+		const table = result.tables[0];
+
+		expect(table.constraints.map((c) => c.name ?? c.kind)).toEqual(['users_pkey', 'users_email_key', 'CHECK']);
+		expect(table.columns[0].isPrimaryKey).toBe(true);
+		expect(table.columns[1].isUnique).toBe(true);
+	});
+
+	it('ignores indexes on unknown tables', () => {
+		const result = parsePostgresSQL('CREATE INDEX idx ON missing (id);');
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables).toHaveLength(0);
+	});
+
+	it('skips malformed CREATE INDEX statements without losing the next statement', () => {
+		const sql = `
+      CREATE INDEX idx_users_email users (email);
+      CREATE TABLE users (id integer, email text);
+      CREATE UNIQUE INDEX users_email_key ON users email;
+      CREATE TABLE posts (id integer);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables.map((t) => t.name)).toEqual(['users', 'posts']);
+		expect(result.tables[0].indexes).toEqual([]);
+	});
+});
+
+describe('parsePostgresSQL comments', () => {
+	it('attaches COMMENT ON TABLE and COMMENT ON COLUMN', () => {
+		const sql = `
+      CREATE TABLE app.users (id integer PRIMARY KEY, email text);
+      COMMENT ON TABLE app.users IS 'People who can sign in';
+      COMMENT ON COLUMN app.users.email IS 'Login address; it''s unique per tenant';
+      COMMENT ON COLUMN users.id IS 'ignored: public.users does not exist';
+    `;
+
+		const result = parsePostgresSQL(sql);
+		const table = result.tables[0];
+
+		expect(result.errors).toHaveLength(0);
+		expect(table.comment).toBe('People who can sign in');
+		expect(table.columns[1].comment).toBe("Login address; it's unique per tenant");
+		expect(table.columns[0].comment).toBeUndefined();
+	});
+
+	it('applies comments on views and lets later comments win', () => {
+		const sql = `
+      COMMENT ON VIEW active_users IS 'too early';
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE MATERIALIZED VIEW active_users AS SELECT id FROM users;
+      COMMENT ON MATERIALIZED VIEW active_users IS 'Refreshed nightly';
+      COMMENT ON TABLE users IS 'Accounts';
+      COMMENT ON TABLE users IS NULL;
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables[0].comment).toBeUndefined();
+		expect(result.tables[1].comment).toBe('Refreshed nightly');
+	});
+
+	it('skips comments on other objects', () => {
+		const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      COMMENT ON SCHEMA public IS 'standard public schema';
+      COMMENT ON CONSTRAINT users_pkey ON users IS 'pk';
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables[0].comment).toBeUndefined();
+	});
+});
+
 describe('parsePostgresSQL foreign keys', () => {
 	it('parses a simple foreign key with explicit target column', () => {
 		const sql = `
@@ -414,9 +912,9 @@ describe('parsePostgresSQL foreign keys', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'public.posts',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -434,9 +932,9 @@ describe('parsePostgresSQL foreign keys', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'public.posts',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -468,9 +966,9 @@ describe('parsePostgresSQL foreign keys', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'contract.contract',
-			sourceColumn: 'contract_type_id',
+			sourceColumns: ['contract_type_id'],
 			targetTable: 'contract.contract_type',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -488,9 +986,9 @@ describe('parsePostgresSQL foreign keys', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'contract.grant',
-			sourceColumn: 'grant_capacity_id',
+			sourceColumns: ['grant_capacity_id'],
 			targetTable: 'contract.grant_capacity',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -509,8 +1007,8 @@ describe('parsePostgresSQL foreign keys', () => {
 		const result = parsePostgresSQL(sql);
 
 		expect(result.foreignKeys).toHaveLength(2);
-		expect(result.foreignKeys[0].sourceColumn).toBe('contract_id');
-		expect(result.foreignKeys[1].sourceColumn).toBe('state_type_id');
+		expect(result.foreignKeys[0].sourceColumns).toEqual(['contract_id']);
+		expect(result.foreignKeys[1].sourceColumns).toEqual(['state_type_id']);
 	});
 
 	it('parses foreign keys with named constraints', () => {
@@ -524,7 +1022,79 @@ describe('parsePostgresSQL foreign keys', () => {
 		const result = parsePostgresSQL(sql);
 
 		expect(result.foreignKeys).toHaveLength(1);
-		expect(result.foreignKeys[0].sourceColumn).toBe('user_id');
+		expect(result.foreignKeys[0].sourceColumns).toEqual(['user_id']);
+		expect(result.foreignKeys[0].constraintName).toBe('fk_posts_user');
+	});
+
+	it('parses a composite foreign key as a single relationship', () => {
+		const sql = `
+      CREATE TABLE orders (tenant_id integer, id integer, PRIMARY KEY (tenant_id, id));
+      CREATE TABLE order_line (tenant_id integer, order_id integer, line_no integer);
+      ALTER TABLE order_line ADD CONSTRAINT fk_line_order
+        FOREIGN KEY (tenant_id, order_id) REFERENCES orders (tenant_id, id) ON DELETE CASCADE;
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.foreignKeys).toEqual([
+			{
+				sourceTable: 'public.order_line',
+				sourceColumns: ['tenant_id', 'order_id'],
+				targetTable: 'public.orders',
+				targetColumns: ['tenant_id', 'id'],
+				constraintName: 'fk_line_order',
+				onDelete: 'CASCADE'
+			}
+		]);
+	});
+
+	it('resolves composite target columns to the full primary key', () => {
+		const sql = `
+      CREATE TABLE orders (tenant_id integer, id integer);
+      CREATE TABLE order_line (tenant_id integer, order_id integer);
+      ALTER TABLE orders ADD PRIMARY KEY (tenant_id, id);
+      ALTER TABLE order_line ADD FOREIGN KEY (tenant_id, order_id) REFERENCES orders;
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.foreignKeys).toHaveLength(1);
+		expect(result.foreignKeys[0].targetColumns).toEqual(['tenant_id', 'id']);
+	});
+
+	it('parses table-level FOREIGN KEY constraints in CREATE TABLE', () => {
+		const sql = `
+      CREATE TABLE order_line (
+        tenant_id integer NOT NULL,
+        order_id integer NOT NULL,
+        product_id integer,
+        CONSTRAINT fk_line_order FOREIGN KEY (tenant_id, order_id) REFERENCES orders (tenant_id, id),
+        FOREIGN KEY (product_id) REFERENCES products
+      );
+      CREATE TABLE orders (tenant_id integer, id integer, PRIMARY KEY (tenant_id, id));
+      CREATE TABLE products (id integer PRIMARY KEY);
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.tables[0].columns.map((c) => c.name)).toEqual(['tenant_id', 'order_id', 'product_id']);
+		expect(result.foreignKeys).toEqual([
+			{
+				sourceTable: 'public.order_line',
+				sourceColumns: ['tenant_id', 'order_id'],
+				targetTable: 'public.orders',
+				targetColumns: ['tenant_id', 'id'],
+				constraintName: 'fk_line_order'
+			},
+			{
+				sourceTable: 'public.order_line',
+				sourceColumns: ['product_id'],
+				targetTable: 'public.products',
+				targetColumns: ['id']
+			}
+		]);
 	});
 
 	it('parses cross-schema foreign keys', () => {
@@ -541,9 +1111,9 @@ describe('parsePostgresSQL foreign keys', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'contract.manifest_asset',
-			sourceColumn: 'asset_id',
+			sourceColumns: ['asset_id'],
 			targetTable: 'asset.asset',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -569,9 +1139,9 @@ describe('parsePostgresSQL foreign keys', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'public.posts',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'external.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 		expect(result.errors).toHaveLength(0);
 	});
@@ -591,9 +1161,9 @@ describe('parsePostgresSQL inline REFERENCES', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'public.posts',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -610,9 +1180,9 @@ describe('parsePostgresSQL inline REFERENCES', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'public.posts',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -629,9 +1199,9 @@ describe('parsePostgresSQL inline REFERENCES', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'public.posts',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -648,9 +1218,9 @@ describe('parsePostgresSQL inline REFERENCES', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'public.posts',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -667,9 +1237,9 @@ describe('parsePostgresSQL inline REFERENCES', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'contract.contract',
-			sourceColumn: 'contract_type_id',
+			sourceColumns: ['contract_type_id'],
 			targetTable: 'contract.contract_type',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -689,9 +1259,9 @@ describe('parsePostgresSQL inline REFERENCES', () => {
 		const result = parsePostgresSQL(sql);
 
 		expect(result.foreignKeys).toHaveLength(2);
-		expect(result.foreignKeys[0].sourceColumn).toBe('user_id');
+		expect(result.foreignKeys[0].sourceColumns).toEqual(['user_id']);
 		expect(result.foreignKeys[0].targetTable).toBe('public.users');
-		expect(result.foreignKeys[1].sourceColumn).toBe('category_id');
+		expect(result.foreignKeys[1].sourceColumns).toEqual(['category_id']);
 		expect(result.foreignKeys[1].targetTable).toBe('public.categories');
 	});
 
@@ -712,8 +1282,8 @@ describe('parsePostgresSQL inline REFERENCES', () => {
 		const result = parsePostgresSQL(sql);
 
 		expect(result.foreignKeys).toHaveLength(2);
-		expect(result.foreignKeys[0].sourceColumn).toBe('user_id');
-		expect(result.foreignKeys[1].sourceColumn).toBe('category_id');
+		expect(result.foreignKeys[0].sourceColumns).toEqual(['user_id']);
+		expect(result.foreignKeys[1].sourceColumns).toEqual(['category_id']);
 	});
 
 	it('creates FK even when target table not found (external reference, inline)', () => {
@@ -726,14 +1296,251 @@ describe('parsePostgresSQL inline REFERENCES', () => {
 		expect(result.foreignKeys).toHaveLength(1);
 		expect(result.foreignKeys[0]).toEqual({
 			sourceTable: 'public.posts',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'external.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 		expect(result.errors).toHaveLength(0);
 	});
 });
 
+describe('parsePostgresSQL referential actions', () => {
+	it('records ON DELETE and ON UPDATE on inline REFERENCES', () => {
+		const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE posts (
+        id integer PRIMARY KEY,
+        user_id integer REFERENCES users ON DELETE CASCADE ON UPDATE RESTRICT NOT NULL,
+        editor_id integer REFERENCES users (id) ON DELETE SET NULL
+      );
+    `;
+
+		const result = parsePostgresSQL(sql);
+		const posts = result.tables.find((t) => t.name === 'posts');
+
+		expect(result.foreignKeys[0]).toMatchObject({ sourceColumns: ['user_id'], onDelete: 'CASCADE', onUpdate: 'RESTRICT' });
+		expect(result.foreignKeys[1]).toMatchObject({ sourceColumns: ['editor_id'], onDelete: 'SET NULL' });
+		expect(result.foreignKeys[1].onUpdate).toBeUndefined();
+		expect(posts.columns[1].isNullable).toBe(false);
+		// SET NULL must not be mistaken for a DEFAULT clause
+		expect(posts.columns[2].defaultValue).toBeUndefined();
+	});
+
+	it('records actions and deferrability on ALTER TABLE ADD FOREIGN KEY', () => {
+		const sql = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE posts (id integer, user_id integer);
+      ALTER TABLE posts ADD CONSTRAINT fk_posts_user FOREIGN KEY (user_id) REFERENCES users (id)
+        MATCH FULL ON UPDATE NO ACTION ON DELETE SET DEFAULT DEFERRABLE INITIALLY DEFERRED;
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.foreignKeys).toEqual([
+			{
+				sourceTable: 'public.posts',
+				sourceColumns: ['user_id'],
+				targetTable: 'public.users',
+				targetColumns: ['id'],
+				constraintName: 'fk_posts_user',
+				onDelete: 'SET DEFAULT',
+				onUpdate: 'NO ACTION',
+				deferrable: true,
+				initiallyDeferred: true
+			}
+		]);
+	});
+
+	it('records actions on table-level FOREIGN KEY constraints', () => {
+		const sql = `
+      CREATE TABLE posts (
+        id integer,
+        user_id integer,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL (user_id) NOT DEFERRABLE,
+        PRIMARY KEY (id)
+      );
+    `;
+
+		const result = parsePostgresSQL(sql);
+
+		expect(result.errors).toHaveLength(0);
+		expect(result.foreignKeys[0].onDelete).toBe('SET NULL');
+		expect(result.foreignKeys[0].deferrable).toBeUndefined();
+		expect(result.tables[0].columns.find((c) => c.name === 'id').isPrimaryKey).toBe(true);
+	});
+});
+
+describe('parsePostgresSQL schema changes', () => {
+	it('adds and drops columns', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE users (id int PRIMARY KEY, legacy text);
+      CREATE TABLE teams (id int PRIMARY KEY);
+      ALTER TABLE users ADD COLUMN email varchar(255) NOT NULL DEFAULT '';
+      ALTER TABLE users ADD team_id int REFERENCES teams, ADD COLUMN IF NOT EXISTS email text;
+      ALTER TABLE users DROP COLUMN IF EXISTS legacy CASCADE;
+    `);
+
+		expect(result.errors).toEqual([]);
+		expect(result.tables[0].columns.map((c) => [c.name, c.type, c.isNullable])).toEqual([
+			['id', 'int', false],
+			['email', 'varchar(255)', false],
+			['team_id', 'int', true]
+		]);
+		expect(result.foreignKeys).toMatchObject([{ sourceColumns: ['team_id'], targetTable: 'public.teams', targetColumns: ['id'] }]);
+	});
+
+	it('drops the foreign keys, constraints, indexes and comments of a dropped column', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE teams (id int PRIMARY KEY);
+      CREATE TABLE users (id int, team_id int REFERENCES teams, UNIQUE (id, team_id));
+      CREATE INDEX users_team_idx ON users (team_id);
+      COMMENT ON COLUMN users.team_id IS 'Team';
+      ALTER TABLE users DROP team_id;
+      ALTER TABLE users ADD team_id bigint;
+    `);
+
+		const users = result.tables[1];
+		expect(result.foreignKeys).toEqual([]);
+		expect(users.constraints).toEqual([]);
+		expect(users.indexes).toEqual([]);
+		expect(users.columns[1]).not.toHaveProperty('comment');
+	});
+
+	it('renames columns in foreign keys, constraints and indexes', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE users (uid int PRIMARY KEY);
+      CREATE TABLE posts (id int, author int REFERENCES users (uid), CONSTRAINT posts_pkey PRIMARY KEY (id));
+      CREATE INDEX ON posts (author);
+      ALTER TABLE users RENAME COLUMN uid TO id;
+      ALTER TABLE posts RENAME author TO user_id;
+      ALTER TABLE posts RENAME CONSTRAINT posts_pkey TO posts_pk;
+    `);
+
+		expect(result.tables[0].columns[0].name).toBe('id');
+		expect(result.foreignKeys).toMatchObject([{ sourceColumns: ['user_id'], targetColumns: ['id'] }]);
+		expect(result.tables[1].indexes[0].columns).toEqual(['user_id']);
+		expect(result.tables[1].constraints[0].name).toBe('posts_pk');
+	});
+
+	it('renames tables and follows the new name in foreign keys, indexes and comments', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE app.account (id int PRIMARY KEY);
+      CREATE TABLE app.post (account_id int REFERENCES app.account);
+      CREATE INDEX ON app.account (id);
+      COMMENT ON TABLE app.account IS 'People';
+      ALTER TABLE app.account RENAME TO users;
+      ALTER TABLE IF EXISTS app.users ADD email text;
+    `);
+
+		const users = result.tables[0];
+		expect(users).toMatchObject({ schema: 'app', name: 'users', qualifiedName: 'app.users', comment: 'People' });
+		expect(users.columns.map((c) => c.name)).toEqual(['id', 'email']);
+		expect(users.indexes).toHaveLength(1);
+		expect(result.foreignKeys[0].targetTable).toBe('app.users');
+	});
+
+	it('drops tables with the foreign keys from and to them', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE a (id int PRIMARY KEY);
+      CREATE TABLE b (a_id int REFERENCES a);
+      CREATE TABLE c (id int);
+      DROP TABLE IF EXISTS a, c CASCADE;
+      CREATE TABLE c (id int, name text);
+    `);
+
+		expect(result.tables.map((t) => [t.name, t.columns.length])).toEqual([
+			['b', 1],
+			['c', 2]
+		]);
+		expect(result.foreignKeys).toEqual([]);
+	});
+
+	it('changes column types, with SET DATA TYPE and USING', () => {
+		const result = parsePostgresSQL(`
+      CREATE TYPE mood AS ENUM ('ok', 'sad');
+      CREATE TABLE t (a int, b text, c text);
+      ALTER TABLE t ALTER COLUMN a TYPE bigint, ALTER b SET DATA TYPE varchar(20) COLLATE "C";
+      ALTER TABLE t ALTER COLUMN c TYPE mood USING c::mood;
+    `);
+
+		expect(result.errors).toEqual([]);
+		expect(result.tables[0].columns.map((c) => [c.type, c.userType])).toEqual([
+			['bigint', undefined],
+			['varchar(20)', undefined],
+			['mood', 'public.mood']
+		]);
+	});
+
+	it('sets and drops NOT NULL', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE t (id int PRIMARY KEY, a text, b text NOT NULL);
+      ALTER TABLE t ALTER COLUMN a SET NOT NULL, ALTER COLUMN b DROP NOT NULL, ALTER id DROP NOT NULL;
+    `);
+
+		expect(result.tables[0].columns.map((c) => c.isNullable)).toEqual([false, false, true]);
+	});
+
+	it('moves tables to another schema', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE users (id int PRIMARY KEY);
+      CREATE TABLE posts (user_id int REFERENCES users);
+      ALTER TABLE users SET SCHEMA auth;
+      ALTER TABLE auth.users ADD email text;
+    `);
+
+		expect(result.tables[0]).toMatchObject({ schema: 'auth', qualifiedName: 'auth.users' });
+		expect(result.tables[0].columns).toHaveLength(2);
+		expect(result.foreignKeys[0].targetTable).toBe('auth.users');
+	});
+
+	it('drops named constraints', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE users (id int, email text, CONSTRAINT users_pk PRIMARY KEY (id), CONSTRAINT users_email_uq UNIQUE (email));
+      CREATE TABLE posts (user_id int, CONSTRAINT posts_user_fk FOREIGN KEY (user_id) REFERENCES users);
+      ALTER TABLE users DROP CONSTRAINT users_email_uq, DROP CONSTRAINT IF EXISTS users_pk CASCADE;
+      ALTER TABLE posts DROP CONSTRAINT posts_user_fk;
+    `);
+
+		const users = result.tables[0];
+		expect(users.constraints).toEqual([]);
+		expect(users.columns.map((c) => [c.isPrimaryKey, c.isUnique])).toEqual([
+			[false, false],
+			[false, false]
+		]);
+		expect(result.foreignKeys).toEqual([]);
+	});
+
+	it('drops unnamed constraints by their generated names', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE users (id int PRIMARY KEY, email text UNIQUE, CHECK (email <> ''));
+      CREATE TABLE posts (user_id int REFERENCES users, editor_id int REFERENCES users);
+      ALTER TABLE users DROP CONSTRAINT users_pkey, DROP CONSTRAINT users_email_key, DROP CONSTRAINT users_check;
+      ALTER TABLE posts DROP CONSTRAINT posts_user_id_fkey;
+    `);
+
+		const users = result.tables[0];
+		expect(users.columns.map((c) => [c.isPrimaryKey, c.isUnique])).toEqual([
+			[false, false],
+			[false, false]
+		]);
+		expect(users.constraints).toEqual([]);
+		expect(result.foreignKeys.map((fk) => fk.sourceColumns)).toEqual([['editor_id']]);
+	});
+
+	it('ignores changes to unknown tables and columns', () => {
+		const result = parsePostgresSQL(`
+      CREATE TABLE t (id int);
+      ALTER TABLE missing ADD COLUMN x int;
+      ALTER TABLE t DROP COLUMN missing, RENAME COLUMN nope TO other;
+      DROP TABLE missing;
+    `);
+
+		expect(result.errors).toEqual([]);
+		expect(result.tables.map((t) => t.columns.map((c) => c.name))).toEqual([['id']]);
+	});
+});
+
 describe('parsePostgresSQL with contracts.sql patterns', () => {
 	it('parses all foreign keys from contracts.sql pattern', () => {
 		const sql = `
@@ -795,35 +1602,35 @@ describe('parsePostgresSQL with contracts.sql patterns', () => {
 
 		// Verify a few specific FKs
 		const contractTypeFK = result.foreignKeys.find(
-			(fk) => fk.sourceTable === 'contract.contract' && fk.sourceColumn === 'contract_type_id'
+			(fk) => fk.sourceTable === 'contract.contract' && fk.sourceColumns[0] === 'contract_type_id'
 		);
 		expect(contractTypeFK).toEqual({
 			sourceTable: 'contract.contract',
-			sourceColumn: 'contract_type_id',
+			sourceColumns: ['contract_type_id'],
 			targetTable: 'contract.contract_type',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 
 		// Cross-schema FK
 		const assetFK = result.foreignKeys.find(
-			(fk) => fk.sourceTable === 'contract.manifest_asset' && fk.sourceColumn === 'asset_id'
+			(fk) => fk.sourceTable === 'contract.manifest_asset' && fk.sourceColumns[0] === 'asset_id'
 		);
 		expect(assetFK).toEqual({
 			sourceTable: 'contract.manifest_asset',
-			sourceColumn: 'asset_id',
+			sourceColumns: ['asset_id'],
 			targetTable: 'asset.asset',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 
 		// FK to quoted identifier table
 		const grantFK = result.foreignKeys.find(
-			(fk) => fk.sourceTable === 'contract.scope_grant' && fk.sourceColumn === 'grant_id'
+			(fk) => fk.sourceTable === 'contract.scope_grant' && fk.sourceColumns[0] === 'grant_id'
 		);
 		expect(grantFK).toEqual({
 			sourceTable: 'contract.scope_grant',
-			sourceColumn: 'grant_id',
+			sourceColumns: ['grant_id'],
 			targetTable: 'contract.grant',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		});
 	});
 
@@ -914,9 +1721,9 @@ ALTER TABLE public.orders ADD FOREIGN KEY (user_id) REFERENCES public.users (id)
 
 		const fk = {
 			sourceTable: 'public.orders',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		};
 
 		const result = removeForeignKeyStatement(sql, fk);
@@ -935,14 +1742,56 @@ ALTER TABLE public.orders ADD CONSTRAINT fk_orders_user FOREIGN KEY (user_id) RE
 
 		const fk = {
 			sourceTable: 'public.orders',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
+		};
+
+		const result = removeForeignKeyStatement(sql, fk);
+		expect(result).toHaveProperty('sql');
+		expect(result.sql).not.toContain('FOREIGN KEY');
+	});
+
+	it('removes a composite ALTER TABLE ADD FOREIGN KEY statement', () => {
+		const sql = `
+CREATE TABLE public.orders (tenant_id INT, id INT, PRIMARY KEY (tenant_id, id));
+CREATE TABLE public.order_line (tenant_id INT, order_id INT);
+ALTER TABLE public.order_line ADD FOREIGN KEY (tenant_id, "order_id") REFERENCES public.orders (tenant_id, id);
+`;
+
+		const fk = {
+			sourceTable: 'public.order_line',
+			sourceColumns: ['tenant_id', 'order_id'],
+			targetTable: 'public.orders',
+			targetColumns: ['tenant_id', 'id']
+		};
+
+		const result = removeForeignKeyStatement(sql, fk);
+		expect(result).toHaveProperty('sql');
+		expect(result.sql).not.toContain('FOREIGN KEY');
+		expect(result.sql).toContain('CREATE TABLE public.order_line');
+	});
+
+	it('removes a composite table-level FOREIGN KEY constraint', () => {
+		const sql = `
+CREATE TABLE public.order_line (
+  tenant_id INT,
+  order_id INT,
+  CONSTRAINT fk_line_order FOREIGN KEY (tenant_id, order_id) REFERENCES public.orders (tenant_id, id)
+);
+`;
+
+		const fk = {
+			sourceTable: 'public.order_line',
+			sourceColumns: ['tenant_id', 'order_id'],
+			targetTable: 'public.orders',
+			targetColumns: ['tenant_id', 'id']
 		};
 
 		const result = removeForeignKeyStatement(sql, fk);
 		expect(result).toHaveProperty('sql');
 		expect(result.sql).not.toContain('FOREIGN KEY');
+		expect(parsePostgresSQL(result.sql).tables[0].columns).toHaveLength(2);
 	});
 
 	it('removes ALTER TABLE without target column specified', () => {
@@ -954,9 +1803,9 @@ ALTER TABLE public.orders ADD FOREIGN KEY (user_id) REFERENCES public.users;
 
 		const fk = {
 			sourceTable: 'public.orders',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		};
 
 		const result = removeForeignKeyStatement(sql, fk);
@@ -979,9 +1828,9 @@ CREATE TABLE public.orders (
 
 		const fk = {
 			sourceTable: 'public.orders',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		};
 
 		const result = removeForeignKeyStatement(sql, fk);
@@ -1001,9 +1850,9 @@ CREATE TABLE public.orders (
 
 		const fk = {
 			sourceTable: 'public.orders',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		};
 
 		const result = removeForeignKeyStatement(sql, fk);
@@ -1013,6 +1862,28 @@ CREATE TABLE public.orders (
 		expect(result.sql).toContain('user_id BIGINT');
 	});
 
+	it('removes a table-level FOREIGN KEY with deferrable clauses', () => {
+		const sql = `
+CREATE TABLE public.orders (
+  id BIGINT PRIMARY KEY,
+  user_id BIGINT,
+  FOREIGN KEY (user_id) REFERENCES public.users (id) ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED
+);
+`;
+
+		const fk = {
+			sourceTable: 'public.orders',
+			sourceColumns: ['user_id'],
+			targetTable: 'public.users',
+			targetColumns: ['id']
+		};
+
+		const result = removeForeignKeyStatement(sql, fk);
+		expect(result).toHaveProperty('sql');
+		expect(result.sql).not.toContain('FOREIGN KEY');
+		expect(result.sql).not.toContain('DEFERRABLE');
+	});
+
 	it('returns error when FK not found', () => {
 		const sql = `
 CREATE TABLE public.users (id BIGINT PRIMARY KEY);
@@ -1021,9 +1892,9 @@ CREATE TABLE public.orders (id BIGINT PRIMARY KEY, user_id BIGINT);
 
 		const fk = {
 			sourceTable: 'public.orders',
-			sourceColumn: 'user_id',
+			sourceColumns: ['user_id'],
 			targetTable: 'public.users',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		};
 
 		const result = removeForeignKeyStatement(sql, fk);
@@ -1042,9 +1913,9 @@ ALTER TABLE party.datum ADD FOREIGN KEY (datum_type_id) REFERENCES party.datum_t
 
 		const fk = {
 			sourceTable: 'asset.datum',
-			sourceColumn: 'datum_type_id',
+			sourceColumns: ['datum_type_id'],
 			targetTable: 'asset.datum_type',
-			targetColumn: 'id'
+			targetColumns: ['id']
 		};
 
 		const result = removeForeignKeyStatement(sql, fk);
@@ -0,0 +1,242 @@
+/**
+ * Schema diff: structural comparison of two parsed schemas, listing the
+ * tables, columns and foreign keys that were added, removed or changed.
+ *
+ * @module schemaDiff
+ */
+
+/**
+ * @typedef {import('./types.js').Column} Column
+ * @typedef {import('./types.js').ForeignKey} ForeignKey
+ * @typedef {import('./types.js').ParseResult} ParseResult
+ * @typedef {import('./types.js').Table} Table
+ */
+
+/**
+ * @typedef {'added' | 'removed' | 'changed'} DiffStatus
+ */
+
+/**
+ * @typedef {Object} ColumnDiff
+ * @property {string} name
+ * @property {DiffStatus} status
+ * @property {Column} column - The column as it is now; as it was for removed columns
+ * @property {Column} [previous] - The column as it was, for changed columns
+ * @property {string[]} changes - What changed, e.g. "type integer → bigint" (empty unless changed)
+ */
+
+/**
+ * @typedef {Object} TableDiff
+ * @property {string} qualifiedName
+ * @property {DiffStatus} status - "changed" when a column or an outgoing foreign key changed
+ * @property {Table} table - The table as it is now; as it was for removed tables
+ * @property {Table} [previous] - The table as it was, for changed tables
+ * @property {ColumnDiff[]} columns - Columns that differ (empty for added and removed tables)
+ */
+
+/**
+ * @typedef {Object} ForeignKeyDiff
+ * @property {DiffStatus} status
+ * @property {ForeignKey} foreignKey - The foreign key as it is now; as it was for removed ones
+ * @property {ForeignKey} [previous] - The foreign key as it was, for changed ones
+ * @property {string[]} changes - What changed, e.g. "ON DELETE none → CASCADE" (empty unless changed)
+ */
+
+/**
+ * @typedef {Object} SchemaDiff
+ * @property {TableDiff[]} tables - Tables that differ: current tables in order, then removed ones
+ * @property {ForeignKeyDiff[]} foreignKeys - Foreign keys that differ: current ones in order, then removed ones
+ */
+
+/**
+ * Identity of a foreign key: the columns it links. Two foreign keys with the
+ * same identity are the same relationship, possibly with changed options.
+ * @param {ForeignKey} fk
+ * @returns {string}
+ */
+export function getForeignKeyDiffKey(fk) {
+  return `${fk.sourceTable}(${fk.sourceColumns.join(',')})->${fk.targetTable}(${fk.targetColumns.join(',')})`;
+}
+
+/**
+ * Compare two schemas.
+ * @param {Pick<ParseResult, 'tables' | 'foreignKeys'>} before
+ * @param {Pick<ParseResult, 'tables' | 'foreignKeys'>} after
+ * @returns {SchemaDiff}
+ */
+export function diffSchemas(before, after) {
+  const foreignKeys = diffForeignKeys(before.foreignKeys, after.foreignKeys);
+  const changedSources = new Set(foreignKeys.map((d) => d.foreignKey.sourceTable));
+
+  const beforeTables = new Map(before.tables.map((t) => [t.qualifiedName, t]));
+  const afterNames = new Set(after.tables.map((t) => t.qualifiedName));
+
+  /** @type {TableDiff[]} */
+  const tables = [];
+  for (const table of after.tables) {
+    const old = beforeTables.get(table.qualifiedName);
+    if (!old) {
+      tables.push({ qualifiedName: table.qualifiedName, status: 'added', table, columns: [] });
+      continue;
+    }
+    const columns = diffColumns(old.columns, table.columns);
+    if (columns.length > 0 || changedSources.has(table.qualifiedName)) {
+      tables.push({ qualifiedName: table.qualifiedName, status: 'changed', table, previous: old, columns });
+    }
+  }
+  for (const table of before.tables) {
+    if (!afterNames.has(table.qualifiedName)) {
+      tables.push({ qualifiedName: table.qualifiedName, status: 'removed', table, columns: [] });
+    }
+  }
+
+  return { tables, foreignKeys };
+}
+
+/**
+ * One-line summary of a diff, e.g. "2 tables added, 1 foreign key removed".
+ * @param {SchemaDiff} diff
+ * @returns {string} Empty when nothing differs
+ */
+export function summarizeSchemaDiff(diff) {
+  /** @type {string[]} */
+  const parts = [];
+  for (const status of /** @type {DiffStatus[]} */ (['added', 'removed', 'changed'])) {
+    const count = diff.tables.filter((d) => d.status === status).length;
+    if (count > 0) {
+      parts.push(`${count} ${count === 1 ? 'table' : 'tables'} ${status}`);
+    }
+  }
+  for (const status of /** @type {DiffStatus[]} */ (['added', 'removed', 'changed'])) {
+    const count = diff.foreignKeys.filter((d) => d.status === status).length;
+    if (count > 0) {
+      parts.push(`${count} ${count === 1 ? 'foreign key' : 'foreign keys'} ${status}`);
+    }
+  }
+  return parts.join(', ');
+}
+
+/**
+ * @param {Column[]} before
+ * @param {Column[]} after
+ * @returns {ColumnDiff[]}
+ */
+function diffColumns(before, after) {
+  const beforeColumns = new Map(before.map((c) => [c.name, c]));
+  const afterNames = new Set(after.map((c) => c.name));
+
+  /** @type {ColumnDiff[]} */
+  const diffs = [];
+  for (const column of after) {
+    const old = beforeColumns.get(column.name);
+    if (!old) {
+      diffs.push({ name: column.name, status: 'added', column, changes: [] });
+      continue;
+    }
+    const changes = describeColumnChanges(old, column);
+    if (changes.length > 0) {
+      diffs.push({ name: column.name, status: 'changed', column, previous: old, changes });
+    }
+  }
+  for (const column of before) {
+    if (!afterNames.has(column.name)) {
+      diffs.push({ name: column.name, status: 'removed', column, changes: [] });
+    }
+  }
+  return diffs;
+}
+
+/**
+ * Whether two column types are spelled the same, ignoring case and spacing.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function isSameType(a, b) {
+  return normalizeType(a) === normalizeType(b);
+}
+
+/**
+ * Type spelling without case and spacing differences.
+ * @param {string} type
+ * @returns {string}
+ */
+function normalizeType(type) {
+  return type.toLowerCase().replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1');
+}
+
+/**
+ * @param {Column} before
+ * @param {Column} after
+ * @returns {string[]}
+ */
+function describeColumnChanges(before, after) {
+  /** @type {string[]} */
+  const changes = [];
+  if (!isSameType(before.type, after.type)) {
+    changes.push(`type ${before.type} → ${after.type}`);
+  }
+  if (before.isNullable !== after.isNullable) {
+    changes.push(after.isNullable ? 'NOT NULL → NULL' : 'NULL → NOT NULL');
+  }
+  if (before.isPrimaryKey !== after.isPrimaryKey) {
+    changes.push(after.isPrimaryKey ? 'added to primary key' : 'removed from primary key');
+  }
+  if (before.isUnique !== after.isUnique) {
+    changes.push(after.isUnique ? 'UNIQUE added' : 'UNIQUE removed');
+  }
+  if (before.defaultValue !== after.defaultValue) {
+    changes.push(`DEFAULT ${before.defaultValue ?? 'none'} → ${after.defaultValue ?? 'none'}`);
+  }
+  return changes;
+}
+
+/**
+ * @param {ForeignKey[]} before
+ * @param {ForeignKey[]} after
+ * @returns {ForeignKeyDiff[]}
+ */
+function diffForeignKeys(before, after) {
+  const beforeKeys = new Map(before.map((fk) => [getForeignKeyDiffKey(fk), fk]));
+  const afterKeys = new Set(after.map(getForeignKeyDiffKey));
+
+  /** @type {ForeignKeyDiff[]} */
+  const diffs = [];
+  for (const fk of after) {
+    const old = beforeKeys.get(getForeignKeyDiffKey(fk));
+    if (!old) {
+      diffs.push({ status: 'added', foreignKey: fk, changes: [] });
+      continue;
+    }
+    const changes = describeForeignKeyChanges(old, fk);
+    if (changes.length > 0) {
+      diffs.push({ status: 'changed', foreignKey: fk, previous: old, changes });
+    }
+  }
+  for (const fk of before) {
+    if (!afterKeys.has(getForeignKeyDiffKey(fk))) {
+      diffs.push({ status: 'removed', foreignKey: fk, changes: [] });
+    }
+  }
+  return diffs;
+}
+
+/**
+ * @param {ForeignKey} before
+ * @param {ForeignKey} after
+ * @returns {string[]}
+ */
+function describeForeignKeyChanges(before, after) {
+  /** @type {string[]} */
+  const changes = [];
+  if (before.onDelete !== after.onDelete) {
+    changes.push(`ON DELETE ${before.onDelete ?? 'none'} → ${after.onDelete ?? 'none'}`);
+  }
+  if (before.onUpdate !== after.onUpdate) {
+    changes.push(`ON UPDATE ${before.onUpdate ?? 'none'} → ${after.onUpdate ?? 'none'}`);
+  }
+  if (Boolean(before.deferrable) !== Boolean(after.deferrable)) {
+    changes.push(after.deferrable ? 'made DEFERRABLE' : 'made NOT DEFERRABLE');
+  }
+  return changes;
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { diffSchemas, summarizeSchemaDiff } from './schemaDiff.js';
+import { parsePostgresSQL } from './postgres.js';
+
+/**
+ * Diff two versions of a PostgreSQL schema.
+ * @param {string} before
+ * @param {string} after
+ */
+function diff(before, after) {
+  return diffSchemas(parsePostgresSQL(before), parsePostgresSQL(after));
+}
+
+describe('diffSchemas', () => {
+  it('reports nothing for the same schema written differently', () => {
+    const before = `
+      CREATE TABLE users (id integer PRIMARY KEY, name VARCHAR(100) NOT NULL);
+    `;
+    const after = `
+      CREATE TABLE users (
+        id integer,
+        name varchar( 100 ) NOT NULL,
+        PRIMARY KEY (id)
+      );
+    `;
+
+    expect(diff(before, after)).toEqual({ tables: [], foreignKeys: [] });
+  });
+
+  it('lists added and removed tables', () => {
+    const result = diff(
+      'CREATE TABLE users (id integer); CREATE TABLE legacy (id integer);',
+      'CREATE TABLE users (id integer); CREATE TABLE posts (id integer);'
+    );
+
+    expect(result.tables.map((t) => [t.qualifiedName, t.status])).toEqual([
+      ['public.posts', 'added'],
+      ['public.legacy', 'removed'],
+    ]);
+    expect(result.tables[1].table.columns.map((c) => c.name)).toEqual(['id']);
+  });
+
+  it('describes added, removed and changed columns', () => {
+    const result = diff(
+      `
+      CREATE TABLE users (id integer PRIMARY KEY, email text, nickname text, age integer DEFAULT 0);
+    `,
+      `
+      CREATE TABLE users (id bigint PRIMARY KEY, email text NOT NULL UNIQUE, age integer, created_at timestamp);
+    `
+    );
+
+    expect(result.tables).toHaveLength(1);
+    expect(result.tables[0].status).toBe('changed');
+    expect(result.tables[0].columns.map((c) => [c.name, c.status, c.changes])).toEqual([
+      ['id', 'changed', ['type integer → bigint']],
+      ['email', 'changed', ['NULL → NOT NULL', 'UNIQUE added']],
+      ['age', 'changed', ['DEFAULT 0 → none']],
+      ['created_at', 'added', []],
+      ['nickname', 'removed', []],
+    ]);
+  });
+
+  it('diffs foreign keys by the columns they link', () => {
+    const tables = `
+      CREATE TABLE users (id integer PRIMARY KEY);
+      CREATE TABLE teams (id integer PRIMARY KEY);
+    `;
+    const result = diff(
+      `${tables}
+      CREATE TABLE posts (id integer, user_id integer REFERENCES users, team_id integer REFERENCES teams);
+    `,
+      `${tables}
+      CREATE TABLE posts (id integer, user_id integer REFERENCES users ON DELETE CASCADE, team_id integer, editor_id integer REFERENCES users);
+    `
+    );
+
+    expect(result.foreignKeys.map((d) => [d.foreignKey.sourceColumns[0], d.status, d.changes])).toEqual([
+      ['user_id', 'changed', ['ON DELETE none → CASCADE']],
+      ['editor_id', 'added', []],
+      ['team_id', 'removed', []],
+    ]);
+    // The table is changed by its foreign keys and the new column
+    expect(result.tables.map((t) => [t.qualifiedName, t.status, t.columns.map((c) => c.name)])).toEqual([
+      ['public.posts', 'changed', ['editor_id']],
+    ]);
+  });
+
+  it('marks a table changed when only its foreign keys change', () => {
+    const result = diff(
+      'CREATE TABLE users (id integer PRIMARY KEY); CREATE TABLE posts (user_id integer);',
+      `CREATE TABLE users (id integer PRIMARY KEY); CREATE TABLE posts (user_id integer);
+      ALTER TABLE posts ADD FOREIGN KEY (user_id) REFERENCES users (id);`
+    );
+
+    expect(result.tables.map((t) => [t.qualifiedName, t.status, t.columns])).toEqual([['public.posts', 'changed', []]]);
+    expect(result.foreignKeys.map((d) => d.status)).toEqual(['added']);
+  });
+});
+
+describe('summarizeSchemaDiff', () => {
+  it('counts tables and foreign keys by status', () => {
+    const result = diff(
+      'CREATE TABLE users (id integer PRIMARY KEY); CREATE TABLE legacy (id integer); CREATE TABLE old (id integer);',
+      `CREATE TABLE users (id integer PRIMARY KEY, email text);
+      CREATE TABLE posts (user_id integer REFERENCES users, editor_id integer REFERENCES users);`
+    );
+
+    expect(summarizeSchemaDiff(result)).toBe('1 table added, 2 tables removed, 1 table changed, 2 foreign keys added');
+  });
+
+  it('is empty when nothing differs', () => {
+    const sql = 'CREATE TABLE users (id integer PRIMARY KEY);';
+
+    expect(summarizeSchemaDiff(diff(sql, sql))).toBe('');
+  });
+});
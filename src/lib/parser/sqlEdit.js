@@ -0,0 +1,810 @@
+/** @import { ForeignKey, OrphanedAlterTable, ParseResult, Table } from './types.js' */
+/** @import { TokenizeOptions } from './tokenizer.js' */
+import { tokenize } from './tokenizer.js';
+
+/**
+ * How a dialect writes the statements that schema edits look for and
+ * generate. The helpers in this module work on the SQL text with regular
+ * expressions built from these settings, so edits keep the user's formatting.
+ * @typedef {Object} SqlSyntax
+ * @property {string} defaultSchema - Schema of unqualified table names
+ * @property {boolean} omitDefaultSchema - Leave the default schema out of generated names (for dialects without real schemas)
+ * @property {[string, string]} quote - Opening and closing quote for generated identifiers
+ * @property {string} openQuotes - Characters that may open a quoted identifier (escaped for a regex character class)
+ * @property {string} closeQuotes - Characters that may close a quoted identifier (escaped for a regex character class)
+ * @property {RegExp} plainIdentifier - Identifiers that can be written without quotes
+ * @property {boolean} alterTableConstraints - Whether ALTER TABLE can add foreign and primary keys (SQLite cannot)
+ * @property {boolean} batchSeparators - Whether statements may end at a GO line instead of a semicolon (T-SQL)
+ * @property {'postgres' | 'mysql' | 'sqlserver' | 'sqlite'} alterStyle - Which ALTER TABLE forms generated migrations use to change columns and drop constraints
+ * @property {TokenizeOptions} tokenizeOptions - How the dialect's parser tokenizes, to tell code from comments and strings
+ */
+
+/**
+ * @typedef {{ sql: string } | { error: string }} EditResult
+ */
+
+/**
+ * A statement found in the SQL text
+ * @typedef {Object} StatementRange
+ * @property {string} sql - The statement text
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * Regex source matching the optional clauses after REFERENCES target [(cols)]:
+ * ON DELETE/UPDATE actions, [NOT] DEFERRABLE, INITIALLY ..., MATCH ... and
+ * NOT FOR REPLICATION
+ */
+const REFERENTIAL_CLAUSES_PATTERN =
+	'(?:\\s+(?:ON\\s+(?:DELETE|UPDATE)\\s+(?:CASCADE|RESTRICT|NO\\s+ACTION|SET\\s+NULL|SET\\s+DEFAULT)|(?:NOT\\s+)?DEFERRABLE|INITIALLY\\s+(?:DEFERRED|IMMEDIATE)|MATCH\\s+(?:FULL|PARTIAL|SIMPLE)|NOT\\s+FOR\\s+REPLICATION))*';
+
+/**
+ * Regex source for ALTER TABLE [IF EXISTS] [ONLY], up to the table name
+ */
+const ALTER_TABLE = 'ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?(?:ONLY\\s+)?';
+
+/**
+ * Regex source for what may follow PRIMARY KEY in a column definition:
+ * CLUSTERED / NONCLUSTERED, ASC / DESC and AUTOINCREMENT
+ */
+const PRIMARY_KEY_SUFFIX_PATTERN = '(?:\\s+(?:NON)?CLUSTERED|\\s+(?:ASC|DESC))?(?:\\s+AUTOINCREMENT)?';
+
+/**
+ * Regex source for one character inside a statement
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function statementChar(syntax) {
+	return syntax.batchSeparators ? '(?:(?!\\n[ \\t]*GO\\b|\\s(?:CREATE|ALTER|EXEC|EXECUTE)\\s)[^;])' : '[^;]';
+}
+
+/**
+ * Regex source for the end of a statement: a semicolon, or in T-SQL also
+ * the position before a GO line or the next statement
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function statementEnd(syntax) {
+	return syntax.batchSeparators ? '(?:;|(?=\\s*\\n[ \\t]*GO\\b)|(?=\\s+(?:CREATE|ALTER|EXEC|EXECUTE)\\s)|$)' : ';';
+}
+
+/**
+ * Regex source for the closing parenthesis of CREATE TABLE (...), any
+ * table options after it and the end of the statement
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function createTableEnd(syntax) {
+	return syntax.batchSeparators ? `\\)[^;()]*?${statementEnd(syntax)}` : '\\)[^;()]*;';
+}
+
+/**
+ * Format a name for generated SQL, quoting it when needed
+ * @param {string} name
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+export function formatIdentifier(name, syntax) {
+	if (syntax.plainIdentifier.test(name)) {
+		return name;
+	}
+	const [open, close] = syntax.quote;
+	return `${open}${name.replaceAll(close, close + close)}${close}`;
+}
+
+/**
+ * Format a qualified table name for generated SQL
+ * @param {string} qualifiedName - "schema.table"
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+export function formatTableName(qualifiedName, syntax) {
+	const [schema, tableName] = qualifiedName.split('.');
+	if (syntax.omitDefaultSchema && schema === syntax.defaultSchema) {
+		return formatIdentifier(tableName, syntax);
+	}
+	return `${formatIdentifier(schema, syntax)}.${formatIdentifier(tableName, syntax)}`;
+}
+
+/**
+ * Generate an ALTER TABLE ADD FOREIGN KEY statement
+ * @param {string} sourceTable - Fully qualified source table name
+ * @param {string} sourceColumn - Column in the source table
+ * @param {string} targetTable - Fully qualified target table name
+ * @param {string} targetColumn - Column in the target table
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+export function generateForeignKeySql(sourceTable, sourceColumn, targetTable, targetColumn, syntax) {
+	return `ALTER TABLE ${formatTableName(sourceTable, syntax)} ADD ${foreignKeyClause(sourceColumn, targetTable, targetColumn, syntax)};`;
+}
+
+/**
+ * Format FOREIGN KEY (column) REFERENCES target (column)
+ * @param {string} sourceColumn
+ * @param {string} targetTable
+ * @param {string} targetColumn
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function foreignKeyClause(sourceColumn, targetTable, targetColumn, syntax) {
+	const target = syntax.alterTableConstraints ? formatTableName(targetTable, syntax) : formatIdentifier(targetTable.split('.')[1], syntax);
+	return `FOREIGN KEY (${formatIdentifier(sourceColumn, syntax)}) REFERENCES ${target} (${formatIdentifier(targetColumn, syntax)})`;
+}
+
+/**
+ * Add a single-column foreign key. Appends ALTER TABLE ADD FOREIGN KEY,
+ * or, where ALTER TABLE cannot add constraints, adds a table-level
+ * FOREIGN KEY to the source table's CREATE TABLE.
+ * @param {string} sqlContent - The full SQL content
+ * @param {string} sourceTable - Fully qualified source table name
+ * @param {string} sourceColumn
+ * @param {string} targetTable - Fully qualified target table name
+ * @param {string} targetColumn
+ * @param {SqlSyntax} syntax
+ * @returns {EditResult}
+ */
+export function addForeignKey(sqlContent, sourceTable, sourceColumn, targetTable, targetColumn, syntax) {
+	if (syntax.alterTableConstraints) {
+		const statement = generateForeignKeySql(sourceTable, sourceColumn, targetTable, targetColumn, syntax);
+		const separator = syntax.batchSeparators && /^[ \t]*GO[ \t]*$/im.test(sqlContent) ? '\nGO' : '';
+		return { sql: sqlContent.trimEnd() + '\n\n' + statement + separator + '\n' };
+	}
+
+	const createMatch = matchCreateTable(sqlContent, sourceTable, syntax);
+	if (!createMatch) {
+		return { error: `Could not find CREATE TABLE for ${sourceTable} in the SQL.` };
+	}
+	const clause = foreignKeyClause(sourceColumn, targetTable, targetColumn, syntax);
+	return { sql: appendToCreateTable(sqlContent, createMatch, clause).trim() + '\n' };
+}
+
+/**
+ * Match the CREATE TABLE statement of a table, capturing the part up to the
+ * opening parenthesis, the body and the end
+ * @param {string} sqlContent
+ * @param {string} tableName - Qualified table name (schema.table)
+ * @param {SqlSyntax} syntax
+ * @returns {RegExpExecArray | null}
+ */
+function matchCreateTable(sqlContent, tableName, syntax) {
+	const [schema, table] = tableName.split('.');
+	const pattern = new RegExp(
+		`(CREATE\\s+TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${buildTableNamePattern(schema, table, syntax)}\\s*\\()(${statementChar(syntax)}+)(${createTableEnd(syntax)})`,
+		'gis'
+	);
+	return matchStatements(sqlContent, pattern, syntax)[0] ?? null;
+}
+
+/**
+ * Add a table-level element as the last item of a matched CREATE TABLE
+ * @param {string} sqlContent
+ * @param {RegExpExecArray} createMatch - From matchCreateTable
+ * @param {string} element - e.g. "PRIMARY KEY (id)"
+ * @returns {string}
+ */
+function appendToCreateTable(sqlContent, createMatch, element) {
+	const [fullMatch, createStart, createBody, createEnd] = createMatch;
+	const trimmedBody = createBody.trimEnd();
+	const hasTrailingComma = trimmedBody.endsWith(',');
+	const newBody = trimmedBody + (hasTrailingComma ? '' : ',') + `\n  ${element}\n`;
+	return sqlContent.slice(0, createMatch.index) + createStart + newBody + createEnd + sqlContent.slice(createMatch.index + fullMatch.length);
+}
+
+/**
+ * Find and remove a foreign key statement from SQL content.
+ * Supports both ALTER TABLE ADD FOREIGN KEY and inline REFERENCES in CREATE TABLE.
+ * Returns the modified SQL content, or an error if the FK could not be found.
+ *
+ * @param {string} sqlContent - The full SQL content
+ * @param {ForeignKey} fk - The foreign key to remove
+ * @param {SqlSyntax} syntax
+ * @returns {EditResult}
+ */
+export function removeForeignKeyStatement(sqlContent, fk, syntax) {
+	const [sourceSchema, sourceTableName] = fk.sourceTable.split('.');
+	const [targetSchema, targetTableName] = fk.targetTable.split('.');
+
+	// Build patterns that match either "schema.table" or just "table" (for default schema)
+	// Also handle quoted identifiers like "schema"."table"
+	const sourceTablePattern = buildTableNamePattern(sourceSchema, sourceTableName, syntax);
+	const targetTablePattern = buildTableNamePattern(targetSchema, targetTableName, syntax);
+	const sourceColumnsPattern = buildColumnListPattern(fk.sourceColumns, syntax);
+	const targetColumnsPattern = buildColumnListPattern(fk.targetColumns, syntax);
+	const namePattern = `[\\w${syntax.openQuotes}${syntax.closeQuotes}]+`;
+
+	// First, try to find ALTER TABLE [WITH [NO]CHECK] ... ADD FOREIGN KEY statement
+	// Note: target column (id) is optional in SQL - if omitted, it references the PK
+	const alterTablePattern = new RegExp(
+		`${ALTER_TABLE}${sourceTablePattern}\\s+(?:WITH\\s+(?:NO)?CHECK\\s+)?ADD\\s+(?:CONSTRAINT\\s+(${namePattern})\\s+)?FOREIGN\\s+KEY\\s*\\(\\s*${sourceColumnsPattern}\\s*\\)\\s*REFERENCES\\s+${targetTablePattern}(?:\\s*\\(\\s*(?:${targetColumnsPattern})?\\s*\\))?${statementChar(syntax)}*?${statementEnd(syntax)}`,
+		'gi'
+	);
+
+	const alterMatches = matchStatements(sqlContent, alterTablePattern, syntax);
+
+	if (alterMatches.length > 0) {
+		const ranges = alterMatches.map((m) => ({ start: m.index, end: m.index + m[0].length }));
+
+		// T-SQL scripts enable named constraints in a separate statement:
+		// ALTER TABLE t [WITH CHECK] CHECK CONSTRAINT name
+		const unquote = new RegExp(`^[${syntax.openQuotes}]|[${syntax.closeQuotes}]$`, 'g');
+		for (const name of alterMatches.map((m) => m[1]).filter(Boolean)) {
+			const checkPattern = new RegExp(
+				`ALTER\\s+TABLE\\s+${sourceTablePattern}\\s+(?:WITH\\s+(?:NO)?CHECK\\s+)?(?:NO)?CHECK\\s+CONSTRAINT\\s+${buildIdentifierPattern(name.replace(unquote, ''), syntax)}(?![\\w${syntax.closeQuotes}])${statementChar(syntax)}*?${statementEnd(syntax)}`,
+				'gi'
+			);
+			for (const m of matchStatements(sqlContent, checkPattern, syntax)) {
+				ranges.push({ start: m.index, end: m.index + m[0].length });
+			}
+		}
+
+		return { sql: removeRanges(sqlContent, ranges, syntax) };
+	}
+
+	// Try to find inline REFERENCES in CREATE TABLE
+	// First, find the CREATE TABLE for the source table
+	const createMatch = matchCreateTable(sqlContent, fk.sourceTable, syntax);
+	if (!createMatch) {
+		return { error: `Could not find CREATE TABLE for ${fk.sourceTable} in the SQL.` };
+	}
+
+	const createTableStart = createMatch.index;
+	const createTableSql = createMatch[0];
+
+	// Find the column definition line that contains our source column and the REFERENCES
+	// Pattern: column_name TYPE ... [FOREIGN KEY] REFERENCES target
+	const columnWithRefPattern = new RegExp(
+		`(${buildIdentifierPattern(fk.sourceColumns[0], syntax)}\\s+[^,)]+?)((?:CONSTRAINT\\s+${namePattern}\\s+)?(?:FOREIGN\\s+KEY\\s+)?REFERENCES\\s+${targetTablePattern}(?:\\s*\\(\\s*(?:${targetColumnsPattern})?\\s*\\))?${REFERENTIAL_CLAUSES_PATTERN})`,
+		'gi'
+	);
+
+	// Inline REFERENCES can only express a single-column foreign key
+	const columnMatch = fk.sourceColumns.length === 1 ? columnWithRefPattern.exec(createTableSql) : null;
+	if (!columnMatch) {
+		// Try table-level FOREIGN KEY constraint: FOREIGN KEY (column) REFERENCES table (column)
+		// May be preceded by CONSTRAINT name
+		const tableConstraintPattern = new RegExp(
+			`,?\\s*(?:CONSTRAINT\\s+${namePattern}\\s+)?FOREIGN\\s+KEY\\s*\\(\\s*${sourceColumnsPattern}\\s*\\)\\s*REFERENCES\\s+${targetTablePattern}(?:\\s*\\(\\s*(?:${targetColumnsPattern})?\\s*\\))?${REFERENTIAL_CLAUSES_PATTERN}`,
+			'gi'
+		);
+
+		const constraintMatch = tableConstraintPattern.exec(createTableSql);
+		if (!constraintMatch) {
+			return { error: `Could not find FOREIGN KEY definition for column ${fk.sourceColumns.join(', ')} in the SQL.` };
+		}
+
+		// Remove the table-level constraint
+		const matchStartInCreate = constraintMatch.index;
+		const absoluteStart = createTableStart + matchStartInCreate;
+		const matchLength = constraintMatch[0].length;
+
+		const newSqlContent = sqlContent.slice(0, absoluteStart) + sqlContent.slice(absoluteStart + matchLength);
+		return { sql: newSqlContent.replace(/\n{3,}/g, '\n\n').trim() + '\n' };
+	}
+
+	// Remove just the REFERENCES clause from the column definition
+	const beforeRef = columnMatch[1];
+	const fullMatch = columnMatch[0];
+
+	// Calculate positions in the original SQL
+	const matchStartInCreate = columnMatch.index;
+	const absoluteStart = createTableStart + matchStartInCreate;
+
+	// Replace the full match with just the part before REFERENCES (trimmed)
+	const replacement = beforeRef.trimEnd();
+	const newSqlContent = sqlContent.slice(0, absoluteStart) + replacement + sqlContent.slice(absoluteStart + fullMatch.length);
+
+	return { sql: newSqlContent.replace(/\n{3,}/g, '\n\n').trim() + '\n' };
+}
+
+/**
+ * Add a column to the primary key of a table.
+ * If a PK already exists, creates a compound key. Otherwise creates a new PK.
+ *
+ * @param {string} sqlContent - The full SQL content
+ * @param {string} tableName - Qualified table name (schema.table)
+ * @param {string} columnName - Column to add to PK
+ * @param {SqlSyntax} syntax
+ * @returns {EditResult}
+ */
+export function addPrimaryKeyColumn(sqlContent, tableName, columnName, syntax) {
+	const [schema, table] = tableName.split('.');
+	const tablePattern = buildTableNamePattern(schema, table, syntax);
+	const column = formatIdentifier(columnName, syntax);
+
+	// First, try to find existing ALTER TABLE ... ADD PRIMARY KEY
+	const alterMatch = matchAlterTablePrimaryKey(sqlContent, tablePattern, syntax);
+	if (alterMatch) {
+		// Extend existing ALTER TABLE PK with new column
+		const before = alterMatch[1];
+		const existingColumns = alterMatch[2];
+		const after = alterMatch[3];
+		const newColumns = `${existingColumns.trim()}, ${column}`;
+		const newStatement = before + newColumns + after;
+
+		const newSqlContent = sqlContent.slice(0, alterMatch.index) + newStatement + sqlContent.slice(alterMatch.index + alterMatch[0].length);
+		return { sql: newSqlContent.trim() + '\n' };
+	}
+
+	// Try to find inline PRIMARY KEY in CREATE TABLE (either column-level or table-level constraint)
+	const createMatch = matchCreateTable(sqlContent, tableName, syntax);
+	if (createMatch) {
+		const createStart = createMatch[1];
+		const createBody = createMatch[2];
+		const createEnd = createMatch[3];
+
+		// Check for table-level PRIMARY KEY constraint: PRIMARY KEY (col1, col2)
+		const tablePkMatch = buildTablePrimaryKeyPattern(syntax).exec(createBody);
+
+		if (tablePkMatch) {
+			// Extend table-level PK constraint
+			const pkBefore = tablePkMatch[1];
+			const existingColumns = tablePkMatch[2];
+			const pkAfter = tablePkMatch[3];
+			const newColumns = `${existingColumns.trim()}, ${column}`;
+			const newBody = createBody.slice(0, tablePkMatch.index) + pkBefore + newColumns + pkAfter + createBody.slice(tablePkMatch.index + tablePkMatch[0].length);
+			const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + newBody + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
+			return { sql: newSqlContent.trim() + '\n' };
+		}
+
+		// Check for column-level PRIMARY KEY on a different column
+		const columnPkPattern = new RegExp(`(${buildIdentifierPattern('\\w+', syntax, false)}\\s+[^,)]+?)\\s+PRIMARY\\s+KEY`, 'gi');
+		const columnPkMatch = columnPkPattern.exec(createBody);
+
+		if (columnPkMatch) {
+			// Convert column-level PK to table-level compound PK
+			// First, find the column name from the match
+			const colDefMatch = new RegExp(`^[${syntax.openQuotes}]?(\\w+)[${syntax.closeQuotes}]?`).exec(columnPkMatch[1].trim());
+			if (colDefMatch) {
+				const existingPkColumn = colDefMatch[1];
+				// Remove PRIMARY KEY from column definition
+				const newBody = createBody.replace(new RegExp(`(\\s+)PRIMARY\\s+KEY${PRIMARY_KEY_SUFFIX_PATTERN}`, 'i'), '');
+				// Add table-level compound PK at the end
+				const trimmedBody = newBody.trimEnd();
+				const hasTrailingComma = trimmedBody.endsWith(',');
+				const bodyWithConstraint = trimmedBody + (hasTrailingComma ? '' : ',') + `\n  PRIMARY KEY (${existingPkColumn}, ${column})`;
+				const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + bodyWithConstraint + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
+				return { sql: newSqlContent.trim() + '\n' };
+			}
+		}
+
+		// No existing PK and ALTER TABLE cannot add one - declare it in CREATE TABLE
+		if (!syntax.alterTableConstraints) {
+			return { sql: appendToCreateTable(sqlContent, createMatch, `PRIMARY KEY (${column})`).trim() + '\n' };
+		}
+	} else if (!syntax.alterTableConstraints) {
+		return { error: `Could not find table ${tableName} in the SQL.` };
+	}
+
+	// No existing PK found - append ALTER TABLE ADD PRIMARY KEY
+	const alterStatement = `\nALTER TABLE ${formatTableName(tableName, syntax)} ADD PRIMARY KEY (${column});\n`;
+	return { sql: sqlContent.trim() + alterStatement };
+}
+
+/**
+ * Remove a column from the primary key of a table.
+ * If it's the last column, removes the entire PK constraint.
+ *
+ * @param {string} sqlContent - The full SQL content
+ * @param {string} tableName - Qualified table name (schema.table)
+ * @param {string} columnName - Column to remove from PK
+ * @param {SqlSyntax} syntax
+ * @returns {EditResult}
+ */
+export function removePrimaryKeyColumn(sqlContent, tableName, columnName, syntax) {
+	const [schema, table] = tableName.split('.');
+	const tablePattern = buildTableNamePattern(schema, table, syntax);
+	const unquote = new RegExp(`^[${syntax.openQuotes}]|[${syntax.closeQuotes}]$`, 'g');
+
+	// First, try to find ALTER TABLE ... ADD PRIMARY KEY
+	const alterMatch = matchAlterTablePrimaryKey(sqlContent, tablePattern, syntax);
+	if (alterMatch) {
+		const existingColumns = alterMatch[2]
+			.split(',')
+			.map((c) => c.trim().replace(unquote, ''));
+
+		if (existingColumns.length === 1) {
+			// Remove entire ALTER TABLE statement
+			return { sql: removeRanges(sqlContent, [{ start: alterMatch.index, end: alterMatch.index + alterMatch[0].length }], syntax) };
+		}
+
+		// Remove just the column from the list
+		const newColumns = existingColumns.filter((c) => c.toLowerCase() !== columnName.toLowerCase()).join(', ');
+		const newStatement = alterMatch[1] + newColumns + alterMatch[3];
+		const newSqlContent = sqlContent.slice(0, alterMatch.index) + newStatement + sqlContent.slice(alterMatch.index + alterMatch[0].length);
+		return { sql: newSqlContent.trim() + '\n' };
+	}
+
+	// Try to find inline PRIMARY KEY in CREATE TABLE
+	const createMatch = matchCreateTable(sqlContent, tableName, syntax);
+	if (!createMatch) {
+		return { error: `Could not find table ${tableName} in the SQL.` };
+	}
+
+	const createStart = createMatch[1];
+	const createBody = createMatch[2];
+	const createEnd = createMatch[3];
+
+	// Check for table-level PRIMARY KEY constraint: PRIMARY KEY (col1, col2)
+	const tablePkMatch = buildTablePrimaryKeyPattern(syntax).exec(createBody);
+
+	if (tablePkMatch) {
+		const existingColumns = tablePkMatch[2]
+			.split(',')
+			.map((c) => c.trim().replace(unquote, ''));
+
+		if (existingColumns.length === 1) {
+			// Remove entire constraint
+			const newBody = createBody.slice(0, tablePkMatch.index) + createBody.slice(tablePkMatch.index + tablePkMatch[0].length);
+			// Clean up any trailing comma before the removed constraint
+			const cleanedBody = newBody.replace(/,(\s*)$/, '$1');
+			const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + cleanedBody + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
+			return { sql: newSqlContent.replace(/\n{3,}/g, '\n\n').trim() + '\n' };
+		}
+
+		// Remove just the column from the list
+		const newColumns = existingColumns.filter((c) => c.toLowerCase() !== columnName.toLowerCase()).join(', ');
+		const newBody = createBody.slice(0, tablePkMatch.index) + tablePkMatch[1] + newColumns + tablePkMatch[3] + createBody.slice(tablePkMatch.index + tablePkMatch[0].length);
+		const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + newBody + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
+		return { sql: newSqlContent.trim() + '\n' };
+	}
+
+	// Check for column-level PRIMARY KEY
+	const columnPkPattern = new RegExp(
+		`(${buildIdentifierPattern(columnName, syntax)}\\s+[^,)]+?)\\s+PRIMARY\\s+KEY${PRIMARY_KEY_SUFFIX_PATTERN}`,
+		'gi'
+	);
+	const columnPkMatch = columnPkPattern.exec(createBody);
+
+	if (columnPkMatch) {
+		// Remove PRIMARY KEY from the column definition
+		const newBody = createBody.slice(0, columnPkMatch.index) + columnPkMatch[1] + createBody.slice(columnPkMatch.index + columnPkMatch[0].length);
+		const newSqlContent = sqlContent.slice(0, createMatch.index) + createStart + newBody + createEnd + sqlContent.slice(createMatch.index + createMatch[0].length);
+		return { sql: newSqlContent.trim() + '\n' };
+	}
+
+	return { error: `Could not find PRIMARY KEY definition for column ${columnName} in ${tableName}.` };
+}
+
+/**
+ * Match ALTER TABLE ... ADD [CONSTRAINT name] PRIMARY KEY (cols), capturing
+ * the part up to the column list, the columns and the rest of the statement
+ * @param {string} sqlContent
+ * @param {string} tablePattern - From buildTableNamePattern
+ * @param {SqlSyntax} syntax
+ * @returns {RegExpExecArray | null}
+ */
+function matchAlterTablePrimaryKey(sqlContent, tablePattern, syntax) {
+	const pattern = new RegExp(
+		`(${ALTER_TABLE}${tablePattern}\\s+ADD\\s+(?:CONSTRAINT\\s+[\\w${syntax.openQuotes}${syntax.closeQuotes}]+\\s+)?PRIMARY\\s+KEY(?:\\s+(?:NON)?CLUSTERED)?\\s*\\()([^)]+)(\\)${statementChar(syntax)}*?${statementEnd(syntax)})`,
+		'gi'
+	);
+	return matchStatements(sqlContent, pattern, syntax)[0] ?? null;
+}
+
+/**
+ * Build the pattern for a table-level PRIMARY KEY (cols) inside CREATE TABLE,
+ * capturing the part up to the column list, the columns and the closing parenthesis
+ * @param {SqlSyntax} syntax
+ * @returns {RegExp}
+ */
+function buildTablePrimaryKeyPattern(syntax) {
+	return new RegExp(
+		`(,?\\s*(?:CONSTRAINT\\s+[\\w${syntax.openQuotes}${syntax.closeQuotes}]+\\s+)?PRIMARY\\s+KEY(?:\\s+(?:NON)?CLUSTERED)?\\s*\\()([^)]+)(\\))`,
+		'gi'
+	);
+}
+
+/**
+ * Find the CREATE TABLE statement of a table.
+ * @param {string} sqlContent
+ * @param {string} qualifiedName - e.g. "public.users"
+ * @param {SqlSyntax} syntax
+ * @returns {StatementRange | null}
+ */
+export function findCreateTable(sqlContent, qualifiedName, syntax) {
+	const [schema, tableName] = qualifiedName.split('.');
+	const pattern = new RegExp(
+		`CREATE\\s+TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${buildTableNamePattern(schema, tableName, syntax, true)}\\s*\\(`,
+		'gi'
+	);
+
+	const match = matchStatements(sqlContent, pattern, syntax)[0];
+	if (!match) return null;
+
+	const start = match.index;
+	let pos = match.index + match[0].length;
+	let depth = 1;
+
+	// Find matching closing paren
+	while (pos < sqlContent.length && depth > 0) {
+		if (sqlContent[pos] === '(') depth++;
+		else if (sqlContent[pos] === ')') depth--;
+		pos++;
+	}
+
+	// Skip table options to the end of the statement
+	const rest = new RegExp(`^${statementChar(syntax)}*?(?:${statementEnd(syntax)}|$)`).exec(sqlContent.slice(pos));
+	pos += rest ? rest[0].length : 0;
+
+	return {
+		sql: sqlContent.slice(start, pos).trim(),
+		start,
+		end: pos
+	};
+}
+
+/**
+ * Find all ALTER TABLE statements on a table or referencing it (foreign
+ * keys pointing to it).
+ * @param {string} sqlContent
+ * @param {string} qualifiedName
+ * @param {SqlSyntax} syntax
+ * @returns {StatementRange[]}
+ */
+export function findRelatedAlterTables(sqlContent, qualifiedName, syntax) {
+	const [schema, tableName] = qualifiedName.split('.');
+	const tablePattern = buildTableNamePattern(schema, tableName, syntax, true);
+
+	const alterPattern = new RegExp(`ALTER\\s+TABLE\\s+${statementChar(syntax)}*?${statementEnd(syntax)}`, 'gi');
+	const alterOnTablePattern = new RegExp(`^${ALTER_TABLE}${tablePattern}\\s`, 'i');
+	const referencesPattern = new RegExp(`REFERENCES\\s+${tablePattern}(?:\\s|\\(|$)`, 'i');
+
+	/** @type {StatementRange[]} */
+	const results = [];
+	for (const match of matchStatements(sqlContent, alterPattern, syntax)) {
+		const statement = match[0];
+		if (alterOnTablePattern.test(statement) || referencesPattern.test(statement)) {
+			results.push({ sql: statement, start: match.index, end: match.index + statement.length });
+		}
+	}
+	return results;
+}
+
+/**
+ * Insert a new CREATE TABLE statement after the last CREATE TABLE and
+ * before the first ALTER TABLE.
+ * @param {string} sqlContent
+ * @param {string} createTableSql
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+export function insertCreateTable(sqlContent, createTableSql, syntax) {
+	const createTableRegex = new RegExp(
+		`CREATE\\s+TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?[\\w.${syntax.openQuotes}${syntax.closeQuotes}]+\\s*\\([^)]*(?:\\([^)]*\\)[^)]*)*${createTableEnd(syntax)}`,
+		'gi'
+	);
+
+	let lastCreateTableEnd = 0;
+	for (const match of matchStatements(sqlContent, createTableRegex, syntax)) {
+		lastCreateTableEnd = extendOverBatchSeparator(sqlContent, match.index + match[0].length, syntax);
+	}
+
+	const alterMatch = matchStatements(sqlContent, /ALTER\s+TABLE\s+/gi, syntax)[0];
+
+	let insertionPoint;
+	if (lastCreateTableEnd > 0) {
+		insertionPoint = lastCreateTableEnd;
+	} else if (alterMatch) {
+		insertionPoint = alterMatch.index;
+	} else {
+		insertionPoint = sqlContent.length;
+	}
+
+	const separator = syntax.batchSeparators && /^[ \t]*GO[ \t]*$/im.test(sqlContent) ? '\nGO' : '';
+	return sqlContent.slice(0, insertionPoint) + '\n\n' + createTableSql + separator + '\n' + sqlContent.slice(insertionPoint);
+}
+
+/**
+ * Find ALTER TABLE statements that reference tables without a corresponding CREATE TABLE.
+ * Checks both the target table and any REFERENCES clauses.
+ * @param {string} sql - The SQL content to check
+ * @param {(sql: string) => ParseResult} parse - Parser for the dialect
+ * @param {SqlSyntax} syntax
+ * @param {Table[]} [tables] - Defined tables, when some are in other files; defaults to the tables in sql
+ * @returns {OrphanedAlterTable[]}
+ */
+export function findOrphanedAlterTables(sql, parse, syntax, tables = parse(sql).tables) {
+	const definedTables = new Set(tables.map((t) => t.qualifiedName.toLowerCase()));
+
+	/** @type {OrphanedAlterTable[]} */
+	const orphaned = [];
+
+	// Track which statements we've already flagged to avoid duplicates
+	/** @type {Set<number>} */
+	const flaggedPositions = new Set();
+
+	// Find all ALTER TABLE statements using regex
+	// Pattern: ALTER TABLE [IF EXISTS] [schema.]table ...;
+	const name = buildIdentifierPattern('\\w+', syntax, false);
+	const alterTablePattern = new RegExp(
+		`${ALTER_TABLE}(${name}(?:\\.${name})?)${statementChar(syntax)}*?${statementEnd(syntax)}`,
+		'gi'
+	);
+	const referencesPattern = new RegExp(`REFERENCES\\s+(${name}(?:\\.${name})?)`, 'gi');
+
+	for (const match of matchStatements(sql, alterTablePattern, syntax)) {
+		const tableRef = match[1];
+		const qualifiedName = normalizeTableName(tableRef, syntax);
+		const statement = match[0];
+
+		// Check if the ALTER TABLE target doesn't exist
+		if (!definedTables.has(qualifiedName)) {
+			orphaned.push({
+				tableName: qualifiedName,
+				start: match.index,
+				end: match.index + statement.length,
+				statement
+			});
+			flaggedPositions.add(match.index);
+			continue;
+		}
+
+		// Check if any REFERENCES clause points to a non-existent table
+		referencesPattern.lastIndex = 0;
+		let refMatch;
+		while ((refMatch = referencesPattern.exec(statement)) !== null) {
+			const refTableName = normalizeTableName(refMatch[1], syntax);
+			if (!definedTables.has(refTableName) && !flaggedPositions.has(match.index)) {
+				orphaned.push({
+					tableName: refTableName,
+					start: match.index,
+					end: match.index + statement.length,
+					statement
+				});
+				flaggedPositions.add(match.index);
+				break; // Only flag once per statement
+			}
+		}
+	}
+
+	return orphaned;
+}
+
+/**
+ * Normalize a table name reference to lowercase qualified form (schema.table).
+ * @param {string} tableRef - Table reference like "schema.table", schema.table, or just table
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function normalizeTableName(tableRef, syntax) {
+	// Remove quotes and normalize
+	const cleaned = tableRef.replace(new RegExp(`[${syntax.openQuotes}${syntax.closeQuotes}]`, 'g'), '');
+	if (cleaned.includes('.')) {
+		return cleaned.toLowerCase();
+	}
+	return `${syntax.defaultSchema}.${cleaned}`.toLowerCase();
+}
+
+/**
+ * Remove orphaned ALTER TABLE statements from SQL content.
+ * @param {string} sql - The SQL content
+ * @param {OrphanedAlterTable[]} orphaned - The orphaned statements to remove
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+export function removeOrphanedAlterTables(sql, orphaned, syntax) {
+	if (orphaned.length === 0) {
+		return sql;
+	}
+	return removeRanges(sql, orphaned, syntax);
+}
+
+/**
+ * Remove statement ranges from the SQL text, with the whitespace around
+ * them and, in T-SQL, the GO line that ends them.
+ * @param {string} content
+ * @param {{ start: number, end: number }[]} ranges
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+export function removeRanges(content, ranges, syntax) {
+	// Remove from end to start so earlier positions stay valid
+	const sorted = [...ranges].sort((a, b) => b.start - a.start);
+
+	let result = content;
+	for (const range of sorted) {
+		result = removeRangeWithWhitespace(result, range.start, extendOverBatchSeparator(result, range.end, syntax));
+	}
+
+	return result.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Find the matches of a statement pattern that start in SQL code rather
+ * than inside a comment or a string, such as a function body
+ * @param {string} sqlContent
+ * @param {RegExp} pattern - Must have the g flag
+ * @param {SqlSyntax} syntax
+ * @returns {RegExpExecArray[]}
+ */
+function matchStatements(sqlContent, pattern, syntax) {
+	const tokenStarts = new Set(tokenize(sqlContent, syntax.tokenizeOptions).map((t) => t.offset));
+	return [...sqlContent.matchAll(pattern)].filter((m) => tokenStarts.has(m.index));
+}
+
+/**
+ * Move a statement end past a directly following GO line
+ * @param {string} content
+ * @param {number} end
+ * @param {SqlSyntax} syntax
+ * @returns {number}
+ */
+function extendOverBatchSeparator(content, end, syntax) {
+	if (!syntax.batchSeparators) {
+		return end;
+	}
+	const match = /^\s*\n[ \t]*GO[ \t]*(?=\r?\n|$)/i.exec(content.slice(end));
+	return match ? end + match[0].length : end;
+}
+
+/**
+ * Remove a range from content, cleaning up surrounding whitespace.
+ * @param {string} content
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ */
+function removeRangeWithWhitespace(content, start, end) {
+	// Expand to include trailing newlines
+	while (end < content.length && (content[end] === '\n' || content[end] === '\r')) {
+		end++;
+	}
+
+	// Expand to include leading newlines (but keep one)
+	while (start > 0 && (content[start - 1] === '\n' || content[start - 1] === '\r')) {
+		start--;
+	}
+	if (start > 0 && content[start] === '\n') {
+		start++;
+	}
+
+	return content.slice(0, start) + content.slice(end);
+}
+
+/**
+ * Escape special regex characters in a string.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegex(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a regex pattern that matches an identifier, optionally quoted.
+ * @param {string} name
+ * @param {SqlSyntax} syntax
+ * @param {boolean} [escape] - Escape the name (false when it is already a pattern)
+ * @returns {string}
+ */
+function buildIdentifierPattern(name, syntax, escape = true) {
+	return `[${syntax.openQuotes}]?${escape ? escapeRegex(name) : name}[${syntax.closeQuotes}]?`;
+}
+
+/**
+ * Build a regex pattern that matches a comma-separated column list,
+ * with each column optionally quoted.
+ * @param {string[]} columns
+ * @param {SqlSyntax} syntax
+ * @returns {string}
+ */
+function buildColumnListPattern(columns, syntax) {
+	return columns.map((c) => buildIdentifierPattern(c, syntax)).join('\\s*,\\s*');
+}
+
+/**
+ * Build a regex pattern that matches a qualified table name.
+ * Matches: schema.table, "schema"."table", "schema".table, schema."table", or just table
+ * @param {string} schema
+ * @param {string} tableName
+ * @param {SqlSyntax} syntax
+ * @param {boolean} [strictSchema] - Only allow leaving out the schema when it is the default one
+ * @returns {string}
+ */
+function buildTableNamePattern(schema, tableName, syntax, strictSchema = false) {
+	const schemaPattern = `${buildIdentifierPattern(schema, syntax)}\\.`;
+	const optional = !strictSchema || schema.toLowerCase() === syntax.defaultSchema;
+	return `(?:${schemaPattern})${optional ? '?' : ''}${buildIdentifierPattern(tableName, syntax)}`;
+}
@@ -0,0 +1,74 @@
+/** @import { ParseResult } from './types.js' */
+
+/**
+ * A SQL source file of a diagram
+ * @typedef {Object} SqlFile
+ * @property {string} name - File name, as shown to the user
+ * @property {string} content
+ */
+
+/**
+ * Text placed between files when they are parsed together. The semicolon
+ * ends a statement left open at the end of a file.
+ */
+const FILE_SEPARATOR = '\n;\n';
+
+/**
+ * Parse several SQL files as one schema. The files are parsed together, in
+ * order, so ALTER TABLE, COMMENT ON and foreign keys may refer to tables
+ * defined in another file. Each table gets the name of the file that creates
+ * it. With several files, each error gets the file it comes from and the line
+ * within that file.
+ * @param {SqlFile[]} files
+ * @param {(sql: string) => ParseResult} parse
+ * @returns {ParseResult}
+ */
+export function parseSqlFiles(files, parse) {
+	if (files.length === 1) {
+		const result = parse(files[0].content);
+		for (const table of result.tables) {
+			table.sourceFile = files[0].name;
+		}
+		return result;
+	}
+
+	const result = parse(files.map((f) => f.content).join(FILE_SEPARATOR));
+
+	// A table's file is the first one that creates it when parsed on its own
+	/** @type {Map<string, string>} */
+	const sourceFiles = new Map();
+	for (const file of files) {
+		for (const table of parse(file.content).tables) {
+			if (!sourceFiles.has(table.qualifiedName)) {
+				sourceFiles.set(table.qualifiedName, file.name);
+			}
+		}
+	}
+	for (const table of result.tables) {
+		const sourceFile = sourceFiles.get(table.qualifiedName);
+		if (sourceFile) {
+			table.sourceFile = sourceFile;
+		}
+	}
+
+	// Map lines of the joined text back to the file they come from
+	const separatorLines = FILE_SEPARATOR.split('\n').length - 1;
+	/** @type {number[]} */
+	const startLines = [];
+	let line = 1;
+	for (const file of files) {
+		startLines.push(line);
+		line += file.content.split('\n').length - 1 + separatorLines;
+	}
+	for (const error of result.errors) {
+		const errorLine = error.line;
+		if (errorLine === undefined) {
+			continue;
+		}
+		const index = startLines.findLastIndex((start) => start <= errorLine);
+		error.file = files[index].name;
+		error.line = errorLine - startLines[index] + 1;
+	}
+
+	return result;
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { parseSqlFiles } from './sqlFiles.js';
+import { parsePostgresSQL } from './postgres.js';
+import { parseSQLServer } from './sqlserver.js';
+
+describe('parseSqlFiles', () => {
+	const files = [
+		{
+			name: 'users.sql',
+			content: `
+      CREATE TABLE users (id int PRIMARY KEY, email text)`
+		},
+		{
+			name: 'orders.sql',
+			content: `
+      CREATE TABLE orders (
+        id int,
+        user_id int REFERENCES users
+      );
+      ALTER TABLE orders ADD PRIMARY KEY (id);
+      COMMENT ON TABLE users IS 'Accounts';
+    `
+		}
+	];
+
+	it('merges the tables of every file and records where each is created', () => {
+		const result = parseSqlFiles(files, parsePostgresSQL);
+
+		expect(result.errors).toEqual([]);
+		expect(result.tables.map((t) => [t.qualifiedName, t.sourceFile])).toEqual([
+			['public.users', 'users.sql'],
+			['public.orders', 'orders.sql']
+		]);
+	});
+
+	it('resolves foreign keys, ALTER TABLE and comments across files', () => {
+		const result = parseSqlFiles(files, parsePostgresSQL);
+
+		expect(result.foreignKeys).toEqual([
+			{ sourceTable: 'public.orders', sourceColumns: ['user_id'], targetTable: 'public.users', targetColumns: ['id'] }
+		]);
+		expect(result.tables[1].columns[0].isPrimaryKey).toBe(true);
+		expect(result.tables[0].comment).toBe('Accounts');
+	});
+
+	it('ends an unterminated statement at the end of its file', () => {
+		const result = parseSqlFiles(
+			[
+				{ name: 'a.sql', content: 'CREATE TABLE a (id int)' },
+				{ name: 'b.sql', content: 'CREATE TABLE b (id int)' }
+			],
+			parsePostgresSQL
+		);
+
+		expect(result.tables.map((t) => t.name)).toEqual(['a', 'b']);
+	});
+
+	it('reports errors with the file and the line within it', () => {
+		const result = parseSqlFiles(
+			[
+				{ name: 'a.sql', content: 'CREATE TABLE a (id int);\n' },
+				{ name: 'b.sql', content: '\n\nCREATE TABLE (id int);\n' }
+			],
+			parsePostgresSQL
+		);
+
+		expect(result.errors).toHaveLength(1);
+		expect(result.errors[0]).toMatchObject({ file: 'b.sql', line: 3 });
+	});
+
+	it('parses a single file as is', () => {
+		const result = parseSqlFiles([{ name: 'schema.sql', content: 'CREATE TABLE dbo.t (id INT)\nGO\n' }], parseSQLServer);
+
+		expect(result.tables[0]).toMatchObject({ qualifiedName: 'dbo.t', sourceFile: 'schema.sql' });
+	});
+});
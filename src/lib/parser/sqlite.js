@@ -0,0 +1,703 @@
+/** @import { Table, Column, ForeignKey, ReferentialAction, Index, TableConstraint, ParseError, ParseResult } from './types.js' */
+/** @import { SqlSyntax } from './sqlEdit.js' */
+import { tokenize, TokenStream } from './tokenizer.js';
+import { getPrimaryKeyColumns } from './indexes.js';
+
+/**
+ * SQLite accepts MySQL-style backticks and SQL Server-style brackets as
+ * identifier quotes alongside double quotes, and doesn't nest block comments.
+ * @type {import('./tokenizer.js').TokenizeOptions}
+ */
+const TOKENIZE_OPTIONS = { backtickIdentifiers: true, bracketIdentifiers: true, flatBlockComments: true };
+
+/**
+ * SQLite has no schemas; tables live in the "main" database unless
+ * qualified with an attached database name.
+ */
+const DEFAULT_SCHEMA = 'main';
+
+/**
+ * Words (lowercase) that start a column constraint, and so end the type
+ * name and a DEFAULT expression
+ */
+const COLUMN_CONSTRAINT_WORDS = new Set([
+	'constraint',
+	'primary',
+	'not',
+	'null',
+	'unique',
+	'check',
+	'default',
+	'collate',
+	'references',
+	'generated',
+	'as'
+]);
+
+/**
+ * Words that open a table-level constraint inside CREATE TABLE (...)
+ */
+const TABLE_CONSTRAINT_WORDS = new Set(['constraint', 'primary', 'unique', 'check', 'foreign']);
+
+/**
+ * A table-level constraint or foreign key declared in CREATE TABLE.
+ * @typedef {{ constraint: TableConstraint } | { foreignKey: ForeignKey }} TableElement
+ */
+
+/**
+ * Parse SQLite SQL (such as the output of the sqlite3 .schema command) and
+ * extract table definitions
+ * @param {string} sql
+ * @returns {ParseResult}
+ */
+export function parseSQLite(sql) {
+	const tokens = tokenize(sql, TOKENIZE_OPTIONS);
+	const stream = new TokenStream(tokens, sql);
+
+	/** @type {Table[]} */
+	const tables = [];
+	/** @type {ForeignKey[]} */
+	const foreignKeys = [];
+	/** @type {ParseError[]} */
+	const errors = [];
+	/** @type {Map<string, Table>} */
+	const tableMap = new Map();
+	/** @type {{ tableName: string, index: Index }[]} */
+	const indexes = [];
+
+	while (!stream.isEOF()) {
+		try {
+			if (stream.is('KEYWORD', 'CREATE')) {
+				const saved = stream.save();
+				stream.next(); // consume CREATE
+				if (!stream.match('IDENTIFIER', 'temp')) {
+					stream.match('IDENTIFIER', 'temporary');
+				}
+
+				if (stream.is('KEYWORD', 'TABLE')) {
+					stream.next(); // consume TABLE
+					skipIfNotExists(stream);
+
+					const table = parseCreateTable(stream, foreignKeys);
+					if (table && !table.name.toLowerCase().startsWith('sqlite_')) {
+						tables.push(table);
+						tableMap.set(table.qualifiedName, table);
+					}
+				} else if (stream.is('IDENTIFIER', 'index') || (stream.is('KEYWORD', 'UNIQUE') && stream.lookAhead(1).value === 'index')) {
+					indexes.push(parseCreateIndex(stream));
+				} else {
+					stream.restore(saved);
+					stream.next();
+				}
+			} else if (stream.is('KEYWORD', 'ALTER')) {
+				const saved = stream.save();
+				stream.next(); // consume ALTER
+
+				if (stream.is('KEYWORD', 'TABLE')) {
+					stream.next(); // consume TABLE
+					parseAlterTable(stream, tableMap, foreignKeys);
+				} else {
+					stream.restore(saved);
+					stream.next();
+				}
+			} else {
+				stream.next();
+			}
+		} catch (e) {
+			errors.push({
+				message: e instanceof Error ? e.message : String(e),
+				line: stream.line()
+			});
+			skipToNextStatement(stream);
+		}
+	}
+
+	// Post-process: REFERENCES without columns points at the parent's primary key
+	for (const fk of foreignKeys) {
+		if (fk.targetColumns.length === 0) {
+			const targetTable = tableMap.get(fk.targetTable);
+			const pkColumns = targetTable ? getPrimaryKeyColumns(targetTable) : [];
+			if (pkColumns.length > 0) {
+				fk.targetColumns = pkColumns;
+			}
+		}
+	}
+
+	// Post-process: attach indexes from CREATE INDEX
+	for (const { tableName, index } of indexes) {
+		const table = tableMap.get(tableName);
+		if (table) {
+			table.indexes.push(index);
+			if (index.isUnique && index.columns.length === 1 && !index.where) {
+				const column = table.columns.find((c) => c.name === index.columns[0]);
+				if (column) {
+					column.isUnique = true;
+				}
+			}
+		}
+	}
+
+	return { tables, foreignKeys, types: [], errors };
+}
+
+/**
+ * Skip an optional IF NOT EXISTS
+ * @param {TokenStream} stream
+ */
+function skipIfNotExists(stream) {
+	if (stream.is('KEYWORD', 'IF')) {
+		stream.next();
+		stream.match('KEYWORD', 'NOT');
+		stream.match('KEYWORD', 'EXISTS');
+	}
+}
+
+/**
+ * Parse CREATE TABLE (after CREATE [TEMP] TABLE [IF NOT EXISTS]) with its
+ * WITHOUT ROWID / STRICT options. CREATE TABLE ... AS SELECT yields a table
+ * without columns.
+ * @param {TokenStream} stream
+ * @param {ForeignKey[]} foreignKeys - Array to add foreign keys to
+ * @returns {Table | null}
+ */
+function parseCreateTable(stream, foreignKeys) {
+	const { schema, name } = parseQualifiedName(stream);
+	if (!name) {
+		throw new Error(`Expected table name at line ${stream.line()}`);
+	}
+
+	/** @type {Table} */
+	const table = { schema, name, qualifiedName: `${schema}.${name}`, columns: [], indexes: [], constraints: [] };
+
+	if (!stream.match('PUNCTUATION', '(')) {
+		skipToNextStatement(stream);
+		return table;
+	}
+
+	/** @type {TableElement[]} */
+	const elements = [];
+	/** @type {Set<string>} */
+	const descendingKeys = new Set();
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		if (isTableConstraintStart(stream)) {
+			elements.push(parseTableConstraint(stream, table.qualifiedName));
+		} else {
+			const column = parseColumn(stream, table.qualifiedName, foreignKeys, descendingKeys);
+			if (column) {
+				table.columns.push(column);
+			}
+		}
+		skipToElementEnd(stream);
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+
+	for (const element of elements) {
+		if ('foreignKey' in element) {
+			foreignKeys.push(element.foreignKey);
+		} else {
+			addTableConstraint(table, element.constraint);
+		}
+	}
+
+	// Table options: WITHOUT ROWID, STRICT
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ';')) {
+		if (stream.match('KEYWORD', 'WITHOUT')) {
+			stream.expect('IDENTIFIER', 'rowid');
+			table.withoutRowid = true;
+		} else {
+			stream.next();
+		}
+	}
+	stream.match('PUNCTUATION', ';');
+
+	markRowidAlias(table, descendingKeys);
+	return table;
+}
+
+/**
+ * In a rowid table, a single INTEGER PRIMARY KEY column is an alias for the
+ * rowid and gets its value assigned automatically. Only the exact type name
+ * INTEGER qualifies, and a column-level PRIMARY KEY DESC does not.
+ * @param {Table} table
+ * @param {Set<string>} descendingKeys - Columns declared PRIMARY KEY DESC
+ */
+function markRowidAlias(table, descendingKeys) {
+	if (table.withoutRowid) {
+		return;
+	}
+	const pkColumns = table.columns.filter((c) => c.isPrimaryKey);
+	if (pkColumns.length === 1 && pkColumns[0].type === 'integer' && !descendingKeys.has(pkColumns[0].name)) {
+		pkColumns[0].isAutoIncrement = true;
+	}
+}
+
+/**
+ * Check whether the stream is on a table-level constraint rather than a column
+ * @param {TokenStream} stream
+ * @returns {boolean}
+ */
+function isTableConstraintStart(stream) {
+	const token = stream.peek();
+	return token.type === 'KEYWORD' && TABLE_CONSTRAINT_WORDS.has(token.value.toLowerCase());
+}
+
+/**
+ * Parse a table-level constraint: [CONSTRAINT name] PRIMARY KEY (...) |
+ * UNIQUE (...) | CHECK (...) | FOREIGN KEY (...) REFERENCES ...
+ * @param {TokenStream} stream
+ * @param {string} qualifiedTableName - Table that owns the constraint
+ * @returns {TableElement}
+ */
+function parseTableConstraint(stream, qualifiedTableName) {
+	/** @type {string | undefined} */
+	let constraintName;
+	if (stream.match('KEYWORD', 'CONSTRAINT')) {
+		constraintName = parseIdentifier(stream) ?? undefined;
+	}
+
+	if (stream.match('KEYWORD', 'FOREIGN')) {
+		stream.expect('KEYWORD', 'KEY');
+		const sourceColumns = parseColumnList(stream);
+		stream.expect('KEYWORD', 'REFERENCES');
+		const foreignKey = parseReferences(stream, qualifiedTableName, sourceColumns);
+		if (constraintName) {
+			foreignKey.constraintName = constraintName;
+		}
+		return { foreignKey };
+	}
+
+	/** @type {TableConstraint} */
+	let constraint;
+	if (stream.match('KEYWORD', 'PRIMARY')) {
+		stream.expect('KEYWORD', 'KEY');
+		constraint = { kind: 'PRIMARY KEY', columns: parseColumnList(stream) };
+	} else if (stream.match('KEYWORD', 'UNIQUE')) {
+		constraint = { kind: 'UNIQUE', columns: parseColumnList(stream) };
+	} else {
+		stream.expect('KEYWORD', 'CHECK');
+		constraint = { kind: 'CHECK', columns: [], expression: parseParenthesizedExpression(stream) };
+	}
+	if (constraintName) {
+		constraint.name = constraintName;
+	}
+	return { constraint };
+}
+
+/**
+ * Record a table-level constraint: a PRIMARY KEY marks its columns and a
+ * single-column UNIQUE marks its column unique.
+ * @param {Table} table
+ * @param {TableConstraint} constraint
+ */
+function addTableConstraint(table, constraint) {
+	table.constraints.push(constraint);
+	for (const columnName of constraint.columns) {
+		const column = table.columns.find((c) => c.name === columnName);
+		if (!column) continue;
+		if (constraint.kind === 'PRIMARY KEY') {
+			column.isPrimaryKey = true;
+			column.isNullable = false;
+		} else if (constraint.kind === 'UNIQUE' && constraint.columns.length === 1) {
+			column.isUnique = true;
+		}
+	}
+}
+
+/**
+ * Parse a column definition. The type name is optional in SQLite and may
+ * span several words (e.g. UNSIGNED BIG INT).
+ * @param {TokenStream} stream
+ * @param {string} qualifiedTableName - Table being defined (for inline REFERENCES)
+ * @param {ForeignKey[]} foreignKeys - Array to add inline foreign keys to
+ * @param {Set<string>} [descendingKeys] - Receives the name of a PRIMARY KEY DESC column
+ * @returns {Column | null}
+ */
+function parseColumn(stream, qualifiedTableName, foreignKeys, descendingKeys) {
+	const name = parseIdentifier(stream);
+	if (!name) {
+		return null;
+	}
+
+	/** @type {Column} */
+	const column = { name, type: parseTypeName(stream), isPrimaryKey: false, isNullable: true, isUnique: false };
+
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ',') && !stream.is('PUNCTUATION', ')')) {
+		const word = stream.peek().value.toLowerCase();
+		if (word === 'constraint') {
+			stream.next();
+			parseIdentifier(stream);
+		} else if (word === 'primary') {
+			stream.next();
+			stream.expect('KEYWORD', 'KEY');
+			column.isPrimaryKey = true;
+			column.isNullable = false;
+			if (stream.match('IDENTIFIER', 'desc')) {
+				descendingKeys?.add(name);
+			}
+		} else if (word === 'not' && stream.lookAhead(1).value === 'NULL') {
+			stream.next();
+			stream.next();
+			column.isNullable = false;
+		} else if (word === 'unique') {
+			stream.next();
+			column.isUnique = true;
+		} else if (word === 'autoincrement') {
+			stream.next();
+			column.isAutoIncrement = true;
+		} else if (word === 'default') {
+			stream.next();
+			column.defaultValue = parseDefaultExpression(stream);
+		} else if (word === 'check') {
+			stream.next();
+			column.checkExpression = parseParenthesizedExpression(stream);
+		} else if (word === 'references') {
+			stream.next();
+			foreignKeys.push(parseReferences(stream, qualifiedTableName, [name]));
+		} else if (stream.is('PUNCTUATION', '(')) {
+			parseParenthesizedExpression(stream);
+		} else {
+			// NULL, COLLATE, ON CONFLICT, GENERATED ALWAYS AS, ASC, ...
+			stream.next();
+		}
+	}
+
+	return column;
+}
+
+/**
+ * Parse an optional, possibly multi-word type name with its arguments,
+ * e.g. VARCHAR(255), UNSIGNED BIG INT or DECIMAL(10, 2)
+ * @param {TokenStream} stream
+ * @returns {string} - Lowercased type name; empty when the column has no type
+ */
+function parseTypeName(stream) {
+	/** @type {string[]} */
+	const words = [];
+	while (!stream.isEOF()) {
+		const token = stream.peek();
+		if ((token.type !== 'KEYWORD' && token.type !== 'IDENTIFIER') || COLUMN_CONSTRAINT_WORDS.has(token.value.toLowerCase())) {
+			break;
+		}
+		words.push(stream.next().value.toLowerCase());
+	}
+	let type = words.join(' ');
+
+	if (stream.is('PUNCTUATION', '(')) {
+		const start = stream.save();
+		parseParenthesizedExpression(stream);
+		type += stream.sourceText(start, stream.save()).replace(/\s+/g, '').toLowerCase();
+	}
+	return type;
+}
+
+/**
+ * Parse a DEFAULT value: a literal, a signed number or a parenthesized expression
+ * @param {TokenStream} stream
+ * @returns {string} - The expression as written in the source
+ */
+function parseDefaultExpression(stream) {
+	const start = stream.save();
+	if (stream.is('PUNCTUATION', '(')) {
+		parseParenthesizedExpression(stream);
+	} else {
+		if (stream.is('OPERATOR', '-') || stream.is('OPERATOR', '+')) {
+			stream.next();
+		}
+		stream.next();
+	}
+	return stream.sourceText(start, stream.save());
+}
+
+/**
+ * Parse the target of a REFERENCES clause with its actions and deferral.
+ * The parent table is always in the same database as the child.
+ * @param {TokenStream} stream - Positioned after REFERENCES
+ * @param {string} sourceTable
+ * @param {string[]} sourceColumns
+ * @returns {ForeignKey}
+ */
+function parseReferences(stream, sourceTable, sourceColumns) {
+	const targetName = parseIdentifier(stream) ?? '';
+	const schema = sourceTable.slice(0, sourceTable.indexOf('.'));
+
+	/** @type {ForeignKey} */
+	const fk = {
+		sourceTable,
+		sourceColumns,
+		targetTable: `${schema}.${targetName}`,
+		targetColumns: parseColumnList(stream)
+	};
+
+	while (!stream.isEOF()) {
+		if (stream.match('IDENTIFIER', 'on')) {
+			const event = stream.next().value.toLowerCase();
+			const action = parseReferentialAction(stream);
+			if (event === 'delete') {
+				fk.onDelete = action;
+			} else if (event === 'update') {
+				fk.onUpdate = action;
+			}
+		} else if (stream.match('IDENTIFIER', 'match')) {
+			stream.next(); // SIMPLE | PARTIAL | FULL (parsed but ignored by SQLite)
+		} else if (stream.is('KEYWORD', 'NOT') && stream.lookAhead(1).value === 'deferrable') {
+			stream.next();
+			stream.next();
+			skipInitially(stream);
+		} else if (stream.match('IDENTIFIER', 'deferrable')) {
+			fk.deferrable = true;
+			if (skipInitially(stream) === 'deferred') {
+				fk.initiallyDeferred = true;
+			}
+		} else {
+			break;
+		}
+	}
+	return fk;
+}
+
+/**
+ * Skip an optional INITIALLY DEFERRED | IMMEDIATE
+ * @param {TokenStream} stream
+ * @returns {string | undefined} - "deferred" or "immediate" when present
+ */
+function skipInitially(stream) {
+	if (stream.match('IDENTIFIER', 'initially')) {
+		return stream.next().value.toLowerCase();
+	}
+	return undefined;
+}
+
+/**
+ * Parse CASCADE | SET NULL | SET DEFAULT | RESTRICT | NO ACTION
+ * @param {TokenStream} stream
+ * @returns {ReferentialAction}
+ */
+function parseReferentialAction(stream) {
+	if (stream.match('KEYWORD', 'SET')) {
+		if (stream.match('KEYWORD', 'NULL')) {
+			return 'SET NULL';
+		}
+		stream.expect('KEYWORD', 'DEFAULT');
+		return 'SET DEFAULT';
+	}
+	const word = stream.next().value.toLowerCase();
+	if (word === 'cascade') return 'CASCADE';
+	if (word === 'restrict') return 'RESTRICT';
+	stream.next(); // NO ACTION
+	return 'NO ACTION';
+}
+
+/**
+ * Parse CREATE [UNIQUE] INDEX [IF NOT EXISTS] [db.]name ON table (cols)
+ * [WHERE expr] (after consuming CREATE). The database qualifies the index
+ * name; the table is always in the same database.
+ * @param {TokenStream} stream
+ * @returns {{ tableName: string, index: Index }}
+ */
+function parseCreateIndex(stream) {
+	const isUnique = stream.match('KEYWORD', 'UNIQUE') !== null;
+	stream.expect('IDENTIFIER', 'index');
+	skipIfNotExists(stream);
+	const { schema, name } = parseQualifiedName(stream);
+	stream.expect('IDENTIFIER', 'on');
+	const tableName = parseIdentifier(stream) ?? '';
+
+	/** @type {Index} */
+	const index = { name, columns: parseIndexColumns(stream), isUnique };
+	if (stream.match('IDENTIFIER', 'where')) {
+		const start = stream.save();
+		skipToNextStatement(stream);
+		index.where = stream.sourceText(start, stream.save()).replace(/;$/, '').trim();
+	} else {
+		skipToNextStatement(stream);
+	}
+
+	return { tableName: `${schema}.${tableName}`, index };
+}
+
+/**
+ * Parse ALTER TABLE name ADD [COLUMN] column-def. SQLite cannot add
+ * constraints to an existing table, so RENAME and DROP are skipped.
+ * @param {TokenStream} stream
+ * @param {Map<string, Table>} tableMap
+ * @param {ForeignKey[]} foreignKeys
+ */
+function parseAlterTable(stream, tableMap, foreignKeys) {
+	const { schema, name } = parseQualifiedName(stream);
+	const table = tableMap.get(`${schema}.${name}`);
+
+	if (stream.match('KEYWORD', 'ADD')) {
+		stream.match('IDENTIFIER', 'column');
+		const column = parseColumn(stream, `${schema}.${name}`, foreignKeys);
+		if (column && table) {
+			table.columns.push(column);
+		}
+	}
+	skipToNextStatement(stream);
+}
+
+/**
+ * Parse a qualified name (database.name or just name)
+ * @param {TokenStream} stream
+ * @returns {{ schema: string, name: string }}
+ */
+function parseQualifiedName(stream) {
+	const first = parseIdentifier(stream) ?? '';
+	if (stream.match('PUNCTUATION', '.')) {
+		return { schema: first, name: parseIdentifier(stream) ?? '' };
+	}
+	return { schema: DEFAULT_SCHEMA, name: first };
+}
+
+/**
+ * Parse an identifier (quoted with "", `` or [], or bare)
+ * @param {TokenStream} stream
+ * @returns {string | null}
+ */
+function parseIdentifier(stream) {
+	const token = stream.peek();
+	if (token.type === 'IDENTIFIER' || token.type === 'QUOTED_IDENTIFIER') {
+		stream.next();
+		return token.value;
+	}
+	// Some keywords can be used as identifiers
+	if (token.type === 'KEYWORD') {
+		stream.next();
+		return token.value.toLowerCase();
+	}
+	return null;
+}
+
+/**
+ * Parse a parenthesized list of column names, e.g. (a, b). COLLATE and
+ * ASC/DESC after a name are skipped.
+ * @param {TokenStream} stream
+ * @returns {string[]} - Empty if the stream is not on an opening parenthesis
+ */
+function parseColumnList(stream) {
+	/** @type {string[]} */
+	const columns = [];
+	if (!stream.match('PUNCTUATION', '(')) {
+		return columns;
+	}
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		const column = parseIdentifier(stream);
+		if (column) {
+			columns.push(column);
+		}
+		skipToElementEnd(stream);
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+	return columns;
+}
+
+/**
+ * Parse an index column list. Expressions are kept as written; COLLATE and
+ * ASC/DESC are dropped.
+ * @param {TokenStream} stream
+ * @returns {string[]}
+ */
+function parseIndexColumns(stream) {
+	/** @type {string[]} */
+	const columns = [];
+	stream.expect('PUNCTUATION', '(');
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		const start = stream.save();
+		const column = parseIdentifier(stream);
+		if (column && (stream.is('PUNCTUATION', ',') || stream.is('PUNCTUATION', ')') || stream.is('IDENTIFIER', 'collate') || stream.is('IDENTIFIER', 'asc') || stream.is('IDENTIFIER', 'desc'))) {
+			columns.push(column);
+			skipToElementEnd(stream);
+		} else {
+			stream.restore(start);
+			skipToElementEnd(stream);
+			columns.push(stream.sourceText(start, stream.save()).trim());
+		}
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+	return columns;
+}
+
+/**
+ * Parse a parenthesized expression such as the body of CHECK (...).
+ * The stream must be positioned on the opening parenthesis.
+ * @param {TokenStream} stream
+ * @returns {string} - The expression inside the outer parentheses, as written in the source
+ */
+function parseParenthesizedExpression(stream) {
+	stream.expect('PUNCTUATION', '(');
+	const start = stream.save();
+	let parenDepth = 1;
+
+	while (!stream.isEOF()) {
+		const token = stream.peek();
+		if (token.type === 'PUNCTUATION' && token.value === '(') {
+			parenDepth++;
+		} else if (token.type === 'PUNCTUATION' && token.value === ')') {
+			parenDepth--;
+			if (parenDepth === 0) {
+				break;
+			}
+		}
+		stream.next();
+	}
+
+	const expression = stream.sourceText(start, stream.save());
+	stream.match('PUNCTUATION', ')');
+	return expression;
+}
+
+/**
+ * Skip to the next comma or closing parenthesis at the current nesting level
+ * @param {TokenStream} stream
+ */
+function skipToElementEnd(stream) {
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ',') && !stream.is('PUNCTUATION', ')')) {
+		if (stream.is('PUNCTUATION', '(')) {
+			parseParenthesizedExpression(stream);
+		} else {
+			stream.next();
+		}
+	}
+}
+
+/**
+ * Skip to next statement (error recovery)
+ * @param {TokenStream} stream
+ */
+function skipToNextStatement(stream) {
+	while (!stream.isEOF()) {
+		if (stream.is('PUNCTUATION', ';')) {
+			stream.next();
+			break;
+		}
+		stream.next();
+	}
+}
+
+/**
+ * Template for a new CREATE TABLE statement
+ */
+export const CREATE_TABLE_TEMPLATE = `CREATE TABLE table_name (
+  id INTEGER PRIMARY KEY,
+  name TEXT
+);`;
+
+/**
+ * How schema edits read and write SQLite
+ * @type {SqlSyntax}
+ */
+export const SQL_SYNTAX = {
+	defaultSchema: DEFAULT_SCHEMA,
+	omitDefaultSchema: true,
+	quote: ['"', '"'],
+	openQuotes: '"`\\[',
+	closeQuotes: '"`\\]',
+	plainIdentifier: /^[A-Za-z_][A-Za-z0-9_$]*$/,
+	alterTableConstraints: false,
+	batchSeparators: false,
+	alterStyle: 'sqlite',
+	tokenizeOptions: TOKENIZE_OPTIONS
+};
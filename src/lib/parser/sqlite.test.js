@@ -0,0 +1,254 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize } from './tokenizer.js';
+import { parseSQLite } from './sqlite.js';
+
+describe('tokenizer with bracket identifiers', () => {
+	it('reads [bracketed] identifiers when enabled', () => {
+		const tokens = tokenize('CREATE TABLE [order items] ([a]]b] int);', { bracketIdentifiers: true });
+
+		const quoted = tokens.filter((t) => t.type === 'QUOTED_IDENTIFIER').map((t) => t.value);
+		expect(quoted).toEqual(['order items', 'a]b']);
+	});
+
+	it('leaves brackets alone by default', () => {
+		const tokens = tokenize('int[]');
+
+		expect(tokens.some((t) => t.type === 'QUOTED_IDENTIFIER')).toBe(false);
+	});
+});
+
+describe('parseSQLite', () => {
+	it('parses a simple table into the main schema', () => {
+		const result = parseSQLite(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        name TEXT
+      );
+    `);
+
+		expect(result.errors).toEqual([]);
+		expect(result.tables).toHaveLength(1);
+		const table = result.tables[0];
+		expect(table.schema).toBe('main');
+		expect(table.qualifiedName).toBe('main.users');
+		expect(table.columns.map((c) => c.name)).toEqual(['id', 'email', 'name']);
+		expect(table.columns[1]).toMatchObject({ type: 'text', isNullable: false, isUnique: true });
+		expect(table.columns[2].isNullable).toBe(true);
+	});
+
+	it('handles quoted identifiers, IF NOT EXISTS, TEMP and attached databases', () => {
+		const result = parseSQLite(`
+      CREATE TABLE IF NOT EXISTS "order" ([item id] int, \`qty\` int);
+      CREATE TEMP TABLE scratch (x);
+      CREATE TABLE archive.old_orders (id INTEGER PRIMARY KEY);
+    `);
+
+		expect(result.tables.map((t) => t.qualifiedName)).toEqual(['main.order', 'main.scratch', 'archive.old_orders']);
+		expect(result.tables[0].columns.map((c) => c.name)).toEqual(['item id', 'qty']);
+	});
+
+	it('keeps multi-word types and allows columns without a type', () => {
+		const result = parseSQLite(`
+      CREATE TABLE t (
+        a UNSIGNED BIG INT,
+        b VARCHAR(255) NOT NULL,
+        c DECIMAL(10, 2),
+        d
+      );
+    `);
+
+		expect(result.tables[0].columns.map((c) => c.type)).toEqual(['unsigned big int', 'varchar(255)', 'decimal(10,2)', '']);
+	});
+
+	it('captures DEFAULT and CHECK, skipping COLLATE, ON CONFLICT and generated columns', () => {
+		const result = parseSQLite(`
+      CREATE TABLE t (
+        status TEXT NOT NULL ON CONFLICT REPLACE DEFAULT 'new' CHECK (status IN ('new', 'done')),
+        code TEXT COLLATE NOCASE,
+        created_at TEXT DEFAULT (datetime('now')),
+        score REAL DEFAULT -1,
+        total INT GENERATED ALWAYS AS (score * 2) STORED
+      );
+    `);
+
+		const [status, code, createdAt, score, total] = result.tables[0].columns;
+		expect(status).toMatchObject({ isNullable: false, defaultValue: "'new'", checkExpression: "status IN ('new', 'done')" });
+		expect(code.type).toBe('text');
+		expect(createdAt.defaultValue).toBe("(datetime('now'))");
+		expect(score.defaultValue).toBe('-1');
+		expect(total.type).toBe('int');
+	});
+
+	it('skips sqlite_ internal tables and statements it does not model', () => {
+		const result = parseSQLite(`
+      PRAGMA foreign_keys=OFF;
+      BEGIN TRANSACTION;
+      CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT);
+      INSERT INTO users VALUES(1);
+      CREATE TABLE sqlite_sequence(name,seq);
+      CREATE VIEW v AS SELECT * FROM users;
+      CREATE TRIGGER trg AFTER INSERT ON users BEGIN SELECT 1; END;
+      COMMIT;
+    `);
+
+		expect(result.errors).toEqual([]);
+		expect(result.tables.map((t) => t.name)).toEqual(['users']);
+	});
+});
+
+describe('parseSQLite primary keys and rowid', () => {
+	it('treats INTEGER PRIMARY KEY as an alias for the rowid', () => {
+		const result = parseSQLite(`
+      CREATE TABLE a (id INTEGER PRIMARY KEY, name TEXT);
+      CREATE TABLE b (id integer, name TEXT, PRIMARY KEY (id));
+      CREATE TABLE c (id INTEGER PRIMARY KEY AUTOINCREMENT);
+    `);
+
+		for (const table of result.tables) {
+			expect(table.columns[0]).toMatchObject({ isPrimaryKey: true, isNullable: false, isAutoIncrement: true });
+		}
+	});
+
+	it('does not alias the rowid for other primary keys', () => {
+		const result = parseSQLite(`
+      CREATE TABLE a (id INT PRIMARY KEY);
+      CREATE TABLE b (id INTEGER PRIMARY KEY DESC);
+      CREATE TABLE c (x INTEGER, y INTEGER, PRIMARY KEY (x, y));
+      CREATE TABLE d (id INTEGER PRIMARY KEY, name TEXT) WITHOUT ROWID;
+    `);
+
+		for (const table of result.tables) {
+			expect(table.columns.some((c) => c.isAutoIncrement)).toBe(false);
+		}
+		expect(result.tables[2].columns.every((c) => c.isPrimaryKey)).toBe(true);
+	});
+
+	it('marks WITHOUT ROWID tables', () => {
+		const result = parseSQLite(`
+      CREATE TABLE kv (k TEXT PRIMARY KEY, v BLOB) WITHOUT ROWID;
+      CREATE TABLE strict_t (id INTEGER PRIMARY KEY) STRICT;
+    `);
+
+		expect(result.tables[0].withoutRowid).toBe(true);
+		expect(result.tables[1].withoutRowid).toBeUndefined();
+	});
+
+	it('keeps named table-level constraints', () => {
+		const result = parseSQLite(`
+      CREATE TABLE t (
+        a TEXT,
+        b TEXT,
+        CONSTRAINT t_pk PRIMARY KEY (a, b),
+        UNIQUE (b),
+        CONSTRAINT a_not_empty CHECK (length(a) > 0)
+      );
+    `);
+
+		const table = result.tables[0];
+		expect(table.constraints).toEqual([
+			{ kind: 'PRIMARY KEY', name: 't_pk', columns: ['a', 'b'] },
+			{ kind: 'UNIQUE', columns: ['b'] },
+			{ kind: 'CHECK', name: 'a_not_empty', columns: [], expression: 'length(a) > 0' }
+		]);
+		expect(table.columns[1].isUnique).toBe(true);
+	});
+});
+
+describe('parseSQLite foreign keys', () => {
+	it('parses table-level FOREIGN KEY clauses with actions and deferral', () => {
+		const result = parseSQLite(`
+      CREATE TABLE users (id INTEGER PRIMARY KEY);
+      CREATE TABLE posts (
+        id INTEGER PRIMARY KEY,
+        author_id INTEGER NOT NULL,
+        CONSTRAINT fk_author FOREIGN KEY (author_id) REFERENCES users (id)
+          ON DELETE CASCADE ON UPDATE NO ACTION DEFERRABLE INITIALLY DEFERRED
+      );
+    `);
+
+		expect(result.foreignKeys).toEqual([
+			{
+				sourceTable: 'main.posts',
+				sourceColumns: ['author_id'],
+				targetTable: 'main.users',
+				targetColumns: ['id'],
+				constraintName: 'fk_author',
+				onDelete: 'CASCADE',
+				onUpdate: 'NO ACTION',
+				deferrable: true,
+				initiallyDeferred: true
+			}
+		]);
+	});
+
+	it('parses inline REFERENCES and resolves the parent primary key', () => {
+		const result = parseSQLite(`
+      CREATE TABLE comments (
+        id INTEGER PRIMARY KEY,
+        post_id INTEGER REFERENCES posts ON DELETE SET NULL
+      );
+      CREATE TABLE posts (id INTEGER PRIMARY KEY);
+    `);
+
+		expect(result.foreignKeys).toHaveLength(1);
+		expect(result.foreignKeys[0]).toMatchObject({
+			sourceTable: 'main.comments',
+			sourceColumns: ['post_id'],
+			targetTable: 'main.posts',
+			targetColumns: ['id'],
+			onDelete: 'SET NULL'
+		});
+	});
+
+	it('parses composite foreign keys within an attached database', () => {
+		const result = parseSQLite(`
+      CREATE TABLE archive.parent (a INT, b INT, PRIMARY KEY (a, b));
+      CREATE TABLE archive.child (a INT, b INT, FOREIGN KEY (a, b) REFERENCES parent (a, b));
+    `);
+
+		expect(result.foreignKeys[0]).toMatchObject({
+			sourceTable: 'archive.child',
+			sourceColumns: ['a', 'b'],
+			targetTable: 'archive.parent',
+			targetColumns: ['a', 'b']
+		});
+	});
+
+	it('resolves a composite parent key in its declared order', () => {
+		const result = parseSQLite(`
+      CREATE TABLE child (a INT, b INT, FOREIGN KEY (b, a) REFERENCES parent);
+      CREATE TABLE parent (a INT, b INT, PRIMARY KEY (b, a));
+    `);
+
+		expect(result.foreignKeys[0].targetColumns).toEqual(['b', 'a']);
+	});
+
+	it('adds columns from ALTER TABLE ADD COLUMN', () => {
+		const result = parseSQLite(`
+      CREATE TABLE users (id INTEGER PRIMARY KEY);
+      CREATE TABLE posts (id INTEGER PRIMARY KEY);
+      ALTER TABLE posts ADD COLUMN author_id INTEGER REFERENCES users(id);
+    `);
+
+		expect(result.tables[1].columns.map((c) => c.name)).toEqual(['id', 'author_id']);
+		expect(result.foreignKeys[0]).toMatchObject({ sourceTable: 'main.posts', targetTable: 'main.users' });
+	});
+});
+
+describe('parseSQLite indexes', () => {
+	it('parses CREATE INDEX with expressions, ordering and partial predicates', () => {
+		const result = parseSQLite(`
+      CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT, org_id INT, deleted_at TEXT);
+      CREATE UNIQUE INDEX IF NOT EXISTS users_email ON users (email COLLATE NOCASE);
+      CREATE INDEX users_org ON users (org_id DESC, lower(email)) WHERE deleted_at IS NULL;
+    `);
+
+		const table = result.tables[0];
+		expect(table.indexes).toEqual([
+			{ name: 'users_email', columns: ['email'], isUnique: true },
+			{ name: 'users_org', columns: ['org_id', 'lower(email)'], isUnique: false, where: 'deleted_at IS NULL' }
+		]);
+		expect(table.columns[1].isUnique).toBe(true);
+	});
+});
@@ -0,0 +1,892 @@
+/** @import { Table, Column, ForeignKey, ReferentialAction, Index, TableConstraint, ParseError, ParseResult } from './types.js' */
+/** @import { SqlSyntax } from './sqlEdit.js' */
+import { tokenize, TokenStream } from './tokenizer.js';
+import { getPrimaryKeyColumns } from './indexes.js';
+
+/**
+ * T-SQL quotes identifiers with [brackets] as well as double quotes, and
+ * names variables @name and temporary tables #name.
+ * @type {import('./tokenizer.js').TokenizeOptions}
+ */
+const TOKENIZE_OPTIONS = { bracketIdentifiers: true, sigilIdentifiers: true };
+
+/**
+ * Schema for unqualified names
+ */
+const DEFAULT_SCHEMA = 'dbo';
+
+/**
+ * Words (lowercase) that start a column attribute, and so end a DEFAULT expression
+ */
+const COLUMN_ATTRIBUTE_WORDS = new Set([
+	'not',
+	'null',
+	'default',
+	'identity',
+	'constraint',
+	'primary',
+	'unique',
+	'check',
+	'foreign',
+	'references',
+	'collate',
+	'rowguidcol',
+	'sparse',
+	'for',
+	'with'
+]);
+
+/**
+ * Words that open a table-level element inside CREATE TABLE (...) or after ALTER TABLE ADD
+ */
+const TABLE_ELEMENT_WORDS = new Set(['constraint', 'primary', 'unique', 'check', 'foreign', 'default', 'index', 'period']);
+
+/**
+ * Objects whose body is the rest of the batch
+ */
+const BATCH_OBJECT_WORDS = new Set(['procedure', 'proc', 'function', 'trigger', 'view']);
+
+/**
+ * A key, index, constraint or foreign key declared in CREATE TABLE or added
+ * with ALTER TABLE, or a named DEFAULT constraint (ADD CONSTRAINT ... DEFAULT
+ * ... FOR column).
+ * @typedef {{ constraint: TableConstraint } | { index: Index } | { foreignKey: ForeignKey } | { defaultValue: string, column: string }} TableElement
+ */
+
+/**
+ * A description set with sp_addextendedproperty 'MS_Description'
+ * @typedef {Object} ExtendedProperty
+ * @property {string} tableName - Qualified name of the table or view
+ * @property {string} [columnName] - Set for column descriptions
+ * @property {string} text
+ */
+
+/**
+ * Parse SQL Server (T-SQL) scripts, such as those generated by SSMS, and
+ * extract table definitions
+ * @param {string} sql
+ * @returns {ParseResult}
+ */
+export function parseSQLServer(sql) {
+	const tokens = tokenize(sql, TOKENIZE_OPTIONS);
+	const stream = new TokenStream(tokens, sql);
+
+	/** @type {Table[]} */
+	const tables = [];
+	/** @type {ForeignKey[]} */
+	const foreignKeys = [];
+	/** @type {ParseError[]} */
+	const errors = [];
+	/** @type {Map<string, Table>} - Keyed by lowercased qualified name */
+	const tableMap = new Map();
+	/** @type {{ tableName: string, index: Index }[]} */
+	const indexes = [];
+	/** @type {ExtendedProperty[]} */
+	const descriptions = [];
+
+	while (!stream.isEOF()) {
+		try {
+			if (stream.is('KEYWORD', 'CREATE')) {
+				const saved = stream.save();
+				stream.next(); // consume CREATE
+				if (stream.is('IDENTIFIER', 'or')) {
+					stream.next(); // OR
+					stream.next(); // ALTER
+				}
+
+				if (stream.is('KEYWORD', 'TABLE')) {
+					stream.next(); // consume TABLE
+					// #temp and ##global temp tables are not part of the schema
+					const isTemporary = stream.peek().value.startsWith('#');
+					const table = parseCreateTable(stream, isTemporary ? [] : foreignKeys);
+					if (table && !isTemporary) {
+						tables.push(table);
+						tableMap.set(table.qualifiedName.toLowerCase(), table);
+					}
+				} else if (isCreateIndex(stream)) {
+					indexes.push(parseCreateIndex(stream));
+				} else if (BATCH_OBJECT_WORDS.has(stream.peek().value.toLowerCase())) {
+					skipToEndOfBatch(stream);
+				} else {
+					stream.restore(saved);
+					stream.next();
+				}
+			} else if (stream.is('KEYWORD', 'ALTER')) {
+				const saved = stream.save();
+				stream.next(); // consume ALTER
+
+				if (stream.is('KEYWORD', 'TABLE')) {
+					stream.next(); // consume TABLE
+					parseAlterTable(stream, tableMap, foreignKeys);
+				} else {
+					stream.restore(saved);
+					stream.next();
+				}
+			} else if (stream.is('IDENTIFIER', 'exec') || stream.is('IDENTIFIER', 'execute')) {
+				stream.next();
+				const description = parseExecStatement(stream);
+				if (description) {
+					descriptions.push(description);
+				}
+			} else {
+				stream.next();
+			}
+		} catch (e) {
+			errors.push({
+				message: e instanceof Error ? e.message : String(e),
+				line: stream.line()
+			});
+			skipToNextStatement(stream);
+		}
+	}
+
+	// Post-process: identifiers are case-insensitive, so match references
+	// to the declared spelling and resolve missing target columns to the PK
+	for (const fk of foreignKeys) {
+		const sourceTable = tableMap.get(fk.sourceTable.toLowerCase());
+		if (sourceTable) {
+			fk.sourceTable = sourceTable.qualifiedName;
+			fk.sourceColumns = fk.sourceColumns.map((c) => findColumn(sourceTable, c)?.name ?? c);
+		}
+		const targetTable = tableMap.get(fk.targetTable.toLowerCase());
+		if (!targetTable) continue;
+		fk.targetTable = targetTable.qualifiedName;
+		if (fk.targetColumns.length === 0) {
+			fk.targetColumns = getPrimaryKeyColumns(targetTable);
+		} else {
+			fk.targetColumns = fk.targetColumns.map((c) => findColumn(targetTable, c)?.name ?? c);
+		}
+	}
+
+	// Post-process: attach indexes from CREATE INDEX
+	for (const { tableName, index } of indexes) {
+		const table = tableMap.get(tableName.toLowerCase());
+		if (table) {
+			applyTableElement(table, { index }, foreignKeys);
+		}
+	}
+
+	// Post-process: apply MS_Description extended properties (later wins)
+	for (const { tableName, columnName, text } of descriptions) {
+		const table = tableMap.get(tableName.toLowerCase());
+		if (!table) continue;
+		if (columnName === undefined) {
+			table.comment = text;
+		} else {
+			const column = findColumn(table, columnName);
+			if (column) {
+				column.comment = text;
+			}
+		}
+	}
+
+	return { tables, foreignKeys, types: [], errors };
+}
+
+/**
+ * Check whether the stream is on a GO batch separator, which must be on a
+ * line of its own
+ * @param {TokenStream} stream
+ * @returns {boolean}
+ */
+function isBatchSeparator(stream) {
+	if (!stream.is('IDENTIFIER', 'go')) {
+		return false;
+	}
+	const next = stream.lookAhead(1);
+	return next.type === 'EOF' || next.line > stream.peek().line;
+}
+
+/**
+ * Parse CREATE TABLE (after CREATE TABLE) including the trailing ON
+ * filegroup / TEXTIMAGE_ON / WITH (...) options
+ * @param {TokenStream} stream
+ * @param {ForeignKey[]} foreignKeys - Array to add foreign keys to
+ * @returns {Table | null}
+ */
+function parseCreateTable(stream, foreignKeys) {
+	const { schema, name } = parseQualifiedName(stream);
+	if (!name) {
+		throw new Error(`Expected table name at line ${stream.line()}`);
+	}
+	const qualifiedName = `${schema}.${name}`;
+
+	/** @type {Table} */
+	const table = { schema, name, qualifiedName, columns: [], indexes: [], constraints: [] };
+
+	stream.expect('PUNCTUATION', '(');
+
+	/** @type {TableElement[]} */
+	const elements = [];
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		if (isTableElementStart(stream)) {
+			const element = parseTableElement(stream, qualifiedName);
+			if (element) {
+				elements.push(element);
+			}
+		} else {
+			const column = parseColumn(stream, qualifiedName, foreignKeys);
+			if (column) {
+				table.columns.push(column);
+			}
+		}
+		skipToElementEnd(stream);
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+
+	for (const element of elements) {
+		applyTableElement(table, element, foreignKeys);
+	}
+
+	skipStorageOptions(stream);
+	stream.match('PUNCTUATION', ';');
+
+	return table;
+}
+
+/**
+ * Skip WITH (...), ON filegroup, TEXTIMAGE_ON and FILESTREAM_ON clauses
+ * @param {TokenStream} stream
+ */
+function skipStorageOptions(stream) {
+	while (!stream.isEOF()) {
+		if (stream.match('KEYWORD', 'WITH')) {
+			if (stream.is('PUNCTUATION', '(')) {
+				parseParenthesizedExpression(stream);
+			}
+		} else if (stream.is('IDENTIFIER', 'on') || stream.is('IDENTIFIER', 'textimage_on') || stream.is('IDENTIFIER', 'filestream_on')) {
+			stream.next();
+			parseIdentifier(stream);
+			if (stream.is('PUNCTUATION', '(')) {
+				// partition_scheme(column)
+				parseParenthesizedExpression(stream);
+			}
+		} else {
+			break;
+		}
+	}
+}
+
+/**
+ * Check whether the stream is on a table-level element rather than a column
+ * @param {TokenStream} stream
+ * @returns {boolean}
+ */
+function isTableElementStart(stream) {
+	const token = stream.peek();
+	return (token.type === 'KEYWORD' || token.type === 'IDENTIFIER') && TABLE_ELEMENT_WORDS.has(token.value.toLowerCase());
+}
+
+/**
+ * Parse a table-level element: [CONSTRAINT name] PRIMARY KEY | UNIQUE |
+ * CHECK | FOREIGN KEY | DEFAULT ... FOR column, or an inline INDEX.
+ * PERIOD FOR SYSTEM_TIME is skipped.
+ * @param {TokenStream} stream
+ * @param {string} qualifiedTableName - Table that owns the element
+ * @returns {TableElement | null}
+ */
+function parseTableElement(stream, qualifiedTableName) {
+	/** @type {string | undefined} */
+	let constraintName;
+	if (stream.match('KEYWORD', 'CONSTRAINT')) {
+		constraintName = parseIdentifier(stream) ?? undefined;
+	}
+
+	if (stream.match('KEYWORD', 'FOREIGN')) {
+		stream.expect('KEYWORD', 'KEY');
+		const sourceColumns = parseColumnList(stream);
+		stream.expect('KEYWORD', 'REFERENCES');
+		const foreignKey = parseReferences(stream, qualifiedTableName, sourceColumns);
+		if (constraintName) {
+			foreignKey.constraintName = constraintName;
+		}
+		return { foreignKey };
+	}
+
+	if (stream.match('KEYWORD', 'DEFAULT')) {
+		const defaultValue = parseDefaultExpression(stream);
+		stream.expect('IDENTIFIER', 'for');
+		return { defaultValue, column: parseIdentifier(stream) ?? '' };
+	}
+
+	if (stream.match('IDENTIFIER', 'index')) {
+		const name = parseIdentifier(stream);
+		const isUnique = stream.match('KEYWORD', 'UNIQUE') !== null;
+		skipClustered(stream);
+		/** @type {Index} */
+		const index = { columns: parseColumnList(stream), isUnique };
+		if (name) {
+			index.name = name;
+		}
+		return { index };
+	}
+
+	if (stream.match('IDENTIFIER', 'period')) {
+		return null;
+	}
+
+	/** @type {TableConstraint} */
+	let constraint;
+	if (stream.match('KEYWORD', 'PRIMARY')) {
+		stream.expect('KEYWORD', 'KEY');
+		skipClustered(stream);
+		constraint = { kind: 'PRIMARY KEY', columns: parseColumnList(stream) };
+	} else if (stream.match('KEYWORD', 'UNIQUE')) {
+		skipClustered(stream);
+		constraint = { kind: 'UNIQUE', columns: parseColumnList(stream) };
+	} else {
+		stream.expect('KEYWORD', 'CHECK');
+		skipNotForReplication(stream);
+		constraint = { kind: 'CHECK', columns: [], expression: parseParenthesizedExpression(stream) };
+	}
+	if (constraintName) {
+		constraint.name = constraintName;
+	}
+	return { constraint };
+}
+
+/**
+ * Record a table element on its table: a PRIMARY KEY marks its columns, a
+ * single-column UNIQUE constraint or index marks its column unique, a
+ * DEFAULT constraint sets the column default and foreign keys are added to
+ * the result.
+ * @param {Table} table
+ * @param {TableElement} element
+ * @param {ForeignKey[]} foreignKeys
+ */
+function applyTableElement(table, element, foreignKeys) {
+	if ('foreignKey' in element) {
+		foreignKeys.push(element.foreignKey);
+		return;
+	}
+	if ('defaultValue' in element) {
+		const column = findColumn(table, element.column);
+		if (column) {
+			column.defaultValue = element.defaultValue;
+		}
+		return;
+	}
+
+	const { columns, isUnique } =
+		'constraint' in element
+			? { columns: element.constraint.columns, isUnique: element.constraint.kind === 'UNIQUE' }
+			: { columns: element.index.columns, isUnique: element.index.isUnique && !element.index.where };
+	if ('constraint' in element) {
+		table.constraints.push(element.constraint);
+	} else {
+		table.indexes.push(element.index);
+	}
+
+	for (const columnName of columns) {
+		const column = findColumn(table, columnName);
+		if (!column) continue;
+		if ('constraint' in element && element.constraint.kind === 'PRIMARY KEY') {
+			column.isPrimaryKey = true;
+			column.isNullable = false;
+		} else if (isUnique && columns.length === 1) {
+			column.isUnique = true;
+		}
+	}
+}
+
+/**
+ * Skip an optional CLUSTERED | NONCLUSTERED
+ * @param {TokenStream} stream
+ */
+function skipClustered(stream) {
+	if (!stream.match('IDENTIFIER', 'clustered')) {
+		stream.match('IDENTIFIER', 'nonclustered');
+	}
+}
+
+/**
+ * Parse a column definition, including computed columns (name AS (expr))
+ * @param {TokenStream} stream
+ * @param {string} qualifiedTableName - Table being defined (for inline REFERENCES)
+ * @param {ForeignKey[]} foreignKeys - Array to add inline foreign keys to
+ * @returns {Column | null}
+ */
+function parseColumn(stream, qualifiedTableName, foreignKeys) {
+	const name = parseIdentifier(stream);
+	if (!name) {
+		return null;
+	}
+
+	const type = stream.is('KEYWORD', 'AS') ? '' : parseColumnType(stream);
+
+	/** @type {Column} */
+	const column = { name, type, isPrimaryKey: false, isNullable: true, isUnique: false };
+
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ',') && !stream.is('PUNCTUATION', ')')) {
+		const word = stream.peek().value.toLowerCase();
+		if (word === 'not' && stream.lookAhead(1).value === 'NULL') {
+			stream.next();
+			stream.next();
+			column.isNullable = false;
+		} else if (word === 'identity') {
+			stream.next();
+			if (stream.is('PUNCTUATION', '(')) {
+				parseParenthesizedExpression(stream); // (seed, increment)
+			}
+			column.isAutoIncrement = true;
+		} else if (word === 'constraint') {
+			stream.next();
+			parseIdentifier(stream);
+		} else if (word === 'primary') {
+			stream.next();
+			stream.expect('KEYWORD', 'KEY');
+			skipClustered(stream);
+			column.isPrimaryKey = true;
+			column.isNullable = false;
+		} else if (word === 'unique') {
+			stream.next();
+			skipClustered(stream);
+			column.isUnique = true;
+		} else if (word === 'default') {
+			stream.next();
+			column.defaultValue = parseDefaultExpression(stream);
+		} else if (word === 'check') {
+			stream.next();
+			column.checkExpression = parseParenthesizedExpression(stream);
+		} else if (word === 'foreign' || word === 'references') {
+			// [FOREIGN KEY] REFERENCES table [(column)]
+			stream.next();
+			stream.match('KEYWORD', 'KEY');
+			stream.match('KEYWORD', 'REFERENCES');
+			foreignKeys.push(parseReferences(stream, qualifiedTableName, [name]));
+		} else if (stream.is('PUNCTUATION', '(')) {
+			parseParenthesizedExpression(stream);
+		} else {
+			// NULL, COLLATE, AS (computed), PERSISTED, ROWGUIDCOL, SPARSE, ...
+			stream.next();
+		}
+	}
+
+	return column;
+}
+
+/**
+ * Parse a column type with its arguments, e.g. [int], nvarchar(max),
+ * [decimal](18, 2) or a schema-qualified alias type
+ * @param {TokenStream} stream
+ * @returns {string}
+ */
+function parseColumnType(stream) {
+	let type = (parseIdentifier(stream) ?? '').toLowerCase();
+	if (stream.match('PUNCTUATION', '.')) {
+		type += `.${(parseIdentifier(stream) ?? '').toLowerCase()}`;
+	}
+
+	if (stream.is('PUNCTUATION', '(')) {
+		const start = stream.save();
+		parseParenthesizedExpression(stream);
+		type += stream.sourceText(start, stream.save()).replace(/\s+/g, '').toLowerCase();
+	}
+
+	// Multi-word types: double precision, national character varying
+	while (stream.is('IDENTIFIER', 'precision') || stream.is('KEYWORD', 'VARYING')) {
+		type += ` ${stream.next().value.toLowerCase()}`;
+	}
+	return type;
+}
+
+/**
+ * Parse a DEFAULT value up to the next column attribute, comma or closing parenthesis.
+ * @param {TokenStream} stream
+ * @returns {string} - The expression as written in the source
+ */
+function parseDefaultExpression(stream) {
+	const start = stream.save();
+	while (!stream.isEOF() && !isBatchSeparator(stream)) {
+		const token = stream.peek();
+		if (token.type === 'PUNCTUATION' && (token.value === ',' || token.value === ')' || token.value === ';')) {
+			break;
+		}
+		if (stream.save() > start && (token.type === 'KEYWORD' || token.type === 'IDENTIFIER') && COLUMN_ATTRIBUTE_WORDS.has(token.value.toLowerCase())) {
+			break;
+		}
+		if (token.type === 'PUNCTUATION' && token.value === '(') {
+			parseParenthesizedExpression(stream);
+		} else {
+			stream.next();
+		}
+	}
+	return stream.sourceText(start, stream.save()).trim();
+}
+
+/**
+ * Parse the target of a REFERENCES clause and its ON DELETE / ON UPDATE actions.
+ * @param {TokenStream} stream - Positioned after REFERENCES
+ * @param {string} sourceTable
+ * @param {string[]} sourceColumns
+ * @returns {ForeignKey}
+ */
+function parseReferences(stream, sourceTable, sourceColumns) {
+	const target = parseQualifiedName(stream);
+
+	/** @type {ForeignKey} */
+	const fk = {
+		sourceTable,
+		sourceColumns,
+		targetTable: `${target.schema}.${target.name}`,
+		targetColumns: parseColumnList(stream)
+	};
+
+	while (stream.is('IDENTIFIER', 'on') && (stream.lookAhead(1).value === 'delete' || stream.lookAhead(1).value === 'update')) {
+		stream.next(); // ON
+		const event = stream.next().value;
+		const action = parseReferentialAction(stream);
+		if (event === 'delete') {
+			fk.onDelete = action;
+		} else {
+			fk.onUpdate = action;
+		}
+	}
+	skipNotForReplication(stream);
+	return fk;
+}
+
+/**
+ * Skip an optional NOT FOR REPLICATION
+ * @param {TokenStream} stream
+ */
+function skipNotForReplication(stream) {
+	if (stream.is('KEYWORD', 'NOT') && stream.lookAhead(1).value === 'for') {
+		stream.next(); // NOT
+		stream.next(); // FOR
+		stream.next(); // REPLICATION
+	}
+}
+
+/**
+ * Parse CASCADE | SET NULL | SET DEFAULT | NO ACTION
+ * @param {TokenStream} stream
+ * @returns {ReferentialAction}
+ */
+function parseReferentialAction(stream) {
+	if (stream.match('KEYWORD', 'SET')) {
+		if (stream.match('KEYWORD', 'NULL')) {
+			return 'SET NULL';
+		}
+		stream.expect('KEYWORD', 'DEFAULT');
+		return 'SET DEFAULT';
+	}
+	const word = stream.next().value.toLowerCase();
+	if (word === 'cascade') return 'CASCADE';
+	stream.next(); // NO ACTION
+	return 'NO ACTION';
+}
+
+/**
+ * Check whether the stream (just after CREATE) starts
+ * CREATE [UNIQUE] [CLUSTERED | NONCLUSTERED] INDEX
+ * @param {TokenStream} stream
+ * @returns {boolean}
+ */
+function isCreateIndex(stream) {
+	let n = 0;
+	if (stream.lookAhead(n).value === 'UNIQUE') n++;
+	if (['clustered', 'nonclustered'].includes(stream.lookAhead(n).value)) n++;
+	return stream.lookAhead(n).type === 'IDENTIFIER' && stream.lookAhead(n).value === 'index';
+}
+
+/**
+ * Parse CREATE [UNIQUE] [CLUSTERED | NONCLUSTERED] INDEX name ON table (cols)
+ * [INCLUDE (cols)] [WHERE predicate] [WITH (...)] [ON filegroup]
+ * (after consuming CREATE). Included columns are not key columns and are
+ * left out.
+ * @param {TokenStream} stream
+ * @returns {{ tableName: string, index: Index }}
+ */
+function parseCreateIndex(stream) {
+	const isUnique = stream.match('KEYWORD', 'UNIQUE') !== null;
+	skipClustered(stream);
+	stream.expect('IDENTIFIER', 'index');
+	const name = parseIdentifier(stream);
+	stream.expect('IDENTIFIER', 'on');
+	const { schema, name: tableName } = parseQualifiedName(stream);
+
+	/** @type {Index} */
+	const index = { columns: parseColumnList(stream), isUnique };
+	if (name) {
+		index.name = name;
+	}
+	if (stream.match('IDENTIFIER', 'include')) {
+		parseColumnList(stream);
+	}
+	if (stream.match('IDENTIFIER', 'where')) {
+		const start = stream.save();
+		while (!stream.isEOF() && !stream.is('KEYWORD', 'WITH') && !stream.is('IDENTIFIER', 'on') && !stream.is('PUNCTUATION', ';') && !isBatchSeparator(stream)) {
+			stream.next();
+		}
+		index.where = stream.sourceText(start, stream.save()).trim();
+	}
+	skipStorageOptions(stream);
+	stream.match('PUNCTUATION', ';');
+
+	return { tableName: `${schema}.${tableName}`, index };
+}
+
+/**
+ * Parse ALTER TABLE name [WITH CHECK | WITH NOCHECK] ADD element [, ...],
+ * where an element is a constraint, a DEFAULT ... FOR column or a new
+ * column. Other ALTER TABLE forms (CHECK CONSTRAINT, ALTER COLUMN, DROP ...)
+ * are skipped.
+ * @param {TokenStream} stream
+ * @param {Map<string, Table>} tableMap - Keyed by lowercased qualified name
+ * @param {ForeignKey[]} foreignKeys
+ */
+function parseAlterTable(stream, tableMap, foreignKeys) {
+	const { schema, name } = parseQualifiedName(stream);
+	const qualifiedName = `${schema}.${name}`;
+	const table = tableMap.get(qualifiedName.toLowerCase());
+
+	if (stream.match('KEYWORD', 'WITH')) {
+		stream.next(); // CHECK | NOCHECK
+	}
+	if (!stream.match('KEYWORD', 'ADD')) {
+		skipToNextStatement(stream);
+		return;
+	}
+
+	do {
+		if (isTableElementStart(stream)) {
+			const element = parseTableElement(stream, qualifiedName);
+			if (element && table) {
+				applyTableElement(table, element, foreignKeys);
+			} else if (element && 'foreignKey' in element) {
+				foreignKeys.push(element.foreignKey);
+			}
+			skipStorageOptions(stream);
+		} else {
+			const column = parseColumn(stream, qualifiedName, foreignKeys);
+			if (column && table) {
+				table.columns.push(column);
+			}
+		}
+	} while (stream.match('PUNCTUATION', ','));
+	stream.match('PUNCTUATION', ';');
+}
+
+/**
+ * Parse EXEC [sys.]sp_addextendedproperty and return the description it
+ * sets, if it is an MS_Description on a table, view or column. Arguments may
+ * be positional or named (@name = N'...'). Other procedures are skipped.
+ * @param {TokenStream} stream - Positioned after EXEC
+ * @returns {ExtendedProperty | null}
+ */
+function parseExecStatement(stream) {
+	const { name: procedure } = parseQualifiedName(stream);
+	if (procedure.toLowerCase() !== 'sp_addextendedproperty') {
+		skipToNextStatement(stream);
+		return null;
+	}
+
+	const positions = ['name', 'value', 'level0type', 'level0name', 'level1type', 'level1name', 'level2type', 'level2name'];
+	/** @type {Record<string, string>} */
+	const args = {};
+	let position = 0;
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ';') && !isBatchSeparator(stream) && !stream.is('KEYWORD', 'CREATE') && !stream.is('KEYWORD', 'ALTER')) {
+		let key = positions[position];
+		if (stream.peek().type === 'IDENTIFIER' && stream.lookAhead(1).value === '=') {
+			key = stream.next().value.replace(/^@/, '');
+			stream.next(); // =
+		}
+		const token = stream.next();
+		if (token.type === 'STRING' || token.type === 'QUOTED_IDENTIFIER') {
+			args[key] = token.value;
+		}
+		position++;
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ';');
+
+	const level1Type = args.level1type?.toUpperCase();
+	if (args.name !== 'MS_Description' || args.value === undefined || (level1Type !== 'TABLE' && level1Type !== 'VIEW')) {
+		return null;
+	}
+	/** @type {ExtendedProperty} */
+	const description = { tableName: `${args.level0name ?? DEFAULT_SCHEMA}.${args.level1name}`, text: args.value };
+	if (args.level2type?.toUpperCase() === 'COLUMN' && args.level2name !== undefined) {
+		description.columnName = args.level2name;
+	}
+	return description;
+}
+
+/**
+ * Find a column by name, ignoring case as SQL Server does by default
+ * @param {Table} table
+ * @param {string} name
+ * @returns {Column | undefined}
+ */
+function findColumn(table, name) {
+	const lower = name.toLowerCase();
+	return table.columns.find((c) => c.name.toLowerCase() === lower);
+}
+
+/**
+ * Parse a qualified name. Of database.schema.name only the last two parts
+ * are kept.
+ * @param {TokenStream} stream
+ * @returns {{ schema: string, name: string }}
+ */
+function parseQualifiedName(stream) {
+	const parts = [parseIdentifier(stream) ?? ''];
+	while (stream.match('PUNCTUATION', '.')) {
+		parts.push(parseIdentifier(stream) ?? '');
+	}
+	if (parts.length === 1) {
+		return { schema: DEFAULT_SCHEMA, name: parts[0] };
+	}
+	return { schema: parts[parts.length - 2] || DEFAULT_SCHEMA, name: parts[parts.length - 1] };
+}
+
+/**
+ * Parse an identifier ([bracketed], double-quoted or bare). SQL Server
+ * keeps the case of bare identifiers, so they are read from the source
+ * rather than the lowercased token.
+ * @param {TokenStream} stream
+ * @returns {string | null}
+ */
+function parseIdentifier(stream) {
+	const token = stream.peek();
+	if (token.type === 'QUOTED_IDENTIFIER') {
+		stream.next();
+		return token.value;
+	}
+	// Some keywords can be used as identifiers
+	if (token.type === 'IDENTIFIER' || token.type === 'KEYWORD') {
+		const start = stream.save();
+		stream.next();
+		return stream.sourceText(start, stream.save());
+	}
+	return null;
+}
+
+/**
+ * Parse a parenthesized list of column names, e.g. ([a] ASC, [b] DESC).
+ * Sort orders are dropped.
+ * @param {TokenStream} stream
+ * @returns {string[]} - Empty if the stream is not on an opening parenthesis
+ */
+function parseColumnList(stream) {
+	/** @type {string[]} */
+	const columns = [];
+	if (!stream.match('PUNCTUATION', '(')) {
+		return columns;
+	}
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ')')) {
+		const column = parseIdentifier(stream);
+		if (column) {
+			columns.push(column);
+		}
+		skipToElementEnd(stream);
+		stream.match('PUNCTUATION', ',');
+	}
+	stream.match('PUNCTUATION', ')');
+	return columns;
+}
+
+/**
+ * Parse a parenthesized expression such as the body of CHECK (...).
+ * The stream must be positioned on the opening parenthesis.
+ * @param {TokenStream} stream
+ * @returns {string} - The expression inside the outer parentheses, as written in the source
+ */
+function parseParenthesizedExpression(stream) {
+	stream.expect('PUNCTUATION', '(');
+	const start = stream.save();
+	let parenDepth = 1;
+
+	while (!stream.isEOF()) {
+		const token = stream.peek();
+		if (token.type === 'PUNCTUATION' && token.value === '(') {
+			parenDepth++;
+		} else if (token.type === 'PUNCTUATION' && token.value === ')') {
+			parenDepth--;
+			if (parenDepth === 0) {
+				break;
+			}
+		}
+		stream.next();
+	}
+
+	const expression = stream.sourceText(start, stream.save());
+	stream.match('PUNCTUATION', ')');
+	return expression;
+}
+
+/**
+ * Skip to the next comma or closing parenthesis at the current nesting level
+ * @param {TokenStream} stream
+ */
+function skipToElementEnd(stream) {
+	while (!stream.isEOF() && !stream.is('PUNCTUATION', ',') && !stream.is('PUNCTUATION', ')')) {
+		if (stream.is('PUNCTUATION', '(')) {
+			parseParenthesizedExpression(stream);
+		} else {
+			stream.next();
+		}
+	}
+}
+
+/**
+ * Skip to the next statement (error recovery). T-SQL statements need not
+ * end with a semicolon, so this also stops at GO and before the next
+ * CREATE or ALTER.
+ * @param {TokenStream} stream
+ */
+function skipToNextStatement(stream) {
+	while (!stream.isEOF()) {
+		if (stream.is('PUNCTUATION', ';') || isBatchSeparator(stream)) {
+			stream.next();
+			break;
+		}
+		if (stream.is('KEYWORD', 'CREATE') || stream.is('KEYWORD', 'ALTER')) {
+			break;
+		}
+		stream.next();
+	}
+}
+
+/**
+ * Skip the rest of the batch, up to and including the next GO. Used for
+ * procedures, functions, triggers and views, whose bodies may contain
+ * CREATE and ALTER statements of their own.
+ * @param {TokenStream} stream
+ */
+function skipToEndOfBatch(stream) {
+	while (!stream.isEOF()) {
+		if (isBatchSeparator(stream)) {
+			stream.next();
+			break;
+		}
+		stream.next();
+	}
+}
+
+/**
+ * Template for a new CREATE TABLE statement
+ */
+export const CREATE_TABLE_TEMPLATE = `CREATE TABLE dbo.table_name (
+  id BIGINT IDENTITY(1,1) PRIMARY KEY,
+  name NVARCHAR(255)
+);`;
+
+/**
+ * How schema edits read and write SQL Server
+ * @type {SqlSyntax}
+ */
+export const SQL_SYNTAX = {
+	defaultSchema: DEFAULT_SCHEMA,
+	omitDefaultSchema: false,
+	quote: ['[', ']'],
+	openQuotes: '"\\[',
+	closeQuotes: '"\\]',
+	plainIdentifier: /^[A-Za-z_][A-Za-z0-9_@$#]*$/,
+	alterTableConstraints: true,
+	batchSeparators: true,
+	alterStyle: 'sqlserver',
+	tokenizeOptions: TOKENIZE_OPTIONS
+};
@@ -0,0 +1,343 @@
+import { describe, it, expect } from 'vitest';
+import { parseSQLServer } from './sqlserver.js';
+
+describe('parseSQLServer', () => {
+	it('parses a simple table into the dbo schema', () => {
+		const sql = `
+      CREATE TABLE users (
+        id int,
+        name nvarchar(100)
+      );
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.errors).toEqual([]);
+		expect(result.tables).toHaveLength(1);
+		expect(result.tables[0].schema).toBe('dbo');
+		expect(result.tables[0].name).toBe('users');
+		expect(result.tables[0].columns[0]).toEqual({
+			name: 'id',
+			type: 'int',
+			isPrimaryKey: false,
+			isNullable: true,
+			isUnique: false
+		});
+		expect(result.tables[0].columns[1].type).toBe('nvarchar(100)');
+	});
+
+	it('handles [bracketed] identifiers and types', () => {
+		const sql = `CREATE TABLE [sales].[Order Line] ([Line Id] [int] NOT NULL, [Amount] [decimal](18, 2) NULL, [Note] [nvarchar](max));`;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.tables[0].qualifiedName).toBe('sales.Order Line');
+		expect(result.tables[0].columns.map((c) => c.name)).toEqual(['Line Id', 'Amount', 'Note']);
+		expect(result.tables[0].columns.map((c) => c.type)).toEqual(['int', 'decimal(18,2)', 'nvarchar(max)']);
+		expect(result.tables[0].columns[0].isNullable).toBe(false);
+	});
+
+	it('keeps the schema of three-part names', () => {
+		const sql = `CREATE TABLE Finance.ledger.Entry (id int);`;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.tables[0].qualifiedName).toBe('ledger.Entry');
+	});
+
+	it('splits statements on GO without semicolons', () => {
+		const sql = `
+      CREATE TABLE a (id int)
+      GO
+      CREATE TABLE b (id int)
+      CREATE TABLE c (id int)
+      GO
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.errors).toEqual([]);
+		expect(result.tables.map((t) => t.name)).toEqual(['a', 'b', 'c']);
+	});
+
+	it('skips temporary tables and procedure bodies', () => {
+		const sql = `
+      CREATE TABLE #scratch (id int)
+      GO
+      CREATE PROCEDURE dbo.Rebuild AS
+      BEGIN
+        CREATE TABLE staging (id int)
+        ALTER TABLE staging ADD name nvarchar(10)
+      END
+      GO
+      CREATE TABLE real_table (id int)
+      GO
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.tables.map((t) => t.name)).toEqual(['real_table']);
+	});
+});
+
+describe('parseSQLServer column constraints', () => {
+	it('marks IDENTITY columns as auto-increment', () => {
+		const sql = `
+      CREATE TABLE t (
+        id int IDENTITY(1,1) NOT NULL,
+        other_id bigint IDENTITY
+      );
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.tables[0].columns[0]).toMatchObject({ type: 'int', isAutoIncrement: true, isNullable: false });
+		expect(result.tables[0].columns[1]).toMatchObject({ type: 'bigint', isAutoIncrement: true });
+	});
+
+	it('parses inline PRIMARY KEY, UNIQUE, DEFAULT and CHECK', () => {
+		const sql = `
+      CREATE TABLE t (
+        id int NOT NULL CONSTRAINT PK_t PRIMARY KEY CLUSTERED,
+        code varchar(10) UNIQUE NONCLUSTERED,
+        created datetime2 NOT NULL CONSTRAINT DF_t_created DEFAULT (sysutcdatetime()),
+        qty int DEFAULT 0 CHECK (qty >= 0),
+        label nvarchar(20) DEFAULT N'none' COLLATE Latin1_General_CI_AS
+      );
+    `;
+
+		const result = parseSQLServer(sql);
+
+		const [id, code, created, qty, label] = result.tables[0].columns;
+		expect(id).toMatchObject({ isPrimaryKey: true, isNullable: false });
+		expect(code.isUnique).toBe(true);
+		expect(created.defaultValue).toBe('(sysutcdatetime())');
+		expect(qty).toMatchObject({ defaultValue: '0', checkExpression: 'qty >= 0' });
+		expect(label.defaultValue).toBe("N'none'");
+	});
+
+	it('parses computed columns without a type', () => {
+		const sql = `CREATE TABLE t (qty int, price money, total AS (qty * price) PERSISTED);`;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.tables[0].columns.map((c) => c.name)).toEqual(['qty', 'price', 'total']);
+		expect(result.tables[0].columns[2].type).toBe('');
+	});
+});
+
+describe('parseSQLServer table constraints and indexes', () => {
+	it('parses clustered PRIMARY KEY constraints with storage options', () => {
+		const sql = `
+      CREATE TABLE [dbo].[Invoice](
+        [InvoiceId] [int] IDENTITY(1,1) NOT NULL,
+        [Number] [varchar](20) NOT NULL,
+       CONSTRAINT [PK_Invoice] PRIMARY KEY CLUSTERED
+      (
+        [InvoiceId] ASC
+      )WITH (PAD_INDEX = OFF, STATISTICS_NORECOMPUTE = OFF) ON [PRIMARY],
+       CONSTRAINT [UQ_Invoice_Number] UNIQUE NONCLUSTERED ([Number] ASC)
+      ) ON [PRIMARY] TEXTIMAGE_ON [PRIMARY]
+      GO
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.errors).toEqual([]);
+		const table = result.tables[0];
+		expect(table.constraints).toEqual([
+			{ kind: 'PRIMARY KEY', name: 'PK_Invoice', columns: ['InvoiceId'] },
+			{ kind: 'UNIQUE', name: 'UQ_Invoice_Number', columns: ['Number'] }
+		]);
+		expect(table.columns[0].isPrimaryKey).toBe(true);
+		expect(table.columns[1].isUnique).toBe(true);
+	});
+
+	it('parses CREATE INDEX with INCLUDE and a filter', () => {
+		const sql = `
+      CREATE TABLE dbo.Invoice (InvoiceId int, CustomerId int, Amount money)
+      GO
+      CREATE NONCLUSTERED INDEX [IX_Invoice_Customer] ON [dbo].[Invoice] ([CustomerId] ASC)
+      INCLUDE ([Amount]) WHERE ([Amount] > 0) WITH (ONLINE = ON) ON [PRIMARY]
+      GO
+      CREATE UNIQUE INDEX UX_Invoice ON dbo.Invoice (InvoiceId);
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.tables[0].indexes).toEqual([
+			{ name: 'IX_Invoice_Customer', columns: ['CustomerId'], isUnique: false, where: '([Amount] > 0)' },
+			{ name: 'UX_Invoice', columns: ['InvoiceId'], isUnique: true }
+		]);
+	});
+
+	it('applies named DEFAULT constraints added with ALTER TABLE', () => {
+		const sql = `
+      CREATE TABLE [dbo].[Invoice] ([Amount] [money] NOT NULL)
+      GO
+      ALTER TABLE [dbo].[Invoice] ADD  CONSTRAINT [DF_Invoice_Amount]  DEFAULT ((0)) FOR [Amount]
+      GO
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.tables[0].columns[0].defaultValue).toBe('((0))');
+	});
+});
+
+describe('parseSQLServer foreign keys', () => {
+	it('parses ALTER TABLE WITH CHECK ADD CONSTRAINT FOREIGN KEY', () => {
+		const sql = `
+      CREATE TABLE [dbo].[Customer] ([CustomerId] [int] NOT NULL PRIMARY KEY)
+      GO
+      CREATE TABLE [dbo].[Invoice] ([InvoiceId] [int] NOT NULL, [CustomerId] [int] NOT NULL)
+      GO
+      ALTER TABLE [dbo].[Invoice]  WITH CHECK ADD  CONSTRAINT [FK_Invoice_Customer] FOREIGN KEY([CustomerId])
+      REFERENCES [dbo].[Customer] ([CustomerId])
+      ON DELETE CASCADE
+      GO
+      ALTER TABLE [dbo].[Invoice] CHECK CONSTRAINT [FK_Invoice_Customer]
+      GO
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.errors).toEqual([]);
+		expect(result.foreignKeys).toEqual([
+			{
+				sourceTable: 'dbo.Invoice',
+				sourceColumns: ['CustomerId'],
+				targetTable: 'dbo.Customer',
+				targetColumns: ['CustomerId'],
+				constraintName: 'FK_Invoice_Customer',
+				onDelete: 'CASCADE'
+			}
+		]);
+	});
+
+	it('parses WITH NOCHECK and NOT FOR REPLICATION', () => {
+		const sql = `
+      CREATE TABLE a (id int PRIMARY KEY)
+      CREATE TABLE b (a_id int)
+      ALTER TABLE b WITH NOCHECK ADD CONSTRAINT FK_b_a FOREIGN KEY (a_id) REFERENCES a (id) NOT FOR REPLICATION
+      ALTER TABLE b NOCHECK CONSTRAINT FK_b_a
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.foreignKeys).toHaveLength(1);
+		expect(result.foreignKeys[0]).toMatchObject({ sourceTable: 'dbo.b', targetTable: 'dbo.a', constraintName: 'FK_b_a' });
+	});
+
+	it('parses inline and table-level FOREIGN KEY clauses', () => {
+		const sql = `
+      CREATE TABLE dbo.Customer (CustomerId int PRIMARY KEY);
+      CREATE TABLE dbo.Invoice (
+        InvoiceId int PRIMARY KEY,
+        CustomerId int FOREIGN KEY REFERENCES dbo.Customer(CustomerId) ON UPDATE NO ACTION,
+        ParentId int REFERENCES dbo.Invoice,
+        CONSTRAINT FK_Invoice_Self FOREIGN KEY (ParentId) REFERENCES dbo.Invoice (InvoiceId) ON DELETE SET NULL
+      );
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.foreignKeys).toHaveLength(3);
+		expect(result.foreignKeys[0]).toMatchObject({ sourceColumns: ['CustomerId'], targetTable: 'dbo.Customer', onUpdate: 'NO ACTION' });
+		expect(result.foreignKeys[1]).toMatchObject({ sourceColumns: ['ParentId'], targetColumns: ['InvoiceId'] });
+		expect(result.foreignKeys[2]).toMatchObject({ constraintName: 'FK_Invoice_Self', onDelete: 'SET NULL' });
+	});
+
+	it('matches references case-insensitively to the declared names', () => {
+		const sql = `
+      CREATE TABLE [dbo].[Customer] ([CustomerId] [int] NOT NULL PRIMARY KEY)
+      CREATE TABLE [dbo].[Invoice] ([CustomerId] [int])
+      ALTER TABLE invoice ADD FOREIGN KEY (customerid) REFERENCES customer (customerid)
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.foreignKeys[0]).toMatchObject({
+			sourceTable: 'dbo.Invoice',
+			sourceColumns: ['CustomerId'],
+			targetTable: 'dbo.Customer',
+			targetColumns: ['CustomerId']
+		});
+	});
+
+	it('resolves a composite referenced key in its declared order', () => {
+		const sql = `
+      CREATE TABLE dbo.Account (Region char(2), AccountId int, CONSTRAINT PK_Account PRIMARY KEY (AccountId, Region))
+      CREATE TABLE dbo.Invoice (AccountId int, Region char(2), FOREIGN KEY (AccountId, Region) REFERENCES dbo.Account)
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.foreignKeys[0].targetColumns).toEqual(['AccountId', 'Region']);
+	});
+});
+
+describe('parseSQLServer descriptions', () => {
+	it('reads MS_Description extended properties as comments', () => {
+		const sql = `
+      CREATE TABLE [dbo].[Invoice] ([Amount] [money] NULL)
+      GO
+      EXEC sys.sp_addextendedproperty @name=N'MS_Description', @value=N'Issued invoices' , @level0type=N'SCHEMA',@level0name=N'dbo', @level1type=N'TABLE',@level1name=N'Invoice'
+      GO
+      EXEC sp_addextendedproperty 'MS_Description', 'Gross amount', 'SCHEMA', 'dbo', 'TABLE', 'Invoice', 'COLUMN', 'Amount';
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.tables[0].comment).toBe('Issued invoices');
+		expect(result.tables[0].columns[0].comment).toBe('Gross amount');
+	});
+});
+
+describe('parseSQLServer with SSMS scripts', () => {
+	it('parses a generated script', () => {
+		const sql = `
+      USE [Finance]
+      GO
+      /****** Object:  Table [dbo].[Account]    Script Date: 1/2/2026 10:00:00 AM ******/
+      SET ANSI_NULLS ON
+      GO
+      SET QUOTED_IDENTIFIER ON
+      GO
+      CREATE TABLE [dbo].[Account](
+        [AccountId] [int] IDENTITY(1,1) NOT NULL,
+        [Name] [nvarchar](200) NOT NULL,
+       CONSTRAINT [PK_Account] PRIMARY KEY CLUSTERED ([AccountId] ASC)
+      ) ON [PRIMARY]
+      GO
+      CREATE TABLE [dbo].[Entry](
+        [EntryId] [bigint] IDENTITY(1,1) NOT NULL,
+        [AccountId] [int] NOT NULL,
+        [Amount] [decimal](19, 4) NOT NULL,
+       CONSTRAINT [PK_Entry] PRIMARY KEY CLUSTERED ([EntryId] ASC)
+      ) ON [PRIMARY]
+      GO
+      ALTER TABLE [dbo].[Entry] ADD  DEFAULT ((0)) FOR [Amount]
+      GO
+      ALTER TABLE [dbo].[Entry]  WITH CHECK ADD  CONSTRAINT [FK_Entry_Account] FOREIGN KEY([AccountId])
+      REFERENCES [dbo].[Account] ([AccountId])
+      GO
+      ALTER TABLE [dbo].[Entry] CHECK CONSTRAINT [FK_Entry_Account]
+      GO
+      CREATE OR ALTER VIEW [dbo].[Balances] AS SELECT AccountId, SUM(Amount) AS Total FROM dbo.Entry GROUP BY AccountId
+      GO
+    `;
+
+		const result = parseSQLServer(sql);
+
+		expect(result.errors).toEqual([]);
+		expect(result.tables.map((t) => t.qualifiedName)).toEqual(['dbo.Account', 'dbo.Entry']);
+		expect(result.tables[1].columns[2].defaultValue).toBe('((0))');
+		expect(result.foreignKeys).toHaveLength(1);
+		expect(result.foreignKeys[0]).toMatchObject({
+			sourceTable: 'dbo.Entry',
+			targetTable: 'dbo.Account',
+			constraintName: 'FK_Entry_Account'
+		});
+	});
+});
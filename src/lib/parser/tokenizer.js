@@ -10,6 +10,7 @@ const KEYWORDS = new Set([
 	'BOOLEAN',
 	'CHAR',
 	'CHARACTER',
+	'CHECK',
 	'CONSTRAINT',
 	'CREATE',
 	'DATABASE',
@@ -44,243 +45,403 @@ const KEYWORDS = new Set([
 	'ZONE'
 ]);
 
+/**
+ * Lexical differences between SQL dialects. The defaults follow PostgreSQL.
+ * @typedef {Object} TokenizeOptions
+ * @property {boolean} [backtickIdentifiers] - `name` quotes an identifier
+ * @property {boolean} [bracketIdentifiers] - [name] quotes an identifier
+ * @property {boolean} [hashComments] - # starts a line comment
+ * @property {boolean} [backslashEscapes] - Backslash escapes the next character in string literals
+ * @property {boolean} [flatBlockComments] - Block comments end at the first closing delimiter instead of nesting
+ * @property {boolean} [sigilIdentifiers] - @name and #name are identifiers (T-SQL variables and temporary tables)
+ */
+
+/**
+ * Escape sequences recognised when backslashEscapes is set; any other
+ * escaped character stands for itself.
+ */
+const BACKSLASH_ESCAPES = new Map([
+	['n', '\n'],
+	['t', '\t'],
+	['r', '\r'],
+	['0', '\0']
+]);
+
+/**
+ * Single-character escapes in PostgreSQL E'...' strings; any other escaped
+ * character stands for itself.
+ */
+const E_STRING_ESCAPES = new Map([
+	['b', '\b'],
+	['f', '\f'],
+	['n', '\n'],
+	['r', '\r'],
+	['t', '\t']
+]);
+
+/**
+ * Opening tag of a dollar-quoted string. A $ followed by a digit is a
+ * positional parameter ($1), not a tag.
+ */
+const DOLLAR_QUOTE_TAG = /\$(?:[A-Za-z_\u0080-\uffff][A-Za-z0-9_\u0080-\uffff]*)?\$/y;
+
+/**
+ * Numeric constants: hexadecimal, octal and binary integers, and decimals
+ * with optional exponent. Underscores may separate digits. An integer
+ * followed by .. (a range) keeps the dots out of the number.
+ */
+const NUMBER_PATTERN = /0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.(?!\.)[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Characters that operators are made of
+ */
+const OPERATOR_CHARS = '+-*/<>=~!@#%^&|`?';
+
+/**
+ * A multi-character operator may only end in + or - if it contains one of these
+ */
+const OPERATOR_TRAILING_SIGN_CHARS = /[~!@#%^&|`?]/;
+
+/**
+ * Prefixes that, directly followed by a quote, change how a string is read:
+ * E'' (backslash escapes), B'' and X'' (bit strings), N'' (national characters)
+ */
+const STRING_PREFIXES = new Set(['e', 'b', 'x', 'n']);
+
 /**
  * Tokenizes SQL text into an array of tokens
  * @param {string} sql - The SQL text to tokenize
+ * @param {TokenizeOptions} [options]
  * @returns {Token[]} Array of tokens
  */
-export function tokenize(sql) {
+export function tokenize(sql, options = {}) {
 	/** @type {Token[]} */
 	const tokens = [];
 	let pos = 0;
 	let line = 1;
 	let column = 1;
 
-	while (pos < sql.length) {
-		const char = sql[pos];
+	/**
+	 * Advance to a position, keeping line and column in step
+	 * @param {number} to
+	 */
+	function advanceTo(to) {
+		for (; pos < to; pos++) {
+			if (sql[pos] === '\n') {
+				line++;
+				column = 1;
+			} else {
+				column++;
+			}
+		}
+	}
 
-		// Newline
-		if (char === '\n') {
-			pos++;
-			line++;
-			column = 1;
-			continue;
+	/**
+	 * Add a token that runs from start to the current position
+	 * @param {TokenType} type
+	 * @param {string} value
+	 * @param {{ offset: number, line: number, column: number }} start
+	 */
+	function push(type, value, start) {
+		tokens.push({ type, value, line: start.line, column: start.column, offset: start.offset, end: pos });
+	}
+
+	/**
+	 * Read a quoted body, starting on the opening quote, in which a doubled
+	 * closing quote stands for itself.
+	 * @param {string} close - The closing quote
+	 * @param {((sql: string, pos: number) => [string, number]) | null} [escape] - Decodes a backslash escape, returning its text and length
+	 * @returns {string} The text between the quotes
+	 */
+	function readQuoted(close, escape = null) {
+		advanceTo(pos + 1);
+		let value = '';
+		while (pos < sql.length) {
+			if (sql[pos] === '\\' && escape && pos + 1 < sql.length) {
+				const [text, length] = escape(sql, pos);
+				value += text;
+				advanceTo(pos + length);
+			} else if (sql[pos] === close) {
+				if (sql[pos + 1] === close) {
+					// Escaped quote
+					value += close;
+					advanceTo(pos + 2);
+				} else {
+					advanceTo(pos + 1);
+					break;
+				}
+			} else {
+				value += sql[pos];
+				advanceTo(pos + 1);
+			}
+		}
+		return value;
+	}
+
+	/**
+	 * Read a U&'...' or U&"..." body and an optional UESCAPE clause,
+	 * starting on the quote, and decode its Unicode escapes
+	 * @returns {string}
+	 */
+	function readUnicodeQuoted() {
+		const value = readQuoted(sql[pos]);
+		const uescape = /\s*UESCAPE\s*'([^'])'/iy;
+		uescape.lastIndex = pos;
+		const match = uescape.exec(sql);
+		if (match) {
+			advanceTo(pos + match[0].length);
 		}
+		return decodeUnicodeEscapes(value, match ? match[1] : '\\');
+	}
+
+	while (pos < sql.length) {
+		const char = sql[pos];
+		const next = sql[pos + 1];
+		const start = { offset: pos, line, column };
 
-		// Whitespace (not newline)
+		// Whitespace
 		if (/\s/.test(char)) {
-			pos++;
-			column++;
+			advanceTo(pos + 1);
 			continue;
 		}
 
 		// Line comment
-		if (char === '-' && sql[pos + 1] === '-') {
-			const start = pos;
-			pos += 2;
-			while (pos < sql.length && sql[pos] !== '\n') {
-				pos++;
-			}
-			column += pos - start;
+		if ((char === '-' && next === '-') || (char === '#' && options.hashComments)) {
+			const newline = sql.indexOf('\n', pos);
+			advanceTo(newline === -1 ? sql.length : newline);
 			continue;
 		}
 
-		// Block comment
-		if (char === '/' && sql[pos + 1] === '*') {
-			pos += 2;
-			column += 2;
-			while (pos < sql.length - 1) {
+		// Block comment; in PostgreSQL they nest
+		if (char === '/' && next === '*') {
+			advanceTo(pos + 2);
+			let depth = 1;
+			while (pos < sql.length && depth > 0) {
 				if (sql[pos] === '*' && sql[pos + 1] === '/') {
-					pos += 2;
-					column += 2;
-					break;
-				}
-				if (sql[pos] === '\n') {
-					line++;
-					column = 1;
+					depth--;
+					advanceTo(pos + 2);
+				} else if (sql[pos] === '/' && sql[pos + 1] === '*' && !options.flatBlockComments) {
+					depth++;
+					advanceTo(pos + 2);
 				} else {
-					column++;
+					advanceTo(pos + 1);
 				}
-				pos++;
 			}
 			continue;
 		}
 
 		// Quoted identifier
-		if (char === '"') {
-			const startLine = line;
-			const startColumn = column;
-			pos++;
-			column++;
-			let value = '';
-			while (pos < sql.length) {
-				if (sql[pos] === '"') {
-					if (sql[pos + 1] === '"') {
-						// Escaped quote
-						value += '"';
-						pos += 2;
-						column += 2;
-					} else {
-						pos++;
-						column++;
-						break;
-					}
-				} else {
-					value += sql[pos];
-					pos++;
-					column++;
-				}
-			}
-			tokens.push({
-				type: 'QUOTED_IDENTIFIER',
-				value,
-				line: startLine,
-				column: startColumn
-			});
+		if (char === '"' || (char === '`' && options.backtickIdentifiers) || (char === '[' && options.bracketIdentifiers)) {
+			const value = readQuoted(char === '[' ? ']' : char);
+			push('QUOTED_IDENTIFIER', value, start);
+			continue;
+		}
+
+		// Unicode-escaped identifier U&"..." or string U&'...'
+		if ((char === 'u' || char === 'U') && next === '&' && (sql[pos + 2] === '"' || sql[pos + 2] === "'")) {
+			const type = sql[pos + 2] === '"' ? 'QUOTED_IDENTIFIER' : 'STRING';
+			advanceTo(pos + 2);
+			push(type, readUnicodeQuoted(), start);
+			continue;
+		}
+
+		// Prefixed string literal: E'...', B'...', X'...', N'...'
+		if (next === "'" && STRING_PREFIXES.has(char.toLowerCase())) {
+			advanceTo(pos + 1);
+			const escape = char.toLowerCase() === 'e' ? decodeEStringEscape : options.backslashEscapes ? decodeBackslashEscape : null;
+			push('STRING', readQuoted("'", escape), start);
 			continue;
 		}
 
 		// String literal
 		if (char === "'") {
-			const startLine = line;
-			const startColumn = column;
-			pos++;
-			column++;
-			let value = '';
-			while (pos < sql.length) {
-				if (sql[pos] === "'") {
-					if (sql[pos + 1] === "'") {
-						// Escaped quote
-						value += "'";
-						pos += 2;
-						column += 2;
-					} else {
-						pos++;
-						column++;
-						break;
-					}
-				} else {
-					value += sql[pos];
-					pos++;
-					column++;
-				}
-			}
-			tokens.push({
-				type: 'STRING',
-				value,
-				line: startLine,
-				column: startColumn
-			});
+			push('STRING', readQuoted("'", options.backslashEscapes ? decodeBackslashEscape : null), start);
 			continue;
 		}
 
-		// Number
-		if (/[0-9]/.test(char)) {
-			const startLine = line;
-			const startColumn = column;
-			let value = '';
-			while (pos < sql.length && /[0-9.]/.test(sql[pos])) {
-				value += sql[pos];
-				pos++;
-				column++;
+		// Dollar-quoted string: $$...$$ or $tag$...$tag$ (e.g. function bodies),
+		// or a positional parameter: $1
+		if (char === '$') {
+			DOLLAR_QUOTE_TAG.lastIndex = pos;
+			const tagMatch = DOLLAR_QUOTE_TAG.exec(sql);
+			if (tagMatch) {
+				const tag = tagMatch[0];
+				const bodyStart = pos + tag.length;
+				const closeIndex = sql.indexOf(tag, bodyStart);
+				const bodyEnd = closeIndex === -1 ? sql.length : closeIndex;
+				advanceTo(closeIndex === -1 ? sql.length : closeIndex + tag.length);
+				push('STRING', sql.slice(bodyStart, bodyEnd), start);
+				continue;
+			}
+			const parameter = /\$\d+/y;
+			parameter.lastIndex = pos;
+			const parameterMatch = parameter.exec(sql);
+			if (parameterMatch) {
+				advanceTo(pos + parameterMatch[0].length);
+				push('PARAMETER', parameterMatch[0], start);
+				continue;
 			}
-			tokens.push({
-				type: 'NUMBER',
-				value,
-				line: startLine,
-				column: startColumn
-			});
+		}
+
+		// Number
+		if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next ?? ''))) {
+			NUMBER_PATTERN.lastIndex = pos;
+			const match = /** @type {RegExpExecArray} */ (NUMBER_PATTERN.exec(sql));
+			advanceTo(pos + match[0].length);
+			push('NUMBER', match[0], start);
 			continue;
 		}
 
 		// Identifier or keyword
-		if (/[a-zA-Z_]/.test(char)) {
-			const startLine = line;
-			const startColumn = column;
-			let value = '';
-			while (pos < sql.length && /[a-zA-Z0-9_]/.test(sql[pos])) {
-				value += sql[pos];
-				pos++;
-				column++;
+		const isSigil = (char === '@' || char === '#') && options.sigilIdentifiers;
+		if (/[a-zA-Z_\u0080-\uffff]/.test(char) || isSigil) {
+			let end = pos + 1;
+			while (end < sql.length && (/[a-zA-Z0-9_$\u0080-\uffff]/.test(sql[end]) || (options.sigilIdentifiers && (sql[end] === '@' || sql[end] === '#')))) {
+				end++;
 			}
+			const value = sql.slice(pos, end);
+			advanceTo(end);
 			const upperValue = value.toUpperCase();
 			if (KEYWORDS.has(upperValue)) {
-				tokens.push({
-					type: 'KEYWORD',
-					value: upperValue,
-					line: startLine,
-					column: startColumn
-				});
+				push('KEYWORD', upperValue, start);
 			} else {
 				// Unquoted identifiers fold to lowercase
-				tokens.push({
-					type: 'IDENTIFIER',
-					value: value.toLowerCase(),
-					line: startLine,
-					column: startColumn
-				});
+				push('IDENTIFIER', value.toLowerCase(), start);
 			}
 			continue;
 		}
 
+		// Range .. (as in FOR i IN 1..10)
+		if (char === '.' && next === '.') {
+			advanceTo(pos + 2);
+			push('OPERATOR', '..', start);
+			continue;
+		}
+
 		// Punctuation
 		if ('(),;.[]'.includes(char)) {
-			tokens.push({
-				type: 'PUNCTUATION',
-				value: char,
-				line,
-				column
-			});
-			pos++;
-			column++;
+			advanceTo(pos + 1);
+			push('PUNCTUATION', char, start);
+			continue;
+		}
+
+		// Type cast ::, assignment := and array slice :
+		if (char === ':') {
+			advanceTo(pos + (next === ':' || next === '=' ? 2 : 1));
+			push('OPERATOR', sql.slice(start.offset, pos), start);
 			continue;
 		}
 
 		// Operators
-		if ('<>=!+-*/:|'.includes(char)) {
-			const startLine = line;
-			const startColumn = column;
-			let value = char;
-			pos++;
-			column++;
-			// Handle two-character operators
-			if (pos < sql.length) {
-				const next = sql[pos];
-				if (
-					(char === '<' && (next === '>' || next === '=')) ||
-					(char === '>' && next === '=') ||
-					(char === '!' && next === '=') ||
-					(char === ':' && next === ':')
-				) {
-					value += next;
-					pos++;
-					column++;
+		if (isOperatorChar(char, options)) {
+			let end = pos + 1;
+			// The longest run of operator characters, stopping before a comment
+			while (end < sql.length && isOperatorChar(sql[end], options) && !(sql[end] === '-' && sql[end + 1] === '-') && !(sql[end] === '/' && sql[end + 1] === '*')) {
+				end++;
+			}
+			// ...that doesn't end in + or - unless it is a special operator (so a=-1 is a = -1)
+			if (!OPERATOR_TRAILING_SIGN_CHARS.test(sql.slice(pos, end))) {
+				while (end - pos > 1 && (sql[end - 1] === '+' || sql[end - 1] === '-')) {
+					end--;
 				}
 			}
-			tokens.push({
-				type: 'OPERATOR',
-				value,
-				line: startLine,
-				column: startColumn
-			});
+			advanceTo(end);
+			push('OPERATOR', sql.slice(start.offset, pos), start);
 			continue;
 		}
 
 		// Unknown character - skip
-		pos++;
-		column++;
+		advanceTo(pos + 1);
 	}
 
 	tokens.push({
 		type: 'EOF',
 		value: '',
 		line,
-		column
+		column,
+		offset: pos,
+		end: pos
 	});
 
 	return tokens;
 }
 
+/**
+ * Whether a character can be part of an operator, given the characters
+ * the dialect uses for other things
+ * @param {string} char
+ * @param {TokenizeOptions} options
+ * @returns {boolean}
+ */
+function isOperatorChar(char, options) {
+	if (!OPERATOR_CHARS.includes(char)) return false;
+	if (char === '`') return !options.backtickIdentifiers;
+	if (char === '#') return !options.hashComments && !options.sigilIdentifiers;
+	if (char === '@') return !options.sigilIdentifiers;
+	return true;
+}
+
+/**
+ * Decode a backslash escape in a string when backslashEscapes is set
+ * @param {string} sql
+ * @param {number} pos - Position of the backslash
+ * @returns {[string, number]} The escaped text and the length of the escape
+ */
+function decodeBackslashEscape(sql, pos) {
+	return [BACKSLASH_ESCAPES.get(sql[pos + 1]) ?? sql[pos + 1], 2];
+}
+
+/**
+ * Decode a backslash escape in a PostgreSQL E'...' string: \b \f \n \r \t,
+ * octal \ooo, hexadecimal \xhh, and Unicode \uXXXX and \UXXXXXXXX
+ * @param {string} sql
+ * @param {number} pos - Position of the backslash
+ * @returns {[string, number]} The escaped text and the length of the escape
+ */
+function decodeEStringEscape(sql, pos) {
+	const escape = sql.slice(pos + 1, pos + 10);
+	const match = /^(?:([0-7]{1,3})|x([0-9a-fA-F]{1,2})|u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8}))/.exec(escape);
+	if (match) {
+		const [text, octal, hex, utf16, utf32] = match;
+		const code = octal ? parseInt(octal, 8) : parseInt(hex ?? utf16 ?? utf32, 16);
+		if (code <= 0x10ffff) {
+			return [String.fromCodePoint(code), 1 + text.length];
+		}
+	}
+	return [E_STRING_ESCAPES.get(escape[0]) ?? escape[0], 2];
+}
+
+/**
+ * Decode the escapes of a U&'...' string or U&"..." identifier: the escape
+ * character followed by 4 hex digits, by + and 6 hex digits, or by itself.
+ * Malformed escapes are kept as written.
+ * @param {string} value
+ * @param {string} escapeChar
+ * @returns {string}
+ */
+function decodeUnicodeEscapes(value, escapeChar) {
+	let result = '';
+	for (let i = 0; i < value.length; i++) {
+		if (value[i] !== escapeChar) {
+			result += value[i];
+			continue;
+		}
+		const rest = value.slice(i + 1);
+		const match = /^(?:[0-9a-fA-F]{4}|\+[0-9a-fA-F]{6})/.exec(rest);
+		const code = match ? parseInt(match[0].replace('+', ''), 16) : NaN;
+		if (rest[0] === escapeChar) {
+			result += escapeChar;
+			i++;
+		} else if (match && code <= 0x10ffff) {
+			result += String.fromCodePoint(code);
+			i += match[0].length;
+		} else {
+			result += escapeChar;
+		}
+	}
+	return result;
+}
+
 /**
  * Creates a token stream for easier parsing
  */
@@ -289,12 +450,16 @@ export class TokenStream {
 	#tokens;
 	/** @type {number} */
 	#pos = 0;
+	/** @type {string} */
+	#source;
 
 	/**
 	 * @param {Token[]} tokens
+	 * @param {string} [source] - The SQL text the tokens came from (enables sourceText)
 	 */
-	constructor(tokens) {
+	constructor(tokens, source = '') {
 		this.#tokens = tokens;
+		this.#source = source;
 	}
 
 	/**
@@ -400,4 +565,16 @@ export class TokenStream {
 	restore(pos) {
 		this.#pos = pos;
 	}
+
+	/**
+	 * Get the original source text spanning tokens [from, to).
+	 * Positions are as returned by save().
+	 * @param {number} from
+	 * @param {number} to
+	 * @returns {string}
+	 */
+	sourceText(from, to) {
+		if (to <= from) return '';
+		return this.#source.slice(this.#tokens[from].offset, this.#tokens[to - 1].end);
+	}
 }
@@ -0,0 +1,250 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize } from './tokenizer.js';
+import { parsePostgresSQL } from './postgres.js';
+
+/**
+ * Token types and values, without EOF
+ * @param {string} sql
+ * @param {import('./tokenizer.js').TokenizeOptions} [options]
+ */
+function lex(sql, options) {
+	return tokenize(sql, options)
+		.filter((t) => t.type !== 'EOF')
+		.map((t) => [t.type, t.value]);
+}
+
+describe('tokenizer strings', () => {
+	it('decodes escapes in E strings', () => {
+		expect(lex("E'it\\'s\\n\\x41\\101\\u00e9\\U0001F600' e'a''b\\q'")).toEqual([
+			['STRING', "it's\nAAé😀"],
+			['STRING', "a'bq"]
+		]);
+	});
+
+	it('keeps backslashes in standard strings', () => {
+		expect(lex("'C:\\new'")).toEqual([['STRING', 'C:\\new']]);
+	});
+
+	it('reads bit, hex and national strings as strings', () => {
+		expect(lex("B'1010' X'1F' N'naïve'")).toEqual([
+			['STRING', '1010'],
+			['STRING', '1F'],
+			['STRING', 'naïve']
+		]);
+	});
+
+	it('decodes U& strings and identifiers, with UESCAPE', () => {
+		expect(lex(`U&"d\\0061t\\+000061" u&'\\0041\\\\' U&"Foo!0021!!" UESCAPE '!' x`)).toEqual([
+			['QUOTED_IDENTIFIER', 'data'],
+			['STRING', 'A\\'],
+			['QUOTED_IDENTIFIER', 'Foo!!'],
+			['IDENTIFIER', 'x']
+		]);
+	});
+
+	it('reads an unterminated string to the end of the input', () => {
+		expect(lex("SELECT 'abc")).toEqual([
+			['KEYWORD', 'SELECT'],
+			['STRING', 'abc']
+		]);
+	});
+});
+
+describe('tokenizer comments', () => {
+	it('nests block comments', () => {
+		expect(lex('/* outer /* inner */ still comment */ SELECT')).toEqual([['KEYWORD', 'SELECT']]);
+	});
+
+	it('ends block comments at the first close with flatBlockComments', () => {
+		expect(lex('/* a /* b */ c', { flatBlockComments: true })).toEqual([['IDENTIFIER', 'c']]);
+	});
+
+	it('stops an operator before a comment', () => {
+		expect(lex('a+-- note\n1 */*x*/2')).toEqual([
+			['IDENTIFIER', 'a'],
+			['OPERATOR', '+'],
+			['NUMBER', '1'],
+			['OPERATOR', '*'],
+			['NUMBER', '2']
+		]);
+	});
+});
+
+describe('tokenizer numbers, operators and identifiers', () => {
+	it('reads numeric constants', () => {
+		expect(lex('42 3.5 4. .001 5e2 1.925e-3 0x1F 0o17 0b101 1_000 1..10').map(([, value]) => value)).toEqual([
+			'42',
+			'3.5',
+			'4.',
+			'.001',
+			'5e2',
+			'1.925e-3',
+			'0x1F',
+			'0o17',
+			'0b101',
+			'1_000',
+			'1',
+			'..',
+			'10'
+		]);
+	});
+
+	it('reads multi-character operators', () => {
+		expect(lex("a->>'k' @> b || c::int <> d := e").filter(([type]) => type === 'OPERATOR')).toEqual([
+			['OPERATOR', '->>'],
+			['OPERATOR', '@>'],
+			['OPERATOR', '||'],
+			['OPERATOR', '::'],
+			['OPERATOR', '<>'],
+			['OPERATOR', ':=']
+		]);
+	});
+
+	it('splits trailing signs off plain operators', () => {
+		expect(lex('a=-1 b*+2 c@-3').filter(([type]) => type === 'OPERATOR')).toEqual([
+			['OPERATOR', '='],
+			['OPERATOR', '-'],
+			['OPERATOR', '*'],
+			['OPERATOR', '+'],
+			['OPERATOR', '@-']
+		]);
+	});
+
+	it('reads positional parameters', () => {
+		expect(lex('WHERE id = $1')).toContainEqual(['PARAMETER', '$1']);
+	});
+
+	it('reads identifiers with non-ASCII letters and $', () => {
+		expect(lex('café naïve_$1')).toEqual([
+			['IDENTIFIER', 'café'],
+			['IDENTIFIER', 'naïve_$1']
+		]);
+	});
+
+	it('reads @ and # names with sigilIdentifiers', () => {
+		expect(lex('#tmp ##global @name', { sigilIdentifiers: true })).toEqual([
+			['IDENTIFIER', '#tmp'],
+			['IDENTIFIER', '##global'],
+			['IDENTIFIER', '@name']
+		]);
+	});
+});
+
+/**
+ * Snippets that are hard to tokenize, alone or cut off anywhere
+ */
+const FUZZ_FRAGMENTS = [
+	'CREATE TABLE t (id int);',
+	"'it''s'",
+	"E'\\'\\\\\\x4'",
+	"e'\\u12'",
+	"U&'\\+10FFFF\\FFFF'",
+	'U&"a!0062" UESCAPE \'!\'',
+	'$$ body; $$',
+	'$fn$ $$ nested $$ $fn$',
+	'$1',
+	'$',
+	'/* a /* b */ c */',
+	'/*/',
+	'-- line ; comment\n',
+	'"quoted "" ident"',
+	'`back`',
+	'[bracket]',
+	'1..10',
+	'.5e+3',
+	'0x',
+	'a->>-1',
+	'x::numeric(10,2)[]',
+	'@#%^&|`?~!',
+	'*/',
+	'\\restrict',
+	'café',
+	'N\'x\'',
+	'B\'01\'',
+	'\n',
+	' ',
+	';'
+];
+
+/**
+ * Small deterministic random number generator, so failures reproduce
+ * @param {number} seed
+ * @returns {() => number} Values in [0, 1)
+ */
+function createRandom(seed) {
+	let state = seed;
+	return () => {
+		state = (state * 1103515245 + 12345) % 2147483648;
+		return state / 2147483648;
+	};
+}
+
+/**
+ * Random input made of fragments, sometimes cut off mid-fragment
+ * @param {() => number} random
+ * @returns {string}
+ */
+function randomSql(random) {
+	let sql = '';
+	const count = 1 + Math.floor(random() * 8);
+	for (let i = 0; i < count; i++) {
+		sql += FUZZ_FRAGMENTS[Math.floor(random() * FUZZ_FRAGMENTS.length)];
+		if (random() < 0.3) sql += ' ';
+	}
+	return random() < 0.3 ? sql.slice(0, Math.floor(random() * sql.length)) : sql;
+}
+
+describe('tokenizer fuzz corpus', () => {
+	const random = createRandom(42);
+	const corpus = Array.from({ length: 400 }, () => randomSql(random));
+	const dialects = [{}, { backtickIdentifiers: true, hashComments: true, backslashEscapes: true, flatBlockComments: true }, { bracketIdentifiers: true, sigilIdentifiers: true }];
+
+	it('produces ordered tokens with correct positions', () => {
+		for (const options of dialects) {
+			for (const sql of corpus) {
+				const tokens = tokenize(sql, options);
+				expect(tokens.at(-1)).toMatchObject({ type: 'EOF', offset: sql.length });
+
+				let previousEnd = 0;
+				for (const token of tokens.slice(0, -1)) {
+					expect(token.offset, sql).toBeGreaterThanOrEqual(previousEnd);
+					expect(token.end, sql).toBeGreaterThan(token.offset);
+					const before = sql.slice(0, token.offset);
+					expect(token.line, sql).toBe(before.split('\n').length);
+					expect(token.column, sql).toBe(token.offset - before.lastIndexOf('\n'));
+					previousEnd = token.end;
+				}
+			}
+		}
+	});
+
+	it('reads each token the same way on its own', () => {
+		for (const options of dialects) {
+			for (const sql of corpus) {
+				for (const token of tokenize(sql, options).slice(0, -1)) {
+					const alone = lex(sql.slice(token.offset, token.end), options);
+					expect(alone, sql).toEqual([[token.type, token.value]]);
+				}
+			}
+		}
+	});
+
+	it('never sees statements inside strings, identifiers or comments', () => {
+		const poison = 'x; CREATE TABLE poison (id int); ALTER TABLE real ADD PRIMARY KEY (id);';
+		const wrappers = [
+			`'${poison.replaceAll("'", "''")}'`,
+			`E'\\'${poison}'`,
+			`$$${poison}$$`,
+			`$body$ $$ ${poison} $body$`,
+			`"${poison}"`,
+			`U&"${poison}"`,
+			`/* /* */ ${poison} */`,
+			`-- ${poison}\n`
+		];
+		for (const wrapped of wrappers) {
+			const result = parsePostgresSQL(`SELECT ${wrapped};\nCREATE TABLE real (id int);`);
+			expect(result.tables.map((t) => t.name), wrapped).toEqual(['real']);
+			expect(result.tables[0].columns[0].isPrimaryKey, wrapped).toBe(false);
+		}
+	});
+});
@@ -3,22 +3,91 @@
  * @property {string} name
  * @property {string} type
  * @property {boolean} isPrimaryKey
+ * @property {boolean} isNullable - False when declared NOT NULL or part of the primary key
+ * @property {boolean} isUnique - Whether the column has a single-column UNIQUE constraint
+ * @property {string} [defaultValue] - DEFAULT expression as written in the SQL
+ * @property {string} [checkExpression] - Column-level CHECK expression (without the outer parentheses)
+ * @property {string} [userType] - Qualified name of the enum, composite or domain type the column uses
+ * @property {string} [comment] - Description from COMMENT ON COLUMN (an inline COMMENT in MySQL, MS_Description in SQL Server)
+ * @property {boolean} [isAutoIncrement] - Whether values are generated by AUTO_INCREMENT
  */
 
 /**
+ * A table, or a view placed on the diagram like a table.
  * @typedef {Object} Table
  * @property {string} schema
  * @property {string} name
  * @property {string} qualifiedName - "schema.name"
  * @property {Column[]} columns
+ * @property {'view' | 'materialized view'} [kind] - Set for views; absent for ordinary tables
+ * @property {string[]} [dependencies] - For views: qualified names of the tables/views read in FROM/JOIN
+ * @property {Index[]} indexes - Indexes from CREATE INDEX statements on this table
+ * @property {TableConstraint[]} constraints - Table-level PRIMARY KEY, UNIQUE and CHECK constraints
+ * @property {string} [comment] - Description from COMMENT ON TABLE (or VIEW)
+ * @property {boolean} [withoutRowid] - SQLite: declared WITHOUT ROWID
+ * @property {string} [sourceFile] - Name of the SQL file that creates the table under this name, when parsed with parseSqlFiles
  */
 
 /**
+ * An index from CREATE [UNIQUE] INDEX.
+ * @typedef {Object} Index
+ * @property {string} [name] - Index name; absent when PostgreSQL would generate one
+ * @property {string[]} columns - Indexed columns in order; expressions are kept as written
+ * @property {boolean} isUnique
+ * @property {string} [method] - Access method from USING (e.g. "gin"); absent for the default btree
+ * @property {string} [where] - Predicate of a partial index
+ */
+
+/**
+ * A table-level constraint declared in CREATE TABLE or added with ALTER TABLE.
+ * Column-level constraints stay on the Column.
+ * @typedef {Object} TableConstraint
+ * @property {'PRIMARY KEY' | 'UNIQUE' | 'CHECK'} kind
+ * @property {string} [name] - Name given with CONSTRAINT, if any
+ * @property {string[]} columns - Constrained columns (empty for CHECK)
+ * @property {string} [expression] - CHECK expression (without the outer parentheses)
+ */
+
+/**
+ * @typedef {'CASCADE' | 'SET NULL' | 'SET DEFAULT' | 'RESTRICT' | 'NO ACTION'} ReferentialAction
+ */
+
+/**
+ * A foreign key constraint. Composite keys are a single ForeignKey whose
+ * column arrays pair up by index. Actions are only present when declared;
+ * PostgreSQL treats a missing action as NO ACTION.
  * @typedef {Object} ForeignKey
  * @property {string} sourceTable - Fully qualified source table name (schema.table)
- * @property {string} sourceColumn - Column in the source table
+ * @property {string[]} sourceColumns - Columns in the source table
  * @property {string} targetTable - Fully qualified target table name (schema.table)
- * @property {string} targetColumn - Column in the target table (resolved from PK if not specified)
+ * @property {string[]} targetColumns - Columns in the target table (resolved from PK if not specified)
+ * @property {string} [constraintName] - Name given with CONSTRAINT, if any
+ * @property {ReferentialAction} [onDelete] - ON DELETE action
+ * @property {ReferentialAction} [onUpdate] - ON UPDATE action
+ * @property {boolean} [deferrable] - True when declared DEFERRABLE
+ * @property {boolean} [initiallyDeferred] - True when declared INITIALLY DEFERRED
+ */
+
+/**
+ * @typedef {Object} CompositeAttribute
+ * @property {string} name
+ * @property {string} type
+ */
+
+/**
+ * A user-defined type from CREATE TYPE ... AS ENUM, CREATE TYPE ... AS (...)
+ * or CREATE DOMAIN.
+ * @typedef {Object} UserType
+ * @property {'enum' | 'composite' | 'domain'} kind
+ * @property {string} schema
+ * @property {string} name
+ * @property {string} qualifiedName - "schema.name"
+ * @property {string[]} [values] - Enum labels in declaration order
+ * @property {CompositeAttribute[]} [attributes] - Composite type attributes
+ * @property {string} [baseType] - Underlying type of a domain
+ * @property {boolean} [isNotNull] - Whether a domain is declared NOT NULL
+ * @property {string} [defaultValue] - Domain DEFAULT expression as written in the SQL
+ * @property {string[]} [checkExpressions] - Domain CHECK expressions (without the outer parentheses)
  */
 
 /**
@@ -26,17 +95,19 @@
  * @property {string} message
  * @property {number} [line]
  * @property {string} [context]
+ * @property {string} [file] - SQL file the line is in, when parsed with parseSqlFiles
  */
 
 /**
  * @typedef {Object} ParseResult
  * @property {Table[]} tables
  * @property {ForeignKey[]} foreignKeys
+ * @property {UserType[]} types - Enums, composite types and domains
  * @property {ParseError[]} errors
  */
 
 /**
- * @typedef {'KEYWORD' | 'IDENTIFIER' | 'QUOTED_IDENTIFIER' | 'NUMBER' | 'STRING' | 'PUNCTUATION' | 'OPERATOR' | 'WHITESPACE' | 'COMMENT' | 'EOF'} TokenType
+ * @typedef {'KEYWORD' | 'IDENTIFIER' | 'QUOTED_IDENTIFIER' | 'NUMBER' | 'STRING' | 'PARAMETER' | 'PUNCTUATION' | 'OPERATOR' | 'WHITESPACE' | 'COMMENT' | 'EOF'} TokenType
  */
 
 /**
@@ -75,6 +146,8 @@
  * @property {string} value
  * @property {number} line
  * @property {number} column
+ * @property {number} offset - Start offset in the source text
+ * @property {number} end - End offset in the source text (exclusive)
  */
 
 // ============================================================================
@@ -98,6 +171,9 @@
  * @property {'solid' | 'dashed'} [line] - Line style (default: solid)
  * @property {string} [color] - Hex color for the edge
  * @property {boolean} [visible] - Whether relation is visible (default: true)
+ * @property {string} [onDelete] - Only match FKs with this ON DELETE action (e.g. "cascade")
+ * @property {string} [onUpdate] - Only match FKs with this ON UPDATE action
+ * @property {boolean} [deferrable] - Only match FKs that are (or are not) DEFERRABLE
  */
 
 /**
@@ -129,12 +205,13 @@
  */
 
 /**
- * @typedef {'PostgreSQL'} DatabaseType
+ * @typedef {'PostgreSQL' | 'MySQL' | 'SQLite' | 'SQL Server'} DatabaseType
  */
 
 /**
  * @typedef {Object} DiagramFile
- * @property {string} sql - Path to schema SQL file (relative to diagram file)
+ * @property {string | string[]} [sql] - Path to the schema SQL file (relative to the diagram file), or several paths and globs such as "db/schema/*.sql"
+ * @property {string} [migrations] - Path to a directory of migration files to replay instead of sql
  * @property {DatabaseType} [dbType] - Database type (defaults to 'PostgreSQL')
  * @property {DiagramDefinition[]} diagrams
  */
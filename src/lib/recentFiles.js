@@ -0,0 +1,145 @@
+/**
+ * Recently opened diagrams, kept in IndexedDB so their file handles survive
+ * browser sessions. Handles come back without permission: call
+ * {@link ensurePermission} from a user gesture before reading them.
+ *
+ * @module recentFiles
+ */
+
+const DB_NAME = 'erd-pets';
+const DB_VERSION = 1;
+const STORE_NAME = 'recent';
+
+/** Number of recent diagrams to keep */
+const MAX_RECENT = 10;
+
+/**
+ * @typedef {Object} RecentEntry
+ * @property {string} id
+ * @property {string} diagramName - Name shown for the diagram file (its path within a workspace folder)
+ * @property {string[]} sqlNames - Names of the SQL files, or the migrations directory
+ * @property {FileSystemFileHandle} diagramHandle
+ * @property {FileSystemFileHandle[]} sqlHandles - SQL files picked by the user (empty for workspaces and migrations)
+ * @property {FileSystemDirectoryHandle | null} migrationsHandle - Migrations directory picked by the user
+ * @property {FileSystemDirectoryHandle | null} workspaceHandle - Workspace folder the diagram was opened from
+ * @property {string} diagramId - Last selected diagram
+ * @property {{ x: number, y: number, zoom: number } | null} viewport - Last viewport of that diagram
+ * @property {number} openedAt - Time of the last open, in milliseconds
+ */
+
+/**
+ * Open the database, creating the store on first use.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a request against the store and wait for its transaction to complete.
+ * @template T
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} operation
+ * @returns {Promise<T>}
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * List the recent diagrams, most recently opened first.
+ * @returns {Promise<RecentEntry[]>}
+ */
+export async function listRecent() {
+  /** @type {RecentEntry[]} */
+  const entries = await withStore('readonly', (store) => store.getAll());
+  return entries.sort((a, b) => b.openedAt - a.openedAt);
+}
+
+/**
+ * Record an opened diagram. An entry for the same diagram file is replaced,
+ * keeping its id, and the oldest entries beyond the limit are dropped.
+ * @param {Omit<RecentEntry, 'id' | 'openedAt'>} entry
+ * @returns {Promise<RecentEntry>} The stored entry
+ */
+export async function addRecent(entry) {
+  const entries = await listRecent();
+
+  let existing = null;
+  for (const e of entries) {
+    if (await e.diagramHandle.isSameEntry(entry.diagramHandle)) {
+      existing = e;
+      break;
+    }
+  }
+
+  /** @type {RecentEntry} */
+  const stored = { ...entry, id: existing?.id ?? crypto.randomUUID(), openedAt: Date.now() };
+  await withStore('readwrite', (store) => store.put(stored));
+
+  const stale = entries.filter((e) => e !== existing).slice(MAX_RECENT - 1);
+  for (const e of stale) {
+    await removeRecent(e.id);
+  }
+  return stored;
+}
+
+/**
+ * Remember the selected diagram and viewport of a recent entry.
+ * @param {string} id
+ * @param {string} diagramId
+ * @param {{ x: number, y: number, zoom: number } | null} viewport
+ */
+export async function updateRecentView(id, diagramId, viewport) {
+  /** @type {RecentEntry | undefined} */
+  const entry = await withStore('readonly', (store) => store.get(id));
+  if (!entry) return;
+  await withStore('readwrite', (store) => store.put({ ...entry, diagramId, viewport }));
+}
+
+/**
+ * Forget a recent entry.
+ * @param {string} id
+ */
+export async function removeRecent(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Forget every recent entry.
+ */
+export async function clearRecent() {
+  await withStore('readwrite', (store) => store.clear());
+}
+
+/**
+ * Make sure a stored handle may be used, asking the user if needed. Asking
+ * only works during a user gesture.
+ * @param {FileSystemHandle} handle
+ * @param {'read' | 'readwrite'} mode
+ * @returns {Promise<boolean>} Whether permission is granted
+ */
+export async function ensurePermission(handle, mode) {
+  if ((await handle.queryPermission({ mode })) === 'granted') {
+    return true;
+  }
+  return (await handle.requestPermission({ mode })) === 'granted';
+}